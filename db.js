@@ -0,0 +1,57 @@
+// db.js
+
+const mongoose = require('mongoose');
+
+const DEFAULT_MONGODB_URI = 'mongodb://127.0.0.1:27017/cyrus-prebond';
+
+let transactionsSupported = null; // Learned from the server on first use
+
+/**
+ * Connect Mongoose to MongoDB.
+ * Pass a URI explicitly (e.g. from mongodb-memory-server) to override MONGODB_URI.
+ */
+async function connectDatabase(uri = process.env.MONGODB_URI || DEFAULT_MONGODB_URI) {
+    transactionsSupported = null;
+    await mongoose.connect(uri);
+    console.log(`Connected to MongoDB at ${mongoose.connection.host}:${mongoose.connection.port}/${mongoose.connection.name}`);
+    return mongoose.connection;
+}
+
+async function disconnectDatabase() {
+    await mongoose.disconnect();
+}
+
+// Replica sets and sharded clusters run multi-document transactions; a standalone server doesn't
+async function supportsTransactions() {
+    if (transactionsSupported === null) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    }
+    return transactionsSupported;
+}
+
+/**
+ * Run `work(session)` as one multi-document transaction, so its writes land
+ * together or not at all; the driver runs it again on transient conflicts.
+ * A standalone server has no transactions: there `work(null)` runs directly,
+ * and it must undo its own writes when it fails partway.
+ */
+async function withTransaction(work) {
+    if (!await supportsTransactions()) return work(null);
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+module.exports = {
+    connectDatabase,
+    disconnectDatabase,
+    withTransaction,
+};
@@ -0,0 +1,304 @@
+// lib/admin.js
+//
+// Admin operations on tokens and wallets. Each one is written to the
+// AdminAction audit log with the admin's wallet, their reason and the values
+// before and after, and token changes go out on the feed as token.updated.
+
+const { Token, Commitment, Upload, LifecycleEvent, AdminAction, Migration } = require('../models');
+const { STATES, MIGRATED_STATES, transition } = require('./lifecycle');
+const { VISIBILITY } = require('./visibility');
+const bans = require('./bans');
+const { EVENT_TYPES, publish } = require('./events');
+const { serializeToken } = require('./serializeToken');
+const { MetadataError, validateLinks, validateDescription } = require('./tokenMetadata');
+const { ConcurrencyError, versionFilter } = require('./concurrency');
+const Pricing = require('../shared/pricing');
+
+const FREEZABLE_ACTIONS = Object.freeze(Token.schema.path('frozenActions').caster.enumValues);
+const EDITABLE_FIELDS = Object.freeze([
+    'title',
+    'ticker',
+    'description',
+    'imageUrl',
+    'twitterLink',
+    'websiteLink',
+    'telegramLink',
+    'curveA',
+    'curveB',
+    'commitDeadline',
+]);
+const MAX_AUDIT_PAGE = 200;
+
+class AdminError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AdminError';
+        this.status = status;
+    }
+}
+
+function pick(source, fields) {
+    return Object.fromEntries(fields.map(field => [field, source[field] === undefined ? null : source[field]]));
+}
+
+async function recordAdminAction({ actor, action, targetType = 'token', targetId, reason = null, before = null, after = null }) {
+    const entry = await AdminAction.create({ actor, action, targetType, targetId, reason, before, after });
+    console.log(`Admin - ${actor} ${action} on ${targetType} ${targetId}${reason ? ` (${reason})` : ''}.`);
+    return entry;
+}
+
+// Apply `set` to the token, log the change and announce the updated token. With `versioned`,
+// `set` was worked out from the token as read and is only applied if nothing changed it since.
+async function updateToken(token, set, { actor, action, reason, versioned = false }) {
+    const fields = Object.keys(set);
+    const before = pick(token.toObject(), fields);
+    const filter = versioned ? { _id: token.id, ...versionFilter(token) } : { _id: token.id };
+    const updated = await Token.findOneAndUpdate(filter, { $set: set }, { new: true, runValidators: true });
+    if (!updated) {
+        throw new ConcurrencyError(`${token.ticker} changed while it was being edited; reload it and try again.`);
+    }
+    await recordAdminAction({ actor, action, targetId: token.id, reason, before, after: pick(updated.toObject(), fields) });
+    await publish(EVENT_TYPES.UPDATED, { tokenId: token.id, token: await serializeToken(updated) });
+    return updated;
+}
+
+/**
+ * List, hide (out of lists and trending, still reachable by id) or delist a token.
+ */
+async function setVisibility(token, visibility, { actor, reason = null }) {
+    if (!Object.values(VISIBILITY).includes(visibility)) {
+        throw new AdminError(`Visibility must be one of ${Object.values(VISIBILITY).join(', ')}.`);
+    }
+    return updateToken(token, { visibility }, { actor, action: 'token.visibility', reason });
+}
+
+/**
+ * Replace the set of actions frozen on a token; an empty list unfreezes it.
+ */
+async function setFrozenActions(token, actions, { actor, reason = null }) {
+    if (!Array.isArray(actions)) {
+        throw new AdminError(`Provide the actions to freeze: ${FREEZABLE_ACTIONS.join(', ')}.`);
+    }
+    const unknown = actions.find(action => !FREEZABLE_ACTIONS.includes(action));
+    if (unknown) {
+        throw new AdminError(`Cannot freeze "${unknown}"; freezable actions are ${FREEZABLE_ACTIONS.join(', ')}.`);
+    }
+    return updateToken(token, { frozenActions: [...new Set(actions)] }, { actor, action: 'token.freeze', reason });
+}
+
+// A migration settles the ledger and refunds move SOL back to committers; neither can be undone by a status change
+async function assertReversible(token, to) {
+    if (MIGRATED_STATES.includes(token.status) && !MIGRATED_STATES.includes(to)) {
+        throw new AdminError(`${token.ticker} has migrated and its settlement cannot be rolled back.`, 409);
+    }
+    if (token.status === STATES.FAILED && await Commitment.exists({ tokenId: token.id, refundedAt: { $ne: null } })) {
+        throw new AdminError(`${token.ticker} has already refunded commitments and cannot leave ${STATES.FAILED}.`, 409);
+    }
+}
+
+/**
+ * Move a token to any lifecycle state, bypassing the transition rules.
+ * `migrating` is left to the migration runner, which holds a lease on it, and
+ * bonding or graduated need a migration that succeeded: without a mint, a
+ * pool and a settled ledger there is nothing to trade against.
+ */
+async function forceTransition(token, to, { actor, reason = null, metadata = {} }) {
+    if (!Object.values(STATES).includes(to)) {
+        throw new AdminError(`Unknown status "${to}".`);
+    }
+    if (to === token.status) {
+        throw new AdminError(`${token.ticker} is already ${to}.`);
+    }
+    if (to === STATES.MIGRATING) {
+        throw new AdminError('Tokens enter migrating only through the migration runner.');
+    }
+    if (MIGRATED_STATES.includes(to) && !MIGRATED_STATES.includes(token.status)
+        && !(await Migration.exists({ tokenId: token.id, status: 'succeeded' }))) {
+        throw new AdminError(`${token.ticker} has no completed migration and can only reach ${to} through the migration runner.`, 409);
+    }
+    await assertReversible(token, to);
+
+    const from = token.status;
+    const moved = await transition(token.id, from, to, {
+        actor,
+        reason: reason || 'Forced by admin',
+        metadata: { ...metadata, forced: true },
+        force: true,
+    });
+    if (!moved) {
+        throw new AdminError(`${token.ticker} changed status meanwhile; reload and try again.`, 409);
+    }
+    await recordAdminAction({
+        actor,
+        action: metadata.rollbackOf ? 'token.rollback' : 'token.transition',
+        targetId: token.id,
+        reason,
+        before: { status: from },
+        after: { status: to },
+    });
+    return moved;
+}
+
+/**
+ * Undo a token's latest lifecycle transition, returning it to the state it came from.
+ */
+async function rollbackTransition(token, { actor, reason = null }) {
+    const [latest] = await LifecycleEvent.find({ tokenId: token.id }).sort({ createdAt: -1, _id: -1 }).limit(1).lean();
+    if (!latest || latest.to !== token.status || !latest.from) {
+        throw new AdminError(`${token.ticker} has no transition to roll back.`, 409);
+    }
+    return forceTransition(token, latest.from, {
+        actor,
+        reason,
+        metadata: { rollbackOf: String(latest._id) },
+    });
+}
+
+function parsePositive(value, name) {
+    const number = parseFloat(value);
+    if (isNaN(number) || number <= 0) {
+        throw new AdminError(`${name} must be a positive number.`);
+    }
+    return number;
+}
+
+/**
+ * Edit token metadata. The curve (curveA, curveB) and the deadline can only
+ * change while the token is raising; a new curve recomputes its solTarget.
+ * With `version`, the edit only applies to the token at that version.
+ */
+async function updateTokenMetadata(token, changes, { actor, reason = null, version }) {
+    if (version !== undefined && version !== (token.version || 0)) {
+        throw new ConcurrencyError(`${token.ticker} has changed since version ${version}; reload it and try again.`);
+    }
+    const set = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (changes[field] !== undefined) set[field] = changes[field];
+    }
+    const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length) {
+        throw new AdminError(`Fields ${unknown.join(', ')} cannot be edited; editable fields are ${EDITABLE_FIELDS.join(', ')}.`);
+    }
+    if (Object.keys(set).length === 0) {
+        throw new AdminError('Nothing to update.');
+    }
+
+    ['title', 'ticker'].forEach(field => {
+        if (field in set && (typeof set[field] !== 'string' || !set[field].trim())) {
+            throw new AdminError(`${field} must not be empty.`);
+        }
+    });
+    if ('ticker' in set) set.ticker = set.ticker.trim().toUpperCase();
+    try {
+        Object.assign(set, validateLinks(set));
+        if ('description' in set) set.description = validateDescription(set.description);
+    } catch (error) {
+        if (error instanceof MetadataError) throw new AdminError(error.message);
+        throw error;
+    }
+    if ('imageUrl' in set) {
+        const image = await Upload.findOne({ url: set.imageUrl }).lean();
+        if (!image) {
+            throw new AdminError('Upload the token image through /api/uploads and use the URL it returns.');
+        }
+        set.thumbnailUrl = image.thumbnailUrl;
+    }
+    if (('curveA' in set || 'curveB' in set) && Pricing.curveType(token) !== 'power') {
+        throw new AdminError(`curveA and curveB only apply to power curves; ${token.ticker} uses a ${Pricing.curveType(token)} curve.`);
+    }
+    if ('curveA' in set) set.curveA = parsePositive(set.curveA, 'curveA');
+    if ('curveB' in set) set.curveB = parsePositive(set.curveB, 'curveB');
+    const raising = [STATES.DRAFT, STATES.PRE_BOND].includes(token.status);
+    if ('curveA' in set || 'curveB' in set) {
+        if (!raising) {
+            throw new AdminError(`The curve of ${token.ticker} can no longer change.`, 409);
+        }
+        set.solTarget = Pricing.solTarget({ curveA: set.curveA || token.curveA, curveB: set.curveB || token.curveB }, token.upvotes);
+    }
+    if ('commitDeadline' in set) {
+        if (!raising) {
+            throw new AdminError(`The commit deadline of ${token.ticker} can no longer change.`, 409);
+        }
+        const deadline = set.commitDeadline === null ? null : new Date(set.commitDeadline);
+        if (deadline && isNaN(deadline.getTime())) {
+            throw new AdminError('commitDeadline must be a date.');
+        }
+        set.commitDeadline = deadline;
+    }
+
+    try {
+        return await updateToken(token, set, { actor, action: 'token.metadata', reason, versioned: true });
+    } catch (error) {
+        if (error.code === 11000) throw new AdminError('Token ticker already exists.');
+        throw error;
+    }
+}
+
+async function banWallet(walletId, { tokenId = null, scopes, actor, reason = null }) {
+    if (tokenId && !(await Token.exists({ _id: tokenId }))) {
+        throw new AdminError('Token not found.', 404);
+    }
+    const before = await bans.listBans({ walletId, tokenId });
+    const ban = await bans.banWallet({ walletId, tokenId, scopes, bannedBy: actor, reason });
+    await recordAdminAction({
+        actor,
+        action: 'wallet.ban',
+        targetType: 'wallet',
+        targetId: walletId,
+        reason,
+        before: before.length ? { tokenId, scopes: before[0].scopes } : null,
+        after: { tokenId, scopes: ban.scopes },
+    });
+    return ban;
+}
+
+async function unbanWallet(walletId, { tokenId = null, scopes = null, actor, reason = null }) {
+    const [before] = await bans.listBans({ walletId, tokenId });
+    const remaining = await bans.unbanWallet({ walletId, tokenId, scopes });
+    await recordAdminAction({
+        actor,
+        action: 'wallet.unban',
+        targetType: 'wallet',
+        targetId: walletId,
+        reason,
+        before: before ? { tokenId, scopes: before.scopes } : null,
+        after: remaining ? { tokenId, scopes: remaining.scopes } : null,
+    });
+    return remaining;
+}
+
+/**
+ * Audit log entries, newest first. Filter by targetId, actor or action, and
+ * page with `before` (the id of the last entry of the previous page).
+ */
+async function listAdminActions({ targetId, actor, action, before, limit = 50 } = {}) {
+    const filter = {};
+    if (targetId) filter.targetId = targetId;
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (before) {
+        if (!/^[a-f0-9]{24}$/i.test(before)) throw new AdminError('Invalid cursor.');
+        filter._id = { $lt: before };
+    }
+    const entries = await AdminAction.find(filter).sort({ _id: -1 }).limit(Math.min(limit, MAX_AUDIT_PAGE) + 1).lean();
+    const page = entries.slice(0, Math.min(limit, MAX_AUDIT_PAGE));
+    return {
+        entries: page.map(({ _id, ...entry }) => ({ id: String(_id), ...entry })),
+        nextCursor: entries.length > page.length ? String(page[page.length - 1]._id) : null,
+    };
+}
+
+module.exports = {
+    FREEZABLE_ACTIONS,
+    EDITABLE_FIELDS,
+    AdminError,
+    recordAdminAction,
+    setVisibility,
+    setFrozenActions,
+    forceTransition,
+    rollbackTransition,
+    updateTokenMetadata,
+    banWallet,
+    unbanWallet,
+    listAdminActions,
+};
@@ -0,0 +1,273 @@
+// lib/allocations.js
+//
+// Allocation engine. At migration the token's launch supply (its pre-bond
+// supply, the same amount that seeds the pool) is split between:
+//   creator     creatorBps of the supply, when the token has a creator wallet
+//   committers  the rest, pro rata to the SOL each wallet committed
+// Each share vests on its role's schedule from the migration: nothing before
+// the cliff, then linearly until the vesting period ends; with no vesting
+// period everything unlocks at the cliff. Vested tokens are claimed into the
+// wallet through the migration adapter and mirrored in the ledger.
+// planAllocations() and vestedAmount() are pure.
+
+const { v4: uuidv4 } = require('uuid');
+const { Allocation, Commitment, Migration } = require('../models');
+const { walletAccount, tokenAllocationAccount, postTransaction } = require('./ledger');
+const { MIGRATED_STATES } = require('./lifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CREATOR_BPS = 2000;
+const MAX_SCHEDULE_DAYS = 4 * 365;
+const EPSILON = 1e-9;
+const DEFAULT_ALLOCATION_POLICY = Object.freeze({
+    creatorBps: 0,
+    creatorCliffDays: 0,
+    creatorVestingDays: 0,
+    committerCliffDays: 0,
+    committerVestingDays: 0,
+});
+
+class AllocationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AllocationError';
+        this.status = status;
+    }
+}
+
+function allocationPolicyOf(token) {
+    const policy = token.allocationPolicy || {};
+    return Object.fromEntries(Object.entries(DEFAULT_ALLOCATION_POLICY)
+        .map(([field, fallback]) => [field, typeof policy[field] === 'number' ? policy[field] : fallback]));
+}
+
+function parseWhole(value, name, max) {
+    const number = Number(value);
+    if (value === '' || value === null || !Number.isInteger(number) || number < 0 || number > max) {
+        throw new AllocationError(`${name} must be a whole number from 0 to ${max}.`);
+    }
+    return number;
+}
+
+/**
+ * Build an allocation policy from the creator's input.
+ */
+function parseAllocationPolicy(input = {}) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        throw new AllocationError('allocationPolicy must be an object.');
+    }
+    const policy = { ...DEFAULT_ALLOCATION_POLICY };
+    if (input.creatorBps !== undefined) policy.creatorBps = parseWhole(input.creatorBps, 'creatorBps', MAX_CREATOR_BPS);
+    ['creator', 'committer'].forEach(role => {
+        const cliff = `${role}CliffDays`;
+        const vesting = `${role}VestingDays`;
+        if (input[cliff] !== undefined) policy[cliff] = parseWhole(input[cliff], cliff, MAX_SCHEDULE_DAYS);
+        if (input[vesting] !== undefined) policy[vesting] = parseWhole(input[vesting], vesting, MAX_SCHEDULE_DAYS);
+        if (policy[vesting] > 0 && policy[vesting] < policy[cliff]) {
+            throw new AllocationError(`${vesting} must not be shorter than ${cliff}.`);
+        }
+    });
+    return policy;
+}
+
+function schedule(policy, role, start) {
+    const cliffDays = policy[`${role}CliffDays`];
+    const vestingDays = Math.max(policy[`${role}VestingDays`], cliffDays);
+    return {
+        vestingStartAt: start,
+        cliffAt: new Date(start.getTime() + cliffDays * DAY_MS),
+        vestingEndsAt: new Date(start.getTime() + vestingDays * DAY_MS),
+    };
+}
+
+/**
+ * Split `supply` tokens between the creator and `commitments`
+ * ([{ walletId, amount }]) under the token's policy, vesting from `start`.
+ * Returns [{ walletId, role, committedSOL, amount, vestingStartAt, cliffAt, vestingEndsAt }].
+ */
+function planAllocations(token, commitments, { supply, start }) {
+    const policy = allocationPolicyOf(token);
+    const committed = commitments.reduce((sum, c) => sum + c.amount, 0);
+    const creatorShare = token.creatorWallet && committed > 0 ? supply * policy.creatorBps / 10000 : 0;
+    const committerSupply = supply - creatorShare;
+
+    const allocations = commitments
+        .filter(c => c.amount > 0)
+        .map(c => ({
+            walletId: c.walletId,
+            role: 'committer',
+            committedSOL: c.amount,
+            amount: committerSupply * c.amount / committed,
+            ...schedule(policy, 'committer', start),
+        }));
+    if (creatorShare > 0) {
+        allocations.push({
+            walletId: token.creatorWallet,
+            role: 'creator',
+            committedSOL: 0,
+            amount: creatorShare,
+            ...schedule(policy, 'creator', start),
+        });
+    }
+    return allocations;
+}
+
+/**
+ * Tokens of an allocation vested by `now`.
+ */
+function vestedAmount(allocation, now = new Date()) {
+    const time = now.getTime();
+    if (time < new Date(allocation.cliffAt).getTime()) return 0;
+    const start = new Date(allocation.vestingStartAt).getTime();
+    const end = new Date(allocation.vestingEndsAt).getTime();
+    if (time >= end || end <= start) return allocation.amount;
+    return allocation.amount * (time - start) / (end - start);
+}
+
+/**
+ * Record the token's allocations from its outstanding commitments. Called
+ * when the migration is prepared; a second call keeps the first result.
+ */
+async function recordAllocations(token, { supply, start = new Date() }) {
+    const existing = await Allocation.find({ tokenId: token.id }).lean();
+    if (existing.length) return existing;
+
+    const commitments = await Commitment.find({ tokenId: token.id, refundedAt: null }).lean();
+    const planned = planAllocations(token, commitments, { supply, start });
+    if (planned.length) {
+        await Allocation.bulkWrite(planned.map(allocation => ({
+            updateOne: {
+                filter: { tokenId: token.id, walletId: allocation.walletId, role: allocation.role },
+                update: { $setOnInsert: { tokenId: token.id, ...allocation } },
+                upsert: true,
+            },
+        })));
+    }
+    return Allocation.find({ tokenId: token.id }).lean();
+}
+
+function serializeAllocation(allocation, now = new Date()) {
+    const vested = vestedAmount(allocation, now);
+    return {
+        walletId: allocation.walletId,
+        role: allocation.role,
+        committedSOL: allocation.committedSOL,
+        amount: allocation.amount,
+        vested,
+        claimed: allocation.claimed,
+        claimable: Math.max(0, vested - allocation.claimed),
+        vesting: Math.max(0, allocation.amount - vested),
+        vestingStartAt: allocation.vestingStartAt || null,
+        cliffAt: allocation.cliffAt || null,
+        vestingEndsAt: allocation.vestingEndsAt || null,
+    };
+}
+
+function sumAllocations(allocations) {
+    const fields = ['amount', 'vested', 'claimed', 'claimable', 'vesting'];
+    return Object.fromEntries(fields.map(field => [field, allocations.reduce((sum, a) => sum + a[field], 0)]));
+}
+
+/**
+ * A token's allocations with each wallet's claim state. Before migration
+ * they are an estimate from the current commitments (`recorded: false`).
+ */
+async function getAllocations(token, walletId = null, now = new Date()) {
+    let allocations = await Allocation.find({ tokenId: token.id }).sort({ amount: -1, _id: 1 }).lean();
+    const recorded = allocations.length > 0;
+    if (!recorded) {
+        const commitments = await Commitment.find({ tokenId: token.id, refundedAt: null }).lean();
+        allocations = planAllocations(token, commitments, { supply: token.upvotes, start: now })
+            .map(allocation => ({ ...allocation, claimed: 0 }));
+    }
+
+    const serialized = allocations.map(allocation => serializeAllocation(allocation, now));
+    const mine = walletId ? serialized.filter(allocation => allocation.walletId === walletId) : [];
+    return {
+        recorded,
+        policy: allocationPolicyOf(token),
+        totals: sumAllocations(serialized),
+        allocations: serialized,
+        viewer: walletId ? { walletId, allocations: mine, ...sumAllocations(mine) } : null,
+    };
+}
+
+/**
+ * Claim everything a wallet has vested on a migrated token. Each allocation's
+ * claim is reserved on the document before the adapter transfers it, so
+ * concurrent claims can't take the same tokens twice; a failed transfer
+ * releases the reservation. Returns the total claimed.
+ */
+async function claimAllocations(token, walletId, { adapter, now = new Date() }) {
+    if (!MIGRATED_STATES.includes(token.status)) {
+        throw new AllocationError(`${token.ticker} has not migrated yet; allocations can be claimed once it has.`, 409);
+    }
+    const migration = await Migration.findOne({ tokenId: token.id, status: 'succeeded' }).lean();
+    if (!migration) {
+        throw new AllocationError(`${token.ticker} has no completed migration to claim from.`, 409);
+    }
+    const allocations = await Allocation.find({ tokenId: token.id, walletId });
+    if (!allocations.length) {
+        throw new AllocationError('This wallet has no allocation on this token.', 404);
+    }
+
+    let total = 0;
+    for (const allocation of allocations) {
+        const amount = vestedAmount(allocation, now) - allocation.claimed;
+        if (amount <= EPSILON) continue;
+
+        const claimId = uuidv4();
+        const reserved = await Allocation.findOneAndUpdate(
+            { _id: allocation._id, claimed: allocation.claimed },
+            { $inc: { claimed: amount }, $push: { claims: { claimId, amount, createdAt: now } } },
+            { new: true }
+        );
+        if (!reserved) {
+            throw new AllocationError('Another claim from this wallet is in progress; try again.', 409);
+        }
+
+        let result;
+        try {
+            result = await adapter.distribute({
+                token,
+                mintAddress: migration.mintAddress,
+                walletId,
+                amount,
+                idempotencyKey: `${migration.idempotencyKey}:claim:${claimId}`,
+            });
+        } catch (error) {
+            await Allocation.updateOne({ _id: allocation._id }, { $inc: { claimed: -amount }, $pull: { claims: { claimId } } });
+            throw error;
+        }
+        await Allocation.updateOne({ _id: allocation._id, 'claims.claimId': claimId }, { $set: { 'claims.$.signature': result.signature } });
+        await postTransaction({
+            type: 'claim',
+            tokenId: token.id,
+            walletId,
+            memo: `${allocation.role === 'creator' ? 'Creator' : 'Committer'} allocation of ${token.ticker}`,
+            entries: [
+                { account: tokenAllocationAccount(token.id), asset: token.id, amount: -amount },
+                { account: walletAccount(walletId), asset: token.id, amount },
+            ],
+        });
+        total += amount;
+    }
+
+    if (total <= EPSILON) {
+        throw new AllocationError('Nothing has vested to claim yet.', 409);
+    }
+    return total;
+}
+
+module.exports = {
+    DEFAULT_ALLOCATION_POLICY,
+    MAX_CREATOR_BPS,
+    AllocationError,
+    allocationPolicyOf,
+    parseAllocationPolicy,
+    planAllocations,
+    vestedAmount,
+    recordAllocations,
+    getAllocations,
+    claimAllocations,
+};
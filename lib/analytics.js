@@ -0,0 +1,181 @@
+// lib/analytics.js
+//
+// View tracking and per-token analytics. A view counts once per viewer per
+// UTC day: the wallet when signed in, otherwise the browser's anonymous
+// session. Reopening the modal or refreshing the page only bumps that day's
+// hit count, known crawlers are ignored, and one IP address can add only a
+// few anonymous viewers per token per day so rotating session ids doesn't
+// inflate the count. token.views is the running total of those daily views.
+//
+// IP addresses are only stored as an HMAC keyed with VIEW_HASH_SALT, which
+// must be set: a secret key keeps the hashes from being matched against
+// guessed addresses. Behind a proxy, set TRUST_PROXY so the address is the
+// client's rather than the proxy's (see server.js).
+
+const crypto = require('crypto');
+const { Token, TokenView, Trade, Upvote, Commitment, Comment } = require('../models');
+
+const ANALYTICS_INTERVALS = Object.freeze({
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000,
+});
+const MAX_POINTS = 200;
+const MAX_ANONYMOUS_VIEWS_PER_IP = parseInt(process.env.MAX_ANONYMOUS_VIEWS_PER_IP, 10) || 5;
+const VIEW_HASH_SALT = process.env.VIEW_HASH_SALT || null;
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|preview|headless|lighthouse|curl|wget|python|httpclient|okhttp|axios|node-fetch|go-http|java\//i;
+
+function isBot(userAgent) {
+    return !userAgent || BOT_USER_AGENT.test(userAgent);
+}
+
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function hashIp(ip) {
+    if (!ip) return null;
+    if (!VIEW_HASH_SALT) {
+        throw new Error('VIEW_HASH_SALT is not set.');
+    }
+    return crypto.createHmac('sha256', VIEW_HASH_SALT).update(ip).digest('hex');
+}
+
+/**
+ * Record that a viewer opened a token. Returns { counted, reason } where
+ * counted is true only for the viewer's first view of the token that day.
+ */
+async function recordView(token, { walletId = null, sessionId = null, userAgent = null, ip = null, now = new Date() }) {
+    if (isBot(userAgent)) return { counted: false, reason: 'bot' };
+    if (!walletId && !isValidSessionId(sessionId)) return { counted: false, reason: 'no-viewer' };
+
+    const viewerKey = walletId ? `wallet:${walletId}` : `session:${sessionId}`;
+    const day = dayKey(now);
+    const ipHash = hashIp(ip);
+
+    const seen = await TokenView.findOneAndUpdate(
+        { tokenId: token.id, viewerKey, day },
+        { $inc: { hits: 1 }, $set: { lastSeenAt: now } },
+        { new: true }
+    );
+    if (seen) return { counted: false, reason: 'repeat' };
+
+    if (!walletId && ipHash) {
+        const anonymous = await TokenView.countDocuments({ tokenId: token.id, day, ipHash, walletId: null });
+        if (anonymous >= MAX_ANONYMOUS_VIEWS_PER_IP) return { counted: false, reason: 'ip-limit' };
+    }
+
+    try {
+        await TokenView.create({ tokenId: token.id, viewerKey, walletId, day, ipHash, lastSeenAt: now });
+    } catch (error) {
+        // A concurrent request from the same viewer got there first
+        if (error.code === 11000) return { counted: false, reason: 'repeat' };
+        throw error;
+    }
+    await Token.updateOne({ _id: token.id }, { $inc: { views: 1 } });
+    return { counted: true, reason: null };
+}
+
+function bucketExpression(field, intervalMs) {
+    return {
+        $subtract: [
+            { $toLong: `$${field}` },
+            { $mod: [{ $toLong: `$${field}` }, intervalMs] },
+        ],
+    };
+}
+
+/**
+ * A token's activity between `from` and `to`, one point per interval, oldest
+ * first, with empty intervals filled in:
+ *   views            new daily views (first open of the day per viewer)
+ *   uniqueCommitters distinct wallets that committed in the interval
+ *   upvotes          upvotes cast
+ *   comments         visible comments posted
+ *   commitVolume     SOL committed
+ * The funnel covers the token's whole life: distinct viewers, then the
+ * wallets that upvoted and committed, with each step's rate against views.
+ */
+async function getTokenAnalytics(token, { interval, from, to }) {
+    const intervalMs = ANALYTICS_INTERVALS[interval];
+    const range = { $gte: from, $lte: to };
+
+    const [views, trades, comments, viewers, upvoters, committers] = await Promise.all([
+        TokenView.aggregate([
+            { $match: { tokenId: token.id, createdAt: range } },
+            { $group: { _id: bucketExpression('createdAt', intervalMs), count: { $sum: 1 } } },
+        ]),
+        Trade.aggregate([
+            { $match: { tokenId: token.id, type: { $in: ['commit', 'upvote'] }, createdAt: range } },
+            {
+                $group: {
+                    _id: bucketExpression('createdAt', intervalMs),
+                    upvotes: { $sum: { $cond: [{ $eq: ['$type', 'upvote'] }, 1, 0] } },
+                    commitVolume: { $sum: { $cond: [{ $eq: ['$type', 'commit'] }, '$solAmount', 0] } },
+                    committers: { $addToSet: { $cond: [{ $eq: ['$type', 'commit'] }, '$walletId', '$$REMOVE'] } },
+                },
+            },
+        ]),
+        Comment.aggregate([
+            { $match: { tokenId: token.id, deletedAt: null, hiddenAt: null, timestamp: range } },
+            { $group: { _id: bucketExpression('timestamp', intervalMs), count: { $sum: 1 } } },
+        ]),
+        TokenView.distinct('viewerKey', { tokenId: token.id }),
+        Upvote.countDocuments({ tokenId: token.id }),
+        Commitment.countDocuments({ tokenId: token.id }),
+    ]);
+
+    const viewsByBucket = new Map(views.map(({ _id, count }) => [_id, count]));
+    const tradesByBucket = new Map(trades.map(bucket => [bucket._id, bucket]));
+    const commentsByBucket = new Map(comments.map(({ _id, count }) => [_id, count]));
+
+    const series = [];
+    const first = from.getTime() - (from.getTime() % intervalMs);
+    for (let time = first; time <= to.getTime(); time += intervalMs) {
+        const traded = tradesByBucket.get(time);
+        series.push({
+            time: new Date(time),
+            views: viewsByBucket.get(time) || 0,
+            uniqueCommitters: traded ? traded.committers.length : 0,
+            upvotes: traded ? traded.upvotes : 0,
+            comments: commentsByBucket.get(time) || 0,
+            commitVolume: traded ? traded.commitVolume : 0,
+        });
+    }
+
+    const rate = (count, total) => (total > 0 ? count / total : null);
+    return {
+        interval,
+        from,
+        to,
+        totals: {
+            views: token.views,
+            uniqueViewers: viewers.length,
+            upvoters,
+            committers,
+            collectiveSOL: token.collectiveSOL,
+        },
+        series,
+        funnel: [
+            { step: 'views', count: viewers.length, rate: viewers.length > 0 ? 1 : null },
+            { step: 'upvotes', count: upvoters, rate: rate(upvoters, viewers.length) },
+            { step: 'commits', count: committers, rate: rate(committers, viewers.length) },
+        ],
+    };
+}
+
+module.exports = {
+    ANALYTICS_INTERVALS,
+    MAX_POINTS,
+    MAX_ANONYMOUS_VIEWS_PER_IP,
+    VIEW_HASH_SALT,
+    isBot,
+    isValidSessionId,
+    recordView,
+    getTokenAnalytics,
+};
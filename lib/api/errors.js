@@ -0,0 +1,97 @@
+// lib/api/errors.js
+//
+// The API's error envelope: every failed request answers
+//   { success: false, code, message }
+// where `code` is one of ERROR_CODES and stays stable across releases, so
+// clients branch on it rather than on the message. Routes that don't name a
+// code get the one for their HTTP status; schema failures also carry
+// `errors: [{ path, message }]`.
+
+const ERROR_CODES = Object.freeze({
+    BAD_REQUEST: 'BAD_REQUEST', // 400 without a more specific code
+    VALIDATION_FAILED: 'VALIDATION_FAILED', // The request did not match the operation's schema
+    INVALID_JSON: 'INVALID_JSON', // The body was not valid JSON
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+    UNAUTHENTICATED: 'UNAUTHENTICATED', // 401: no valid wallet session
+    FORBIDDEN: 'FORBIDDEN', // 403
+    NOT_FOUND: 'NOT_FOUND', // 404
+    CONFLICT: 'CONFLICT', // 409 without a more specific code
+    VERSION_CONFLICT: 'VERSION_CONFLICT', // The resource changed since it was read; read it again and retry
+    REQUEST_IN_PROGRESS: 'REQUEST_IN_PROGRESS', // A request with the same Idempotency-Key is still running
+    IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED', // The Idempotency-Key was already used for a different request
+    ACTION_NOT_ALLOWED: 'ACTION_NOT_ALLOWED', // The token's lifecycle state or a freeze forbids the action
+    SLIPPAGE_EXCEEDED: 'SLIPPAGE_EXCEEDED', // The price moved past the caller's limits
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE', // 413
+    RATE_LIMITED: 'RATE_LIMITED', // 429
+    INTERNAL_ERROR: 'INTERNAL_ERROR', // 500
+});
+
+const CODES_BY_STATUS = {
+    400: ERROR_CODES.BAD_REQUEST,
+    401: ERROR_CODES.UNAUTHENTICATED,
+    403: ERROR_CODES.FORBIDDEN,
+    404: ERROR_CODES.NOT_FOUND,
+    409: ERROR_CODES.CONFLICT,
+    413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+    429: ERROR_CODES.RATE_LIMITED,
+};
+
+function codeForStatus(status) {
+    if (CODES_BY_STATUS[status]) return CODES_BY_STATUS[status];
+    return status >= 500 ? ERROR_CODES.INTERNAL_ERROR : ERROR_CODES.BAD_REQUEST;
+}
+
+// Give every { success: false } body sent through res.json the code for its status, unless the route named one
+function errorEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (body && body.success === false && !body.code) {
+            const { code, ...rest } = body;
+            return json({ success: false, code: codeForStatus(res.statusCode), ...rest });
+        }
+        return json(body);
+    };
+    next();
+}
+
+// JSON 404 for API paths no route matched, instead of the frontend's index.html
+function apiNotFound(req, res) {
+    console.error(`${req.method} ${req.originalUrl} - No such API route.`);
+    res.status(404).json({
+        success: false,
+        message: `No API route for ${req.method} ${req.baseUrl}${req.path}.`,
+    });
+}
+
+// Last error handler: malformed or oversized bodies, and anything a route let escape.
+// Express tells error handlers apart by their four parameters, so `next` stays.
+function apiErrorHandler(error, req, res, next) {
+    if (error.type === 'entity.parse.failed') {
+        console.error(`${req.method} ${req.originalUrl} - Invalid JSON body.`);
+        return res.status(400).json({
+            success: false,
+            code: ERROR_CODES.INVALID_JSON,
+            message: 'The request body is not valid JSON.',
+        });
+    }
+    if (error.type === 'entity.too.large') {
+        console.error(`${req.method} ${req.originalUrl} - Request body too large.`);
+        return res.status(413).json({
+            success: false,
+            message: 'The request body is too large.',
+        });
+    }
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error.',
+    });
+}
+
+module.exports = {
+    ERROR_CODES,
+    codeForStatus,
+    errorEnvelope,
+    apiNotFound,
+    apiErrorHandler,
+};
@@ -0,0 +1,78 @@
+// lib/api/index.js
+//
+// Request validation against the declarative operation schemas. Routes name
+// their operation:
+//
+//   router.post('/:id/commit', requireWallet, validate('commitToToken'), handler)
+//
+// and the handler only runs once path parameters, query and JSON body match
+// it. Bodies are checked as sent, except that fields declared as a number or
+// a string (the amounts) take numeric strings, so { "amount": "0.5" } reaches
+// the handler as 0.5; query and path parameters are read as their declared
+// types for the check but left as strings on req for the handler to parse.
+
+const { OPERATIONS_BY_ID, COMPONENTS } = require('./operations');
+const { validate: validateSchema, readParameter, readBody } = require('./schema');
+const { ERROR_CODES } = require('./errors');
+
+function checkParameters(schemas, values, location, required = []) {
+    const errors = [];
+    required.forEach(name => {
+        if (values[name] === undefined || values[name] === '') {
+            errors.push({ path: `${location}.${name}`, message: `${location}.${name} is required.` });
+        }
+    });
+    Object.entries(schemas || {}).forEach(([name, schema]) => {
+        if (values[name] === undefined || values[name] === '') return;
+        if (Array.isArray(values[name])) {
+            errors.push({ path: `${location}.${name}`, message: `${location}.${name} may only be given once.` });
+            return;
+        }
+        const resolved = schema.$ref ? COMPONENTS[schema.$ref.split('/').pop()] : schema;
+        validateSchema(schema, readParameter(resolved, values[name]), `${location}.${name}`, COMPONENTS, errors);
+    });
+    return errors;
+}
+
+function checkRequest(operation, req) {
+    const errors = [
+        ...checkParameters(operation.params, req.params, 'params'),
+        ...checkParameters(operation.query, req.query, 'query', operation.requiredQuery),
+    ];
+    if (operation.body) {
+        const body = req.body === undefined ? {} : req.body;
+        validateSchema(operation.body, body, 'body', COMPONENTS, errors);
+    }
+    return errors;
+}
+
+/**
+ * Middleware that answers 400 VALIDATION_FAILED, listing every problem, when
+ * the request doesn't match the operation's schemas. Throws at startup for an
+ * unknown operation id so a typo can't silently skip validation.
+ */
+function validate(operationId) {
+    const operation = OPERATIONS_BY_ID.get(operationId);
+    if (!operation) {
+        throw new Error(`Unknown API operation "${operationId}".`);
+    }
+
+    return (req, res, next) => {
+        if (operation.body && req.body !== undefined) req.body = readBody(operation.body, req.body, COMPONENTS);
+        const errors = checkRequest(operation, req);
+        if (errors.length === 0) return next();
+
+        console.error(`${req.method} ${req.originalUrl} - Validation Error: ${errors.map(error => error.message).join(' ')}`);
+        res.status(400).json({
+            success: false,
+            code: ERROR_CODES.VALIDATION_FAILED,
+            message: errors[0].message,
+            errors,
+        });
+    };
+}
+
+module.exports = {
+    validate,
+    checkRequest,
+};
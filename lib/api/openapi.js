@@ -0,0 +1,120 @@
+// lib/api/openapi.js
+//
+// Builds the OpenAPI 3.1 document served at GET /api/openapi.json from the
+// operation table in lib/api/operations.js.
+
+const { version } = require('../../package.json');
+const { COMPONENTS, OPERATIONS } = require('./operations');
+const { IDEMPOTENCY_HEADER, acceptsIdempotencyKey } = require('../idempotency');
+
+const AUTH_NOTES = {
+    optional: 'A wallet session is optional and adds the viewer\'s own data.',
+    wallet: 'Requires a wallet session.',
+    admin: 'Requires a session of a wallet listed in ADMIN_WALLETS.',
+};
+
+// Express path (/api/tokens/:id) to OpenAPI path (/api/tokens/{id})
+function openApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function parametersOf(operation) {
+    const path = Object.entries(operation.params || {}).map(([name, schema]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema,
+    }));
+    const query = Object.entries(operation.query || {}).map(([name, schema]) => ({
+        name,
+        in: 'query',
+        required: (operation.requiredQuery || []).includes(name),
+        schema,
+    }));
+    const headers = acceptsIdempotencyKey(operation.method, operation.path) ? [{
+        name: IDEMPOTENCY_HEADER,
+        in: 'header',
+        required: false,
+        description: 'Unique per request (e.g. a UUID). Repeating it with the same wallet session replays the first response instead of running the request again; ignored without a session.',
+        schema: { type: 'string', minLength: 1, maxLength: 255 },
+    }] : [];
+    return [...path, ...query, ...headers];
+}
+
+function requestBodyOf(operation) {
+    if (operation.multipart) {
+        return { required: true, content: { 'multipart/form-data': { schema: operation.multipart } } };
+    }
+    if (operation.body) {
+        return {
+            required: (operation.body.required || []).length > 0,
+            content: { 'application/json': { schema: operation.body } },
+        };
+    }
+    return undefined;
+}
+
+function responsesOf(operation) {
+    const success = {
+        type: 'object',
+        allOf: [
+            { type: 'object', properties: { success: { type: 'boolean', enum: [true] } }, required: ['success'] },
+            operation.response,
+        ],
+    };
+    const error = {
+        description: 'The error envelope',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorEnvelope' } } },
+    };
+    return {
+        [operation.status || 200]: {
+            description: operation.summary,
+            content: { 'application/json': { schema: success } },
+        },
+        '4XX': error,
+        '5XX': error,
+    };
+}
+
+function buildOpenApiDocument() {
+    const paths = {};
+    OPERATIONS.forEach(operation => {
+        const path = openApiPath(operation.path);
+        paths[path] = paths[path] || {};
+        paths[path][operation.method] = {
+            operationId: operation.id,
+            tags: [operation.tag],
+            summary: operation.summary,
+            description: AUTH_NOTES[operation.auth],
+            security: operation.auth === 'none' ? [] : operation.auth === 'optional' ? [{}, { session: [] }] : [{ session: [] }],
+            parameters: parametersOf(operation),
+            requestBody: requestBodyOf(operation),
+            responses: responsesOf(operation),
+        };
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Cyrus Pre Bond Terminal API',
+            version,
+            description: 'Every response has `success`. Failures answer the Error envelope, whose `code` is stable across releases.',
+        },
+        paths,
+        components: {
+            schemas: COMPONENTS,
+            securitySchemes: {
+                session: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Session token from POST /api/auth/verify',
+                },
+            },
+        },
+    };
+}
+
+module.exports = {
+    openApiPath,
+    buildOpenApiDocument,
+};
@@ -0,0 +1,1377 @@
+// lib/api/operations.js
+//
+// Declarative description of every API operation: its method and path, who
+// may call it, the schemas of its path parameters, query and body, and the
+// schema of its success response. lib/api validates requests against it,
+// lib/api/openapi.js publishes it and scripts/generate-client.js builds the
+// browser client from it. Schemas use the JSON Schema subset of
+// lib/api/schema.js; shared shapes live in COMPONENTS.
+//
+// auth: 'none', 'optional' (a wallet session adds viewer data), 'wallet' or 'admin'.
+
+const { Token, WalletBan } = require('../../models');
+const Pricing = require('../../shared/pricing');
+const { HARD_CAP_MODES } = require('../commitPolicy');
+const { CANDLE_INTERVALS } = require('../trades');
+const { ANALYTICS_INTERVALS } = require('../analytics');
+const { CONFIG: TRENDING_CONFIG } = require('../trending');
+const { WEBHOOK_EVENTS, PING_EVENT, DELIVERY_STATUSES } = require('../webhooks');
+const { NOTIFICATION_TYPES } = require('../watchlists');
+const { LEADERBOARD_TYPES, LEADERBOARD_WINDOWS } = require('../leaderboard');
+const { ERROR_CODES } = require('./errors');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, type: [].concat(schema.type, 'null') });
+const arrayOf = items => ({ type: 'array', items });
+const string = { type: 'string' };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const positive = { type: 'number', exclusiveMinimum: 0 };
+// An amount of SOL or tokens in a body: a JSON number, or a decimal string such as "0.5" that is read as one
+const decimalString = { pattern: '^\\s*(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?\\s*$', patternMessage: 'must be a number.' };
+const amount = { type: ['number', 'string'], exclusiveMinimum: 0, ...decimalString };
+const amountOrZero = { type: ['number', 'string'], minimum: 0, ...decimalString };
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+// A date in the query string: ISO 8601 or epoch milliseconds
+const queryDate = { type: 'string', pattern: '^(\\d+|\\d{4}-\\d{2}-\\d{2}.*)$', patternMessage: 'must be an ISO date or epoch milliseconds.' };
+const cursor = { type: 'string', maxLength: 200 };
+const objectIdCursor = { type: 'string', pattern: '^[a-fA-F0-9]{24}$', patternMessage: 'must be the nextCursor of the previous page.' };
+const reason = nullable({ type: 'string', maxLength: 500 });
+
+const STATUSES = Token.schema.path('status').enumValues;
+const VISIBILITIES = Token.schema.path('visibility').enumValues;
+const FREEZABLE_ACTIONS = Token.schema.path('frozenActions').caster.enumValues;
+const BAN_SCOPES = WalletBan.schema.path('scopes').caster.enumValues;
+const WEBHOOK_EVENT_TYPES = Object.values(WEBHOOK_EVENTS);
+
+const COMPONENTS = {
+    WalletId: {
+        type: 'string',
+        pattern: '^[1-9A-HJ-NP-Za-km-z]{32,44}$',
+        patternMessage: 'must be a base58 Solana public key.',
+    },
+    TokenId: { type: 'string', minLength: 1, maxLength: 64 },
+    ErrorEnvelope: object({
+        success: { type: 'boolean', enum: [false] },
+        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+        message: string,
+        errors: arrayOf(object({ path: string, message: string }, ['path', 'message'])),
+    }, ['success', 'code', 'message']),
+    CommitPolicy: object({
+        minPerWallet: number,
+        maxPerWallet: nullable(number),
+        hardCap: { type: 'string', enum: HARD_CAP_MODES },
+        whitelistEndsAt: nullable(dateTime),
+    }),
+    AllocationPolicy: object({
+        creatorBps: integer,
+        creatorCliffDays: integer,
+        creatorVestingDays: integer,
+        committerCliffDays: integer,
+        committerVestingDays: integer,
+    }),
+    Token: object({
+        id: { $ref: '#/components/schemas/TokenId' },
+        title: string,
+        ticker: string,
+        description: string,
+        creatorWallet: nullable(string),
+        imageUrl: string,
+        thumbnailUrl: nullable(string),
+        upvotes: number,
+        views: integer,
+        curveType: { type: 'string', enum: Object.keys(Pricing.CURVES) },
+        curveA: nullable(number),
+        curveB: nullable(number),
+        curveParams: nullable({ type: 'object' }),
+        solTarget: number,
+        collectiveSOL: number,
+        status: { type: 'string', enum: STATUSES },
+        statusChangedAt: dateTime,
+        lastActivityAt: dateTime,
+        commitDeadline: nullable(dateTime),
+        visibility: { type: 'string', enum: VISIBILITIES },
+        frozenActions: arrayOf({ type: 'string', enum: FREEZABLE_ACTIONS }),
+        commitPolicy: ref('CommitPolicy'),
+        allocationPolicy: ref('AllocationPolicy'),
+        twitterLink: nullable(string),
+        websiteLink: nullable(string),
+        telegramLink: nullable(string),
+        commentCount: integer,
+        committedWallets: arrayOf(string),
+        upvotedWallets: arrayOf(string),
+        version: integer,
+        createdAt: dateTime,
+        updatedAt: dateTime,
+    }, ['id', 'title', 'ticker', 'status']),
+    TokenListItem: object({
+        id: string,
+        title: string,
+        ticker: string,
+        description: string,
+        imageUrl: string,
+        thumbnailUrl: nullable(string),
+        upvotes: number,
+        views: integer,
+        solTarget: number,
+        collectiveSOL: number,
+        progress: number,
+        status: { type: 'string', enum: STATUSES },
+        migrated: boolean,
+        visibility: { type: 'string', enum: VISIBILITIES },
+        frozenActions: arrayOf(string),
+        commitDeadline: nullable(dateTime),
+        twitterLink: nullable(string),
+        websiteLink: nullable(string),
+        telegramLink: nullable(string),
+        createdAt: dateTime,
+        lastActivityAt: dateTime,
+        commentCount: integer,
+        viewer: nullable(object({ upvoted: boolean, committed: boolean })),
+    }, ['id', 'title', 'ticker', 'status']),
+    TokenPage: object({
+        tokens: arrayOf(ref('TokenListItem')),
+        nextCursor: nullable(string),
+    }, ['tokens', 'nextCursor']),
+    Comment: object({
+        id: string,
+        tokenId: string,
+        user: string,
+        comment: string,
+        parentId: nullable(string),
+        rootId: nullable(string),
+        timestamp: dateTime,
+        editedAt: nullable(dateTime),
+        deleted: boolean,
+        hidden: boolean,
+        pinned: boolean,
+        mine: boolean,
+    }, ['id', 'user', 'comment']),
+    Trade: object({
+        id: string,
+        tokenId: string,
+        walletId: string,
+        type: { type: 'string', enum: ['commit', 'withdraw', 'upvote', 'buy', 'sell'] },
+        solAmount: number,
+        tokenAmount: number,
+        price: number,
+        supplyAfter: number,
+        timestamp: dateTime,
+    }),
+    Candle: object({
+        time: dateTime,
+        open: number,
+        high: number,
+        low: number,
+        close: number,
+        volume: number,
+        trades: integer,
+    }),
+    Fees: object({
+        protocolFeeBps: integer,
+        creatorFeeBps: integer,
+        protocolFee: number,
+        creatorFee: number,
+        totalFee: number,
+    }),
+    Quote: object({
+        side: { type: 'string', enum: ['buy', 'sell'] },
+        solAmount: number,
+        curveSolAmount: number,
+        tokenAmount: number,
+        averagePrice: number,
+        effectivePrice: number,
+        priceBefore: number,
+        priceAfter: number,
+        priceImpact: number,
+        supplyBefore: number,
+        supplyAfter: number,
+        marketCapAfter: number,
+        fees: ref('Fees'),
+    }),
+    LifecycleEvent: object({
+        from: nullable(string),
+        to: string,
+        actor: nullable(string),
+        reason: nullable(string),
+        metadata: nullable({ type: 'object' }),
+        timestamp: dateTime,
+    }),
+    Migration: object({
+        adapter: string,
+        status: { type: 'string', enum: ['pending', 'running', 'succeeded', 'failed'] },
+        attempts: integer,
+        idempotencyKey: string,
+        solAmount: number,
+        poolTokenAmount: number,
+        mintAddress: nullable(string),
+        mintSignature: nullable(string),
+        poolAddress: nullable(string),
+        poolSignature: nullable(string),
+        lastError: nullable(string),
+        completedAt: nullable(dateTime),
+    }),
+    CommitPolicyView: object({
+        minPerWallet: number,
+        maxPerWallet: nullable(number),
+        hardCap: { type: 'string', enum: HARD_CAP_MODES },
+        whitelistEndsAt: nullable(dateTime),
+        phase: string,
+        allowlistSize: integer,
+        remainingToTarget: number,
+        viewer: nullable(object({
+            committed: number,
+            allowlisted: boolean,
+            canCommit: boolean,
+            remaining: nullable(number),
+        })),
+    }),
+    Allocation: object({
+        walletId: string,
+        role: { type: 'string', enum: ['committer', 'creator'] },
+        committedSOL: number,
+        amount: number,
+        vested: number,
+        claimed: number,
+        claimable: number,
+        vesting: number,
+        vestingStartAt: nullable(dateTime),
+        cliffAt: nullable(dateTime),
+        vestingEndsAt: nullable(dateTime),
+    }),
+    AllocationTotals: object({
+        amount: number,
+        vested: number,
+        claimed: number,
+        claimable: number,
+        vesting: number,
+    }),
+    Allocations: object({
+        recorded: boolean,
+        policy: ref('AllocationPolicy'),
+        totals: ref('AllocationTotals'),
+        allocations: arrayOf(ref('Allocation')),
+        viewer: nullable({
+            type: 'object',
+            properties: {
+                walletId: string,
+                allocations: arrayOf(ref('Allocation')),
+                amount: number,
+                vested: number,
+                claimed: number,
+                claimable: number,
+                vesting: number,
+            },
+        }),
+    }),
+    Wallet: object({
+        walletId: string,
+        balance: number,
+        positions: arrayOf(object({ tokenId: string, ticker: nullable(string), amount: number })),
+        history: arrayOf(object({
+            txId: string,
+            type: string,
+            asset: string,
+            amount: number,
+            tokenId: nullable(string),
+            memo: nullable(string),
+            timestamp: dateTime,
+        })),
+    }),
+    PortfolioPosition: object({
+        tokenId: string,
+        ticker: string,
+        title: string,
+        status: string,
+        committed: number,
+        amount: { ...number, description: 'Tokens held plus still unclaimed allocation' },
+        unclaimed: number,
+        averageEntryPrice: nullable(number),
+        costBasis: number,
+        price: { ...nullable(number), description: 'Curve spot price; null until the token migrates' },
+        marketValue: nullable(number),
+        realizedPnl: number,
+        unrealizedPnl: nullable(number),
+    }),
+    Portfolio: object({
+        walletId: string,
+        balance: number,
+        totals: object({
+            committed: number,
+            costBasis: number,
+            marketValue: number,
+            realizedPnl: number,
+            unrealizedPnl: number,
+            totalPnl: number,
+        }),
+        positions: arrayOf(ref('PortfolioPosition')),
+    }),
+    LeaderboardEntry: object({
+        rank: integer,
+        walletId: string,
+        score: { ...number, description: 'SOL: realized P&L (traders), committed (committers) or raised (creators)' },
+        stats: object({
+            volume: number,
+            trades: integer,
+            tokens: integer,
+            tokensCreated: integer,
+            migrated: integer,
+        }),
+    }),
+    WatchlistAlerts: object({
+        progressPercent: nullable({ type: 'number', exclusiveMinimum: 0, maximum: 100 }),
+        migration: boolean,
+        priceAbove: nullable(positive),
+        priceBelow: nullable(positive),
+        comments: boolean,
+    }),
+    WatchlistEntry: object({
+        tokenId: string,
+        ticker: nullable(string),
+        title: nullable(string),
+        imageUrl: nullable(string),
+        status: nullable(string),
+        progress: nullable(number),
+        price: nullable(number),
+        alerts: ref('WatchlistAlerts'),
+        progressAlerted: boolean,
+        createdAt: dateTime,
+    }),
+    Notification: object({
+        id: string,
+        tokenId: string,
+        type: { type: 'string', enum: NOTIFICATION_TYPES },
+        message: string,
+        data: { type: 'object' },
+        read: boolean,
+        createdAt: dateTime,
+    }),
+    Upload: object({
+        id: string,
+        url: string,
+        thumbnailUrl: string,
+        width: integer,
+        height: integer,
+    }),
+    CreatorProfile: object({
+        walletId: string,
+        stats: object({
+            tokensCreated: integer,
+            totalRaised: number,
+            migrated: integer,
+            failed: integer,
+            raising: integer,
+            migrationSuccessRate: nullable(number),
+        }),
+        firstTokenAt: nullable(dateTime),
+        tokens: arrayOf(ref('TokenListItem')),
+    }),
+    Analytics: object({
+        interval: { type: 'string', enum: Object.keys(ANALYTICS_INTERVALS) },
+        from: dateTime,
+        to: dateTime,
+        totals: object({
+            views: integer,
+            uniqueViewers: integer,
+            upvoters: integer,
+            committers: integer,
+            collectiveSOL: number,
+        }),
+        series: arrayOf(object({
+            time: dateTime,
+            views: integer,
+            uniqueCommitters: integer,
+            upvotes: integer,
+            comments: integer,
+            commitVolume: number,
+        })),
+        funnel: arrayOf(object({ step: string, count: integer, rate: nullable(number) })),
+    }),
+    Ban: object({
+        walletId: string,
+        tokenId: nullable(string),
+        scopes: arrayOf({ type: 'string', enum: BAN_SCOPES }),
+        bannedBy: string,
+        reason: nullable(string),
+        createdAt: dateTime,
+    }),
+    AdminAction: object({
+        id: string,
+        actor: string,
+        action: string,
+        targetType: { type: 'string', enum: ['token', 'wallet'] },
+        targetId: string,
+        reason: nullable(string),
+        before: nullable({ type: 'object' }),
+        after: nullable({ type: 'object' }),
+        createdAt: dateTime,
+    }),
+    WebhookEndpoint: object({
+        id: string,
+        url: string,
+        events: arrayOf({ type: 'string', enum: WEBHOOK_EVENT_TYPES }),
+        description: string,
+        active: boolean,
+        secretHint: string,
+        createdBy: string,
+        createdAt: dateTime,
+        updatedAt: dateTime,
+    }),
+    WebhookAttempt: object({
+        at: dateTime,
+        statusCode: nullable(integer),
+        error: nullable(string),
+        durationMs: integer,
+    }),
+    WebhookDelivery: object({
+        id: string,
+        endpointId: string,
+        eventId: string,
+        eventType: { type: 'string', enum: [...WEBHOOK_EVENT_TYPES, PING_EVENT] },
+        tokenId: nullable(string),
+        status: { type: 'string', enum: DELIVERY_STATUSES },
+        attempts: integer,
+        nextAttemptAt: nullable(dateTime),
+        deliveredAt: nullable(dateTime),
+        lastAttempt: nullable(ref('WebhookAttempt')),
+        createdAt: dateTime,
+        payload: { type: 'object', description: 'The signed JSON body; only on single deliveries' },
+        log: { ...arrayOf(ref('WebhookAttempt')), description: 'Every attempt, oldest first; only on single deliveries' },
+    }),
+};
+// A top-level comment with its replies
+COMPONENTS.CommentThread = object({
+    ...COMPONENTS.Comment.properties,
+    replyCount: integer,
+    replies: arrayOf(ref('Comment')),
+}, COMPONENTS.Comment.required);
+
+const tokenIdParam = { id: ref('TokenId') };
+const walletIdParam = { walletId: ref('WalletId') };
+const message = { message: string };
+const tokenSearchQuery = {
+    q: { type: 'string', maxLength: 200 },
+    status: { type: 'string', maxLength: 200, description: `Comma-separated: ${STATUSES.join(', ')} or migrated` },
+    minProgress: { type: 'number', minimum: 0 },
+    maxProgress: { type: 'number', minimum: 0 },
+    createdAfter: queryDate,
+    createdBefore: queryDate,
+    sort: { type: 'string', enum: ['newest', 'progress', 'collectiveSOL', 'upvotes', 'activity'] },
+    limit: { type: 'integer', minimum: 1 },
+    cursor,
+};
+const tradeBody = object({
+    solAmount: { ...amount, description: 'SOL to spend (buy) or receive (sell), fees included; or give tokenAmount' },
+    tokenAmount: { ...amount, description: 'Tokens to buy or sell; or give solAmount' },
+    maxCost: amountOrZero,
+    minReceived: amountOrZero,
+    slippageBps: { type: 'integer', minimum: 0, maximum: 10000 },
+    expectedPrice: amountOrZero,
+});
+const tradeResponse = object({
+    ...message,
+    token: ref('Token'),
+    quote: ref('Quote'),
+    fees: ref('Fees'),
+    userBalance: number,
+});
+const objectId = { type: 'string', pattern: '^[a-fA-F0-9]{24}$', patternMessage: 'must be a 24-character hex id.' };
+const endpointIdParam = { endpointId: objectId };
+const deliveryIdParam = { deliveryId: objectId };
+const webhookEvents = { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENT_TYPES }, minItems: 1 };
+const webhookUrl = { type: 'string', maxLength: 2000, pattern: '^https?://', patternMessage: 'must be an http(s) URL.' };
+const webhookSecret = { type: 'string', minLength: 16, maxLength: 200 };
+const adminTokenResponse = object({ ...message, token: ref('Token') });
+const moderatedComment = object({ ...message, comment: ref('Comment') });
+
+const OPERATIONS = [
+    // Auth
+    {
+        id: 'createChallenge',
+        method: 'post',
+        path: '/api/auth/challenge',
+        tag: 'Auth',
+        summary: 'Issue a nonce and the login message the wallet must sign',
+        auth: 'none',
+        body: object({ walletId: ref('WalletId') }, ['walletId']),
+        status: 201,
+        response: object({ nonce: string, message: string, expiresAt: dateTime }),
+    },
+    {
+        id: 'verifyChallenge',
+        method: 'post',
+        path: '/api/auth/verify',
+        tag: 'Auth',
+        summary: 'Verify the signed challenge and open a session',
+        auth: 'none',
+        body: object({
+            walletId: ref('WalletId'),
+            nonce: { type: 'string', minLength: 1, maxLength: 200 },
+            signature: { type: 'string', minLength: 1, maxLength: 200, description: 'Base64 ed25519 signature of the login message' },
+        }, ['walletId', 'nonce', 'signature']),
+        response: object({ sessionToken: string, walletId: string, expiresAt: dateTime }),
+    },
+    {
+        id: 'getSession',
+        method: 'get',
+        path: '/api/auth/session',
+        tag: 'Auth',
+        summary: 'Get the wallet behind the current session token',
+        auth: 'wallet',
+        response: object({ walletId: string, expiresAt: dateTime }),
+    },
+    {
+        id: 'logout',
+        method: 'post',
+        path: '/api/auth/logout',
+        tag: 'Auth',
+        summary: 'Revoke the current session token',
+        auth: 'optional',
+        response: object(message),
+    },
+
+    // Wallets and creators
+    {
+        id: 'getWallet',
+        method: 'get',
+        path: '/api/wallets/:walletId',
+        tag: 'Wallets',
+        summary: "Get a wallet's virtual SOL balance, token positions and ledger history",
+        auth: 'none',
+        params: walletIdParam,
+        query: { limit: { type: 'integer', minimum: 1, maximum: 200 } },
+        response: object({ wallet: ref('Wallet') }),
+    },
+    {
+        id: 'getPortfolio',
+        method: 'get',
+        path: '/api/wallets/:walletId/portfolio',
+        tag: 'Wallets',
+        summary: "Get a wallet's positions, average entry prices, realized and unrealized P&L and SOL committed",
+        auth: 'none',
+        params: walletIdParam,
+        response: object({ portfolio: ref('Portfolio') }),
+    },
+    {
+        id: 'getLeaderboard',
+        method: 'get',
+        path: '/api/leaderboard',
+        tag: 'Wallets',
+        summary: 'Rank traders by realized P&L, committers by SOL committed or creators by SOL raised',
+        auth: 'none',
+        query: {
+            type: { type: 'string', enum: LEADERBOARD_TYPES },
+            window: { type: 'string', enum: Object.keys(LEADERBOARD_WINDOWS) },
+            limit: { type: 'integer', minimum: 1, maximum: 100 },
+        },
+        requiredQuery: ['type'],
+        response: object({
+            type: string,
+            window: string,
+            computedAt: dateTime,
+            leaderboard: arrayOf(ref('LeaderboardEntry')),
+        }),
+    },
+    {
+        id: 'getWatchlist',
+        method: 'get',
+        path: '/api/wallets/:walletId/watchlist',
+        tag: 'Wallets',
+        summary: 'Your watched tokens with their alert rules',
+        auth: 'wallet',
+        params: walletIdParam,
+        response: object({ watchlist: arrayOf(ref('WatchlistEntry')) }),
+    },
+    {
+        id: 'watchToken',
+        method: 'post',
+        path: '/api/wallets/:walletId/watchlist',
+        tag: 'Wallets',
+        summary: "Watch a token, or change a watched token's alert rules",
+        auth: 'wallet',
+        params: walletIdParam,
+        body: object({
+            tokenId: ref('TokenId'),
+            alerts: ref('WatchlistAlerts'),
+        }, ['tokenId']),
+        status: 201,
+        response: object({ ...message, entry: ref('WatchlistEntry') }),
+    },
+    {
+        id: 'unwatchToken',
+        method: 'delete',
+        path: '/api/wallets/:walletId/watchlist',
+        tag: 'Wallets',
+        summary: 'Stop watching a token',
+        auth: 'wallet',
+        params: walletIdParam,
+        query: { tokenId: ref('TokenId') },
+        requiredQuery: ['tokenId'],
+        response: object(message),
+    },
+    {
+        id: 'listNotifications',
+        method: 'get',
+        path: '/api/wallets/:walletId/notifications',
+        tag: 'Wallets',
+        summary: 'Your notification inbox, newest first, with the unread count',
+        auth: 'wallet',
+        params: walletIdParam,
+        query: {
+            unread: boolean,
+            limit: { type: 'integer', minimum: 1, maximum: 100 },
+            cursor: objectIdCursor,
+        },
+        response: object({ notifications: arrayOf(ref('Notification')), unreadCount: integer, nextCursor: nullable(string) }),
+    },
+    {
+        id: 'markNotificationsRead',
+        method: 'post',
+        path: '/api/wallets/:walletId/notifications/read',
+        tag: 'Wallets',
+        summary: 'Mark notifications as read; all of them when no ids are given',
+        auth: 'wallet',
+        params: walletIdParam,
+        body: object({ ids: { type: 'array', items: { type: 'string', maxLength: 24 }, maxItems: 100 } }),
+        response: object({ marked: integer, unreadCount: integer }),
+    },
+    {
+        id: 'getCreator',
+        method: 'get',
+        path: '/api/creators/:walletId',
+        tag: 'Wallets',
+        summary: "Get a creator's tokens, the SOL they raised and their migration success rate",
+        auth: 'none',
+        params: walletIdParam,
+        response: object({ creator: ref('CreatorProfile') }),
+    },
+    {
+        id: 'uploadImage',
+        method: 'post',
+        path: '/api/uploads',
+        tag: 'Uploads',
+        summary: 'Upload a token image (multipart field "image")',
+        auth: 'wallet',
+        multipart: object({ image: { type: 'string', format: 'binary' } }, ['image']),
+        status: 201,
+        response: object({ upload: ref('Upload') }),
+    },
+
+    // Tokens
+    {
+        id: 'listTokens',
+        method: 'get',
+        path: '/api/tokens',
+        tag: 'Tokens',
+        summary: 'Search, filter and sort tokens, one page at a time',
+        auth: 'optional',
+        query: tokenSearchQuery,
+        response: ref('TokenPage'),
+    },
+    {
+        id: 'createToken',
+        method: 'post',
+        path: '/api/tokens',
+        tag: 'Tokens',
+        summary: 'Create a token',
+        auth: 'wallet',
+        body: object({
+            title: { type: 'string', minLength: 1, maxLength: 60 },
+            ticker: { type: 'string', pattern: '^[A-Za-z0-9]{2,10}$', patternMessage: 'must be 2 to 10 letters or digits.' },
+            description: { type: 'string', minLength: 1 },
+            imageUrl: { type: 'string', minLength: 1, maxLength: 500, description: 'URL returned by POST /api/uploads' },
+            curveType: { type: 'string', enum: Object.keys(Pricing.CURVES) },
+            curveParams: { type: 'object', description: "The curve family's parameters; see shared/pricing.js" },
+            curveA: { ...positive, description: 'Power curves only, instead of curveParams' },
+            curveB: { ...positive, description: 'Power curves only, instead of curveParams' },
+            commitWindowHours: positive,
+            twitterLink: nullable(string),
+            websiteLink: nullable(string),
+            telegramLink: nullable(string),
+            commitPolicy: object({
+                minPerWallet: positive,
+                maxPerWallet: nullable(positive),
+                hardCap: { type: 'string', enum: HARD_CAP_MODES },
+                whitelistHours: { type: 'number', minimum: 0 },
+            }),
+            allowlist: arrayOf(ref('WalletId')),
+            allocationPolicy: object({
+                creatorBps: { type: 'integer', minimum: 0 },
+                creatorCliffDays: { type: 'integer', minimum: 0 },
+                creatorVestingDays: { type: 'integer', minimum: 0 },
+                committerCliffDays: { type: 'integer', minimum: 0 },
+                committerVestingDays: { type: 'integer', minimum: 0 },
+            }),
+        }, ['title', 'ticker', 'description', 'imageUrl']),
+        status: 201,
+        response: object({ ...message, token: ref('Token') }),
+    },
+    {
+        id: 'getTrending',
+        method: 'get',
+        path: '/api/tokens/trending',
+        tag: 'Tokens',
+        summary: 'Get the top trending tokens by time-decayed activity score',
+        auth: 'none',
+        query: {
+            window: { type: 'string', enum: Object.keys(TRENDING_CONFIG.windows) },
+            limit: { type: 'integer', minimum: 1 },
+        },
+        response: object({
+            window: string,
+            computedAt: nullable(dateTime),
+            trending: arrayOf({
+                type: 'object',
+                properties: {
+                    ...COMPONENTS.TokenListItem.properties,
+                    score: number,
+                    rank: integer,
+                    scoreBreakdown: { type: 'object' },
+                },
+            }),
+        }),
+    },
+    {
+        id: 'getToken',
+        method: 'get',
+        path: '/api/tokens/:id',
+        tag: 'Tokens',
+        summary: 'Get a token with its comment count and committed / upvoted wallets',
+        auth: 'none',
+        params: tokenIdParam,
+        response: object({ token: ref('Token') }),
+    },
+    {
+        id: 'updateToken',
+        method: 'patch',
+        path: '/api/tokens/:id',
+        tag: 'Tokens',
+        summary: "Edit a token's description, image and links (creator, until it migrates)",
+        auth: 'wallet',
+        params: tokenIdParam,
+        body: {
+            type: 'object',
+            properties: {
+                description: string,
+                imageUrl: string,
+                twitterLink: nullable(string),
+                websiteLink: nullable(string),
+                telegramLink: nullable(string),
+                version: integer,
+            },
+            additionalProperties: false,
+        },
+        response: object({ ...message, token: ref('Token') }),
+    },
+    {
+        id: 'getLifecycle',
+        method: 'get',
+        path: '/api/tokens/:id/lifecycle',
+        tag: 'Tokens',
+        summary: "Get a token's lifecycle state, allowed actions and transition history",
+        auth: 'none',
+        params: tokenIdParam,
+        response: object({
+            tokenId: string,
+            status: string,
+            statusChangedAt: dateTime,
+            allowedActions: arrayOf(string),
+            nextStates: arrayOf(string),
+            history: arrayOf(ref('LifecycleEvent')),
+        }),
+    },
+    {
+        id: 'recordView',
+        method: 'post',
+        path: '/api/tokens/:id/views',
+        tag: 'Tokens',
+        summary: 'Record that the token was opened',
+        auth: 'optional',
+        params: tokenIdParam,
+        body: object({ sessionId: nullable({ type: 'string', maxLength: 100 }) }),
+        response: object({ counted: boolean, reason: nullable(string) }),
+    },
+    {
+        id: 'getAnalytics',
+        method: 'get',
+        path: '/api/tokens/:id/analytics',
+        tag: 'Tokens',
+        summary: "Get a token's views, committers, upvotes, comments and commit volume per interval",
+        auth: 'none',
+        params: tokenIdParam,
+        query: {
+            interval: { type: 'string', enum: Object.keys(ANALYTICS_INTERVALS) },
+            from: queryDate,
+            to: queryDate,
+        },
+        response: object({ analytics: ref('Analytics') }),
+    },
+
+    // Pre-bond raise
+    {
+        id: 'commitToToken',
+        method: 'post',
+        path: '/api/tokens/:id/commit',
+        tag: 'Raise',
+        summary: "Commit SOL to a token's escrow, or top up the wallet's commitment",
+        auth: 'wallet',
+        params: tokenIdParam,
+        body: object({ amount: { ...amount, description: 'SOL to commit, as a JSON number or a decimal string' } }, ['amount']),
+        response: object({
+            ...message,
+            amount: number,
+            overflow: number,
+            token: ref('Token'),
+            userBalance: number,
+        }),
+    },
+    {
+        id: 'withdrawCommitment',
+        method: 'delete',
+        path: '/api/tokens/:id/commit',
+        tag: 'Raise',
+        summary: "Withdraw the wallet's commitment before the commit deadline",
+        auth: 'wallet',
+        params: tokenIdParam,
+        response: object({ ...message, token: ref('Token'), userBalance: number }),
+    },
+    {
+        id: 'getCommitPolicy',
+        method: 'get',
+        path: '/api/tokens/:id/commit-policy',
+        tag: 'Raise',
+        summary: "Get a token's commit policy, current phase and the wallet's standing",
+        auth: 'optional',
+        params: tokenIdParam,
+        response: object({ commitPolicy: ref('CommitPolicyView') }),
+    },
+    {
+        id: 'upvoteToken',
+        method: 'post',
+        path: '/api/tokens/:id/upvote',
+        tag: 'Raise',
+        summary: 'Upvote a token (equivalent to buying one token)',
+        auth: 'wallet',
+        params: tokenIdParam,
+        response: object({ ...message, token: ref('Token'), userBalance: number }),
+    },
+    {
+        id: 'getAllowlist',
+        method: 'get',
+        path: '/api/tokens/:id/allowlist',
+        tag: 'Raise',
+        summary: "List the wallets on the token's allowlist (creator)",
+        auth: 'wallet',
+        params: tokenIdParam,
+        response: object({ wallets: arrayOf(string) }),
+    },
+    {
+        id: 'replaceAllowlist',
+        method: 'put',
+        path: '/api/tokens/:id/allowlist',
+        tag: 'Raise',
+        summary: "Replace the token's allowlist (creator, during the raise)",
+        auth: 'wallet',
+        params: tokenIdParam,
+        body: object({ wallets: arrayOf(ref('WalletId')) }, ['wallets']),
+        response: object({ ...message, allowlistSize: integer }),
+    },
+    {
+        id: 'removeFromAllowlist',
+        method: 'delete',
+        path: '/api/tokens/:id/allowlist/:walletId',
+        tag: 'Raise',
+        summary: "Take a wallet off the token's allowlist (creator)",
+        auth: 'wallet',
+        params: { ...tokenIdParam, ...walletIdParam },
+        response: object(message),
+    },
+    {
+        id: 'getAllocations',
+        method: 'get',
+        path: '/api/tokens/:id/allocations',
+        tag: 'Raise',
+        summary: "Get the token's allocations and their claim state",
+        auth: 'optional',
+        params: tokenIdParam,
+        response: object({ allocations: ref('Allocations') }),
+    },
+    {
+        id: 'claimAllocation',
+        method: 'post',
+        path: '/api/tokens/:id/claim',
+        tag: 'Raise',
+        summary: "Claim everything the wallet's allocations have vested",
+        auth: 'wallet',
+        params: tokenIdParam,
+        response: object({
+            ...message,
+            claimed: number,
+            allocations: ref('Allocations'),
+            userBalance: number,
+            userTokenBalance: number,
+        }),
+    },
+
+    // Trading
+    {
+        id: 'getQuote',
+        method: 'get',
+        path: '/api/tokens/:id/quote',
+        tag: 'Trading',
+        summary: "Quote a buy or sell against the token's bonding curve, fees included",
+        auth: 'none',
+        params: tokenIdParam,
+        query: {
+            side: { type: 'string', enum: ['buy', 'sell'] },
+            sol: positive,
+            tokens: positive,
+        },
+        requiredQuery: ['side'],
+        response: object({
+            tokenId: string,
+            tradable: boolean,
+            spotPrice: number,
+            marketCap: number,
+            fees: object({ protocolFeeBps: integer, creatorFeeBps: integer }),
+            quote: ref('Quote'),
+        }),
+    },
+    {
+        id: 'buyMigrated',
+        method: 'post',
+        path: '/api/tokens/:id/buy-migrated',
+        tag: 'Trading',
+        summary: 'Buy a migrated token on its bonding curve',
+        auth: 'wallet',
+        params: tokenIdParam,
+        body: tradeBody,
+        response: tradeResponse,
+    },
+    {
+        id: 'sellMigrated',
+        method: 'post',
+        path: '/api/tokens/:id/sell-migrated',
+        tag: 'Trading',
+        summary: 'Sell a migrated token back to its bonding curve',
+        auth: 'wallet',
+        params: tokenIdParam,
+        body: tradeBody,
+        response: tradeResponse,
+    },
+    {
+        id: 'listTrades',
+        method: 'get',
+        path: '/api/tokens/:id/trades',
+        tag: 'Trading',
+        summary: "Get a token's commits, withdrawals, upvotes, buys and sells, newest first",
+        auth: 'none',
+        params: tokenIdParam,
+        query: {
+            limit: { type: 'integer', minimum: 1 },
+            cursor: objectIdCursor,
+            type: { type: 'string', enum: ['commit', 'withdraw', 'upvote', 'buy', 'sell'] },
+        },
+        response: object({ trades: arrayOf(ref('Trade')), nextCursor: nullable(string) }),
+    },
+    {
+        id: 'getCandles',
+        method: 'get',
+        path: '/api/tokens/:id/candles',
+        tag: 'Trading',
+        summary: "Get OHLCV candles of a token's post-trade price",
+        auth: 'none',
+        params: tokenIdParam,
+        query: {
+            interval: { type: 'string', enum: Object.keys(CANDLE_INTERVALS) },
+            from: queryDate,
+            to: queryDate,
+        },
+        response: object({ interval: string, from: dateTime, to: dateTime, candles: arrayOf(ref('Candle')) }),
+    },
+    {
+        id: 'listMigratedTokens',
+        method: 'get',
+        path: '/api/migrated-tokens',
+        tag: 'Trading',
+        summary: 'Get all migrated tokens',
+        auth: 'none',
+        response: object({ migratedTokens: arrayOf(ref('Token')) }),
+    },
+    {
+        id: 'getMigratedToken',
+        method: 'get',
+        path: '/api/migrated-tokens/:id',
+        tag: 'Trading',
+        summary: 'Get a migrated token with its migration artifacts',
+        auth: 'none',
+        params: tokenIdParam,
+        response: object({ token: ref('Token'), migration: nullable(ref('Migration')) }),
+    },
+
+    // Comments
+    {
+        id: 'listComments',
+        method: 'get',
+        path: '/api/tokens/:id/comments',
+        tag: 'Comments',
+        summary: "Page through a token's comment threads",
+        auth: 'optional',
+        params: tokenIdParam,
+        query: { limit: { type: 'integer', minimum: 1 }, cursor: objectIdCursor },
+        response: object({
+            comments: arrayOf(ref('CommentThread')),
+            nextCursor: nullable(string),
+            viewer: object({ walletId: nullable(string), canModerate: boolean }),
+        }),
+    },
+    {
+        id: 'createComment',
+        method: 'post',
+        path: '/api/tokens/:id/comments',
+        tag: 'Comments',
+        summary: 'Add a comment to a token, or reply to one',
+        auth: 'wallet',
+        params: tokenIdParam,
+        body: object({ comment: string, parentId: nullable(objectIdCursor) }, ['comment']),
+        status: 201,
+        response: moderatedComment,
+    },
+    {
+        id: 'editComment',
+        method: 'patch',
+        path: '/api/tokens/:id/comments/:commentId',
+        tag: 'Comments',
+        summary: 'Edit your own comment',
+        auth: 'wallet',
+        params: { ...tokenIdParam, commentId: objectIdCursor },
+        body: object({ comment: string }, ['comment']),
+        response: moderatedComment,
+    },
+    {
+        id: 'deleteComment',
+        method: 'delete',
+        path: '/api/tokens/:id/comments/:commentId',
+        tag: 'Comments',
+        summary: 'Delete your own comment',
+        auth: 'wallet',
+        params: { ...tokenIdParam, commentId: objectIdCursor },
+        response: moderatedComment,
+    },
+    {
+        id: 'hideComment',
+        method: 'post',
+        path: '/api/tokens/:id/comments/:commentId/hide',
+        tag: 'Comments',
+        summary: 'Hide or unhide a comment (token creator or admin)',
+        auth: 'wallet',
+        params: { ...tokenIdParam, commentId: objectIdCursor },
+        body: object({ hidden: boolean }),
+        response: moderatedComment,
+    },
+    {
+        id: 'pinComment',
+        method: 'post',
+        path: '/api/tokens/:id/comments/:commentId/pin',
+        tag: 'Comments',
+        summary: 'Pin or unpin a top-level comment (token creator or admin)',
+        auth: 'wallet',
+        params: { ...tokenIdParam, commentId: objectIdCursor },
+        body: object({ pinned: boolean }),
+        response: moderatedComment,
+    },
+    {
+        id: 'banCommenter',
+        method: 'post',
+        path: '/api/tokens/:id/comments/bans',
+        tag: 'Comments',
+        summary: 'Ban a wallet from commenting on this token, or everywhere (admins)',
+        auth: 'wallet',
+        params: tokenIdParam,
+        body: object({ walletId: ref('WalletId'), reason, global: boolean }, ['walletId']),
+        status: 201,
+        response: object({ ...message, ban: ref('Ban') }),
+    },
+    {
+        id: 'unbanCommenter',
+        method: 'delete',
+        path: '/api/tokens/:id/comments/bans/:walletId',
+        tag: 'Comments',
+        summary: 'Lift a comment ban',
+        auth: 'wallet',
+        params: { ...tokenIdParam, ...walletIdParam },
+        query: { global: boolean },
+        response: object(message),
+    },
+
+    // Admin
+    {
+        id: 'adminListTokens',
+        method: 'get',
+        path: '/api/admin/tokens',
+        tag: 'Admin',
+        summary: 'Search tokens, including hidden and delisted ones',
+        auth: 'admin',
+        query: { ...tokenSearchQuery, visibility: { type: 'string', maxLength: 100, description: `Comma-separated: ${VISIBILITIES.join(', ')}` } },
+        response: ref('TokenPage'),
+    },
+    {
+        id: 'adminGetToken',
+        method: 'get',
+        path: '/api/admin/tokens/:id',
+        tag: 'Admin',
+        summary: 'Get a token with its lifecycle history, bans and audit log',
+        auth: 'admin',
+        params: tokenIdParam,
+        response: object({
+            token: ref('Token'),
+            history: arrayOf(ref('LifecycleEvent')),
+            bans: arrayOf(ref('Ban')),
+            audit: arrayOf(ref('AdminAction')),
+        }),
+    },
+    {
+        id: 'adminUpdateToken',
+        method: 'patch',
+        path: '/api/admin/tokens/:id',
+        tag: 'Admin',
+        summary: 'Edit token metadata',
+        auth: 'admin',
+        params: tokenIdParam,
+        body: object({
+            title: string,
+            ticker: string,
+            description: string,
+            imageUrl: string,
+            twitterLink: nullable(string),
+            websiteLink: nullable(string),
+            telegramLink: nullable(string),
+            curveA: { type: ['number', 'string'] },
+            curveB: { type: ['number', 'string'] },
+            commitDeadline: nullable(string),
+            reason,
+            version: integer,
+        }),
+        response: adminTokenResponse,
+    },
+    {
+        id: 'adminSetVisibility',
+        method: 'post',
+        path: '/api/admin/tokens/:id/visibility',
+        tag: 'Admin',
+        summary: 'List, hide or delist a token',
+        auth: 'admin',
+        params: tokenIdParam,
+        body: object({ visibility: { type: 'string', enum: VISIBILITIES }, reason }, ['visibility']),
+        response: adminTokenResponse,
+    },
+    {
+        id: 'adminFreezeToken',
+        method: 'post',
+        path: '/api/admin/tokens/:id/freeze',
+        tag: 'Admin',
+        summary: 'Set the actions frozen on a token; an empty list unfreezes it',
+        auth: 'admin',
+        params: tokenIdParam,
+        body: object({ actions: arrayOf({ type: 'string', enum: FREEZABLE_ACTIONS }), reason }, ['actions']),
+        response: adminTokenResponse,
+    },
+    {
+        id: 'adminForceTransition',
+        method: 'post',
+        path: '/api/admin/tokens/:id/transition',
+        tag: 'Admin',
+        summary: 'Force a token into a lifecycle state',
+        auth: 'admin',
+        params: tokenIdParam,
+        body: object({ to: { type: 'string', enum: STATUSES }, reason }, ['to']),
+        response: adminTokenResponse,
+    },
+    {
+        id: 'adminRollbackTransition',
+        method: 'post',
+        path: '/api/admin/tokens/:id/rollback',
+        tag: 'Admin',
+        summary: "Undo the token's latest lifecycle transition",
+        auth: 'admin',
+        params: tokenIdParam,
+        body: object({ reason }),
+        response: adminTokenResponse,
+    },
+    {
+        id: 'adminListBans',
+        method: 'get',
+        path: '/api/admin/wallets/:walletId/bans',
+        tag: 'Admin',
+        summary: "Get a wallet's bans, global and per token",
+        auth: 'admin',
+        params: walletIdParam,
+        response: object({ bans: arrayOf(ref('Ban')) }),
+    },
+    {
+        id: 'adminBanWallet',
+        method: 'post',
+        path: '/api/admin/wallets/:walletId/bans',
+        tag: 'Admin',
+        summary: 'Ban a wallet from commit, upvote and/or comment, on one token or everywhere',
+        auth: 'admin',
+        params: walletIdParam,
+        body: object({
+            scopes: { type: 'array', items: { type: 'string', enum: BAN_SCOPES }, minItems: 1 },
+            tokenId: nullable(ref('TokenId')),
+            reason,
+        }, ['scopes']),
+        status: 201,
+        response: object({ ...message, ban: ref('Ban') }),
+    },
+    {
+        id: 'adminUnbanWallet',
+        method: 'delete',
+        path: '/api/admin/wallets/:walletId/bans',
+        tag: 'Admin',
+        summary: "Lift a wallet's ban, or some of its scopes",
+        auth: 'admin',
+        params: walletIdParam,
+        query: {
+            tokenId: ref('TokenId'),
+            scopes: { type: 'string', maxLength: 100, description: `Comma-separated: ${BAN_SCOPES.join(', ')}` },
+            reason: { type: 'string', maxLength: 500 },
+        },
+        response: object({ ...message, ban: nullable(ref('Ban')) }),
+    },
+    {
+        id: 'adminListAudit',
+        method: 'get',
+        path: '/api/admin/audit',
+        tag: 'Admin',
+        summary: 'The admin audit log, newest first',
+        auth: 'admin',
+        query: {
+            targetId: { type: 'string', maxLength: 100 },
+            actor: { type: 'string', maxLength: 100 },
+            action: { type: 'string', maxLength: 100 },
+            limit: { type: 'integer', minimum: 1 },
+            cursor: objectIdCursor,
+        },
+        response: object({ entries: arrayOf(ref('AdminAction')), nextCursor: nullable(string) }),
+    },
+    {
+        id: 'listWebhookEndpoints',
+        method: 'get',
+        path: '/api/webhooks',
+        tag: 'Webhooks',
+        summary: "The wallet's webhook endpoints; admins see every endpoint",
+        auth: 'wallet',
+        response: object({ endpoints: arrayOf(ref('WebhookEndpoint')) }),
+    },
+    {
+        id: 'createWebhookEndpoint',
+        method: 'post',
+        path: '/api/webhooks',
+        tag: 'Webhooks',
+        summary: 'Register a webhook endpoint owned by the wallet; the signing secret is only returned here',
+        auth: 'wallet',
+        body: object({
+            url: webhookUrl,
+            events: webhookEvents,
+            secret: webhookSecret,
+            description: { type: 'string', maxLength: 200 },
+        }, ['url', 'events']),
+        status: 201,
+        response: object({ ...message, endpoint: ref('WebhookEndpoint'), secret: string }),
+    },
+    {
+        id: 'listWebhookDeliveries',
+        method: 'get',
+        path: '/api/webhooks/deliveries',
+        tag: 'Webhooks',
+        summary: "The delivery log of the wallet's endpoints, newest first; status=dead lists the dead letters",
+        auth: 'wallet',
+        query: {
+            endpointId: objectId,
+            status: { type: 'string', enum: DELIVERY_STATUSES },
+            eventType: { type: 'string', enum: [...WEBHOOK_EVENT_TYPES, PING_EVENT] },
+            limit: { type: 'integer', minimum: 1 },
+            cursor: objectIdCursor,
+        },
+        response: object({ deliveries: arrayOf(ref('WebhookDelivery')), nextCursor: nullable(string) }),
+    },
+    {
+        id: 'getWebhookDelivery',
+        method: 'get',
+        path: '/api/webhooks/deliveries/:deliveryId',
+        tag: 'Webhooks',
+        summary: 'A delivery with its payload and every attempt',
+        auth: 'wallet',
+        params: deliveryIdParam,
+        response: object({ delivery: ref('WebhookDelivery') }),
+    },
+    {
+        id: 'redeliverWebhook',
+        method: 'post',
+        path: '/api/webhooks/deliveries/:deliveryId/redeliver',
+        tag: 'Webhooks',
+        summary: 'Send a delivery again now with a fresh retry budget, dead letters included',
+        auth: 'wallet',
+        params: deliveryIdParam,
+        response: object({ ...message, delivery: ref('WebhookDelivery') }),
+    },
+    {
+        id: 'getWebhookEndpoint',
+        method: 'get',
+        path: '/api/webhooks/:endpointId',
+        tag: 'Webhooks',
+        summary: 'A webhook endpoint',
+        auth: 'wallet',
+        params: endpointIdParam,
+        response: object({ endpoint: ref('WebhookEndpoint') }),
+    },
+    {
+        id: 'updateWebhookEndpoint',
+        method: 'patch',
+        path: '/api/webhooks/:endpointId',
+        tag: 'Webhooks',
+        summary: "Change an endpoint's URL, events, description or active flag, or replace its secret",
+        auth: 'wallet',
+        params: endpointIdParam,
+        body: object({
+            url: webhookUrl,
+            events: webhookEvents,
+            description: { type: 'string', maxLength: 200 },
+            active: boolean,
+            secret: webhookSecret,
+            rotateSecret: boolean,
+        }),
+        response: object({ ...message, endpoint: ref('WebhookEndpoint'), secret: nullable(string) }),
+    },
+    {
+        id: 'deleteWebhookEndpoint',
+        method: 'delete',
+        path: '/api/webhooks/:endpointId',
+        tag: 'Webhooks',
+        summary: 'Delete an endpoint and its delivery log',
+        auth: 'wallet',
+        params: endpointIdParam,
+        response: object(message),
+    },
+    {
+        id: 'pingWebhookEndpoint',
+        method: 'post',
+        path: '/api/webhooks/:endpointId/ping',
+        tag: 'Webhooks',
+        summary: 'Send a signed webhook.ping to an endpoint now, even a disabled one',
+        auth: 'wallet',
+        params: endpointIdParam,
+        response: object({ ...message, delivery: ref('WebhookDelivery') }),
+    },
+];
+
+const OPERATIONS_BY_ID = new Map(OPERATIONS.map(operation => [operation.id, operation]));
+
+module.exports = {
+    COMPONENTS,
+    OPERATIONS,
+    OPERATIONS_BY_ID,
+};
@@ -0,0 +1,150 @@
+// lib/api/schema.js
+//
+// Validator for the subset of JSON Schema the API's declarative schemas use
+// (lib/api/operations.js): type (or a list of types), enum, minimum, maximum,
+// exclusiveMinimum, minLength, maxLength, pattern, properties, required,
+// additionalProperties, items, minItems, maxItems and $ref into the shared
+// component schemas. Query and path parameters arrive as strings, so
+// readParameter() turns numeric and boolean strings into values first, and
+// readBody() does the same for body fields declared as a number or a string.
+
+const REF_PREFIX = '#/components/schemas/';
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(schema, components) {
+    if (!schema.$ref) return schema;
+    const name = schema.$ref.slice(REF_PREFIX.length);
+    if (!components[name]) {
+        throw new Error(`Unknown schema reference ${schema.$ref}.`);
+    }
+    return components[name];
+}
+
+/**
+ * Check `value` against `schema`. Returns a list of { path, message }, empty
+ * when the value is valid.
+ */
+function validate(schema, value, path, components = {}, errors = []) {
+    const rule = resolve(schema, components);
+
+    if (rule.type) {
+        const types = [].concat(rule.type);
+        if (!types.some(type => matchesType(value, type))) {
+            const expected = types.filter(type => type !== 'null').join(' or ');
+            errors.push({ path, message: `${path} must be ${/^[aeiou]/.test(expected) ? 'an' : 'a'} ${expected}${types.includes('null') ? ' or null' : ''}.` });
+            return errors;
+        }
+    }
+    if (value === null) return errors;
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ path, message: `${path} must be one of ${rule.enum.join(', ')}.` });
+    }
+
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            errors.push({ path, message: `${path} must be a finite number.` });
+        }
+        if (rule.minimum !== undefined && value < rule.minimum) {
+            errors.push({ path, message: `${path} must be at least ${rule.minimum}.` });
+        }
+        if (rule.exclusiveMinimum !== undefined && value <= rule.exclusiveMinimum) {
+            errors.push({ path, message: `${path} must be greater than ${rule.exclusiveMinimum}.` });
+        }
+        if (rule.maximum !== undefined && value > rule.maximum) {
+            errors.push({ path, message: `${path} must be at most ${rule.maximum}.` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            errors.push({ path, message: rule.minLength === 1 ? `${path} must not be empty.` : `${path} must be at least ${rule.minLength} characters.` });
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push({ path, message: `${path} must be at most ${rule.maxLength} characters.` });
+        }
+        if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+            errors.push({ path, message: rule.patternMessage ? `${path} ${rule.patternMessage}` : `${path} has an invalid format.` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            errors.push({ path, message: `${path} must have at least ${rule.minItems} item(s).` });
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            errors.push({ path, message: `${path} may have at most ${rule.maxItems} items.` });
+        }
+        if (rule.items) {
+            value.forEach((item, index) => validate(rule.items, item, `${path}[${index}]`, components, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (rule.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                errors.push({ path: `${path}.${name}`, message: `${path}.${name} is required.` });
+            }
+        });
+        const properties = rule.properties || {};
+        Object.keys(value).forEach(name => {
+            if (value[name] === undefined) return;
+            if (properties[name]) {
+                validate(properties[name], value[name], `${path}.${name}`, components, errors);
+            } else if (rule.additionalProperties === false) {
+                errors.push({ path: `${path}.${name}`, message: `${path}.${name} is not a known field.` });
+            } else if (typeof rule.additionalProperties === 'object') {
+                validate(rule.additionalProperties, value[name], `${path}.${name}`, components, errors);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Read a query or path parameter as the type its schema declares, leaving it a string when it isn't one
+function readParameter(schema, raw) {
+    const types = [].concat(schema.type || []);
+    if (typeof raw !== 'string') return raw;
+    if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !isNaN(Number(raw))) {
+        return Number(raw);
+    }
+    if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+        return raw === 'true';
+    }
+    return raw;
+}
+
+// Read the numeric strings of a JSON body's fields that accept both (e.g. { "amount": "0.5" }) as numbers
+function readBody(schema, body, components = {}) {
+    const rule = resolve(schema, components);
+    if (typeOf(body) !== 'object' || !rule.properties) return body;
+    const read = { ...body };
+    Object.entries(rule.properties).forEach(([name, property]) => {
+        const resolved = resolve(property, components);
+        const types = [].concat(resolved.type || []);
+        const numeric = typeof body[name] === 'string' && (!resolved.pattern || new RegExp(resolved.pattern).test(body[name]));
+        if (numeric && types.includes('string') && (types.includes('number') || types.includes('integer'))) {
+            read[name] = readParameter(property, body[name]);
+        }
+    });
+    return read;
+}
+
+module.exports = {
+    REF_PREFIX,
+    validate,
+    readParameter,
+    readBody,
+};
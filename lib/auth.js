@@ -0,0 +1,201 @@
+// lib/auth.js
+//
+// Wallet authentication: the server issues a nonce, the wallet signs the login
+// message with its ed25519 key, and a verified signature opens a session whose
+// bearer token identifies the wallet on every mutating route.
+
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const bs58 = require('bs58').default;
+const { AuthChallenge, Session } = require('../models');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_MS = parseFloat(process.env.SESSION_TTL_HOURS || '24') * 60 * 60 * 1000;
+// Wallets with admin rights: the /api/admin routes and moderating any token's comments
+const ADMIN_WALLETS = (process.env.ADMIN_WALLETS || '').split(',').map(wallet => wallet.trim()).filter(Boolean);
+
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Decode a base58 Solana address; returns null unless it is a 32-byte ed25519 key
+function decodePublicKey(walletId) {
+    try {
+        const publicKey = bs58.decode(walletId);
+        return publicKey.length === nacl.sign.publicKeyLength ? publicKey : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isValidWalletId(walletId) {
+    return typeof walletId === 'string' && decodePublicKey(walletId) !== null;
+}
+
+function isAdminWallet(walletId) {
+    return Boolean(walletId) && ADMIN_WALLETS.includes(walletId);
+}
+
+function buildLoginMessage(walletId, nonce, issuedAt) {
+    return [
+        'Sign in to Cyrus Pre-Bond Terminal',
+        `Wallet: ${walletId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+    ].join('\n');
+}
+
+/**
+ * Check an ed25519 signature over a UTF-8 message.
+ * The signature may be base58 or base64 encoded.
+ */
+function verifySignature(message, signature, walletId) {
+    const publicKey = decodePublicKey(walletId);
+    if (!publicKey || typeof signature !== 'string') return false;
+
+    const candidates = [];
+    try { candidates.push(bs58.decode(signature)); } catch (error) { /* not base58 */ }
+    candidates.push(Buffer.from(signature, 'base64'));
+
+    const messageBytes = Buffer.from(message, 'utf8');
+    return candidates.some(bytes => bytes.length === nacl.sign.signatureLength
+        && nacl.sign.detached.verify(messageBytes, bytes, publicKey));
+}
+
+async function issueChallenge(walletId, now = new Date()) {
+    if (!isValidWalletId(walletId)) {
+        throw new AuthError('Wallet ID must be a base58 Solana public key.');
+    }
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const message = buildLoginMessage(walletId, nonce, now);
+    const expiresAt = new Date(now.getTime() + CHALLENGE_TTL_MS);
+    await AuthChallenge.create({ walletId, nonce, message, expiresAt });
+    return { nonce, message, expiresAt };
+}
+
+/**
+ * Consume a challenge and, if the signature checks out, open a session.
+ * Returns the bearer token; only its hash is stored.
+ */
+async function verifyChallenge({ walletId, nonce, signature }, now = new Date()) {
+    // Mark the nonce used before checking the signature so it can't be replayed
+    const challenge = await AuthChallenge.findOneAndUpdate(
+        { walletId, nonce, used: false, expiresAt: { $gt: now } },
+        { $set: { used: true } },
+        { new: true }
+    );
+    if (!challenge) {
+        throw new AuthError('Challenge not found, expired or already used.');
+    }
+    if (!verifySignature(challenge.message, signature, walletId)) {
+        throw new AuthError('Signature verification failed.');
+    }
+
+    const sessionToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_MS);
+    await Session.create({ tokenHash: hashToken(sessionToken), walletId, expiresAt });
+    return { sessionToken, walletId, expiresAt };
+}
+
+async function findSession(sessionToken, now = new Date()) {
+    if (!sessionToken) return null;
+    return Session.findOne({ tokenHash: hashToken(sessionToken), expiresAt: { $gt: now } }).lean();
+}
+
+async function revokeSession(sessionToken) {
+    await Session.deleteOne({ tokenHash: hashToken(sessionToken) });
+}
+
+function bearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware: resolve the session from the Authorization header and
+ * expose the authenticated wallet as req.walletId. Rejects with 401 otherwise.
+ */
+async function requireWallet(req, res, next) {
+    try {
+        const session = await findSession(bearerToken(req));
+        if (!session) {
+            console.error(`${req.method} ${req.originalUrl} - Authentication Error: Missing or invalid session.`);
+            return res.status(401).json({
+                success: false,
+                message: 'Please connect and sign in with your wallet.',
+            });
+        }
+        req.walletId = session.walletId;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Like requireWallet, but lets anonymous requests through with req.walletId null.
+ */
+async function optionalWallet(req, res, next) {
+    try {
+        const session = await findSession(bearerToken(req));
+        req.walletId = session ? session.walletId : null;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Express middleware for admin routes; use after requireWallet. Rejects
+ * wallets not listed in ADMIN_WALLETS with 403.
+ */
+function requireAdmin(req, res, next) {
+    if (!isAdminWallet(req.walletId)) {
+        console.error(`${req.method} ${req.originalUrl} - Authorization Error: ${req.walletId} is not an admin.`);
+        return res.status(403).json({
+            success: false,
+            message: 'Admin rights are required.',
+        });
+    }
+    next();
+}
+
+/**
+ * Express middleware for routes under /:walletId that only that wallet may
+ * use; use after requireWallet. Rejects every other wallet with 403.
+ */
+function requireOwnWallet(req, res, next) {
+    if (req.params.walletId !== req.walletId) {
+        console.error(`${req.method} ${req.originalUrl} - Authorization Error: ${req.walletId} is not ${req.params.walletId}.`);
+        return res.status(403).json({
+            success: false,
+            message: 'You can only manage your own wallet.',
+        });
+    }
+    next();
+}
+
+module.exports = {
+    AuthError,
+    isValidWalletId,
+    isAdminWallet,
+    buildLoginMessage,
+    verifySignature,
+    issueChallenge,
+    verifyChallenge,
+    findSession,
+    revokeSession,
+    bearerToken,
+    requireWallet,
+    optionalWallet,
+    requireAdmin,
+    requireOwnWallet,
+};
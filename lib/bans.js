@@ -0,0 +1,92 @@
+// lib/bans.js
+//
+// Wallet bans. A ban bars a wallet from some actions (commit, upvote,
+// comment) on one token, or on every token when its tokenId is null. Token
+// creators ban commenters on their own token; admins ban from anything.
+
+const { WalletBan } = require('../models');
+
+const BAN_SCOPES = Object.freeze(WalletBan.schema.path('scopes').caster.enumValues);
+
+const SCOPE_VERBS = Object.freeze({
+    commit: 'committing to',
+    upvote: 'upvoting',
+    comment: 'commenting on',
+});
+
+class BanError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'BanError';
+        this.status = status;
+    }
+}
+
+function validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new BanError(`Provide the scopes to ban: ${BAN_SCOPES.join(', ')}.`, 400);
+    }
+    const unknown = scopes.find(scope => !BAN_SCOPES.includes(scope));
+    if (unknown) {
+        throw new BanError(`Unknown ban scope "${unknown}".`, 400);
+    }
+}
+
+async function isBanned(walletId, tokenId, scope) {
+    return Boolean(await WalletBan.exists({ walletId, tokenId: { $in: [tokenId, null] }, scopes: scope }));
+}
+
+/**
+ * Throw a BanError if the wallet is banned from `scope` on the token or everywhere.
+ */
+async function assertNotBanned(walletId, tokenId, scope) {
+    if (await isBanned(walletId, tokenId, scope)) {
+        throw new BanError(`This wallet is banned from ${SCOPE_VERBS[scope]} this token.`);
+    }
+}
+
+/**
+ * Add scopes to the wallet's ban on a token (or everywhere with tokenId null),
+ * creating the ban if needed. Returns the ban.
+ */
+async function banWallet({ walletId, tokenId = null, scopes, bannedBy, reason = null }) {
+    validateScopes(scopes);
+    return WalletBan.findOneAndUpdate(
+        { walletId, tokenId },
+        { $set: { bannedBy, reason }, $addToSet: { scopes: { $each: scopes } } },
+        { upsert: true, new: true }
+    );
+}
+
+/**
+ * Lift some scopes of a ban, or all of them when `scopes` is omitted. Returns
+ * the remaining ban, or null once nothing is left of it.
+ */
+async function unbanWallet({ walletId, tokenId = null, scopes = null }) {
+    const ban = await WalletBan.findOne({ walletId, tokenId });
+    if (!ban) {
+        throw new BanError('This wallet is not banned.', 404);
+    }
+    if (scopes) validateScopes(scopes);
+    const remaining = scopes ? ban.scopes.filter(scope => !scopes.includes(scope)) : [];
+    if (remaining.length === 0) {
+        await WalletBan.deleteOne({ _id: ban._id });
+        return null;
+    }
+    ban.scopes = remaining;
+    return ban.save();
+}
+
+async function listBans(filter = {}) {
+    return WalletBan.find(filter).sort({ createdAt: -1 }).lean();
+}
+
+module.exports = {
+    BAN_SCOPES,
+    BanError,
+    isBanned,
+    assertNotBanned,
+    banWallet,
+    unbanWallet,
+    listBans,
+};
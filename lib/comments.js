@@ -0,0 +1,280 @@
+// lib/comments.js
+//
+// Threaded token comments. A comment is top-level or a reply within the
+// thread of a top-level comment; it is authored by the signed-in wallet, which
+// alone may edit or delete it. The token's creator and admins moderate: they
+// hide comments, pin top-level ones and ban wallets from commenting. Text is
+// screened by lib/contentFilter and each wallet is rate limited.
+
+const mongoose = require('mongoose');
+const { Token, Comment, RateLimitBucket } = require('../models');
+const { isAdminWallet } = require('./auth');
+const bans = require('./bans');
+const { containsLink, maskProfanity } = require('./contentFilter');
+
+const MAX_COMMENT_LENGTH = 500;
+const RATE_LIMIT = parseInt(process.env.COMMENT_RATE_LIMIT, 10) || 5;
+const RATE_WINDOW_MS = parseInt(process.env.COMMENT_RATE_WINDOW_MS, 10) || 60 * 1000;
+const REPLIES_PER_THREAD = 50;
+
+class CommentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CommentError';
+        this.status = status;
+    }
+}
+
+function canModerate(token, walletId) {
+    return Boolean(walletId) && (walletId === token.creatorWallet || isAdminWallet(walletId));
+}
+
+/**
+ * Validate comment text and mask its profanity; throws CommentError.
+ */
+function cleanText(text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+        throw new CommentError('Comment is required.');
+    }
+    if (trimmed.length > MAX_COMMENT_LENGTH) {
+        throw new CommentError(`Comments may be at most ${MAX_COMMENT_LENGTH} characters.`);
+    }
+    if (containsLink(trimmed)) {
+        throw new CommentError('Links are not allowed in comments.');
+    }
+    return maskProfanity(trimmed);
+}
+
+function serializeComment(comment, { viewer = null, moderator = false } = {}) {
+    const removed = Boolean(comment.deletedAt) || (Boolean(comment.hiddenAt) && !moderator);
+    return {
+        id: String(comment._id),
+        tokenId: comment.tokenId,
+        user: comment.user,
+        comment: removed ? '' : comment.comment,
+        parentId: comment.parentId ? String(comment.parentId) : null,
+        rootId: comment.rootId ? String(comment.rootId) : null,
+        timestamp: comment.timestamp,
+        editedAt: comment.editedAt || null,
+        deleted: Boolean(comment.deletedAt),
+        hidden: Boolean(comment.hiddenAt),
+        pinned: Boolean(comment.pinnedAt),
+        mine: Boolean(viewer) && comment.user === viewer,
+    };
+}
+
+async function findComment(token, commentId) {
+    if (!mongoose.isValidObjectId(commentId)) {
+        throw new CommentError('Comment not found.', 404);
+    }
+    const comment = await Comment.findOne({ _id: commentId, tokenId: token.id });
+    if (!comment) {
+        throw new CommentError('Comment not found.', 404);
+    }
+    return comment;
+}
+
+/**
+ * Take one of the wallet's comment slots in the current rate-limit window.
+ * The slot is counted with a single atomic $inc, so concurrent comments can't
+ * all pass a check made before any of them was written.
+ */
+async function takeRateLimitSlot(walletId, now) {
+    const windowStart = now.getTime() - (now.getTime() % RATE_WINDOW_MS);
+    const filter = { _id: `comment:${walletId}:${windowStart}` };
+    const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + RATE_WINDOW_MS) } };
+    let bucket;
+    try {
+        bucket = await RateLimitBucket.findOneAndUpdate(filter, update, { new: true, upsert: true });
+    } catch (error) {
+        // Two first comments of the window raced to create the bucket; the loser increments it
+        if (error.code !== 11000) throw error;
+        bucket = await RateLimitBucket.findOneAndUpdate(filter, update, { new: true, upsert: true });
+    }
+    if (bucket.count > RATE_LIMIT) {
+        throw new CommentError(`Slow down: at most ${RATE_LIMIT} comments per ${Math.round(RATE_WINDOW_MS / 1000)} seconds.`, 429);
+    }
+}
+
+/**
+ * Post a comment, or a reply when parentId is set.
+ */
+async function createComment(token, walletId, { comment, parentId = null }, now = new Date()) {
+    const text = cleanText(comment);
+    await bans.assertNotBanned(walletId, token.id, 'comment');
+
+    let rootId = null;
+    if (parentId) {
+        const parent = await findComment(token, parentId);
+        if (parent.deletedAt || parent.hiddenAt) {
+            throw new CommentError('You cannot reply to a removed comment.');
+        }
+        rootId = parent.rootId || parent._id;
+    }
+
+    await takeRateLimitSlot(walletId, now);
+
+    const created = await Comment.create({
+        tokenId: token.id,
+        user: walletId,
+        comment: text,
+        parentId: parentId || null,
+        rootId,
+        timestamp: now,
+    });
+    await Token.updateOne({ _id: token.id }, { $set: { lastActivityAt: now } });
+    return created;
+}
+
+async function editComment(token, walletId, commentId, text, now = new Date()) {
+    const comment = await findComment(token, commentId);
+    if (comment.user !== walletId) {
+        throw new CommentError('Only the author can edit this comment.', 403);
+    }
+    if (comment.deletedAt) {
+        throw new CommentError('This comment was deleted.');
+    }
+    comment.comment = cleanText(text);
+    comment.editedAt = now;
+    return comment.save();
+}
+
+async function deleteComment(token, walletId, commentId, now = new Date()) {
+    const comment = await findComment(token, commentId);
+    if (comment.user !== walletId) {
+        throw new CommentError('Only the author can delete this comment.', 403);
+    }
+    if (!comment.deletedAt) {
+        comment.deletedAt = now;
+        comment.pinnedAt = null;
+        await comment.save();
+    }
+    return comment;
+}
+
+function assertModerator(token, walletId) {
+    if (!canModerate(token, walletId)) {
+        throw new CommentError('Only the token creator or an admin can moderate comments.', 403);
+    }
+}
+
+async function setHidden(token, walletId, commentId, hidden, now = new Date()) {
+    assertModerator(token, walletId);
+    const comment = await findComment(token, commentId);
+    comment.hiddenAt = hidden ? now : null;
+    comment.hiddenBy = hidden ? walletId : null;
+    if (hidden) comment.pinnedAt = null;
+    return comment.save();
+}
+
+async function setPinned(token, walletId, commentId, pinned, now = new Date()) {
+    assertModerator(token, walletId);
+    const comment = await findComment(token, commentId);
+    if (comment.parentId) {
+        throw new CommentError('Only top-level comments can be pinned.');
+    }
+    if (pinned && (comment.deletedAt || comment.hiddenAt)) {
+        throw new CommentError('Removed comments cannot be pinned.');
+    }
+    comment.pinnedAt = pinned ? now : null;
+    return comment.save();
+}
+
+/**
+ * Ban a wallet from commenting: on this token, or everywhere when `global`
+ * (admins only). Banning also hides the wallet's comments on the token.
+ */
+async function banWallet(token, moderatorWallet, { walletId, reason = null, global = false }, now = new Date()) {
+    assertModerator(token, moderatorWallet);
+    if (global && !isAdminWallet(moderatorWallet)) {
+        throw new CommentError('Only admins can ban a wallet from every token.', 403);
+    }
+    if (!walletId || walletId === moderatorWallet) {
+        throw new CommentError('Provide the wallet to ban.');
+    }
+
+    const ban = await bans.banWallet({
+        walletId,
+        tokenId: global ? null : token.id,
+        scopes: ['comment'],
+        bannedBy: moderatorWallet,
+        reason,
+    });
+    await Comment.updateMany(
+        { tokenId: token.id, user: walletId, hiddenAt: null },
+        { $set: { hiddenAt: now, hiddenBy: moderatorWallet, pinnedAt: null } }
+    );
+    return ban;
+}
+
+async function unbanWallet(token, moderatorWallet, walletId, { global = false } = {}) {
+    assertModerator(token, moderatorWallet);
+    if (global && !isAdminWallet(moderatorWallet)) {
+        throw new CommentError('Only admins can lift a ban from every token.', 403);
+    }
+    await bans.unbanWallet({ walletId, tokenId: global ? null : token.id, scopes: ['comment'] });
+}
+
+/**
+ * A page of a token's threads, newest first, each with its replies oldest
+ * first. Pinned threads lead the first page. Hidden comments are left out
+ * unless the viewer moderates the token.
+ */
+async function listComments(token, { cursor = null, limit = 20, viewer = null } = {}) {
+    const moderator = canModerate(token, viewer);
+    const visible = moderator ? {} : { hiddenAt: null };
+    if (cursor && !mongoose.isValidObjectId(cursor)) {
+        throw new CommentError('Invalid cursor.');
+    }
+
+    const pinned = cursor
+        ? []
+        : await Comment.find({ tokenId: token.id, rootId: null, pinnedAt: { $ne: null }, ...visible }).sort({ pinnedAt: -1 }).lean();
+    const filter = { tokenId: token.id, rootId: null, pinnedAt: null, ...visible };
+    if (cursor) filter._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+    const threads = await Comment.find(filter).sort({ _id: -1 }).limit(limit + 1).lean();
+
+    const page = threads.slice(0, limit);
+    const roots = pinned.concat(page);
+    const rootIds = roots.map(root => root._id);
+    const [replies, replyCounts] = await Promise.all([
+        Comment.find({ rootId: { $in: rootIds }, ...visible }).sort({ _id: 1 }).lean(),
+        Comment.aggregate([
+            { $match: { rootId: { $in: rootIds }, ...visible } },
+            { $group: { _id: '$rootId', count: { $sum: 1 } } },
+        ]),
+    ]);
+    const countsByRoot = new Map(replyCounts.map(({ _id, count }) => [String(_id), count]));
+    const repliesByRoot = new Map();
+    replies.forEach(reply => {
+        const key = String(reply.rootId);
+        if (!repliesByRoot.has(key)) repliesByRoot.set(key, []);
+        if (repliesByRoot.get(key).length < REPLIES_PER_THREAD) repliesByRoot.get(key).push(reply);
+    });
+
+    return {
+        comments: roots.map(root => ({
+            ...serializeComment(root, { viewer, moderator }),
+            replyCount: countsByRoot.get(String(root._id)) || 0,
+            replies: (repliesByRoot.get(String(root._id)) || []).map(reply => serializeComment(reply, { viewer, moderator })),
+        })),
+        nextCursor: threads.length > limit ? String(page[page.length - 1]._id) : null,
+        viewer: { walletId: viewer, canModerate: moderator },
+    };
+}
+
+module.exports = {
+    MAX_COMMENT_LENGTH,
+    CommentError,
+    canModerate,
+    serializeComment,
+    createComment,
+    editComment,
+    deleteComment,
+    setHidden,
+    setPinned,
+    banWallet,
+    unbanWallet,
+    listComments,
+};
@@ -0,0 +1,241 @@
+// lib/commitPolicy.js
+//
+// Per-token commit policies, set by the creator when the token is created:
+//   minPerWallet     smallest first commit; top-ups may be any amount
+//   maxPerWallet     cap on a wallet's total commitment (null for none)
+//   hardCap          'none' lets the raise overshoot solTarget, 'stop' rejects
+//                    commits that would pass it, 'refund' takes only what fits
+//                    and leaves the overflow in the wallet
+//   whitelistEndsAt  until then only wallets on the creator's allowlist may
+//                    commit; afterwards the raise is public
+// planCommit() is pure; the commit itself is commitToToken() in lib/commitments.js.
+
+const { AllowlistEntry } = require('../models');
+const { isValidWalletId } = require('./auth');
+const { STATES } = require('./lifecycle');
+
+const HARD_CAP_MODES = Object.freeze(['none', 'stop', 'refund']);
+const PHASES = Object.freeze({
+    WHITELIST: 'whitelist',
+    PUBLIC: 'public',
+});
+const DEFAULT_COMMIT_POLICY = Object.freeze({
+    minPerWallet: 0.1,
+    maxPerWallet: 2,
+    hardCap: 'none',
+    whitelistEndsAt: null,
+});
+const MAX_ALLOWLIST_SIZE = 5000;
+const EPSILON = 1e-9; // Slack for floating-point SOL sums
+
+class CommitPolicyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CommitPolicyError';
+        this.status = status;
+    }
+}
+
+function formatSol(amount) {
+    return Number(amount.toFixed(4));
+}
+
+// Tokens created before policies existed (and lean documents) fall back to the defaults
+function policyOf(token) {
+    const policy = token.commitPolicy || {};
+    return {
+        minPerWallet: policy.minPerWallet !== undefined ? policy.minPerWallet : DEFAULT_COMMIT_POLICY.minPerWallet,
+        maxPerWallet: policy.maxPerWallet !== undefined ? policy.maxPerWallet : DEFAULT_COMMIT_POLICY.maxPerWallet,
+        hardCap: policy.hardCap || DEFAULT_COMMIT_POLICY.hardCap,
+        whitelistEndsAt: policy.whitelistEndsAt || null,
+    };
+}
+
+function parseAmount(value, name) {
+    const number = Number(value);
+    if (value === '' || !isFinite(number) || number <= 0) {
+        throw new CommitPolicyError(`${name} must be a positive number of SOL.`);
+    }
+    return number;
+}
+
+/**
+ * Build a policy from the creator's input. `whitelistHours` opens the raise
+ * with a whitelist-only phase that must end before the commit deadline.
+ */
+function parseCommitPolicy(input = {}, { now = new Date(), commitDeadline = null } = {}) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        throw new CommitPolicyError('commitPolicy must be an object.');
+    }
+    const policy = { ...DEFAULT_COMMIT_POLICY };
+    if (input.minPerWallet !== undefined) policy.minPerWallet = parseAmount(input.minPerWallet, 'minPerWallet');
+    if (input.maxPerWallet !== undefined) {
+        policy.maxPerWallet = input.maxPerWallet === null ? null : parseAmount(input.maxPerWallet, 'maxPerWallet');
+    }
+    if (policy.maxPerWallet !== null && policy.maxPerWallet < policy.minPerWallet) {
+        throw new CommitPolicyError('maxPerWallet must not be below minPerWallet.');
+    }
+    if (input.hardCap !== undefined) {
+        if (!HARD_CAP_MODES.includes(input.hardCap)) {
+            throw new CommitPolicyError(`hardCap must be one of ${HARD_CAP_MODES.join(', ')}.`);
+        }
+        policy.hardCap = input.hardCap;
+    }
+    if (input.whitelistHours !== undefined && input.whitelistHours !== null && Number(input.whitelistHours) !== 0) {
+        const hours = Number(input.whitelistHours);
+        if (!isFinite(hours) || hours < 0) {
+            throw new CommitPolicyError('whitelistHours must be a positive number of hours.');
+        }
+        policy.whitelistEndsAt = new Date(now.getTime() + hours * 60 * 60 * 1000);
+        if (commitDeadline && policy.whitelistEndsAt >= commitDeadline) {
+            throw new CommitPolicyError('The whitelist phase must end before the commitment window closes.');
+        }
+    }
+    return policy;
+}
+
+function currentPhase(token, now = new Date()) {
+    const { whitelistEndsAt } = policyOf(token);
+    return whitelistEndsAt && now < whitelistEndsAt ? PHASES.WHITELIST : PHASES.PUBLIC;
+}
+
+async function isAllowlisted(tokenId, walletId) {
+    return Boolean(await AllowlistEntry.exists({ tokenId, walletId }));
+}
+
+/**
+ * Check a commit of `amount` SOL by a wallet that has `committed` so far
+ * against the token's policy. Returns { accepted, overflow }: the SOL to take
+ * and, under a 'refund' hard cap, the part past solTarget that stays in the
+ * wallet. Throws CommitPolicyError.
+ */
+function planCommit(token, { amount, committed = 0, allowlisted = false, now = new Date() }) {
+    const policy = policyOf(token);
+
+    if (currentPhase(token, now) === PHASES.WHITELIST && !allowlisted) {
+        throw new CommitPolicyError(`${token.ticker} is in its whitelist phase until ${policy.whitelistEndsAt.toISOString()}; this wallet is not on the allowlist.`, 403);
+    }
+    if (committed === 0 && amount < policy.minPerWallet - EPSILON) {
+        throw new CommitPolicyError(`The first commit to ${token.ticker} must be at least ${policy.minPerWallet} SOL.`);
+    }
+    if (policy.maxPerWallet !== null && committed + amount > policy.maxPerWallet + EPSILON) {
+        const left = Math.max(0, policy.maxPerWallet - committed);
+        throw new CommitPolicyError(left > EPSILON
+            ? `A wallet may commit at most ${policy.maxPerWallet} SOL to ${token.ticker}; you can add up to ${formatSol(left)} SOL.`
+            : `This wallet has reached the ${policy.maxPerWallet} SOL cap of ${token.ticker}.`);
+    }
+
+    if (policy.hardCap === 'none') return { accepted: amount, overflow: 0 };
+    const room = token.solTarget - token.collectiveSOL;
+    if (room <= EPSILON) {
+        throw new CommitPolicyError(`${token.ticker} has reached its SOL target.`, 409);
+    }
+    if (amount <= room + EPSILON) return { accepted: amount, overflow: 0 };
+    if (policy.hardCap === 'stop') {
+        throw new CommitPolicyError(`Only ${formatSol(room)} SOL is left before ${token.ticker} reaches its SOL target.`);
+    }
+    return { accepted: room, overflow: amount - room };
+}
+
+/**
+ * The policy as the commit modal needs it, with the wallet's standing when given.
+ */
+async function describeCommitPolicy(token, walletId = null, { committed = 0, now = new Date() } = {}) {
+    const policy = policyOf(token);
+    const phase = currentPhase(token, now);
+    const [allowlistSize, allowlisted] = await Promise.all([
+        AllowlistEntry.countDocuments({ tokenId: token.id }),
+        walletId ? isAllowlisted(token.id, walletId) : false,
+    ]);
+    return {
+        ...policy,
+        phase,
+        allowlistSize,
+        remainingToTarget: Math.max(0, token.solTarget - token.collectiveSOL),
+        viewer: walletId
+            ? {
+                committed,
+                allowlisted,
+                canCommit: phase === PHASES.PUBLIC || allowlisted,
+                remaining: policy.maxPerWallet === null ? null : Math.max(0, policy.maxPerWallet - committed),
+            }
+            : null,
+    };
+}
+
+function assertCanManageAllowlist(token, walletId) {
+    if (!token.creatorWallet || token.creatorWallet !== walletId) {
+        throw new CommitPolicyError('Only the creator of this token can manage its allowlist.', 403);
+    }
+    if (!policyOf(token).whitelistEndsAt) {
+        throw new CommitPolicyError(`${token.ticker} has no whitelist phase.`, 409);
+    }
+    if (![STATES.DRAFT, STATES.PRE_BOND].includes(token.status)) {
+        throw new CommitPolicyError(`${token.ticker} is no longer raising.`, 409);
+    }
+}
+
+function validateAllowlist(wallets) {
+    if (!Array.isArray(wallets)) {
+        throw new CommitPolicyError('Provide the allowlist as an array of wallet IDs.');
+    }
+    const unique = [...new Set(wallets.map(wallet => String(wallet).trim()).filter(Boolean))];
+    if (unique.length > MAX_ALLOWLIST_SIZE) {
+        throw new CommitPolicyError(`An allowlist may hold at most ${MAX_ALLOWLIST_SIZE} wallets.`);
+    }
+    const invalid = unique.find(wallet => !isValidWalletId(wallet));
+    if (invalid) {
+        throw new CommitPolicyError(`"${invalid}" is not a base58 Solana public key.`);
+    }
+    return unique;
+}
+
+/**
+ * Replace the token's allowlist with `wallets`. Returns the new size.
+ */
+async function replaceAllowlist(token, walletId, wallets) {
+    assertCanManageAllowlist(token, walletId);
+    const unique = validateAllowlist(wallets);
+    await AllowlistEntry.deleteMany({ tokenId: token.id, walletId: { $nin: unique } });
+    if (unique.length) {
+        await AllowlistEntry.bulkWrite(unique.map(wallet => ({
+            updateOne: {
+                filter: { tokenId: token.id, walletId: wallet },
+                update: { $setOnInsert: { tokenId: token.id, walletId: wallet } },
+                upsert: true,
+            },
+        })));
+    }
+    return unique.length;
+}
+
+async function removeFromAllowlist(token, walletId, wallet) {
+    assertCanManageAllowlist(token, walletId);
+    const { deletedCount } = await AllowlistEntry.deleteOne({ tokenId: token.id, walletId: wallet });
+    if (!deletedCount) {
+        throw new CommitPolicyError('This wallet is not on the allowlist.', 404);
+    }
+}
+
+async function listAllowlist(tokenId) {
+    const entries = await AllowlistEntry.find({ tokenId }).select('walletId').sort({ createdAt: 1, _id: 1 }).lean();
+    return entries.map(entry => entry.walletId);
+}
+
+module.exports = {
+    HARD_CAP_MODES,
+    PHASES,
+    DEFAULT_COMMIT_POLICY,
+    MAX_ALLOWLIST_SIZE,
+    CommitPolicyError,
+    policyOf,
+    parseCommitPolicy,
+    currentPhase,
+    isAllowlisted,
+    planCommit,
+    describeCommitPolicy,
+    validateAllowlist,
+    replaceAllowlist,
+    removeFromAllowlist,
+    listAllowlist,
+};
@@ -0,0 +1,264 @@
+// lib/commitments.js
+//
+// Commitments to pre-bond tokens: wallets commit and top up within the
+// token's commit policy (lib/commitPolicy.js) and may withdraw before the
+// deadline, and a token whose deadline passes without migrating fails and has
+// every commitment refunded from its escrow.
+
+const { Token, Commitment } = require('../models');
+const { SOL, InsufficientBalanceError, walletAccount, tokenEscrowAccount, postTransaction, assertBalance } = require('./ledger');
+const { withTransaction } = require('../db');
+const { EVENT_TYPES, publish } = require('./events');
+const { serializeToken } = require('./serializeToken');
+const { STATES, ACTIONS, transition } = require('./lifecycle');
+const { PHASES, policyOf, currentPhase, isAllowlisted, planCommit } = require('./commitPolicy');
+const { ERROR_CODES } = require('./api/errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_COMMIT_WINDOW_HOURS = parseFloat(process.env.COMMIT_WINDOW_HOURS || '72');
+const MIN_COMMIT_WINDOW_HOURS = 1;
+const MAX_COMMIT_WINDOW_HOURS = 30 * 24;
+
+class CommitmentError extends Error {
+    constructor(message, status = 400, code = null) {
+        super(message);
+        this.name = 'CommitmentError';
+        this.status = status;
+        this.code = code; // Error code for the API envelope, when more specific than the status's
+    }
+}
+
+function isValidCommitWindow(hours) {
+    return isFinite(hours) && hours >= MIN_COMMIT_WINDOW_HOURS && hours <= MAX_COMMIT_WINDOW_HOURS;
+}
+
+function commitDeadlineFrom(now, hours = DEFAULT_COMMIT_WINDOW_HOURS) {
+    return new Date(now.getTime() + hours * HOUR_MS);
+}
+
+// The window depends on the lifecycle state alone; an admin freeze on commits leaves withdrawals open
+function isCommitWindowOpen(token, now = new Date()) {
+    return ACTIONS.commit.includes(token.status) && (!token.commitDeadline || now < token.commitDeadline);
+}
+
+function escrowEntries(tokenId, walletId, amount) {
+    return [
+        { account: walletAccount(walletId), asset: SOL, amount: -amount },
+        { account: tokenEscrowAccount(tokenId), asset: SOL, amount },
+    ];
+}
+
+/**
+ * Commit `amount` SOL from a wallet to a pre-bond token, or top up its
+ * existing commitment, within the token's commit policy. Throws
+ * CommitPolicyError when the policy refuses the commit and CommitmentError
+ * when the balance, or a concurrent commit, gets in the way.
+ * Returns { token, amount, overflow }: the updated token, the SOL taken and,
+ * under a 'refund' hard cap, the SOL left in the wallet.
+ */
+async function commitToToken(token, walletId, amount, now = new Date()) {
+    const existing = await Commitment.findOne({ tokenId: token.id, walletId, refundedAt: null });
+    const committed = existing ? existing.amount : 0;
+    const allowlisted = currentPhase(token, now) === PHASES.WHITELIST && await isAllowlisted(token.id, walletId);
+    const { accepted, overflow } = planCommit(token, { amount, committed, allowlisted, now });
+
+    // Refuse a commit the wallet can't pay for before writing anything
+    try {
+        await assertBalance(walletId, accepted);
+    } catch (error) {
+        if (!(error instanceof InsufficientBalanceError)) throw error;
+        throw new CommitmentError('Insufficient balance to commit.', 400, ERROR_CODES.INSUFFICIENT_BALANCE);
+    }
+
+    // Claim the commitment, move the SOL and add it to the raise in one transaction
+    const updated = await withTransaction(async session => {
+        const undo = []; // Without a transaction, what to take back when a later step fails
+        try {
+            // Claim the top-up against the amount the policy was checked with, so concurrent commits can't pass the cap
+            let commitment;
+            if (existing) {
+                commitment = await Commitment.findOneAndUpdate(
+                    { _id: existing._id, amount: existing.amount, refundedAt: null },
+                    { $inc: { amount: accepted } },
+                    { new: true, session }
+                );
+            } else {
+                try {
+                    [commitment] = await Commitment.create([{ tokenId: token.id, walletId, amount: accepted }], { session });
+                } catch (error) {
+                    if (error.code !== 11000) throw error;
+                }
+            }
+            if (!commitment) {
+                throw new CommitmentError('Another commit from this wallet landed meanwhile; try again.', 409);
+            }
+            undo.push(() => (existing
+                ? Commitment.updateOne({ _id: existing._id }, { $inc: { amount: -accepted } })
+                : Commitment.deleteOne({ _id: commitment._id })));
+
+            // Move the SOL from the wallet into the token's escrow
+            try {
+                await postTransaction({ type: 'commit', tokenId: token.id, walletId, session, entries: escrowEntries(token.id, walletId, accepted) });
+            } catch (error) {
+                if (!(error instanceof InsufficientBalanceError)) throw error;
+                throw new CommitmentError('Insufficient balance to commit.', 400, ERROR_CODES.INSUFFICIENT_BALANCE);
+            }
+            undo.push(() => postTransaction({
+                type: 'commit-reversal',
+                tokenId: token.id,
+                walletId,
+                entries: escrowEntries(token.id, walletId, -accepted),
+            }));
+
+            // Add the amount to collectiveSOL, unless another commit closed the raise (or filled a hard cap) in the meantime
+            const filter = { _id: token.id, status: STATES.PRE_BOND };
+            if (policyOf(token).hardCap !== 'none') {
+                filter.collectiveSOL = { $lte: token.solTarget - accepted + 1e-9 };
+            }
+            const raised = await Token.findOneAndUpdate(
+                filter,
+                { $inc: { collectiveSOL: accepted }, $set: { lastActivityAt: now } },
+                { new: true, session }
+            );
+            if (!raised) {
+                const current = await Token.findById(token.id).select('status').session(session).lean();
+                throw new CommitmentError(current && current.status === STATES.PRE_BOND
+                    ? `Other commits filled ${token.ticker} meanwhile; check what is left and try again.`
+                    : `${token.ticker} is no longer accepting commitments.`, 409);
+            }
+            return raised;
+        } catch (error) {
+            if (!session) {
+                for (const step of undo.reverse()) await step();
+            }
+            throw error;
+        }
+    });
+
+    return { token: updated, amount: accepted, overflow };
+}
+
+/**
+ * Return a wallet's commitment to it before the deadline.
+ */
+async function withdrawCommitment(token, walletId, now = new Date()) {
+    if (!isCommitWindowOpen(token, now)) {
+        throw new CommitmentError('The commitment window for this token is closed.');
+    }
+
+    return withTransaction(async session => {
+        const commitment = await Commitment.findOneAndDelete({ tokenId: token.id, walletId, refundedAt: null }, { session });
+        if (!commitment) {
+            throw new CommitmentError('This wallet has no commitment to withdraw.', 404);
+        }
+
+        // Only take the SOL back out while the token is still raising
+        const updated = await Token.findOneAndUpdate(
+            { _id: token.id, status: STATES.PRE_BOND },
+            { $inc: { collectiveSOL: -commitment.amount }, $set: { lastActivityAt: now } },
+            { new: true, session }
+        );
+        if (!updated) {
+            // Without a transaction to abort, put the commitment back
+            if (!session) await Commitment.create(commitment.toObject());
+            throw new CommitmentError('The commitment window for this token is closed.');
+        }
+
+        await postTransaction({
+            type: 'withdraw',
+            tokenId: token.id,
+            walletId,
+            session,
+            entries: [
+                { account: tokenEscrowAccount(token.id), asset: SOL, amount: -commitment.amount },
+                { account: walletAccount(walletId), asset: SOL, amount: commitment.amount },
+            ],
+        });
+
+        return { token: updated, amount: commitment.amount };
+    });
+}
+
+/**
+ * Move every pre-bond token whose deadline has passed to `failed`.
+ */
+async function failExpiredTokens(now = new Date()) {
+    const expired = await Token.find({ status: STATES.PRE_BOND, commitDeadline: { $lte: now } }).select('_id');
+    const failed = [];
+    for (const { _id } of expired) {
+        const token = await transition(_id, STATES.PRE_BOND, STATES.FAILED, {
+            reason: 'Commit deadline passed before the SOL target was reached',
+            filter: { commitDeadline: { $lte: now } },
+            set: { failedAt: now },
+            now,
+        });
+        if (!token) continue;
+        console.log(`Commitments - Token ${token.ticker} missed its commit deadline with ${token.collectiveSOL.toFixed(2)} / ${token.solTarget.toFixed(2)} SOL. Marked failed.`);
+        await publish(EVENT_TYPES.FAILED, { tokenId: token.id, token: await serializeToken(token) });
+        failed.push(token);
+    }
+    return failed;
+}
+
+/**
+ * Refund every outstanding commitment of a failed token to its wallet.
+ * Each commitment is claimed before its ledger transfer, so overlapping runs
+ * never refund the same commitment twice.
+ */
+async function refundCommitments(token, now = new Date()) {
+    const pending = await Commitment.find({ tokenId: token.id, refundedAt: null }).select('_id');
+    let refunded = 0;
+    for (const { _id } of pending) {
+        const commitment = await Commitment.findOneAndUpdate(
+            { _id, refundedAt: null },
+            { $set: { refundedAt: now } },
+            { new: true }
+        );
+        if (!commitment) continue;
+        try {
+            await postTransaction({
+                type: 'refund',
+                tokenId: token.id,
+                walletId: commitment.walletId,
+                memo: `Refund for failed token ${token.ticker}`,
+                entries: [
+                    { account: tokenEscrowAccount(token.id), asset: SOL, amount: -commitment.amount },
+                    { account: walletAccount(commitment.walletId), asset: SOL, amount: commitment.amount },
+                ],
+            });
+            refunded += 1;
+        } catch (error) {
+            await Commitment.updateOne({ _id }, { $set: { refundedAt: null } });
+            throw error;
+        }
+    }
+
+    await Token.updateOne(
+        { _id: token.id, refundsCompletedAt: null },
+        { $set: { refundsCompletedAt: now, collectiveSOL: 0 } }
+    );
+    console.log(`Commitments - Refunded ${refunded} commitment(s) for failed Token ${token.ticker}.`);
+    return refunded;
+}
+
+async function refundFailedTokens(now = new Date()) {
+    const tokens = await Token.find({ status: STATES.FAILED, refundsCompletedAt: null });
+    for (const token of tokens) {
+        await refundCommitments(token, now);
+    }
+}
+
+module.exports = {
+    DEFAULT_COMMIT_WINDOW_HOURS,
+    MIN_COMMIT_WINDOW_HOURS,
+    MAX_COMMIT_WINDOW_HOURS,
+    CommitmentError,
+    isValidCommitWindow,
+    commitDeadlineFrom,
+    isCommitWindowOpen,
+    commitToToken,
+    withdrawCommitment,
+    failExpiredTokens,
+    refundCommitments,
+    refundFailedTokens,
+};
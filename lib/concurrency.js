@@ -0,0 +1,53 @@
+// lib/concurrency.js
+//
+// Optimistic concurrency for tokens. Every update to a token bumps its
+// `version` (models/Token.js), so a read-modify-write can make its write
+// conditional on the version it read, and start over from a fresh read when
+// another request, on this or any other server instance, wrote first.
+
+const { ERROR_CODES } = require('./api/errors');
+
+const MAX_ATTEMPTS = parseInt(process.env.OPTIMISTIC_RETRY_ATTEMPTS, 10) || 5;
+const RETRY_JITTER_MS = 20;
+
+class ConcurrencyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConcurrencyError';
+        this.status = 409;
+        this.code = ERROR_CODES.VERSION_CONFLICT;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Filter that only matches the document while it is still at the version it
+ * was read at. Documents stored before versioning have no field and count as 0.
+ */
+function versionFilter(doc) {
+    return doc.version ? { version: doc.version } : { version: { $in: [0, null] } };
+}
+
+/**
+ * Run `attempt(n)` until it resolves to something other than null, which is
+ * how it reports that its versioned write lost to a concurrent one. Attempts
+ * are spread by a little random jitter; after the last one, throws
+ * ConcurrencyError with `message`.
+ */
+async function retryOnConflict(attempt, { attempts = MAX_ATTEMPTS, message = 'The resource is being changed by another request; try again.' } = {}) {
+    for (let n = 1; n <= attempts; n += 1) {
+        const result = await attempt(n);
+        if (result !== null) return result;
+        if (n < attempts) await sleep(Math.random() * RETRY_JITTER_MS * n);
+    }
+    throw new ConcurrencyError(message);
+}
+
+module.exports = {
+    ConcurrencyError,
+    versionFilter,
+    retryOnConflict,
+};
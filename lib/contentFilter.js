@@ -0,0 +1,30 @@
+// lib/contentFilter.js
+//
+// Screens user-written text: links are rejected outright and profanity is
+// masked. Extra words can be blocked with PROFANITY_WORDS (comma-separated).
+
+const DEFAULT_PROFANITY = [
+    'asshole', 'bastard', 'bitch', 'bullshit', 'cunt', 'dick', 'fag', 'faggot',
+    'fuck', 'fucker', 'fucking', 'motherfucker', 'nigger', 'pussy', 'retard', 'shit', 'slut', 'whore',
+];
+
+const PROFANITY = DEFAULT_PROFANITY.concat(
+    (process.env.PROFANITY_WORDS || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+);
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'gi');
+
+// Schemes, www. hosts, and bare domains with a common TLD (example.com, t.me/x)
+const LINK_PATTERN = /(\b[a-z][a-z0-9+.-]*:\/\/|\bwww\.|\b[a-z0-9-]+(\.[a-z0-9-]+)*\.(com|net|org|io|xyz|app|gg|me|co|ru|info|biz|link|site|online|finance|fi|so|sol)\b)/i;
+
+function containsLink(text) {
+    return LINK_PATTERN.test(text);
+}
+
+function maskProfanity(text) {
+    return text.replace(PROFANITY_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+module.exports = {
+    containsLink,
+    maskProfanity,
+};
@@ -0,0 +1,46 @@
+// lib/creators.js
+//
+// Creator profiles: the tokens a wallet created and how its raises went.
+
+const { Token } = require('../models');
+const { STATES, MIGRATED_STATES } = require('./lifecycle');
+const { isListed } = require('./visibility');
+const { serializeListItem, countComments } = require('./tokenSearch');
+
+/**
+ * A wallet's creator profile. The stats cover every token it created, hidden
+ * or delisted ones included, so hiding a token can't improve them; the token
+ * list only shows listed tokens, newest first.
+ *   totalRaised            SOL committed to its tokens, refunded raises excluded
+ *   migrationSuccessRate   migrated / (migrated + failed), null until a raise has ended
+ */
+async function getCreatorProfile(walletId) {
+    const tokens = await Token.find({ creatorWallet: walletId }).sort({ createdAt: -1, _id: -1 }).lean();
+
+    const migrated = tokens.filter(token => MIGRATED_STATES.includes(token.status)).length;
+    const failed = tokens.filter(token => token.status === STATES.FAILED).length;
+    const totalRaised = tokens
+        .filter(token => token.status !== STATES.FAILED)
+        .reduce((sum, token) => sum + token.collectiveSOL, 0);
+
+    const listed = tokens.filter(isListed);
+    const commentCounts = await countComments(listed.map(token => token._id));
+
+    return {
+        walletId,
+        stats: {
+            tokensCreated: tokens.length,
+            totalRaised,
+            migrated,
+            failed,
+            raising: tokens.filter(token => token.status === STATES.PRE_BOND).length,
+            migrationSuccessRate: migrated + failed > 0 ? migrated / (migrated + failed) : null,
+        },
+        firstTokenAt: tokens.length ? tokens[tokens.length - 1].createdAt : null,
+        tokens: listed.map(token => serializeListItem(token, { commentCount: commentCounts.get(token._id) || 0 })),
+    };
+}
+
+module.exports = {
+    getCreatorProfile,
+};
@@ -0,0 +1,175 @@
+// lib/events.js
+//
+// Typed feed events. publish() stores each event with a sequence number;
+// every server instance runs a feed (startEventFeed) that reads the stored
+// events in sequence order and fans them out to its in-process subscribers
+// (the SSE stream, webhook queueing and watchlist alerts), so subscribers see
+// every instance's events, in order. Clients that reconnect ask for
+// everything after the last sequence number they saw.
+//
+// Sequence numbers are taken before the event is stored, so a lower number
+// can land after a higher one. The feed holds back at such a gap until the
+// missing event arrives, or for FEED_GAP_WAIT_MS when its publish failed.
+
+const { EventEmitter } = require('events');
+const { Counter, Event } = require('../models');
+
+const EVENT_TYPES = Object.freeze({
+    TOKEN_CREATED: 'token.created',
+    COMMIT: 'token.commit',
+    UPVOTE: 'token.upvote',
+    COMMENT: 'token.comment',
+    COMMENT_UPDATED: 'token.comment.updated',
+    MIGRATED: 'token.migrated',
+    TRADE: 'token.trade',
+    WITHDRAW: 'token.withdraw',
+    FAILED: 'token.failed',
+    STATUS_CHANGED: 'token.status',
+    UPDATED: 'token.updated', // Metadata edits and admin visibility / freeze changes
+});
+
+const POLL_MS = parseInt(process.env.EVENT_POLL_MS, 10) || 500;
+const FEED_GAP_WAIT_MS = parseInt(process.env.EVENT_GAP_WAIT_MS, 10) || 5 * 1000;
+const FEED_BATCH_SIZE = 500;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // One listener per connected stream
+
+// The feed: the last sequence number fanned out (null until started) and when the feed first waited at a gap
+const feed = { seq: null, gapSince: null, timer: null, polling: null, pollAgain: false };
+
+function toFeedEvent(doc) {
+    return {
+        id: doc.seq,
+        type: doc.type,
+        tokenId: doc.tokenId,
+        payload: doc.payload,
+        timestamp: doc.createdAt,
+    };
+}
+
+// Fan out every stored event after the feed's position, in order, stopping at a gap until it fills or times out
+async function readFeed(now = Date.now()) {
+    for (;;) {
+        const docs = await Event.find({ seq: { $gt: feed.seq } }).sort({ seq: 1 }).limit(FEED_BATCH_SIZE).lean();
+        for (const doc of docs) {
+            if (doc.seq !== feed.seq + 1) {
+                if (feed.gapSince === null) feed.gapSince = now;
+                if (now - feed.gapSince < FEED_GAP_WAIT_MS) return;
+                console.error(`Events - Events ${feed.seq + 1} to ${doc.seq - 1} never arrived; skipping them.`);
+            }
+            feed.seq = doc.seq;
+            feed.gapSince = null;
+            bus.emit('event', toFeedEvent(doc));
+        }
+        if (docs.length < FEED_BATCH_SIZE) return;
+    }
+}
+
+// Read the feed now; reads never overlap, and one asked for during a read runs right after it
+function pollFeed() {
+    if (feed.seq === null) return Promise.resolve();
+    if (feed.polling) {
+        feed.pollAgain = true;
+        return feed.polling;
+    }
+    feed.polling = (async () => {
+        do {
+            feed.pollAgain = false;
+            await readFeed();
+        } while (feed.pollAgain);
+    })()
+        .catch(error => console.error('Events - Error reading the event feed:', error))
+        .finally(() => {
+            feed.polling = null;
+        });
+    return feed.polling;
+}
+
+/**
+ * Start fanning out stored events to subscribers, from the latest one stored
+ * now on, polling every `pollMs`. Returns the function that stops it.
+ */
+async function startEventFeed({ pollMs = POLL_MS } = {}) {
+    if (feed.seq === null) {
+        const latest = await Event.findOne().sort({ seq: -1 }).select('seq').lean();
+        feed.seq = latest ? latest.seq : 0;
+        feed.gapSince = null;
+        feed.timer = setInterval(pollFeed, pollMs);
+        feed.timer.unref();
+        console.log(`Events - Feed started after event ${feed.seq}, polling every ${pollMs}ms.`);
+    }
+    return async () => {
+        clearInterval(feed.timer);
+        await feed.polling;
+        feed.timer = null;
+        feed.seq = null;
+    };
+}
+
+/**
+ * Record an event for the feed, and read the feed right away so this
+ * instance's subscribers needn't wait for the next poll. Failures are logged
+ * rather than thrown so a feed problem never fails the request that caused
+ * the event.
+ */
+async function publish(type, { tokenId = null, ...payload } = {}) {
+    try {
+        const seq = await Counter.next('events');
+        const doc = await Event.create({ seq, type, tokenId, payload });
+        pollFeed();
+        return toFeedEvent(doc);
+    } catch (error) {
+        console.error(`Error publishing ${type} event:`, error);
+        return null;
+    }
+}
+
+// Call `listener` with every event the feed fans out, in sequence order; returns the unsubscribe function
+function subscribe(listener) {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+}
+
+// The leading run of `docs` with no gap in sequence numbers after `seq`
+function untilGap(docs, seq) {
+    const run = [];
+    for (const doc of docs) {
+        if (doc.seq !== seq + run.length + 1) break;
+        run.push(doc);
+    }
+    return run;
+}
+
+/**
+ * Events after the given sequence number, oldest first, for a subscriber to
+ * catch up on. Only events the feed has already fanned out are returned:
+ * later ones, including any that land below a higher one still, reach
+ * subscribers through the feed in order. Without a running feed the events
+ * stop at the first gap. `complete` is false when the gap can't be replayed:
+ * events after `seq` have already expired, or `seq` is ahead of the counter
+ * (the store was reset). The client must then refetch its state.
+ */
+async function eventsSince(seq, limit = 1000) {
+    const fannedOut = feed.seq;
+    const [docs, oldest, counter] = await Promise.all([
+        Event.find({ seq: { $gt: seq } }).sort({ seq: 1 }).limit(limit).lean(),
+        Event.findOne().sort({ seq: 1 }).select('seq').lean(),
+        Counter.findById('events').lean(),
+    ]);
+    const latestSeq = counter ? counter.seq : 0;
+    const complete = seq <= latestSeq && (oldest ? oldest.seq <= seq + 1 : seq === latestSeq);
+    const replayable = fannedOut === null ? untilGap(docs, seq) : docs.filter(doc => doc.seq <= fannedOut);
+    return {
+        events: replayable.map(toFeedEvent),
+        complete: complete && docs.length < limit,
+    };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    publish,
+    subscribe,
+    startEventFeed,
+    eventsSince,
+};
@@ -0,0 +1,179 @@
+// lib/idempotency.js
+//
+// Idempotency keys for every mutating API route. A client that sends a POST,
+// PUT, PATCH or DELETE with an `Idempotency-Key` header (any unique string,
+// e.g. a UUID) can safely send it again after a timeout or a dropped
+// connection: the first request runs, and every later one with the same key
+// gets the first response replayed, marked `Idempotent-Replayed: true`,
+// without running the route again.
+//
+// Keys are scoped to the sending wallet and kept for IDEMPOTENCY_KEY_TTL_HOURS.
+// Requests without a wallet session have no scope to keep keys in, so their
+// key is ignored and they run as if it hadn't been sent; the only such routes
+// (recording a view) are safe to run twice.
+// Reusing a key for a different request answers 422, and sending it again
+// while the first request still runs answers 409. Records live in the shared
+// database, so this holds across server instances. Server errors (5xx) aren't
+// kept, so a request that failed on the server can be retried with its key.
+//
+// Sign-in (/api/auth) is left out: its response carries the session token,
+// which must not be stored.
+
+const crypto = require('crypto');
+const { IdempotencyRecord } = require('../models');
+const { findSession, bearerToken } = require('./auth');
+const { ERROR_CODES } = require('./api/errors');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const IDEMPOTENT_METHODS = Object.freeze(['POST', 'PUT', 'PATCH', 'DELETE']);
+const EXCLUDED_PATHS = Object.freeze(['/api/auth']);
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // Printable ASCII, no spaces
+// How long a request may run before another with its key may take over (its instance is presumed dead)
+const LOCK_MS = parseInt(process.env.IDEMPOTENCY_LOCK_MS, 10) || 60 * 1000;
+
+/**
+ * Whether requests with this method to this path (an Express or OpenAPI path)
+ * take an Idempotency-Key.
+ */
+function acceptsIdempotencyKey(method, path) {
+    return IDEMPOTENT_METHODS.includes(method.toUpperCase())
+        && !EXCLUDED_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+}
+
+// Multipart bodies aren't parsed yet at this point, and their boundary changes on every send, so only their type counts
+function hashRequest(req) {
+    const body = req.is('application/json') ? JSON.stringify(req.body) : (req.get('Content-Type') || '').split(';')[0];
+    return crypto.createHash('sha256').update(`${req.method} ${req.originalUrl}\n${body}`).digest('hex');
+}
+
+/**
+ * Record the request under its key, or find the request already recorded
+ * there. Returns { record, claimed }, with claimed false when another request
+ * got the key first (record is null if it has since been released).
+ */
+async function claimKey(scope, key, req, requestHash, now) {
+    const lockedUntil = new Date(now.getTime() + LOCK_MS);
+    try {
+        const record = await IdempotencyRecord.create({
+            scope,
+            key,
+            method: req.method,
+            path: req.originalUrl,
+            requestHash,
+            lockedUntil,
+        });
+        return { record, claimed: true };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const existing = await IdempotencyRecord.findOne({ scope, key }).lean();
+    if (!existing || existing.requestHash !== requestHash || existing.status === 'completed' || existing.lockedUntil > now) {
+        return { record: existing, claimed: false };
+    }
+    // The request that holds the key stopped without answering; take it over
+    const record = await IdempotencyRecord.findOneAndUpdate(
+        { _id: existing._id, status: 'in-progress', lockedUntil: existing.lockedUntil },
+        { $set: { lockedUntil } },
+        { new: true }
+    );
+    return { record: record || existing, claimed: Boolean(record) };
+}
+
+// Keep the response for replays, or release the key when there is nothing worth replaying
+async function saveResponse(record, response) {
+    if (!response || response.status >= 500) {
+        await IdempotencyRecord.deleteOne({ _id: record._id, status: 'in-progress' });
+        return;
+    }
+    await IdempotencyRecord.updateOne({ _id: record._id }, {
+        $set: {
+            status: 'completed',
+            lockedUntil: null,
+            responseStatus: response.status,
+            responseBody: JSON.stringify(response.body),
+        },
+    });
+}
+
+/**
+ * Express middleware for /api, after the JSON body parser and before the
+ * routes. Requests without an Idempotency-Key pass straight through.
+ */
+async function idempotency(req, res, next) {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined || !acceptsIdempotencyKey(req.method, req.originalUrl)) return next();
+
+    if (!KEY_PATTERN.test(key)) {
+        console.error(`${req.method} ${req.originalUrl} - Invalid ${IDEMPOTENCY_HEADER} header.`);
+        return res.status(400).json({
+            success: false,
+            message: `${IDEMPOTENCY_HEADER} must be 1 to 255 printable ASCII characters without spaces.`,
+        });
+    }
+
+    try {
+        const session = await findSession(bearerToken(req));
+        if (!session) return next();
+        const scope = session.walletId;
+        const requestHash = hashRequest(req);
+        let { record, claimed } = await claimKey(scope, key, req, requestHash, new Date());
+        if (!claimed && !record) {
+            // Released after a server error between our insert and read; it is free again
+            ({ record, claimed } = await claimKey(scope, key, req, requestHash, new Date()));
+        }
+
+        if (!claimed) {
+            if (record && record.requestHash !== requestHash) {
+                console.error(`${req.method} ${req.originalUrl} - ${IDEMPOTENCY_HEADER} ${key} was used for ${record.method} ${record.path}.`);
+                return res.status(422).json({
+                    success: false,
+                    code: ERROR_CODES.IDEMPOTENCY_KEY_REUSED,
+                    message: 'This Idempotency-Key was already used for a different request; use a new key.',
+                });
+            }
+            if (!record || record.status === 'in-progress') {
+                console.error(`${req.method} ${req.originalUrl} - ${IDEMPOTENCY_HEADER} ${key} is still in progress.`);
+                return res.status(409).json({
+                    success: false,
+                    code: ERROR_CODES.REQUEST_IN_PROGRESS,
+                    message: 'A request with this Idempotency-Key is still being processed; retry shortly.',
+                });
+            }
+            console.log(`${req.method} ${req.originalUrl} - Replaying the response to ${IDEMPOTENCY_HEADER} ${key}.`);
+            res.set(REPLAYED_HEADER, 'true');
+            return res.status(record.responseStatus).json(JSON.parse(record.responseBody));
+        }
+
+        // Store the route's answer before sending it, so a retry never finds the key still in progress.
+        // A client that gave up waiting doesn't matter: the route still ran, and its retry gets the answer.
+        let answered = false;
+        const json = res.json.bind(res);
+        res.json = body => {
+            answered = true;
+            saveResponse(record, { status: res.statusCode, body })
+                .catch(error => {
+                    console.error(`${req.method} ${req.originalUrl} - Error saving the response to ${IDEMPOTENCY_HEADER} ${key}:`, error);
+                })
+                .finally(() => json(body));
+            return res;
+        };
+        res.on('finish', () => {
+            if (answered) return;
+            saveResponse(record, null).catch(error => {
+                console.error(`${req.method} ${req.originalUrl} - Error releasing ${IDEMPOTENCY_HEADER} ${key}:`, error);
+            });
+        });
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    IDEMPOTENCY_HEADER,
+    REPLAYED_HEADER,
+    acceptsIdempotencyKey,
+    idempotency,
+};
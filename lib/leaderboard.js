@@ -0,0 +1,143 @@
+// lib/leaderboard.js
+//
+// Wallet rankings over a time window:
+//
+//   traders      realized P&L of the window's sells (see lib/portfolio.js), with volume
+//   committers   SOL committed in the window, net of withdrawals and refunds
+//   creators     SOL raised by the tokens created in the window (failed raises excluded)
+//
+// Boards are computed on demand and cached in-process for LEADERBOARD_CACHE_MS.
+
+const { Token, Allocation, LedgerEntry } = require('../models');
+const { SOL } = require('./ledger');
+const { STATES, MIGRATED_STATES } = require('./lifecycle');
+const { loadTrades, replayPositions } = require('./portfolio');
+
+const LEADERBOARD_TYPES = Object.freeze(['traders', 'committers', 'creators']);
+const LEADERBOARD_WINDOWS = Object.freeze({
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+    all: null,
+});
+const DEFAULT_LEADERBOARD_WINDOW = '7d';
+const BOARD_SIZE = 100;
+const CACHE_MS = parseInt(process.env.LEADERBOARD_CACHE_MS, 10) || 60 * 1000;
+const EPSILON = 1e-9;
+
+const cache = new Map();
+
+function round(value, decimals = 9) {
+    return Number(value.toFixed(decimals));
+}
+
+async function rankTraders(since) {
+    const sellFilter = { type: 'sell', asset: SOL, account: /^wallet:/ };
+    if (since) sellFilter.createdAt = { $gte: since };
+    const walletIds = await LedgerEntry.distinct('walletId', sellFilter);
+    if (!walletIds.length) return [];
+
+    const [allocations, trades] = await Promise.all([
+        Allocation.find({ walletId: { $in: walletIds } }).lean(),
+        loadTrades(walletIds),
+    ]);
+    const books = replayPositions(allocations, trades, { since });
+
+    return [...books.entries()].map(([walletId, book]) => {
+        const positions = [...book.values()];
+        return {
+            walletId,
+            score: positions.reduce((sum, position) => sum + position.realizedSince, 0),
+            stats: {
+                volume: round(positions.reduce((sum, position) => sum + position.volumeSince, 0)),
+                trades: positions.reduce((sum, position) => sum + position.tradesSince, 0),
+            },
+        };
+    });
+}
+
+// Commits come back to the wallet as reversals, withdrawals and the refunds of failed tokens
+const COMMIT_ENTRY_TYPES = Object.freeze(['commit', 'commit-reversal', 'withdraw', 'refund']);
+
+async function rankCommitters(since) {
+    const match = { type: { $in: COMMIT_ENTRY_TYPES }, asset: SOL, account: /^wallet:/ };
+    if (since) match.createdAt = { $gte: since };
+    // Net per token first, so SOL returned from a commit made before the window can't count against others
+    const rows = await LedgerEntry.aggregate([
+        { $match: match },
+        { $group: { _id: { walletId: '$walletId', tokenId: '$tokenId' }, committed: { $sum: { $multiply: ['$amount', -1] } } } },
+        { $match: { committed: { $gt: EPSILON } } },
+        { $group: { _id: '$_id.walletId', committed: { $sum: '$committed' }, tokens: { $sum: 1 } } },
+        { $sort: { committed: -1 } },
+        { $limit: BOARD_SIZE },
+    ]);
+    return rows.map(row => ({
+        walletId: row._id,
+        score: row.committed,
+        stats: { tokens: row.tokens },
+    }));
+}
+
+async function rankCreators(since) {
+    const match = { creatorWallet: { $ne: null } };
+    if (since) match.createdAt = { $gte: since };
+    const rows = await Token.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$creatorWallet',
+                raised: { $sum: { $cond: [{ $eq: ['$status', STATES.FAILED] }, 0, '$collectiveSOL'] } },
+                tokensCreated: { $sum: 1 },
+                migrated: { $sum: { $cond: [{ $in: ['$status', MIGRATED_STATES] }, 1, 0] } },
+            },
+        },
+        { $match: { raised: { $gt: EPSILON } } },
+        { $sort: { raised: -1 } },
+        { $limit: BOARD_SIZE },
+    ]);
+    return rows.map(row => ({
+        walletId: row._id,
+        score: row.raised,
+        stats: { tokensCreated: row.tokensCreated, migrated: row.migrated },
+    }));
+}
+
+const RANKERS = {
+    traders: rankTraders,
+    committers: rankCommitters,
+    creators: rankCreators,
+};
+
+/**
+ * The top wallets of a board, best first, each with its rank, score (SOL)
+ * and board-specific stats.
+ */
+async function getLeaderboard(type, window = DEFAULT_LEADERBOARD_WINDOW, { limit = 20, now = new Date() } = {}) {
+    const key = `${type}:${window}`;
+    let cached = cache.get(key);
+    if (!cached || now - cached.computedAt > CACHE_MS) {
+        const durationMs = LEADERBOARD_WINDOWS[window];
+        const since = durationMs === null ? null : new Date(now.getTime() - durationMs);
+        const rows = await RANKERS[type](since);
+        const entries = rows
+            .filter(row => Math.abs(row.score) > EPSILON)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, BOARD_SIZE)
+            .map((row, index) => ({ rank: index + 1, walletId: row.walletId, score: round(row.score), stats: row.stats }));
+        cached = { computedAt: now, entries };
+        cache.set(key, cached);
+    }
+    return {
+        type,
+        window,
+        computedAt: cached.computedAt,
+        leaderboard: cached.entries.slice(0, Math.min(limit, BOARD_SIZE)),
+    };
+}
+
+module.exports = {
+    LEADERBOARD_TYPES,
+    LEADERBOARD_WINDOWS,
+    DEFAULT_LEADERBOARD_WINDOW,
+    getLeaderboard,
+};
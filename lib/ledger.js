@@ -0,0 +1,211 @@
+// lib/ledger.js
+//
+// Double-entry ledger for virtual SOL and token holdings. Every movement is a
+// transaction whose entries sum to zero per asset; Balance keeps the running
+// totals so reads don't have to replay the entries.
+
+const { v4: uuidv4 } = require('uuid');
+const { LedgerEntry, Balance } = require('../models');
+
+const SOL = 'SOL';
+const EPSILON = 1e-9;
+const INITIAL_WALLET_BALANCE = parseFloat(process.env.INITIAL_WALLET_BALANCE || '1000');
+const FAUCET_ACCOUNT = 'system:faucet';
+
+class InsufficientBalanceError extends Error {
+    constructor(account, asset) {
+        super(`Insufficient ${asset} balance in ${account}.`);
+        this.name = 'InsufficientBalanceError';
+        this.account = account;
+        this.asset = asset;
+    }
+}
+
+function walletAccount(walletId) {
+    return `wallet:${walletId}`;
+}
+
+// SOL committed to a pre-bond token, held until migration
+function tokenEscrowAccount(tokenId) {
+    return `token:${tokenId}:escrow`;
+}
+
+// Reserve of a migrated token's bonding curve; issues tokens on buys and redeems them on sells
+function tokenCurveAccount(tokenId) {
+    return `token:${tokenId}:curve`;
+}
+
+// Launch supply allocated at migration, waiting to be claimed by its wallets
+function tokenAllocationAccount(tokenId) {
+    return `token:${tokenId}:allocations`;
+}
+
+// Protocol fees charged on migrated-token trades
+function protocolFeeAccount() {
+    return 'fees:protocol';
+}
+
+// Creator fees accrued by a token's trades
+function creatorFeeAccount(tokenId) {
+    return `fees:creator:${tokenId}`;
+}
+
+// Wallet accounts may never go negative; system and token accounts may
+function isGuarded(account) {
+    return account.startsWith('wallet:');
+}
+
+function assertBalanced(entries) {
+    const totals = new Map();
+    entries.forEach(({ asset, amount }) => {
+        totals.set(asset, (totals.get(asset) || 0) + amount);
+    });
+    totals.forEach((total, asset) => {
+        if (Math.abs(total) > EPSILON) {
+            throw new Error(`Unbalanced ledger transaction: ${asset} entries sum to ${total}.`);
+        }
+    });
+}
+
+/**
+ * Post a balanced transaction. Debits from wallet accounts are applied with a
+ * conditional $inc so a balance can't be overdrawn; if any leg fails,
+ * InsufficientBalanceError is thrown and the legs already applied are
+ * reversed, or left to the aborting database transaction when `session` is
+ * given (see withTransaction in db.js).
+ */
+async function postTransaction({ type, entries, tokenId = null, walletId = null, memo = null, session = null }) {
+    assertBalanced(entries);
+
+    const txId = uuidv4();
+    const applied = [];
+    try {
+        for (const entry of entries) {
+            const guarded = isGuarded(entry.account) && entry.amount < 0;
+            const filter = { account: entry.account, asset: entry.asset };
+            if (guarded) filter.amount = { $gte: -entry.amount - EPSILON };
+
+            const result = await Balance.updateOne(filter, { $inc: { amount: entry.amount } }, { upsert: !guarded, session });
+            if (guarded && result.matchedCount === 0) {
+                throw new InsufficientBalanceError(entry.account, entry.asset);
+            }
+            applied.push(entry);
+        }
+    } catch (error) {
+        if (session) throw error;
+        await Promise.all(applied.map(entry => Balance.updateOne(
+            { account: entry.account, asset: entry.asset },
+            { $inc: { amount: -entry.amount } }
+        )));
+        throw error;
+    }
+
+    await LedgerEntry.insertMany(entries.map(entry => ({
+        txId,
+        type,
+        account: entry.account,
+        asset: entry.asset,
+        amount: entry.amount,
+        tokenId,
+        walletId,
+        memo,
+    })), { session });
+
+    return txId;
+}
+
+/**
+ * Open the wallet's account on first use, crediting the starting virtual balance.
+ */
+async function ensureWallet(walletId) {
+    const account = walletAccount(walletId);
+    try {
+        const result = await Balance.updateOne(
+            { account, asset: SOL },
+            { $setOnInsert: { amount: 0 } },
+            { upsert: true }
+        );
+        if (result.upsertedCount === 0) return;
+    } catch (error) {
+        // Another request opened the account first
+        if (error.code === 11000) return;
+        throw error;
+    }
+
+    await postTransaction({
+        type: 'airdrop',
+        walletId,
+        memo: 'Initial virtual balance',
+        entries: [
+            { account: FAUCET_ACCOUNT, asset: SOL, amount: -INITIAL_WALLET_BALANCE },
+            { account, asset: SOL, amount: INITIAL_WALLET_BALANCE },
+        ],
+    });
+}
+
+async function getBalance(walletId, asset = SOL) {
+    await ensureWallet(walletId);
+    const balance = await Balance.findOne({ account: walletAccount(walletId), asset }).lean();
+    return balance ? balance.amount : 0;
+}
+
+/**
+ * Throw InsufficientBalanceError unless the wallet holds at least `amount` of
+ * `asset`. A cheap check before writes that would otherwise have to be undone;
+ * the guarded debit in postTransaction still has the last word.
+ */
+async function assertBalance(walletId, amount, asset = SOL) {
+    if (await getBalance(walletId, asset) < amount - EPSILON) {
+        throw new InsufficientBalanceError(walletAccount(walletId), asset);
+    }
+}
+
+/**
+ * Balance, non-zero token positions and the most recent ledger entries for a wallet.
+ */
+async function getWallet(walletId, { limit = 50 } = {}) {
+    await ensureWallet(walletId);
+    const account = walletAccount(walletId);
+
+    const [balances, history] = await Promise.all([
+        Balance.find({ account }).lean(),
+        LedgerEntry.find({ account }).sort({ createdAt: -1, _id: -1 }).limit(limit).lean(),
+    ]);
+
+    const solBalance = balances.find(b => b.asset === SOL);
+    const positions = balances
+        .filter(b => b.asset !== SOL && b.amount > EPSILON)
+        .map(b => ({ tokenId: b.asset, amount: b.amount }));
+
+    return {
+        walletId,
+        balance: solBalance ? solBalance.amount : 0,
+        positions,
+        history: history.map(entry => ({
+            txId: entry.txId,
+            type: entry.type,
+            asset: entry.asset,
+            amount: entry.amount,
+            tokenId: entry.tokenId,
+            memo: entry.memo,
+            timestamp: entry.createdAt,
+        })),
+    };
+}
+
+module.exports = {
+    SOL,
+    INITIAL_WALLET_BALANCE,
+    InsufficientBalanceError,
+    walletAccount,
+    tokenEscrowAccount,
+    tokenCurveAccount,
+    tokenAllocationAccount,
+    protocolFeeAccount,
+    creatorFeeAccount,
+    postTransaction,
+    ensureWallet,
+    getBalance,
+    assertBalance,
+    getWallet,
+};
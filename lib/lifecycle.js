@@ -0,0 +1,165 @@
+// lib/lifecycle.js
+//
+// Token lifecycle state machine. A token is raised in `pre-bond`, moves to
+// `target-reached` once its commitments cover the SOL target, is `migrating`
+// while it is set up on its bonding curve, trades in `bonding` and ends
+// `graduated` once its market cap outgrows the curve. A raise that misses its
+// deadline ends `failed`. Every transition is applied with a conditional
+// update on the current state, so concurrent requests can't both move a token,
+// and is recorded in the LifecycleEvent audit log.
+
+const { Token, LifecycleEvent } = require('../models');
+const { EVENT_TYPES, publish } = require('./events');
+const { ERROR_CODES } = require('./api/errors');
+const { serializeToken } = require('./serializeToken');
+const { isDelisted } = require('./visibility');
+
+const STATES = Object.freeze({
+    DRAFT: 'draft',
+    PRE_BOND: 'pre-bond',
+    TARGET_REACHED: 'target-reached',
+    MIGRATING: 'migrating',
+    BONDING: 'bonding',
+    GRADUATED: 'graduated',
+    FAILED: 'failed',
+});
+
+// State -> states it may move to
+const TRANSITIONS = Object.freeze({
+    [STATES.DRAFT]: [STATES.PRE_BOND, STATES.FAILED],
+    [STATES.PRE_BOND]: [STATES.TARGET_REACHED, STATES.FAILED],
+    [STATES.TARGET_REACHED]: [STATES.MIGRATING],
+    [STATES.MIGRATING]: [STATES.BONDING, STATES.TARGET_REACHED], // back to target-reached to retry a failed migration
+    [STATES.BONDING]: [STATES.GRADUATED],
+    [STATES.GRADUATED]: [],
+    [STATES.FAILED]: [],
+});
+
+// Action -> states in which it is allowed
+const ACTIONS = Object.freeze({
+    commit: [STATES.PRE_BOND],
+    withdraw: [STATES.PRE_BOND],
+    upvote: [STATES.PRE_BOND], // upvotes are pre-bond supply; once bonding, supply only moves by trades
+    comment: Object.values(STATES).filter(state => state !== STATES.DRAFT),
+    trade: [STATES.BONDING],
+});
+
+// Tokens that have left the pre-bond raise for their bonding curve
+const MIGRATED_STATES = Object.freeze([STATES.BONDING, STATES.GRADUATED]);
+
+const GRADUATION_MARKET_CAP = parseFloat(process.env.GRADUATION_MARKET_CAP_SOL || '100000');
+
+class LifecycleError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'LifecycleError';
+        this.status = status;
+        this.code = ERROR_CODES.ACTION_NOT_ALLOWED;
+    }
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function isFrozen(token, action) {
+    return (token.frozenActions || []).includes(action);
+}
+
+// Delisted tokens only let committers withdraw; admins may also freeze single actions
+function isActionAllowed(token, action) {
+    if (isDelisted(token) && action !== 'withdraw') return false;
+    return (ACTIONS[action] || []).includes(token.status) && !isFrozen(token, action);
+}
+
+function allowedActions(token) {
+    return Object.keys(ACTIONS).filter(action => isActionAllowed(token, action));
+}
+
+/**
+ * Throw a LifecycleError if `action` isn't allowed in the token's current state.
+ */
+function assertActionAllowed(token, action) {
+    if (isDelisted(token) && action !== 'withdraw') {
+        throw new LifecycleError(`${token.ticker} has been delisted.`, 403);
+    }
+    if (isFrozen(token, action)) {
+        throw new LifecycleError(`${action[0].toUpperCase()}${action.slice(1)}s on ${token.ticker} are frozen by an admin.`, 403);
+    }
+    if (!isActionAllowed(token, action)) {
+        throw new LifecycleError(`Cannot ${action} while ${token.ticker} is ${token.status}.`);
+    }
+}
+
+/**
+ * Move a token from `from` to `to`, applying `set` in the same update. The
+ * update only matches while the token is still in `from` (and matches
+ * `filter`), so it returns null instead of the token when another request
+ * moved it first. Throws LifecycleError for a transition the machine forbids,
+ * unless `force` (admin overrides) skips that check.
+ */
+async function transition(tokenId, from, to, { actor = 'system', reason = null, metadata = {}, set = {}, filter = {}, force = false, now = new Date() } = {}) {
+    if (!force && !canTransition(from, to)) {
+        throw new LifecycleError(`A token cannot move from ${from} to ${to}.`);
+    }
+
+    const token = await Token.findOneAndUpdate(
+        { ...filter, _id: tokenId, status: from },
+        { $set: { ...set, status: to, statusChangedAt: now } },
+        { new: true }
+    );
+    if (!token) return null;
+
+    await LifecycleEvent.create({ tokenId, from, to, actor, reason, metadata });
+    console.log(`Lifecycle - Token ${token.ticker} moved from ${from} to ${to}${reason ? ` (${reason})` : ''}.`);
+    await publish(EVENT_TYPES.STATUS_CHANGED, { tokenId, from, to, token: await serializeToken(token) });
+    return token;
+}
+
+/**
+ * Record the state a newly created token starts in as the first entry of its history.
+ */
+async function recordInitialState(token, { actor = 'system', reason = null } = {}) {
+    await LifecycleEvent.create({ tokenId: token.id, from: null, to: token.status, actor, reason });
+}
+
+/**
+ * Graduate a bonding token once its market cap reaches the graduation threshold.
+ */
+async function graduateIfReady(token, marketCap) {
+    if (token.status !== STATES.BONDING || marketCap < GRADUATION_MARKET_CAP) return token;
+    const graduated = await transition(token.id, STATES.BONDING, STATES.GRADUATED, {
+        reason: 'Market cap reached graduation threshold',
+        metadata: { marketCap, threshold: GRADUATION_MARKET_CAP },
+    });
+    return graduated || Token.findById(token.id);
+}
+
+async function getLifecycleHistory(tokenId) {
+    const events = await LifecycleEvent.find({ tokenId }).sort({ createdAt: 1, _id: 1 }).lean();
+    return events.map(event => ({
+        from: event.from,
+        to: event.to,
+        actor: event.actor,
+        reason: event.reason,
+        metadata: event.metadata,
+        timestamp: event.createdAt,
+    }));
+}
+
+module.exports = {
+    STATES,
+    TRANSITIONS,
+    ACTIONS,
+    MIGRATED_STATES,
+    GRADUATION_MARKET_CAP,
+    LifecycleError,
+    canTransition,
+    isActionAllowed,
+    allowedActions,
+    assertActionAllowed,
+    transition,
+    recordInitialState,
+    graduateIfReady,
+    getLifecycleHistory,
+};
@@ -0,0 +1,98 @@
+// lib/media.js
+//
+// Validates uploaded images and stores a full-size and a thumbnail variant.
+// The file type is read from the image data itself, not the upload's name or
+// Content-Type. Variants are re-encoded as WebP, which drops EXIF, XMP and
+// other embedded metadata (after applying the EXIF orientation).
+
+const { v4: uuidv4 } = require('uuid');
+const sharp = require('sharp');
+const { Upload } = require('../models');
+const { getStorage } = require('./storage');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 5 * 1024 * 1024;
+const MIN_DIMENSION = 64;
+const MAX_DIMENSION = 4096;
+const FULL_SIZE = 1024;
+const THUMBNAIL_SIZE = 256;
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+class MediaError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MediaError';
+        this.status = status;
+    }
+}
+
+async function readMetadata(buffer) {
+    try {
+        return await sharp(buffer).metadata();
+    } catch (error) {
+        throw new MediaError('The uploaded file is not a supported image.', 415);
+    }
+}
+
+/**
+ * Validate an image and store its variants. Returns the stored Upload.
+ */
+async function storeImage(buffer, { walletId = null } = {}) {
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        throw new MediaError(`Images may be at most ${Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024))}MB.`, 413);
+    }
+
+    const metadata = await readMetadata(buffer);
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw new MediaError(`Images must be one of ${ALLOWED_FORMATS.join(', ')}.`, 415);
+    }
+    const { width, height } = metadata;
+    if (width < MIN_DIMENSION || height < MIN_DIMENSION || width > MAX_DIMENSION || height > MAX_DIMENSION) {
+        throw new MediaError(`Images must be between ${MIN_DIMENSION} and ${MAX_DIMENSION} pixels on each side.`);
+    }
+
+    const image = sharp(buffer).rotate();
+    const [full, thumbnail] = await Promise.all([
+        image.clone()
+            .resize(FULL_SIZE, FULL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 85 })
+            .toBuffer({ resolveWithObject: true }),
+        image.clone()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+            .webp({ quality: 80 })
+            .toBuffer(),
+    ]);
+
+    const id = uuidv4();
+    const storage = getStorage();
+    const [url, thumbnailUrl] = await Promise.all([
+        storage.put(`images/${id}/full.webp`, full.data, 'image/webp'),
+        storage.put(`images/${id}/thumb.webp`, thumbnail, 'image/webp'),
+    ]);
+
+    return Upload.create({
+        _id: id,
+        walletId,
+        url,
+        thumbnailUrl,
+        width: full.info.width,
+        height: full.info.height,
+        originalFormat: metadata.format,
+        bytes: full.data.length,
+        storage: storage.name,
+    });
+}
+
+/**
+ * Decode a `data:image/...;base64,` URL, as older tokens stored their images.
+ */
+function decodeDataUrl(dataUrl) {
+    const match = /^data:image\/[a-z0-9.+-]+;base64,(.+)$/i.exec(dataUrl);
+    return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    MediaError,
+    storeImage,
+    decodeDataUrl,
+};
@@ -0,0 +1,328 @@
+// lib/migration/index.js
+//
+// Migrates a token that reached its SOL target: records each wallet's
+// allocation (lib/allocations.js), mints the SPL token and seeds a liquidity
+// pool with the raised SOL, through a pluggable adapter
+// (MIGRATION_ADAPTER=mock|solana-test-validator). Wallets then claim their
+// vested allocations, which the adapter's distribute() transfers.
+//
+// Adapters implement:
+//   createMint({ token, idempotencyKey })                                       -> { mintAddress, signature }
+//   createPool({ token, mintAddress, solAmount, tokenAmount, idempotencyKey }) -> { poolAddress, signature }
+//   distribute({ token, mintAddress, walletId, amount, idempotencyKey })       -> { signature }
+// and must return the original result when called again with the same key.
+//
+// Each step's result is saved on the token's Migration as soon as it
+// completes, so a retry resumes where the failed attempt stopped. A run holds
+// a lease on the Migration and every write it makes is fenced on its lease
+// id, so when several server instances share the store, a run whose lease
+// expired and was taken over stops instead of racing the new holder.
+
+const crypto = require('crypto');
+const { Token, Migration } = require('../../models');
+const { SOL, tokenEscrowAccount, tokenCurveAccount, tokenAllocationAccount, postTransaction } = require('../ledger');
+const { EVENT_TYPES, publish } = require('../events');
+const { serializeToken } = require('../serializeToken');
+const { STATES, transition } = require('../lifecycle');
+const { recordAllocations } = require('../allocations');
+const { createMockAdapter } = require('./mockAdapter');
+
+const MAX_ATTEMPTS = parseInt(process.env.MIGRATION_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.MIGRATION_RETRY_DELAY_MS, 10) || 1000;
+const LEASE_MS = 5 * 60 * 1000;
+
+class LeaseLostError extends Error {
+    constructor(tokenId) {
+        super(`Migration lease on Token ${tokenId} was taken over by another run.`);
+        this.name = 'LeaseLostError';
+    }
+}
+
+const ADAPTERS = {
+    mock: () => createMockAdapter(),
+    // Loaded on demand so the Solana client libraries are only required when used
+    'solana-test-validator': () => require('./solanaAdapter').createSolanaAdapter(),
+};
+
+let adapter = null;
+
+function createMigrationAdapter(name = process.env.MIGRATION_ADAPTER || 'mock') {
+    if (!ADAPTERS[name]) {
+        throw new Error(`Unknown migration adapter "${name}". Use one of ${Object.keys(ADAPTERS).join(', ')}.`);
+    }
+    return ADAPTERS[name]();
+}
+
+function getMigrationAdapter() {
+    if (!adapter) adapter = createMigrationAdapter();
+    return adapter;
+}
+
+// Swap the adapter, e.g. for a mock with injected failures in tests
+function setMigrationAdapter(next) {
+    adapter = next;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function serializeMigration(migration) {
+    return {
+        adapter: migration.adapter,
+        status: migration.status,
+        attempts: migration.attempts,
+        idempotencyKey: migration.idempotencyKey,
+        solAmount: migration.solAmount,
+        poolTokenAmount: migration.poolTokenAmount,
+        mintAddress: migration.mintAddress,
+        mintSignature: migration.mintSignature,
+        poolAddress: migration.poolAddress,
+        poolSignature: migration.poolSignature,
+        lastError: migration.lastError,
+        completedAt: migration.completedAt,
+    };
+}
+
+async function getMigration(tokenId) {
+    const migration = await Migration.findOne({ tokenId });
+    return migration ? serializeMigration(migration) : null;
+}
+
+/**
+ * Load the token's Migration, creating it on the first attempt. The plan is
+ * fixed then: the pool is seeded with the raised SOL and as many tokens as the
+ * pre-bond supply, and the same supply is allocated to the creator and the
+ * committed wallets.
+ */
+async function prepareMigration(token, adapterName) {
+    const existing = await Migration.findOne({ tokenId: token.id });
+    if (existing) return existing;
+
+    await recordAllocations(token, { supply: token.upvotes });
+    try {
+        return await Migration.create({
+            tokenId: token.id,
+            idempotencyKey: `migration:${token.id}`,
+            adapter: adapterName,
+            solAmount: token.collectiveSOL,
+            poolTokenAmount: token.upvotes,
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return Migration.findOne({ tokenId: token.id });
+    }
+}
+
+/**
+ * Extend the lease and apply `set` (and `inc`) to the migration, as long as
+ * this run still holds the lease. Throws LeaseLostError otherwise.
+ */
+async function writeLeased(migration, set = {}, inc = {}) {
+    const updated = await Migration.findOneAndUpdate(
+        { _id: migration._id, leaseId: migration.leaseId },
+        { $set: { lockedUntil: new Date(Date.now() + LEASE_MS), ...set }, $inc: inc },
+        { new: true }
+    );
+    if (!updated) throw new LeaseLostError(migration.tokenId);
+    return updated;
+}
+
+async function runSteps(migration, token, migrationAdapter) {
+    const key = migration.idempotencyKey;
+
+    if (!migration.mintAddress) {
+        const mint = await migrationAdapter.createMint({ token, idempotencyKey: `${key}:mint` });
+        migration = await writeLeased(migration, { mintAddress: mint.mintAddress, mintSignature: mint.signature });
+    }
+
+    if (!migration.poolAddress) {
+        const pool = await migrationAdapter.createPool({
+            token,
+            mintAddress: migration.mintAddress,
+            solAmount: migration.solAmount,
+            tokenAmount: migration.poolTokenAmount,
+            idempotencyKey: `${key}:pool`,
+        });
+        migration = await writeLeased(migration, { poolAddress: pool.poolAddress, poolSignature: pool.signature });
+    }
+    return migration;
+}
+
+/**
+ * Mirror a completed migration into the ledger: the escrowed SOL seeds the
+ * curve reserve and the allocated supply waits in the token's allocation
+ * account until its wallets claim it. Claimed through settledAt first, so it
+ * is posted once; the claim is released again if posting fails.
+ */
+async function settleMigration(migration, token, now = new Date()) {
+    const claimed = await Migration.findOneAndUpdate(
+        { _id: migration._id, settledAt: null },
+        { $set: { settledAt: now } }
+    );
+    if (!claimed) return;
+
+    try {
+        const allocations = await recordAllocations(token, { supply: migration.poolTokenAmount, start: now });
+        const allocated = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+        await postTransaction({
+            type: 'migration',
+            tokenId: token.id,
+            memo: `Migration of ${token.ticker}`,
+            entries: [
+                { account: tokenEscrowAccount(token.id), asset: SOL, amount: -migration.solAmount },
+                { account: tokenCurveAccount(token.id), asset: SOL, amount: migration.solAmount },
+                { account: tokenCurveAccount(token.id), asset: token.id, amount: -allocated },
+                { account: tokenAllocationAccount(token.id), asset: token.id, amount: allocated },
+            ],
+        });
+    } catch (error) {
+        await Migration.updateOne({ _id: migration._id }, { $set: { settledAt: null } });
+        throw error;
+    }
+}
+
+// Move a token whose migration succeeded on to bonding, and announce it
+async function completeMigration(tokenId, migration) {
+    const migrated = await transition(tokenId, STATES.MIGRATING, STATES.BONDING, {
+        reason: 'Migration completed',
+        metadata: { mintAddress: migration.mintAddress, poolAddress: migration.poolAddress },
+    });
+    if (!migrated) return Token.findById(tokenId);
+
+    console.log(`Migration - Token ${migrated.ticker} migrated. Mint: ${migration.mintAddress}, Pool: ${migration.poolAddress}.`);
+    await publish(EVENT_TYPES.MIGRATED, {
+        tokenId: migrated.id,
+        token: await serializeToken(migrated),
+        migration: serializeMigration(migration),
+    });
+    return migrated;
+}
+
+/**
+ * Migrate a token that reached its SOL target. The run prepares the
+ * Migration and takes its lease while the token is still target-reached, and
+ * only then moves it to migrating, so a token is never migrating without a
+ * run (or an expiring lease) behind it. Failed attempts are retried with
+ * exponential backoff, and a migration that still fails returns the token to
+ * target-reached for the scheduler to pick up again. A run that loses its
+ * lease to another instance stops and leaves the token to it.
+ */
+async function migrateToken(token) {
+    const current = await Token.findById(token.id);
+    if (!current || current.status !== STATES.TARGET_REACHED) return current;
+
+    const migrationAdapter = getMigrationAdapter();
+    let migration = await prepareMigration(current, migrationAdapter.name);
+
+    // Take the lease: free, expired, or left behind by a run that ended
+    const now = new Date();
+    const leaseId = crypto.randomUUID();
+    migration = await Migration.findOneAndUpdate(
+        { _id: migration._id, $or: [{ status: { $ne: 'running' } }, { lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+        { $set: { status: 'running', adapter: migrationAdapter.name, leaseId, lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+        { new: true }
+    );
+    if (!migration) {
+        console.error(`Migration - Token ${current.ticker} is already being migrated by another run.`);
+        return Token.findById(token.id);
+    }
+
+    let lastError = null;
+    let migrating = null;
+    try {
+        migrating = await transition(token.id, STATES.TARGET_REACHED, STATES.MIGRATING, { reason: 'Migration started' });
+        if (!migrating) {
+            await writeLeased(migration, { status: 'pending', leaseId: null, lockedUntil: null });
+            return Token.findById(token.id);
+        }
+        console.log(`Migration - Migrating Token ${migrating.ticker} with the ${migrationAdapter.name} adapter.`);
+
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+            migration = await writeLeased(migration, {}, { attempts: 1 });
+            try {
+                migration = await runSteps(migration, migrating, migrationAdapter);
+                lastError = null;
+                break;
+            } catch (error) {
+                if (error instanceof LeaseLostError) throw error;
+                lastError = error;
+                console.error(`Migration - Attempt ${attempt}/${MAX_ATTEMPTS} for Token ${migrating.ticker} failed:`, error.message);
+                if (attempt < MAX_ATTEMPTS) await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+            }
+        }
+
+        if (!lastError) {
+            migration = await writeLeased(migration);
+            try {
+                await settleMigration(migration, migrating);
+            } catch (error) {
+                lastError = error;
+                console.error(`Migration - Settling Token ${migrating.ticker} in the ledger failed:`, error.message);
+            }
+        }
+
+        if (lastError) {
+            migration = await writeLeased(migration, { status: 'failed', lastError: lastError.message, leaseId: null, lockedUntil: null });
+            await transition(token.id, STATES.MIGRATING, STATES.TARGET_REACHED, {
+                reason: `Migration failed: ${lastError.message}`,
+                metadata: { attempts: migration.attempts },
+            });
+            return Token.findById(token.id);
+        }
+
+        migration = await writeLeased(migration, { status: 'succeeded', lastError: null, leaseId: null, lockedUntil: null, completedAt: new Date() });
+    } catch (error) {
+        if (!(error instanceof LeaseLostError)) throw error;
+        console.error(`Migration - ${error.message} Stopping this run.`);
+        return Token.findById(token.id);
+    }
+
+    return completeMigration(token.id, migration);
+}
+
+/**
+ * Scheduler task: release migrations whose process died mid-run (their lease
+ * expired), settle tokens left migrating without a run, and retry every
+ * token waiting in target-reached.
+ */
+async function resumeMigrations(now = new Date()) {
+    const stale = await Migration.find({ status: 'running', lockedUntil: { $lt: now } }).select('tokenId leaseId');
+    for (const { tokenId, leaseId } of stale) {
+        // Only one instance releases a given lease; a lease renewed since the find is left alone
+        const { modifiedCount } = await Migration.updateOne(
+            { tokenId, status: 'running', leaseId: leaseId || null, lockedUntil: { $lt: now } },
+            { $set: { status: 'failed', lastError: 'Migration lease expired', leaseId: null, lockedUntil: null } }
+        );
+        if (modifiedCount) {
+            await transition(tokenId, STATES.MIGRATING, STATES.TARGET_REACHED, { reason: 'Migration lease expired' });
+        }
+    }
+
+    // A run that stopped between its last write and the token's transition leaves the token migrating
+    const migrating = await Token.find({ status: STATES.MIGRATING }).select('_id');
+    for (const { _id: tokenId } of migrating) {
+        const migration = await Migration.findOne({ tokenId });
+        if (migration && migration.status === 'running') continue;
+        if (migration && migration.status === 'succeeded') {
+            await completeMigration(tokenId, migration);
+        } else {
+            await transition(tokenId, STATES.MIGRATING, STATES.TARGET_REACHED, { reason: 'Migration run not found' });
+        }
+    }
+
+    const waiting = await Token.find({ status: STATES.TARGET_REACHED });
+    for (const token of waiting) {
+        await migrateToken(token);
+    }
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    createMigrationAdapter,
+    getMigrationAdapter,
+    setMigrationAdapter,
+    migrateToken,
+    resumeMigrations,
+    getMigration,
+};
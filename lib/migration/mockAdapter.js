@@ -0,0 +1,50 @@
+// lib/migration/mockAdapter.js
+//
+// In-memory migration adapter. Results are keyed by idempotency key, so a
+// repeated call returns what the first one did, like the on-chain adapter.
+// `failures` injects errors for tests: { mint: 1 } fails the first createMint.
+
+const crypto = require('crypto');
+const bs58 = require('bs58').default;
+
+function randomAddress() {
+    return bs58.encode(crypto.randomBytes(32));
+}
+
+function randomSignature() {
+    return bs58.encode(crypto.randomBytes(64));
+}
+
+function createMockAdapter({ failures = {} } = {}) {
+    const results = new Map();
+    const remainingFailures = { ...failures };
+
+    async function once(step, idempotencyKey, run) {
+        if (results.has(idempotencyKey)) return results.get(idempotencyKey);
+        if (remainingFailures[step] > 0) {
+            remainingFailures[step] -= 1;
+            throw new Error(`Mock ${step} failure.`);
+        }
+        const result = run();
+        results.set(idempotencyKey, result);
+        return result;
+    }
+
+    return {
+        name: 'mock',
+        createMint: ({ idempotencyKey }) => once('mint', idempotencyKey, () => ({
+            mintAddress: randomAddress(),
+            signature: randomSignature(),
+        })),
+        createPool: ({ idempotencyKey }) => once('pool', idempotencyKey, () => ({
+            poolAddress: randomAddress(),
+            signature: randomSignature(),
+        })),
+        distribute: ({ idempotencyKey }) => once('distribute', idempotencyKey, () => ({
+            signature: randomSignature(),
+        })),
+        results,
+    };
+}
+
+module.exports = { createMockAdapter };
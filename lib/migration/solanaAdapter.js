@@ -0,0 +1,155 @@
+// lib/migration/solanaAdapter.js
+//
+// Migration adapter for a Solana cluster, meant for a local
+// `solana-test-validator` (the default RPC URL). It mints an SPL token, seeds
+// a pool account with the raised SOL and its share of tokens, and mints each
+// committed wallet's allocation to its associated token account.
+//
+// Mint and pool keypairs are derived from the payer's secret and the step's
+// idempotency key, so a retried step finds the accounts an earlier attempt
+// created instead of creating new ones. Set MIGRATION_PAYER_KEYPAIR (a
+// solana-keygen JSON file) to keep them stable across restarts; without it a
+// throwaway payer is generated and funded by airdrop.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+    Connection,
+    Keypair,
+    PublicKey,
+    SystemProgram,
+    Transaction,
+    LAMPORTS_PER_SOL,
+    sendAndConfirmTransaction,
+} = require('@solana/web3.js');
+const {
+    MINT_SIZE,
+    TOKEN_PROGRAM_ID,
+    getMinimumBalanceForRentExemptMint,
+    createInitializeMint2Instruction,
+    getAssociatedTokenAddressSync,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createMintToInstruction,
+} = require('@solana/spl-token');
+
+const DECIMALS = 9;
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8899';
+
+function loadKeypair(file) {
+    return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(fs.readFileSync(file, 'utf8'))));
+}
+
+function toBaseUnits(amount) {
+    return BigInt(Math.round(amount * 10 ** DECIMALS));
+}
+
+function createSolanaAdapter({
+    rpcUrl = process.env.SOLANA_RPC_URL || DEFAULT_RPC_URL,
+    payerKeypairPath = process.env.MIGRATION_PAYER_KEYPAIR,
+} = {}) {
+    const connection = new Connection(rpcUrl, 'confirmed');
+    const payer = payerKeypairPath ? loadKeypair(payerKeypairPath) : Keypair.generate();
+
+    function keypairFor(idempotencyKey) {
+        const seed = crypto.createHmac('sha256', Buffer.from(payer.secretKey)).update(idempotencyKey).digest();
+        return Keypair.fromSeed(seed);
+    }
+
+    // Signature of the transaction that created an account an earlier attempt already set up
+    async function creationSignature(address) {
+        const signatures = await connection.getSignaturesForAddress(address);
+        return signatures.length ? signatures[signatures.length - 1].signature : null;
+    }
+
+    async function tokenBalance(account) {
+        try {
+            const { value } = await connection.getTokenAccountBalance(account);
+            return BigInt(value.amount);
+        } catch (error) {
+            return null; // Account doesn't exist yet
+        }
+    }
+
+    // Top the payer up by airdrop; only available on local and test clusters
+    async function ensureFunded(lamports) {
+        const balance = await connection.getBalance(payer.publicKey);
+        if (balance >= lamports) return;
+        const signature = await connection.requestAirdrop(payer.publicKey, lamports - balance + LAMPORTS_PER_SOL);
+        const latest = await connection.getLatestBlockhash();
+        await connection.confirmTransaction({ signature, ...latest });
+    }
+
+    async function createMint({ idempotencyKey }) {
+        const mint = keypairFor(idempotencyKey);
+        if (await connection.getAccountInfo(mint.publicKey)) {
+            return { mintAddress: mint.publicKey.toBase58(), signature: await creationSignature(mint.publicKey) };
+        }
+
+        const rent = await getMinimumBalanceForRentExemptMint(connection);
+        await ensureFunded(rent + LAMPORTS_PER_SOL / 100);
+        const transaction = new Transaction().add(
+            SystemProgram.createAccount({
+                fromPubkey: payer.publicKey,
+                newAccountPubkey: mint.publicKey,
+                space: MINT_SIZE,
+                lamports: rent,
+                programId: TOKEN_PROGRAM_ID,
+            }),
+            createInitializeMint2Instruction(mint.publicKey, DECIMALS, payer.publicKey, null)
+        );
+        const signature = await sendAndConfirmTransaction(connection, transaction, [payer, mint]);
+        return { mintAddress: mint.publicKey.toBase58(), signature };
+    }
+
+    // The pool is an account holding the seeded SOL and an associated token account
+    // holding the seeded tokens; one transaction funds both, so an existing token
+    // account means the pool was seeded
+    async function createPool({ mintAddress, solAmount, tokenAmount, idempotencyKey }) {
+        const pool = keypairFor(idempotencyKey).publicKey;
+        const mint = new PublicKey(mintAddress);
+        const vault = getAssociatedTokenAddressSync(mint, pool);
+        if ((await tokenBalance(vault)) !== null) {
+            return { poolAddress: pool.toBase58(), signature: await creationSignature(vault) };
+        }
+
+        const lamports = Math.round(solAmount * LAMPORTS_PER_SOL);
+        await ensureFunded(lamports + LAMPORTS_PER_SOL / 100);
+        const transaction = new Transaction().add(
+            SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: pool, lamports }),
+            createAssociatedTokenAccountIdempotentInstruction(payer.publicKey, vault, pool, mint),
+            createMintToInstruction(mint, vault, payer.publicKey, toBaseUnits(tokenAmount))
+        );
+        const signature = await sendAndConfirmTransaction(connection, transaction, [payer]);
+        return { poolAddress: pool.toBase58(), signature };
+    }
+
+    // The wallet's token account for a fresh mint only ever receives this allocation,
+    // so a balance that already covers it means an earlier attempt delivered it
+    async function distribute({ mintAddress, walletId, amount }) {
+        const mint = new PublicKey(mintAddress);
+        const owner = new PublicKey(walletId);
+        const account = getAssociatedTokenAddressSync(mint, owner);
+        const units = toBaseUnits(amount);
+        const balance = await tokenBalance(account);
+        if (balance !== null && balance >= units) {
+            return { signature: await creationSignature(account) };
+        }
+
+        await ensureFunded(LAMPORTS_PER_SOL / 100);
+        const transaction = new Transaction().add(
+            createAssociatedTokenAccountIdempotentInstruction(payer.publicKey, account, owner, mint),
+            createMintToInstruction(mint, account, payer.publicKey, units - (balance || 0n))
+        );
+        const signature = await sendAndConfirmTransaction(connection, transaction, [payer]);
+        return { signature };
+    }
+
+    return {
+        name: 'solana-test-validator',
+        createMint,
+        createPool,
+        distribute,
+    };
+}
+
+module.exports = { createSolanaAdapter };
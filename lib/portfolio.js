@@ -0,0 +1,203 @@
+// lib/portfolio.js
+//
+// Per-wallet positions and P&L, derived from the ledger so they always agree
+// with balances. Cost basis uses the average-cost method:
+//
+//   - a committer's allocation enters at migration at the SOL it committed
+//     (a creator's share at zero cost), claimed or not;
+//   - a buy adds its tokens at what the wallet paid, fees included;
+//   - a sell realizes what the wallet received minus the average cost of the
+//     tokens sold.
+//
+// Unrealized P&L values what is left at the token's current curve spot price,
+// so it ignores slippage and fees a sell would pay. Commitments to tokens
+// that haven't migrated yet are reported as committed SOL, without P&L.
+
+const { Token, Commitment, Allocation, LedgerEntry } = require('../models');
+const { SOL, walletAccount, getBalance } = require('./ledger');
+const { MIGRATED_STATES } = require('./lifecycle');
+const Pricing = require('../shared/pricing');
+
+const EPSILON = 1e-9;
+const TRADE_TYPES = Object.freeze(['buy', 'sell']);
+
+function emptyPosition() {
+    return {
+        amount: 0, // Held plus still unclaimed allocation
+        costBasis: 0,
+        realizedPnl: 0,
+        realizedSince: 0, // Realized by sells at or after the `since` cutoff
+        volumeSince: 0,
+        tradesSince: 0,
+    };
+}
+
+/**
+ * Ledger trade legs of the given wallets, grouped per transaction into
+ * { walletId, tokenId, type, sol, tokens, at }, oldest first.
+ */
+async function loadTrades(walletIds) {
+    const entries = await LedgerEntry.find({
+        account: { $in: walletIds.map(walletAccount) },
+        type: { $in: TRADE_TYPES },
+    }).sort({ createdAt: 1, _id: 1 }).lean();
+
+    const byTx = new Map();
+    entries.forEach(entry => {
+        if (!byTx.has(entry.txId)) {
+            byTx.set(entry.txId, { walletId: entry.walletId, tokenId: entry.tokenId, type: entry.type, sol: 0, tokens: 0, at: entry.createdAt });
+        }
+        const trade = byTx.get(entry.txId);
+        if (entry.asset === SOL) trade.sol += entry.amount;
+        else trade.tokens += entry.amount;
+    });
+    return [...byTx.values()];
+}
+
+/**
+ * Replay allocations and trades, oldest first, into positions keyed by
+ * walletId then tokenId. Realized P&L, volume and trade counts from `since`
+ * on are also tallied separately for leaderboards.
+ */
+function replayPositions(allocations, trades, { since = null } = {}) {
+    const events = [
+        ...allocations.map(allocation => ({ kind: 'allocation', at: allocation.vestingStartAt, allocation })),
+        ...trades.map(trade => ({ kind: 'trade', at: trade.at, trade })),
+    ].sort((a, b) => a.at - b.at);
+
+    const books = new Map();
+    const positionOf = (walletId, tokenId) => {
+        if (!books.has(walletId)) books.set(walletId, new Map());
+        const book = books.get(walletId);
+        if (!book.has(tokenId)) book.set(tokenId, emptyPosition());
+        return book.get(tokenId);
+    };
+
+    events.forEach(event => {
+        if (event.kind === 'allocation') {
+            const { walletId, tokenId, amount, committedSOL } = event.allocation;
+            const position = positionOf(walletId, tokenId);
+            position.amount += amount;
+            position.costBasis += committedSOL;
+            return;
+        }
+
+        const { walletId, tokenId, type, sol, tokens, at } = event.trade;
+        const position = positionOf(walletId, tokenId);
+        const counted = !since || at >= since;
+        if (type === 'buy') {
+            position.amount += tokens;
+            position.costBasis += -sol;
+        } else {
+            const sold = Math.min(-tokens, position.amount);
+            const cost = position.amount > EPSILON ? position.costBasis * (sold / position.amount) : 0;
+            const realized = sol - cost;
+            position.amount -= sold;
+            position.costBasis -= cost;
+            position.realizedPnl += realized;
+            if (counted) position.realizedSince += realized;
+            if (position.amount <= EPSILON) {
+                position.amount = 0;
+                position.costBasis = 0;
+            }
+        }
+        if (counted) {
+            position.volumeSince += Math.abs(sol);
+            position.tradesSince += 1;
+        }
+    });
+    return books;
+}
+
+function round(value, decimals = 9) {
+    return Number(value.toFixed(decimals));
+}
+
+function spotPriceOf(token) {
+    return MIGRATED_STATES.includes(token.status) ? Pricing.spotPrice(token, token.upvotes) : null;
+}
+
+/**
+ * A wallet's portfolio: every token it holds, has allocations in, has
+ * traded or has SOL committed to, with totals across them.
+ */
+async function getPortfolio(walletId) {
+    const [balance, commitments, allocations, trades] = await Promise.all([
+        getBalance(walletId),
+        Commitment.find({ walletId, refundedAt: null }).lean(),
+        Allocation.find({ walletId }).lean(),
+        loadTrades([walletId]),
+    ]);
+    const book = replayPositions(allocations, trades).get(walletId) || new Map();
+
+    const committedByToken = new Map();
+    commitments.forEach(commitment => {
+        committedByToken.set(commitment.tokenId, (committedByToken.get(commitment.tokenId) || 0) + commitment.amount);
+    });
+    const unclaimedByToken = new Map();
+    allocations.forEach(allocation => {
+        unclaimedByToken.set(allocation.tokenId, (unclaimedByToken.get(allocation.tokenId) || 0) + allocation.amount - allocation.claimed);
+    });
+
+    const tokenIds = [...new Set([...committedByToken.keys(), ...book.keys()])];
+    const tokens = await Token.find({ _id: { $in: tokenIds } })
+        .select('ticker title status upvotes curveType curveA curveB curveParams')
+        .lean();
+    const tokensById = new Map(tokens.map(token => [token._id, token]));
+
+    const totals = { committed: 0, costBasis: 0, marketValue: 0, realizedPnl: 0, unrealizedPnl: 0 };
+    const positions = tokenIds.filter(tokenId => tokensById.has(tokenId)).map(tokenId => {
+        const token = tokensById.get(tokenId);
+        const position = book.get(tokenId) || emptyPosition();
+        const committed = committedByToken.get(tokenId) || 0;
+        const price = spotPriceOf(token);
+        const marketValue = price === null ? null : position.amount * price;
+        const unrealizedPnl = marketValue === null ? null : marketValue - position.costBasis;
+
+        totals.committed += committed;
+        totals.costBasis += position.costBasis;
+        totals.realizedPnl += position.realizedPnl;
+        if (marketValue !== null) {
+            totals.marketValue += marketValue;
+            totals.unrealizedPnl += unrealizedPnl;
+        }
+
+        return {
+            tokenId,
+            ticker: token.ticker,
+            title: token.title,
+            status: token.status,
+            committed: round(committed),
+            amount: round(position.amount),
+            unclaimed: round(unclaimedByToken.get(tokenId) || 0),
+            averageEntryPrice: position.amount > EPSILON ? round(position.costBasis / position.amount) : null,
+            costBasis: round(position.costBasis),
+            price: price === null ? null : round(price),
+            marketValue: marketValue === null ? null : round(marketValue),
+            realizedPnl: round(position.realizedPnl),
+            unrealizedPnl: unrealizedPnl === null ? null : round(unrealizedPnl),
+        };
+    }).filter(position => position.committed > EPSILON || position.amount > EPSILON || Math.abs(position.realizedPnl) > EPSILON);
+
+    positions.sort((a, b) => (b.marketValue || b.committed) - (a.marketValue || a.committed));
+
+    return {
+        walletId,
+        balance,
+        totals: {
+            committed: round(totals.committed),
+            costBasis: round(totals.costBasis),
+            marketValue: round(totals.marketValue),
+            realizedPnl: round(totals.realizedPnl),
+            unrealizedPnl: round(totals.unrealizedPnl),
+            totalPnl: round(totals.realizedPnl + totals.unrealizedPnl),
+        },
+        positions,
+    };
+}
+
+module.exports = {
+    loadTrades,
+    replayPositions,
+    getPortfolio,
+};
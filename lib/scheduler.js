@@ -0,0 +1,64 @@
+// lib/scheduler.js
+//
+// Runs periodic background tasks (commit deadlines, refunds, ...). The clock
+// is injectable so tests can move time forward and call tick() directly.
+
+const DEFAULT_TICK_MS = parseInt(process.env.SCHEDULER_TICK_MS, 10) || 15 * 1000;
+
+/**
+ * Create a scheduler. Each task added with add(name, task, { everyMs }) is
+ * called as task(now) on the first tick at least everyMs after its last run
+ * (by the scheduler's clock). Ticks never overlap; a failing task is logged
+ * and doesn't stop the others.
+ */
+function createScheduler({ clock = () => new Date(), tickMs = DEFAULT_TICK_MS } = {}) {
+    const tasks = [];
+    let timer = null;
+    let ticking = null;
+
+    function add(name, task, { everyMs = 0 } = {}) {
+        tasks.push({ name, task, everyMs, lastRunAt: null });
+        return scheduler;
+    }
+
+    async function runDue() {
+        const now = clock();
+        for (const entry of tasks) {
+            if (entry.lastRunAt && now.getTime() - entry.lastRunAt.getTime() < entry.everyMs) continue;
+            entry.lastRunAt = now;
+            try {
+                await entry.task(now);
+            } catch (error) {
+                console.error(`Scheduler - Task ${entry.name} failed:`, error);
+            }
+        }
+    }
+
+    function tick() {
+        if (!ticking) {
+            ticking = runDue().finally(() => {
+                ticking = null;
+            });
+        }
+        return ticking;
+    }
+
+    function start() {
+        if (timer) return scheduler;
+        timer = setInterval(tick, tickMs);
+        timer.unref();
+        console.log(`Scheduler - Started with ${tasks.length} task(s), ticking every ${tickMs}ms.`);
+        return scheduler;
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+        return ticking || Promise.resolve();
+    }
+
+    const scheduler = { add, tick, start, stop };
+    return scheduler;
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,51 @@
+// lib/serializeToken.js
+
+const { Commitment, Upvote, Comment } = require('../models');
+
+function groupByToken(docs, pick) {
+    const grouped = new Map();
+    docs.forEach(doc => {
+        if (!grouped.has(doc.tokenId)) grouped.set(doc.tokenId, []);
+        grouped.get(doc.tokenId).push(pick(doc));
+    });
+    return grouped;
+}
+
+/**
+ * Expand token documents into the response shape the frontend expects,
+ * loading committedWallets and upvotedWallets from their own collections
+ * and counting visible comments, in one query each. The comment threads
+ * themselves are paged from GET /api/tokens/:id/comments.
+ */
+async function serializeTokens(tokenDocs) {
+    const ids = tokenDocs.map(token => token.id);
+    const [commitments, upvotes, commentCounts] = await Promise.all([
+        Commitment.find({ tokenId: { $in: ids } }).select('tokenId walletId').lean(),
+        Upvote.find({ tokenId: { $in: ids } }).select('tokenId walletId').lean(),
+        Comment.aggregate([
+            { $match: { tokenId: { $in: ids }, deletedAt: null, hiddenAt: null } },
+            { $group: { _id: '$tokenId', count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const committedByToken = groupByToken(commitments, c => c.walletId);
+    const upvotedByToken = groupByToken(upvotes, u => u.walletId);
+    const commentCountByToken = new Map(commentCounts.map(({ _id, count }) => [_id, count]));
+
+    return tokenDocs.map(token => ({
+        ...token.toJSON(),
+        commentCount: commentCountByToken.get(token.id) || 0,
+        committedWallets: committedByToken.get(token.id) || [],
+        upvotedWallets: upvotedByToken.get(token.id) || [],
+    }));
+}
+
+async function serializeToken(tokenDoc) {
+    const [serialized] = await serializeTokens([tokenDoc]);
+    return serialized;
+}
+
+module.exports = {
+    serializeTokens,
+    serializeToken,
+};
@@ -0,0 +1,36 @@
+// lib/storage/index.js
+//
+// Pluggable file storage for uploaded media (STORAGE_BACKEND=local|s3).
+// Backends implement put(key, buffer, contentType) -> public URL.
+
+const { createLocalStorage } = require('./localStorage');
+
+const BACKENDS = {
+    local: () => createLocalStorage(),
+    // Loaded on demand so the AWS SDK is only required when used
+    s3: () => require('./s3Storage').createS3Storage(),
+};
+
+let storage = null;
+
+function createStorage(name = process.env.STORAGE_BACKEND || 'local') {
+    if (!BACKENDS[name]) {
+        throw new Error(`Unknown storage backend "${name}". Use one of ${Object.keys(BACKENDS).join(', ')}.`);
+    }
+    return BACKENDS[name]();
+}
+
+function getStorage() {
+    if (!storage) storage = createStorage();
+    return storage;
+}
+
+function setStorage(next) {
+    storage = next;
+}
+
+module.exports = {
+    createStorage,
+    getStorage,
+    setStorage,
+};
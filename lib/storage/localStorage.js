@@ -0,0 +1,28 @@
+// lib/storage/localStorage.js
+//
+// Stores files on local disk under `directory`; the server serves them
+// statically at `publicPath`.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function createLocalStorage({
+    directory = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+    publicPath = '/uploads',
+} = {}) {
+    async function put(key, buffer) {
+        const file = path.join(directory, key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+        return `${publicPath}/${key}`;
+    }
+
+    return {
+        name: 'local',
+        directory,
+        publicPath,
+        put,
+    };
+}
+
+module.exports = { createLocalStorage };
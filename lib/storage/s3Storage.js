@@ -0,0 +1,48 @@
+// lib/storage/s3Storage.js
+//
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, R2, ...). Set
+// S3_ENDPOINT for non-AWS services, and S3_PUBLIC_URL to the base URL the
+// bucket is served from (a CDN, or the endpoint plus bucket name).
+
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+
+function createS3Storage({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT || undefined,
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl = process.env.S3_PUBLIC_URL,
+} = {}) {
+    if (!bucket) {
+        throw new Error('S3 storage requires S3_BUCKET.');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle: Boolean(endpoint), // Most S3-compatible services don't support virtual-hosted buckets
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+    const baseUrl = (publicUrl || (endpoint
+        ? `${endpoint}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+
+    async function put(key, buffer, contentType) {
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType,
+            CacheControl: 'public, max-age=31536000, immutable',
+        }));
+        return `${baseUrl}/${key}`;
+    }
+
+    return {
+        name: 's3',
+        put,
+    };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,163 @@
+// lib/tokenMetadata.js
+//
+// A token's descriptive fields: description, image and social links. The
+// validation here is shared by token creation and by creator and admin edits;
+// editTokenMetadata() is the creator's edit.
+
+const { Token, Upload } = require('../models');
+const { STATES, MIGRATED_STATES } = require('./lifecycle');
+const { EVENT_TYPES, publish } = require('./events');
+const { serializeToken } = require('./serializeToken');
+const { ConcurrencyError, versionFilter } = require('./concurrency');
+
+const MAX_DESCRIPTION_LENGTH = 1000;
+const LINK_FIELDS = Object.freeze(['twitterLink', 'websiteLink', 'telegramLink']);
+const CREATOR_EDITABLE_FIELDS = Object.freeze(['description', 'imageUrl', ...LINK_FIELDS]);
+// Once a token heads for its bonding curve its metadata is what traders saw; creators can no longer change it
+const LOCKED_STATES = Object.freeze([STATES.MIGRATING, ...MIGRATED_STATES]);
+
+// Field -> expected link format. Paths are matched after dropping a trailing slash.
+const LINK_FORMATS = Object.freeze({
+    twitterLink: {
+        label: 'Twitter',
+        hosts: ['twitter.com', 'x.com', 'mobile.twitter.com'],
+        path: /^\/[A-Za-z0-9_]{1,15}$/,
+        example: 'https://x.com/yourhandle',
+    },
+    telegramLink: {
+        label: 'Telegram',
+        hosts: ['t.me', 'telegram.me'],
+        path: /^\/(\+[\w-]+|joinchat\/[\w-]+|[A-Za-z][A-Za-z0-9_]{3,31})$/,
+        example: 'https://t.me/yourchannel',
+    },
+    websiteLink: {
+        label: 'Website',
+        hosts: null, // Any public host name
+        path: null,
+        example: 'https://yourwebsite.com',
+    },
+});
+
+class MetadataError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MetadataError';
+        this.status = status;
+    }
+}
+
+/**
+ * Check a link against its field's format and return it normalized (Twitter
+ * and Telegram links become https without www.), or null for an empty value.
+ * Throws MetadataError.
+ */
+function normalizeLink(field, value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const format = LINK_FORMATS[field];
+    const invalid = () => new MetadataError(`${format.label} link must look like ${format.example}.`);
+
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch (error) {
+        throw invalid();
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) throw invalid();
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+
+    if (format.hosts) {
+        const path = url.pathname.replace(/\/$/, '');
+        if (!format.hosts.includes(host) || !format.path.test(path)) throw invalid();
+        return `https://${host}${path}`;
+    }
+    // Websites need a dotted public host name, not localhost or a bare IP address
+    if (!host.includes('.') || /^[\d.]+$/.test(host) || host.startsWith('[')) throw invalid();
+    return url.href;
+}
+
+/**
+ * Normalize the link fields present in `fields`; returns only those fields.
+ */
+function validateLinks(fields) {
+    const links = {};
+    LINK_FIELDS.forEach(field => {
+        if (fields[field] !== undefined) links[field] = normalizeLink(field, fields[field]);
+    });
+    return links;
+}
+
+function validateDescription(description) {
+    const trimmed = typeof description === 'string' ? description.trim() : '';
+    if (!trimmed) {
+        throw new MetadataError('Description is required.');
+    }
+    if (trimmed.length > MAX_DESCRIPTION_LENGTH) {
+        throw new MetadataError(`Description may be at most ${MAX_DESCRIPTION_LENGTH} characters.`);
+    }
+    return trimmed;
+}
+
+function isMetadataLocked(token) {
+    return LOCKED_STATES.includes(token.status);
+}
+
+/**
+ * Apply a creator's edit of description, image and links. Only the wallet
+ * that created the token may edit it, and only until it starts migrating.
+ * With `version`, the edit only applies to the token at that version.
+ */
+async function editTokenMetadata(token, walletId, changes, { version } = {}) {
+    if (!token.creatorWallet || token.creatorWallet !== walletId) {
+        throw new MetadataError('Only the creator of this token can edit it.', 403);
+    }
+    if (isMetadataLocked(token)) {
+        throw new MetadataError(`${token.ticker} has migrated; its metadata is locked.`, 409);
+    }
+    const unknown = Object.keys(changes).filter(field => !CREATOR_EDITABLE_FIELDS.includes(field));
+    if (unknown.length) {
+        throw new MetadataError(`Fields ${unknown.join(', ')} cannot be edited; editable fields are ${CREATOR_EDITABLE_FIELDS.join(', ')}.`);
+    }
+
+    const set = validateLinks(changes);
+    if (changes.description !== undefined) set.description = validateDescription(changes.description);
+    if (changes.imageUrl !== undefined) {
+        const image = await Upload.findOne({ url: changes.imageUrl, walletId }).lean();
+        if (!image) {
+            throw new MetadataError('Upload the token image through /api/uploads and use the URL it returns.');
+        }
+        set.imageUrl = image.url;
+        set.thumbnailUrl = image.thumbnailUrl;
+    }
+    if (Object.keys(set).length === 0) {
+        throw new MetadataError('Nothing to update.');
+    }
+
+    const stale = () => new ConcurrencyError(`${token.ticker} has changed since version ${version}; reload it and try again.`);
+    if (version !== undefined && version !== (token.version || 0)) throw stale();
+
+    // The status guard keeps an edit from landing after migration started
+    const updated = await Token.findOneAndUpdate(
+        { _id: token.id, status: { $nin: LOCKED_STATES }, ...(version !== undefined ? versionFilter(token) : {}) },
+        { $set: set },
+        { new: true }
+    );
+    if (!updated) {
+        if (version !== undefined && !isMetadataLocked(await Token.findById(token.id))) throw stale();
+        throw new MetadataError(`${token.ticker} has migrated; its metadata is locked.`, 409);
+    }
+    await publish(EVENT_TYPES.UPDATED, { tokenId: updated.id, token: await serializeToken(updated) });
+    return updated;
+}
+
+module.exports = {
+    MAX_DESCRIPTION_LENGTH,
+    LINK_FIELDS,
+    CREATOR_EDITABLE_FIELDS,
+    LINK_FORMATS,
+    MetadataError,
+    normalizeLink,
+    validateLinks,
+    validateDescription,
+    isMetadataLocked,
+    editTokenMetadata,
+};
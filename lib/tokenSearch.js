@@ -0,0 +1,229 @@
+// lib/tokenSearch.js
+//
+// Search, filter, sort and cursor-paginate tokens for list views. Results use
+// a light projection: no comments or wallet arrays, just counts and, for a
+// signed-in wallet, whether it has upvoted or committed.
+
+const { Token, Commitment, Upvote, Comment } = require('../models');
+const { MIGRATED_STATES } = require('./lifecycle');
+const { LISTED_FILTER } = require('./visibility');
+
+// Sort name -> field it orders by (descending, ties broken by _id)
+const SORTS = Object.freeze({
+    newest: 'createdAt',
+    progress: 'progress',
+    collectiveSOL: 'collectiveSOL',
+    upvotes: 'upvotes',
+    activity: 'lastActivityAt',
+});
+const DATE_SORT_FIELDS = ['createdAt', 'lastActivityAt'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const STATUS_FILTERS = Object.freeze({
+    migrated: MIGRATED_STATES,
+});
+
+class SearchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchError';
+        this.status = 400;
+    }
+}
+
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor, field) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof id !== 'string') throw new Error('Missing id');
+        return { value: DATE_SORT_FIELDS.includes(field) ? new Date(value) : value, id };
+    } catch (error) {
+        throw new SearchError('Invalid cursor.');
+    }
+}
+
+function parseDate(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    if (isNaN(date.getTime())) throw new SearchError(`${name} must be an ISO date or epoch milliseconds.`);
+    return date;
+}
+
+function parsePercent(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const percent = Number(value);
+    if (!isFinite(percent) || percent < 0) throw new SearchError(`${name} must be a percentage of at least 0.`);
+    return percent / 100;
+}
+
+/**
+ * Turn query-string parameters into search options, throwing SearchError on bad input.
+ *   q                          full-text search over title, ticker and description
+ *   status                     comma-separated lifecycle states; `migrated` means bonding or graduated
+ *   minProgress, maxProgress   commit progress range in percent of solTarget
+ *   createdAfter, createdBefore
+ *   sort                       newest (default), progress, collectiveSOL, upvotes, activity
+ *   visibility                 comma-separated listed, hidden, delisted (admin searches only)
+ *   limit, cursor              page size and the nextCursor of the previous page
+ */
+function parseSearchParams(query) {
+    const sort = query.sort || 'newest';
+    if (!SORTS[sort]) {
+        throw new SearchError(`sort must be one of ${Object.keys(SORTS).join(', ')}.`);
+    }
+
+    let statuses;
+    if (query.status) {
+        statuses = String(query.status).split(',').flatMap(status => STATUS_FILTERS[status] || [status]);
+        const known = Token.schema.path('status').enumValues;
+        const unknown = statuses.find(status => !known.includes(status));
+        if (unknown) throw new SearchError(`Unknown status "${unknown}".`);
+    }
+
+    let visibilities;
+    if (query.visibility) {
+        visibilities = String(query.visibility).split(',');
+        const known = Token.schema.path('visibility').enumValues;
+        const unknown = visibilities.find(visibility => !known.includes(visibility));
+        if (unknown) throw new SearchError(`Unknown visibility "${unknown}".`);
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1) throw new SearchError('limit must be a positive integer.');
+
+    const options = {
+        q: query.q ? String(query.q).trim() : '',
+        statuses,
+        visibilities,
+        minProgress: parsePercent(query.minProgress, 'minProgress'),
+        maxProgress: parsePercent(query.maxProgress, 'maxProgress'),
+        createdAfter: parseDate(query.createdAfter, 'createdAfter'),
+        createdBefore: parseDate(query.createdBefore, 'createdBefore'),
+        sort,
+        limit: Math.min(limit, MAX_LIMIT),
+        cursor: query.cursor ? decodeCursor(String(query.cursor), SORTS[sort]) : null,
+    };
+    if (options.minProgress !== undefined && options.maxProgress !== undefined && options.minProgress > options.maxProgress) {
+        throw new SearchError('minProgress must not exceed maxProgress.');
+    }
+    return options;
+}
+
+function serializeListItem(token, { commentCount = 0, viewer = null } = {}) {
+    return {
+        id: token._id,
+        title: token.title,
+        ticker: token.ticker,
+        description: token.description,
+        imageUrl: token.imageUrl,
+        thumbnailUrl: token.thumbnailUrl || null,
+        upvotes: token.upvotes,
+        views: token.views,
+        solTarget: token.solTarget,
+        collectiveSOL: token.collectiveSOL,
+        progress: token.progress !== undefined
+            ? token.progress
+            : (token.solTarget > 0 ? token.collectiveSOL / token.solTarget : 0),
+        status: token.status,
+        migrated: MIGRATED_STATES.includes(token.status),
+        visibility: token.visibility || 'listed',
+        frozenActions: token.frozenActions || [],
+        commitDeadline: token.commitDeadline || null,
+        twitterLink: token.twitterLink || null,
+        websiteLink: token.websiteLink || null,
+        telegramLink: token.telegramLink || null,
+        createdAt: token.createdAt,
+        lastActivityAt: token.lastActivityAt || token.createdAt,
+        commentCount,
+        viewer,
+    };
+}
+
+/**
+ * Visible (not deleted or hidden) comments per token: Map of tokenId -> count.
+ */
+async function countComments(tokenIds) {
+    const counts = await Comment.aggregate([
+        { $match: { tokenId: { $in: tokenIds }, deletedAt: null, hiddenAt: null } },
+        { $group: { _id: '$tokenId', count: { $sum: 1 } } },
+    ]);
+    return new Map(counts.map(({ _id, count }) => [_id, count]));
+}
+
+/**
+ * One page of tokens matching `options` (from parseSearchParams), with
+ * nextCursor null on the last page. Pass walletId to get per-wallet flags.
+ * Hidden and delisted tokens are left out unless `includeUnlisted` (admins).
+ */
+async function searchTokens(options, { walletId = null, includeUnlisted = false } = {}) {
+    const field = SORTS[options.sort];
+    const match = includeUnlisted ? {} : { ...LISTED_FILTER };
+    if (includeUnlisted && options.visibilities) {
+        // Tokens from before visibility existed have no field and count as listed
+        match.visibility = { $in: options.visibilities.includes('listed') ? [...options.visibilities, null] : options.visibilities };
+    }
+    if (options.q) match.$text = { $search: options.q };
+    if (options.statuses) match.status = { $in: options.statuses };
+    if (options.createdAfter || options.createdBefore) {
+        match.createdAt = {};
+        if (options.createdAfter) match.createdAt.$gte = options.createdAfter;
+        if (options.createdBefore) match.createdAt.$lte = options.createdBefore;
+    }
+
+    const computed = {};
+    if (options.minProgress !== undefined) computed.progress = { $gte: options.minProgress };
+    if (options.maxProgress !== undefined) computed.progress = { ...computed.progress, $lte: options.maxProgress };
+    if (options.cursor) {
+        computed.$or = [
+            { [field]: { $lt: options.cursor.value } },
+            { [field]: options.cursor.value, _id: { $lt: options.cursor.id } },
+        ];
+    }
+
+    const docs = await Token.aggregate([
+        { $match: match },
+        {
+            $addFields: {
+                progress: {
+                    $cond: [{ $gt: ['$solTarget', 0] }, { $divide: ['$collectiveSOL', '$solTarget'] }, 0],
+                },
+                lastActivityAt: { $ifNull: ['$lastActivityAt', '$createdAt'] },
+            },
+        },
+        { $match: computed },
+        { $sort: { [field]: -1, _id: -1 } },
+        { $limit: options.limit + 1 },
+    ]);
+
+    const page = docs.slice(0, options.limit);
+    const ids = page.map(token => token._id);
+    const [countsById, upvoted, committed] = await Promise.all([
+        countComments(ids),
+        walletId ? Upvote.find({ tokenId: { $in: ids }, walletId }).distinct('tokenId') : [],
+        walletId ? Commitment.find({ tokenId: { $in: ids }, walletId, refundedAt: null }).distinct('tokenId') : [],
+    ]);
+
+    const last = page[page.length - 1];
+    return {
+        tokens: page.map(token => serializeListItem(token, {
+            commentCount: countsById.get(token._id) || 0,
+            viewer: walletId
+                ? { upvoted: upvoted.includes(token._id), committed: committed.includes(token._id) }
+                : null,
+        })),
+        nextCursor: docs.length > options.limit ? encodeCursor(last[field], last._id) : null,
+    };
+}
+
+module.exports = {
+    SORTS,
+    SearchError,
+    parseSearchParams,
+    searchTokens,
+    serializeListItem,
+    countComments,
+};
@@ -0,0 +1,110 @@
+// lib/trades.js
+//
+// Trade history: every commit, withdrawal, upvote, buy and sell is stored with the
+// token's post-trade spot price, and aggregated into OHLCV candles.
+
+const mongoose = require('mongoose');
+const { Trade } = require('../models');
+const Pricing = require('../shared/pricing');
+
+const CANDLE_INTERVALS = Object.freeze({
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+});
+const MAX_CANDLES = 500;
+
+function serializeTrade(trade) {
+    return {
+        id: String(trade._id),
+        tokenId: trade.tokenId,
+        walletId: trade.walletId,
+        type: trade.type,
+        solAmount: trade.solAmount,
+        tokenAmount: trade.tokenAmount,
+        price: trade.price,
+        supplyAfter: trade.supplyAfter,
+        timestamp: trade.createdAt,
+    };
+}
+
+/**
+ * Record a trade against the token as it stands after the trade.
+ * Like publish(), failures are logged rather than failing the request.
+ */
+async function recordTrade(token, { walletId, type, solAmount = 0, tokenAmount = 0 }) {
+    try {
+        const trade = await Trade.create({
+            tokenId: token.id,
+            walletId,
+            type,
+            solAmount,
+            tokenAmount,
+            price: Pricing.spotPrice(token, token.upvotes),
+            supplyAfter: token.upvotes,
+        });
+        return serializeTrade(trade);
+    } catch (error) {
+        console.error(`Error recording ${type} trade for Token ${token.id}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Newest-first page of a token's trades. `cursor` is the id of the last trade
+ * on the previous page; the result's nextCursor is null on the last page.
+ */
+async function listTrades(tokenId, { limit = 50, cursor = null, type = null } = {}) {
+    const filter = { tokenId };
+    if (type) filter.type = type;
+    if (cursor) filter._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+
+    const trades = await Trade.find(filter).sort({ _id: -1 }).limit(limit + 1).lean();
+    const page = trades.slice(0, limit);
+    return {
+        trades: page.map(serializeTrade),
+        nextCursor: trades.length > limit ? String(page[page.length - 1]._id) : null,
+    };
+}
+
+/**
+ * OHLCV candles for a token between `from` and `to`, oldest first. Only
+ * intervals with at least one trade are returned. Volume is SOL moved.
+ */
+async function getCandles(tokenId, { interval, from, to }) {
+    const intervalMs = CANDLE_INTERVALS[interval];
+    const bucket = {
+        $subtract: [
+            { $toLong: '$createdAt' },
+            { $mod: [{ $toLong: '$createdAt' }, intervalMs] },
+        ],
+    };
+
+    const candles = await Trade.aggregate([
+        { $match: { tokenId, createdAt: { $gte: from, $lte: to } } },
+        { $sort: { createdAt: 1, _id: 1 } },
+        {
+            $group: {
+                _id: bucket,
+                open: { $first: '$price' },
+                high: { $max: '$price' },
+                low: { $min: '$price' },
+                close: { $last: '$price' },
+                volume: { $sum: '$solAmount' },
+                trades: { $sum: 1 },
+            },
+        },
+        { $sort: { _id: 1 } },
+        { $limit: MAX_CANDLES },
+    ]);
+
+    return candles.map(({ _id, ...candle }) => ({ time: new Date(_id), ...candle }));
+}
+
+module.exports = {
+    CANDLE_INTERVALS,
+    MAX_CANDLES,
+    recordTrade,
+    listTrades,
+    getCandles,
+};
@@ -0,0 +1,156 @@
+// lib/trading.js
+//
+// Fee-inclusive trade quotes for migrated tokens and the slippage checks run
+// before a trade executes. Fees are charged in basis points of the gross SOL
+// leg of every trade: on a buy they come out of what the wallet pays before
+// it reaches the curve, on a sell out of what the curve refunds.
+//
+// A trade moves the supply with moveSupply(), conditional on the token's
+// version, so two concurrent trades are never priced off the same supply, and
+// settles in the ledger within the same database transaction.
+
+const { Token } = require('../models');
+const Pricing = require('../shared/pricing');
+const { ERROR_CODES } = require('./api/errors');
+const { versionFilter } = require('./concurrency');
+
+const BPS_DENOMINATOR = 10000;
+
+function readBps(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 && value < BPS_DENOMINATOR ? value : fallback;
+}
+
+const FEES = Object.freeze({
+    protocolFeeBps: readBps('PROTOCOL_FEE_BPS', 100),
+    creatorFeeBps: readBps('CREATOR_FEE_BPS', 50),
+});
+
+class SlippageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SlippageError';
+        this.code = ERROR_CODES.SLIPPAGE_EXCEEDED;
+    }
+}
+
+/**
+ * Quote a trade on the token's curve with fees applied.
+ * `amount` is { sol } or { tokens } as for Pricing.quote, except that `sol`
+ * is what the wallet pays (buy) or receives (sell) after fees.
+ * solAmount in the result is always the wallet's side; curveSolAmount is
+ * what moves in or out of the curve reserve.
+ */
+function quoteTrade(token, side, { sol, tokens }, fees = FEES) {
+    const feeRate = (fees.protocolFeeBps + fees.creatorFeeBps) / BPS_DENOMINATOR;
+    const supply = token.upvotes;
+
+    let curveQuote;
+    let gross;
+    if (side === 'buy') {
+        if (sol !== undefined) {
+            gross = sol;
+            curveQuote = Pricing.quote(token, supply, { side, sol: sol * (1 - feeRate) });
+        } else {
+            curveQuote = Pricing.quote(token, supply, { side, tokens });
+            gross = curveQuote.solAmount / (1 - feeRate);
+        }
+    } else if (sol !== undefined) {
+        gross = sol / (1 - feeRate);
+        curveQuote = Pricing.quote(token, supply, { side, sol: gross });
+    } else {
+        curveQuote = Pricing.quote(token, supply, { side, tokens });
+        gross = curveQuote.solAmount;
+    }
+
+    const protocolFee = gross * fees.protocolFeeBps / BPS_DENOMINATOR;
+    const creatorFee = gross * fees.creatorFeeBps / BPS_DENOMINATOR;
+    const solAmount = side === 'buy' ? gross : gross - protocolFee - creatorFee;
+
+    return {
+        ...curveQuote,
+        solAmount,
+        curveSolAmount: curveQuote.solAmount,
+        // SOL per token from the wallet's point of view, fees included
+        effectivePrice: solAmount / curveQuote.tokenAmount,
+        fees: {
+            protocolFeeBps: fees.protocolFeeBps,
+            creatorFeeBps: fees.creatorFeeBps,
+            protocolFee,
+            creatorFee,
+            totalFee: protocolFee + creatorFee,
+        },
+    };
+}
+
+/**
+ * Reject a quote that moved past the caller's limits.
+ *   maxCost       most the wallet will give: SOL on a buy, tokens on a sell
+ *   minReceived   least the wallet will take: tokens on a buy, SOL on a sell
+ *   slippageBps   with expectedPrice (the effectivePrice the caller was quoted),
+ *                 how far the effective price may move against the caller
+ */
+function checkSlippage(quote, { maxCost, minReceived, slippageBps, expectedPrice } = {}) {
+    const cost = quote.side === 'buy' ? quote.solAmount : quote.tokenAmount;
+    const received = quote.side === 'buy' ? quote.tokenAmount : quote.solAmount;
+
+    if (maxCost !== undefined && cost > Number(maxCost)) {
+        throw new SlippageError(`Trade would cost ${cost} but maxCost is ${maxCost}.`);
+    }
+    if (minReceived !== undefined && received < Number(minReceived)) {
+        throw new SlippageError(`Trade would return ${received} but minReceived is ${minReceived}.`);
+    }
+    if (slippageBps !== undefined && expectedPrice !== undefined) {
+        const tolerance = Number(slippageBps) / BPS_DENOMINATOR;
+        const expected = Number(expectedPrice);
+        const moved = quote.side === 'buy'
+            ? quote.effectivePrice > expected * (1 + tolerance)
+            : quote.effectivePrice < expected * (1 - tolerance);
+        if (moved) {
+            throw new SlippageError(`Price moved from ${expected} to ${quote.effectivePrice}, beyond the ${slippageBps} bps slippage limit.`);
+        }
+    }
+}
+
+/**
+ * Validate optional slippage fields from a request body; returns an error message or null.
+ */
+function validateSlippageParams({ maxCost, minReceived, slippageBps, expectedPrice }) {
+    const isNonNegative = value => value === undefined || (isFinite(Number(value)) && Number(value) >= 0);
+    if (!isNonNegative(maxCost) || !isNonNegative(minReceived) || !isNonNegative(expectedPrice)) {
+        return 'maxCost, minReceived and expectedPrice must be non-negative numbers.';
+    }
+    if (slippageBps !== undefined) {
+        const bps = Number(slippageBps);
+        if (!Number.isInteger(bps) || bps < 0 || bps > BPS_DENOMINATOR) {
+            return 'slippageBps must be an integer between 0 and 10000.';
+        }
+        if (expectedPrice === undefined) {
+            return 'slippageBps requires the expectedPrice you were quoted.';
+        }
+    }
+    return null;
+}
+
+/**
+ * Move a migrated token's supply by `delta` (positive for a buy) as long as
+ * the token is still at the version it was quoted at. Resolves to the updated
+ * token, or null when another write got there first and the trade must be
+ * quoted again. Pass the `session` of the transaction that settles the trade.
+ */
+function moveSupply(token, delta, { now = new Date(), session = null } = {}) {
+    return Token.findOneAndUpdate(
+        { _id: token.id, ...versionFilter(token) },
+        { $inc: { upvotes: delta }, $set: { lastActivityAt: now } },
+        { new: true, session }
+    );
+}
+
+module.exports = {
+    FEES,
+    SlippageError,
+    quoteTrade,
+    checkSlippage,
+    validateSlippageParams,
+    moveSupply,
+};
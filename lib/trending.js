@@ -0,0 +1,190 @@
+// lib/trending.js
+//
+// Time-decayed trending scores. For each window (1h, 24h, 7d) a token's score
+// sums its recent activity, each event weighted by its signal's weight and
+// halved for every half-life of age:
+//   upvote       each upvote
+//   commit       SOL committed less SOL withdrawn, as a fraction of the token's
+//                solTarget (commit velocity)
+//   committer    each distinct wallet that committed more than it withdrew,
+//                decayed by its latest commit
+//   comment      each comment
+//   views        log10(1 + daily viewers), each decayed by the viewer's latest open
+// Commits and withdrawals come from the trade history (lib/trades.js), so a
+// top-up counts when it is made rather than when the commitment was opened.
+// scoreEvents() is pure so the ranking can be exercised with synthetic event
+// streams; refreshTrending() gathers the real events and stores the ranking.
+
+const { Token, Upvote, Trade, Comment, TokenView, TrendingScore } = require('../models');
+const { LISTED_FILTER } = require('./visibility');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = Object.freeze({
+    weights: {
+        upvote: 1,
+        commit: 20,
+        committer: 2,
+        comment: 0.5,
+        views: 0.5,
+    },
+    windows: {
+        '1h': { durationMs: HOUR_MS, halfLifeMs: 15 * 60 * 1000 },
+        '24h': { durationMs: 24 * HOUR_MS, halfLifeMs: 6 * HOUR_MS },
+        '7d': { durationMs: 7 * 24 * HOUR_MS, halfLifeMs: 2 * 24 * HOUR_MS },
+    },
+    limit: 50, // Tokens stored per window
+});
+
+// TRENDING_CONFIG may override any part of the defaults as JSON, e.g. {"weights":{"comment":1}}
+function loadConfig(json = process.env.TRENDING_CONFIG) {
+    if (!json) return DEFAULT_CONFIG;
+    const overrides = JSON.parse(json);
+    const windows = { ...DEFAULT_CONFIG.windows };
+    Object.entries(overrides.windows || {}).forEach(([name, window]) => {
+        windows[name] = { ...windows[name], ...window };
+    });
+    return {
+        ...DEFAULT_CONFIG,
+        ...overrides,
+        weights: { ...DEFAULT_CONFIG.weights, ...overrides.weights },
+        windows,
+    };
+}
+
+const CONFIG = loadConfig();
+const DEFAULT_WINDOW = '24h';
+
+function decay(at, now, halfLifeMs) {
+    const age = Math.max(0, now.getTime() - new Date(at).getTime());
+    return Math.pow(0.5, age / halfLifeMs);
+}
+
+/**
+ * Score one token from its events inside a window.
+ *   events   [{ type: 'upvote' | 'commit' | 'withdraw' | 'comment' | 'view', at, walletId?, amount? }]
+ *   token    { solTarget }
+ * Events older than the window or in the future are ignored.
+ * Returns { score, breakdown } with the part each signal contributed.
+ */
+function scoreEvents(events, token, { now = new Date(), window = DEFAULT_WINDOW, config = CONFIG } = {}) {
+    const { durationMs, halfLifeMs } = config.windows[window];
+    const { weights } = config;
+    const since = now.getTime() - durationMs;
+    const breakdown = { upvote: 0, commit: 0, committer: 0, comment: 0, views: 0 };
+    const committers = new Map(); // walletId -> { net, latestCommitAt }
+    let views = 0;
+
+    events.forEach(event => {
+        const at = new Date(event.at).getTime();
+        if (at < since || at > now.getTime()) return;
+        const factor = decay(event.at, now, halfLifeMs);
+        if (event.type === 'upvote') {
+            breakdown.upvote += weights.upvote * factor;
+        } else if (event.type === 'commit' || event.type === 'withdraw') {
+            const amount = event.type === 'commit' ? event.amount : -event.amount;
+            if (token.solTarget > 0) breakdown.commit += weights.commit * factor * amount / token.solTarget;
+            const committer = committers.get(event.walletId) || { net: 0, latestCommitAt: null };
+            committer.net += amount;
+            if (event.type === 'commit' && !(committer.latestCommitAt >= at)) committer.latestCommitAt = at;
+            committers.set(event.walletId, committer);
+        } else if (event.type === 'comment') {
+            breakdown.comment += weights.comment * factor;
+        } else if (event.type === 'view') {
+            views += factor;
+        }
+    });
+
+    // Withdrawing SOL committed before the window can't make the window's commit activity negative
+    breakdown.commit = Math.max(0, breakdown.commit);
+    committers.forEach(({ net, latestCommitAt }) => {
+        if (net > 0 && latestCommitAt !== null) breakdown.committer += weights.committer * decay(latestCommitAt, now, halfLifeMs);
+    });
+    breakdown.views = weights.views * Math.log10(1 + views);
+
+    const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+    return { score, breakdown };
+}
+
+/**
+ * Rank tokens from a flat event stream ([{ tokenId, type, at, ... }]).
+ * Returns [{ tokenId, score, breakdown }] for tokens with a positive score, highest first.
+ */
+function rankTokens(events, tokensById, options = {}) {
+    const eventsByToken = new Map();
+    events.forEach(event => {
+        if (!eventsByToken.has(event.tokenId)) eventsByToken.set(event.tokenId, []);
+        eventsByToken.get(event.tokenId).push(event);
+    });
+
+    const ranked = [];
+    eventsByToken.forEach((tokenEvents, tokenId) => {
+        const token = tokensById.get(tokenId);
+        if (!token) return;
+        const { score, breakdown } = scoreEvents(tokenEvents, token, options);
+        if (score > 0) ranked.push({ tokenId, score, breakdown });
+    });
+    return ranked.sort((a, b) => b.score - a.score || (a.tokenId < b.tokenId ? -1 : 1));
+}
+
+async function eventsSince(since) {
+    const [upvotes, trades, comments, views] = await Promise.all([
+        Upvote.find({ createdAt: { $gte: since } }).select('tokenId walletId createdAt').lean(),
+        Trade.find({ type: { $in: ['commit', 'withdraw'] }, createdAt: { $gte: since } }).select('tokenId walletId type solAmount createdAt').lean(),
+        Comment.find({ timestamp: { $gte: since }, deletedAt: null, hiddenAt: null }).select('tokenId user timestamp').lean(),
+        TokenView.find({ lastSeenAt: { $gte: since } }).select('tokenId lastSeenAt').lean(),
+    ]);
+    return [
+        ...upvotes.map(u => ({ tokenId: u.tokenId, type: 'upvote', at: u.createdAt, walletId: u.walletId })),
+        ...trades.map(t => ({ tokenId: t.tokenId, type: t.type, at: t.createdAt, walletId: t.walletId, amount: t.solAmount })),
+        ...comments.map(c => ({ tokenId: c.tokenId, type: 'comment', at: c.timestamp, walletId: c.user })),
+        ...views.map(v => ({ tokenId: v.tokenId, type: 'view', at: v.lastSeenAt })),
+    ];
+}
+
+/**
+ * Recompute and store the ranking of every window. Run by the scheduler.
+ */
+async function refreshTrending(now = new Date(), config = CONFIG) {
+    const windows = Object.keys(config.windows);
+    const longest = Math.max(...windows.map(name => config.windows[name].durationMs));
+    const events = await eventsSince(new Date(now.getTime() - longest));
+
+    const tokenIds = [...new Set(events.map(event => event.tokenId))];
+    // Hidden and delisted tokens drop out of the ranking
+    const tokens = await Token.find({ _id: { $in: tokenIds }, ...LISTED_FILTER }).select('solTarget').lean();
+    const tokensById = new Map(tokens.map(token => [token._id, token]));
+
+    for (const window of windows) {
+        const ranked = rankTokens(events, tokensById, { now, window, config }).slice(0, config.limit);
+        if (ranked.length) {
+            await TrendingScore.bulkWrite(ranked.map((entry, index) => ({
+                updateOne: {
+                    filter: { window, tokenId: entry.tokenId },
+                    update: { $set: { score: entry.score, rank: index + 1, breakdown: entry.breakdown, computedAt: now } },
+                    upsert: true,
+                },
+            })));
+        }
+        // Drop tokens that fell out of this window's ranking
+        await TrendingScore.deleteMany({ window, computedAt: { $ne: now } });
+    }
+}
+
+/**
+ * The stored ranking of a window, best first: [{ tokenId, score, rank, breakdown, computedAt }].
+ */
+async function getTrending(window = DEFAULT_WINDOW, { limit = 5 } = {}) {
+    return TrendingScore.find({ window }).sort({ rank: 1 }).limit(limit).lean();
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    CONFIG,
+    DEFAULT_WINDOW,
+    loadConfig,
+    scoreEvents,
+    rankTokens,
+    refreshTrending,
+    getTrending,
+};
@@ -0,0 +1,33 @@
+// lib/visibility.js
+//
+// Whether a token shows up publicly. Admins can hide a token, which keeps it
+// reachable by id but out of lists and trending, or delist it, which also
+// takes its page down and stops everything but withdrawals.
+
+const VISIBILITY = Object.freeze({
+    LISTED: 'listed',
+    HIDDEN: 'hidden',
+    DELISTED: 'delisted',
+});
+
+const UNLISTED = Object.freeze([VISIBILITY.HIDDEN, VISIBILITY.DELISTED]);
+
+// Query filter for tokens that belong in public lists (tokens created before
+// visibility existed have no field and count as listed)
+const LISTED_FILTER = Object.freeze({ visibility: { $nin: UNLISTED } });
+
+function isListed(token) {
+    return !UNLISTED.includes(token.visibility);
+}
+
+function isDelisted(token) {
+    return token.visibility === VISIBILITY.DELISTED;
+}
+
+module.exports = {
+    VISIBILITY,
+    UNLISTED,
+    LISTED_FILTER,
+    isListed,
+    isDelisted,
+};
@@ -0,0 +1,367 @@
+// lib/watchlists.js
+//
+// Per-wallet watchlists and the alerts they raise. Each watched token carries
+// its alert rules:
+//
+//   progressPercent  commit progress (collectiveSOL / solTarget) reaching N%, once
+//   migration        the token migrating to its bonding curve
+//   priceAbove       a migrated token's curve spot price rising to N SOL
+//   priceBelow       ... or falling to N SOL
+//   comments         a new comment by another wallet
+//
+// The rules are evaluated on the server as feed events (lib/events.js) come
+// in, and every alert that fires lands in the wallet's notification inbox.
+// Price alerts fire each time the price crosses the threshold; the progress
+// alert fires once, and again only after its threshold is changed.
+
+const mongoose = require('mongoose');
+const { Token, WatchlistEntry, Notification } = require('../models');
+const { EVENT_TYPES, subscribe } = require('./events');
+const { isDelisted } = require('./visibility');
+const { retryOnConflict } = require('./concurrency');
+const Pricing = require('../shared/pricing');
+
+const MAX_WATCHLIST_SIZE = parseInt(process.env.MAX_WATCHLIST_SIZE, 10) || 100;
+const MAX_NOTIFICATION_PAGE = 100;
+const ALERT_FIELDS = Object.freeze(['progressPercent', 'migration', 'priceAbove', 'priceBelow', 'comments']);
+const NOTIFICATION_TYPES = Object.freeze(Notification.schema.path('type').enumValues);
+
+class WatchlistError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WatchlistError';
+        this.status = status;
+    }
+}
+
+function progressOf(token) {
+    return token.solTarget > 0 ? (token.collectiveSOL / token.solTarget) * 100 : 0;
+}
+
+// Curve spot price of a migrated token; null before migration, when it has no market yet
+function priceOf(token) {
+    const migrated = token.status === 'bonding' || token.status === 'graduated';
+    return migrated ? Pricing.spotPrice(token, token.upvotes) : null;
+}
+
+function round(value, decimals = 9) {
+    return Number(value.toFixed(decimals));
+}
+
+/**
+ * Merge alert changes into the current rules. Numeric rules take a number or
+ * null (off); unspecified rules keep their value.
+ */
+function mergeAlerts(current, changes = {}) {
+    const alerts = { ...current };
+    ALERT_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) alerts[field] = changes[field];
+    });
+    if (alerts.progressPercent !== null && !(alerts.progressPercent > 0 && alerts.progressPercent <= 100)) {
+        throw new WatchlistError('progressPercent must be above 0 and at most 100.');
+    }
+    ['priceAbove', 'priceBelow'].forEach(field => {
+        if (alerts[field] !== null && !(alerts[field] > 0)) {
+            throw new WatchlistError(`${field} must be a positive price in SOL.`);
+        }
+    });
+    if (alerts.priceAbove !== null && alerts.priceBelow !== null && alerts.priceBelow >= alerts.priceAbove) {
+        throw new WatchlistError('priceBelow must be lower than priceAbove.');
+    }
+    return alerts;
+}
+
+function serializeEntry(entry, token) {
+    const price = token ? priceOf(token) : null;
+    return {
+        tokenId: entry.tokenId,
+        ticker: token ? token.ticker : null,
+        title: token ? token.title : null,
+        imageUrl: token ? token.thumbnailUrl || token.imageUrl : null,
+        status: token ? token.status : null,
+        progress: token ? round(progressOf(token), 2) : null,
+        price: price === null ? null : round(price),
+        alerts: {
+            progressPercent: entry.alerts.progressPercent,
+            migration: entry.alerts.migration,
+            priceAbove: entry.alerts.priceAbove,
+            priceBelow: entry.alerts.priceBelow,
+            comments: entry.alerts.comments,
+        },
+        progressAlerted: Boolean(entry.progressAlertedAt),
+        createdAt: entry.createdAt,
+    };
+}
+
+function serializeNotification(notification) {
+    return {
+        id: String(notification._id),
+        tokenId: notification.tokenId,
+        type: notification.type,
+        message: notification.message,
+        data: notification.data,
+        read: Boolean(notification.readAt),
+        createdAt: notification.createdAt,
+    };
+}
+
+/**
+ * A wallet's watched tokens, most recently added first. Tokens that have
+ * since been delisted are left out.
+ */
+async function listWatchlist(walletId) {
+    const entries = await WatchlistEntry.find({ walletId }).sort({ createdAt: -1 }).lean();
+    const tokens = await Token.find({ _id: { $in: entries.map(entry => entry.tokenId) } });
+    const tokensById = new Map(tokens.map(token => [token.id, token]));
+    return entries
+        .filter(entry => tokensById.has(entry.tokenId) && !isDelisted(tokensById.get(entry.tokenId)))
+        .map(entry => serializeEntry(entry, tokensById.get(entry.tokenId)));
+}
+
+/**
+ * Watch a token, or change the alert rules of one already watched. Rules
+ * start from the model defaults (migration on, the rest off). A progress
+ * threshold the token has already reached counts as alerted.
+ */
+async function watchToken(walletId, tokenId, changes = {}) {
+    const token = await Token.findById(tokenId);
+    if (!token || isDelisted(token)) {
+        throw new WatchlistError('Token not found.', 404);
+    }
+
+    let entry = await WatchlistEntry.findOne({ walletId, tokenId });
+    const created = !entry;
+    if (created) {
+        if (await WatchlistEntry.countDocuments({ walletId }) >= MAX_WATCHLIST_SIZE) {
+            throw new WatchlistError(`A watchlist holds at most ${MAX_WATCHLIST_SIZE} tokens; remove one first.`);
+        }
+        entry = new WatchlistEntry({ walletId, tokenId });
+    }
+
+    const previousThreshold = created ? null : entry.alerts.progressPercent;
+    entry.alerts = mergeAlerts(entry.toObject().alerts, changes);
+    if (created || entry.alerts.progressPercent !== previousThreshold) {
+        const reached = entry.alerts.progressPercent !== null && progressOf(token) >= entry.alerts.progressPercent;
+        entry.progressAlertedAt = reached ? new Date() : null;
+    }
+    entry.lastPrice = priceOf(token);
+
+    try {
+        await entry.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new WatchlistError('This token was just added to the watchlist; try again.', 409);
+        }
+        throw error;
+    }
+    return { entry: serializeEntry(entry, token), created };
+}
+
+async function unwatchToken(walletId, tokenId) {
+    const { deletedCount } = await WatchlistEntry.deleteOne({ walletId, tokenId });
+    if (!deletedCount) {
+        throw new WatchlistError('This token is not on the watchlist.', 404);
+    }
+}
+
+/**
+ * The alerts one event raises for one watchlist entry, as notification
+ * fields, plus the entry update that records what the rules saw.
+ */
+function alertsFor(entry, event) {
+    const { alerts } = entry;
+    const notifications = [];
+    const update = {};
+
+    if (event.type === EVENT_TYPES.COMMENT) {
+        const { comment } = event.payload;
+        if (alerts.comments && comment && comment.user !== entry.walletId && !comment.hidden) {
+            notifications.push({
+                type: 'comment',
+                message: `New comment on ${event.ticker}: "${comment.comment.slice(0, 80)}${comment.comment.length > 80 ? '…' : ''}"`,
+                data: { commentId: comment.id, user: comment.user },
+            });
+        }
+        return { notifications, update };
+    }
+
+    const { token } = event.payload;
+    if (!token) return { notifications, update };
+
+    if (event.type === EVENT_TYPES.MIGRATED && alerts.migration) {
+        notifications.push({
+            type: 'migrated',
+            message: `${token.ticker} migrated and is now trading on its bonding curve.`,
+            data: { status: token.status },
+        });
+    }
+
+    const progress = progressOf(token);
+    if (alerts.progressPercent !== null && !entry.progressAlertedAt && progress >= alerts.progressPercent) {
+        notifications.push({
+            type: 'progress',
+            message: `${token.ticker} reached ${round(progress, 1)}% of its ${token.solTarget} SOL target.`,
+            data: { progress: round(progress, 2), threshold: alerts.progressPercent },
+        });
+        update.progressAlertedAt = new Date();
+    }
+
+    const price = priceOf(token);
+    if (price !== null) {
+        const previous = entry.lastPrice;
+        if (previous !== null && alerts.priceAbove !== null && previous < alerts.priceAbove && price >= alerts.priceAbove) {
+            notifications.push({
+                type: 'price',
+                message: `${token.ticker} rose to ${round(price)} SOL, above your ${alerts.priceAbove} SOL alert.`,
+                data: { price: round(price), threshold: alerts.priceAbove, direction: 'above' },
+            });
+        }
+        if (previous !== null && alerts.priceBelow !== null && previous > alerts.priceBelow && price <= alerts.priceBelow) {
+            notifications.push({
+                type: 'price',
+                message: `${token.ticker} fell to ${round(price)} SOL, below your ${alerts.priceBelow} SOL alert.`,
+                data: { price: round(price), threshold: alerts.priceBelow, direction: 'below' },
+            });
+        }
+        if (price !== previous) update.lastPrice = price;
+    }
+    return { notifications, update };
+}
+
+/**
+ * Run the rules of one entry against the event and record what they saw. The
+ * write only lands while the entry still holds the lastPrice and progress
+ * state the rules were evaluated against; when a concurrent evaluation got
+ * there first, the rules run again on the fresh entry, so each crossing is
+ * alerted exactly once. Returns the notification fields to file.
+ */
+async function evaluateEntry(entry, event) {
+    let current = entry;
+    return retryOnConflict(async () => {
+        const { notifications, update } = alertsFor(current, event);
+        if (!Object.keys(update).length) return notifications;
+
+        const filter = { _id: current._id, lastPrice: current.lastPrice };
+        if (update.progressAlertedAt) filter.progressAlertedAt = null;
+        if (await WatchlistEntry.findOneAndUpdate(filter, { $set: update })) return notifications;
+
+        current = await WatchlistEntry.findById(current._id).lean();
+        return current ? null : []; // Unwatched meanwhile: nothing to alert
+    }, { message: `Watchlist entry ${entry._id} kept changing while its alerts were evaluated.` });
+}
+
+const EVALUATED_EVENTS = Object.freeze([
+    EVENT_TYPES.COMMIT,
+    EVENT_TYPES.UPVOTE,
+    EVENT_TYPES.TRADE,
+    EVENT_TYPES.MIGRATED,
+    EVENT_TYPES.COMMENT,
+]);
+
+/**
+ * Evaluate every watchlist entry of the event's token against it and file
+ * the alerts that fire, once per event however often it is evaluated.
+ * Returns the notifications created.
+ */
+async function evaluateEvent(event) {
+    if (!EVALUATED_EVENTS.includes(event.type) || !event.tokenId) return [];
+
+    const entries = await WatchlistEntry.find({ tokenId: event.tokenId }).lean();
+    if (!entries.length) return [];
+
+    let ticker = event.payload.token ? event.payload.token.ticker : null;
+    if (!ticker) {
+        const token = await Token.findById(event.tokenId).select('ticker').lean();
+        ticker = token ? token.ticker : event.tokenId;
+    }
+
+    const notifications = [];
+    for (const entry of entries) {
+        const raised = await evaluateEntry(entry, { ...event, ticker });
+        raised.forEach(notification => notifications.push({
+            walletId: entry.walletId,
+            tokenId: event.tokenId,
+            eventId: event.id,
+            ...notification,
+        }));
+    }
+
+    if (!notifications.length) return [];
+    try {
+        return await Notification.insertMany(notifications, { ordered: false });
+    } catch (error) {
+        // Another instance filed some of them first
+        if (error.code !== 11000) throw error;
+        return error.insertedDocs || [];
+    }
+}
+
+/**
+ * A wallet's notifications, newest first, with its unread count.
+ */
+async function listNotifications(walletId, { unread = false, limit = 20, cursor = null } = {}) {
+    const filter = { walletId };
+    if (unread) filter.readAt = null;
+    if (cursor) filter._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+
+    const pageSize = Math.min(limit, MAX_NOTIFICATION_PAGE);
+    const [notifications, unreadCount] = await Promise.all([
+        Notification.find(filter).sort({ _id: -1 }).limit(pageSize + 1).lean(),
+        Notification.countDocuments({ walletId, readAt: null }),
+    ]);
+    const page = notifications.slice(0, pageSize);
+    return {
+        notifications: page.map(serializeNotification),
+        unreadCount,
+        nextCursor: notifications.length > pageSize ? String(page[page.length - 1]._id) : null,
+    };
+}
+
+/**
+ * Mark the given notifications, or all of them when `ids` is omitted, as read.
+ */
+async function markNotificationsRead(walletId, ids = null) {
+    const filter = { walletId, readAt: null };
+    if (ids) filter._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)) };
+    const { modifiedCount } = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    return {
+        marked: modifiedCount,
+        unreadCount: await Notification.countDocuments({ walletId, readAt: null }),
+    };
+}
+
+// The last evaluation queued for each token; a token's events are evaluated one after another, in feed order,
+// so an older price never lands after a newer one
+const evaluations = new Map();
+
+function evaluateInOrder(event) {
+    const key = event.tokenId || '';
+    const evaluation = (evaluations.get(key) || Promise.resolve())
+        .then(() => evaluateEvent(event))
+        .catch(error => {
+            console.error(`Watchlists - Error evaluating alerts for ${event.type} event ${event.id}:`, error);
+        })
+        .finally(() => {
+            if (evaluations.get(key) === evaluation) evaluations.delete(key);
+        });
+    evaluations.set(key, evaluation);
+    return evaluation;
+}
+
+// Evaluate alert rules on every feed event from now on; returns the unsubscribe function
+function startWatchlistAlerts() {
+    return subscribe(evaluateInOrder);
+}
+
+module.exports = {
+    MAX_WATCHLIST_SIZE,
+    NOTIFICATION_TYPES,
+    WatchlistError,
+    listWatchlist,
+    watchToken,
+    unwatchToken,
+    evaluateEvent,
+    listNotifications,
+    markNotificationsRead,
+    startWatchlistAlerts,
+};
@@ -0,0 +1,521 @@
+// lib/webhooks.js
+//
+// Outbound webhooks. Any signed-in wallet registers endpoints with the event
+// types it wants and a shared secret, and manages only the endpoints it owns;
+// admins manage every endpoint. Every matching feed event (lib/events.js) is
+// queued as one WebhookDelivery per endpoint and POSTed as JSON:
+//
+//   { id, type, createdAt, tokenId, data }
+//
+// with the headers
+//   X-Webhook-Id         the event id, stable across retries
+//   X-Webhook-Event      the event type
+//   X-Webhook-Timestamp  Unix seconds when this attempt was signed
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>
+//
+// Any 2xx answer delivers it. Otherwise it is retried with exponential backoff
+// (WEBHOOK_RETRY_BASE_MS doubling per attempt) until WEBHOOK_MAX_ATTEMPTS,
+// then it becomes a dead letter until its owner or an admin redelivers it. Deliveries are
+// claimed with a lease, so several server processes never send one twice.
+//
+// Endpoint URLs must resolve to public addresses, both when they are registered
+// and before every attempt, so webhooks can't be aimed at this server's own
+// network. WEBHOOK_ALLOWED_PRIVATE_HOSTS lists hostnames exempt from that check,
+// for receivers deliberately run on a private network.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const mongoose = require('mongoose');
+const { WebhookEndpoint, WebhookDelivery } = require('../models');
+const { EVENT_TYPES, subscribe } = require('./events');
+const { STATES } = require('./lifecycle');
+const { isAdminWallet } = require('./auth');
+
+const WEBHOOK_EVENTS = Object.freeze({
+    TOKEN_CREATED: 'token.created',
+    COMMIT: 'token.commit',
+    TARGET_REACHED: 'token.target_reached',
+    MIGRATED: 'token.migrated',
+    TRADE: 'token.trade',
+    COMMENT: 'token.comment',
+});
+const PING_EVENT = 'webhook.ping'; // Sent on demand to check an endpoint; never subscribed to
+const DELIVERY_STATUSES = Object.freeze(WebhookDelivery.schema.path('status').enumValues);
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const LEASE_MS = TIMEOUT_MS + 30 * 1000;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const MAX_LOG_ENTRIES = 50;
+const MAX_DELIVERY_PAGE = 200;
+const MAX_URL_LENGTH = 2000;
+const MAX_ENDPOINTS_PER_WALLET = parseInt(process.env.WEBHOOK_MAX_ENDPOINTS_PER_WALLET, 10) || 10;
+const ALLOWED_PRIVATE_HOSTS = (process.env.WEBHOOK_ALLOWED_PRIVATE_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Loopback, private, link-local, unique-local and other addresses that aren't on the public internet;
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+class WebhookError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+    }
+}
+
+// The webhook event type a feed event is delivered as, or null when no webhook covers it
+function webhookEventFor(event) {
+    switch (event.type) {
+    case EVENT_TYPES.TOKEN_CREATED:
+        return WEBHOOK_EVENTS.TOKEN_CREATED;
+    case EVENT_TYPES.COMMIT:
+        return WEBHOOK_EVENTS.COMMIT;
+    case EVENT_TYPES.STATUS_CHANGED:
+        return event.payload.to === STATES.TARGET_REACHED ? WEBHOOK_EVENTS.TARGET_REACHED : null;
+    case EVENT_TYPES.MIGRATED:
+        return WEBHOOK_EVENTS.MIGRATED;
+    case EVENT_TYPES.TRADE:
+        return WEBHOOK_EVENTS.TRADE;
+    case EVENT_TYPES.COMMENT:
+        return WEBHOOK_EVENTS.COMMENT;
+    default:
+        return null;
+    }
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * For receivers: whether `signature` signs `body` (the raw request body) at
+ * `timestamp`, and the timestamp is recent enough not to be a replay.
+ */
+function verifySignature(secret, { timestamp, signature }, body, { now = new Date() } = {}) {
+    const seconds = Number(timestamp);
+    if (!secret || !signature || !Number.isInteger(seconds)) return false;
+    if (Math.abs(now.getTime() / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) return false;
+    const expected = Buffer.from(signPayload(secret, seconds, body));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+function normalizeUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch (error) {
+        throw new WebhookError('Endpoint URL must be an absolute http(s) URL.');
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+        throw new WebhookError('Endpoint URL must be an http(s) URL without credentials.');
+    }
+    if (url.href.length > MAX_URL_LENGTH) {
+        throw new WebhookError(`Endpoint URL may be at most ${MAX_URL_LENGTH} characters.`);
+    }
+    return url.href;
+}
+
+/**
+ * Throw unless every address `url` resolves to is public, or its host is in
+ * WEBHOOK_ALLOWED_PRIVATE_HOSTS. Returns the URL.
+ */
+async function assertPublicUrl(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (ALLOWED_PRIVATE_HOSTS.includes(host)) return url;
+
+    let addresses;
+    try {
+        addresses = net.isIP(host)
+            ? [{ address: host, family: net.isIP(host) }]
+            : await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw new WebhookError(`Endpoint host ${host} could not be resolved.`);
+    }
+    if (addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+        throw new WebhookError('Endpoint URL must point to a public host, not a loopback or private address.');
+    }
+    return url;
+}
+
+function normalizeEvents(events) {
+    const known = Object.values(WEBHOOK_EVENTS);
+    const unique = [...new Set(events || [])];
+    const unknown = unique.filter(event => !known.includes(event));
+    if (!unique.length || unknown.length) {
+        throw new WebhookError(`Subscribe to at least one of ${known.join(', ')}.`);
+    }
+    return unique;
+}
+
+function serializeEndpoint(endpoint) {
+    return {
+        id: String(endpoint._id),
+        url: endpoint.url,
+        events: endpoint.events,
+        description: endpoint.description,
+        active: endpoint.active,
+        secretHint: `…${endpoint.secret.slice(-4)}`,
+        createdBy: endpoint.createdBy,
+        createdAt: endpoint.createdAt,
+        updatedAt: endpoint.updatedAt,
+    };
+}
+
+function serializeDelivery(delivery, { detail = false } = {}) {
+    const log = delivery.log || [];
+    const serialized = {
+        id: String(delivery._id),
+        endpointId: String(delivery.endpointId),
+        eventId: delivery.eventId,
+        eventType: delivery.eventType,
+        tokenId: delivery.tokenId,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+        deliveredAt: delivery.deliveredAt,
+        lastAttempt: log.length ? log[log.length - 1] : null,
+        createdAt: delivery.createdAt,
+    };
+    if (detail) {
+        serialized.payload = delivery.payload;
+        serialized.log = log;
+    }
+    return serialized;
+}
+
+// Admins see every endpoint; any other wallet only the ones it registered
+function ownedBy(walletId) {
+    return isAdminWallet(walletId) ? {} : { createdBy: walletId };
+}
+
+// Another wallet's endpoint is reported missing rather than forbidden, so its existence doesn't leak
+async function findEndpoint(endpointId, actor) {
+    const endpoint = mongoose.isValidObjectId(endpointId)
+        ? await WebhookEndpoint.findOne({ _id: endpointId, ...ownedBy(actor) })
+        : null;
+    if (!endpoint) {
+        throw new WebhookError('Webhook endpoint not found.', 404);
+    }
+    return endpoint;
+}
+
+async function listEndpoints(actor) {
+    const endpoints = await WebhookEndpoint.find(ownedBy(actor)).sort({ createdAt: -1 });
+    return endpoints.map(serializeEndpoint);
+}
+
+async function getEndpoint(endpointId, actor) {
+    return serializeEndpoint(await findEndpoint(endpointId, actor));
+}
+
+/**
+ * Register an endpoint owned by `actor`. The secret is generated unless one
+ * is given, and is only returned here: store it to verify signatures. Wallets
+ * other than admins may own at most MAX_ENDPOINTS_PER_WALLET endpoints.
+ */
+async function createEndpoint({ url, events, secret = null, description = '' }, actor) {
+    const endpointUrl = await assertPublicUrl(normalizeUrl(url));
+    if (!isAdminWallet(actor) && await WebhookEndpoint.countDocuments({ createdBy: actor }) >= MAX_ENDPOINTS_PER_WALLET) {
+        throw new WebhookError(`A wallet may register at most ${MAX_ENDPOINTS_PER_WALLET} webhook endpoints.`, 409);
+    }
+    const endpoint = await WebhookEndpoint.create({
+        url: endpointUrl,
+        events: normalizeEvents(events),
+        secret: secret || generateSecret(),
+        description: description || '',
+        createdBy: actor,
+    });
+    console.log(`Webhooks - ${actor} registered endpoint ${endpoint.id} for ${endpoint.events.join(', ')}.`);
+    return { endpoint: serializeEndpoint(endpoint), secret: endpoint.secret };
+}
+
+/**
+ * Change an endpoint's URL, events, description, active flag or secret.
+ * `rotateSecret: true` replaces the secret with a generated one, returned once.
+ */
+async function updateEndpoint(endpointId, changes, actor) {
+    const endpoint = await findEndpoint(endpointId, actor);
+    if (changes.url !== undefined) endpoint.url = await assertPublicUrl(normalizeUrl(changes.url));
+    if (changes.events !== undefined) endpoint.events = normalizeEvents(changes.events);
+    if (changes.description !== undefined) endpoint.description = changes.description || '';
+    if (changes.active !== undefined) endpoint.active = changes.active;
+    const newSecret = changes.rotateSecret ? generateSecret() : changes.secret;
+    if (newSecret) endpoint.secret = newSecret;
+    await endpoint.save();
+    console.log(`Webhooks - ${actor} updated endpoint ${endpoint.id}.`);
+    return { endpoint: serializeEndpoint(endpoint), secret: changes.rotateSecret ? newSecret : null };
+}
+
+// Remove an endpoint with its delivery log
+async function deleteEndpoint(endpointId, actor) {
+    const endpoint = await findEndpoint(endpointId, actor);
+    await WebhookDelivery.deleteMany({ endpointId: endpoint._id });
+    await endpoint.deleteOne();
+    console.log(`Webhooks - ${actor} deleted endpoint ${endpoint.id}.`);
+}
+
+/**
+ * POST one delivery and record the attempt. The caller holds its lease.
+ * Deliveries to a deleted or disabled endpoint become dead letters, unless
+ * `allowInactive` (pings) sends to a disabled one anyway.
+ */
+async function sendDelivery(delivery, now = new Date(), { allowInactive = false } = {}) {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId);
+    const reachable = Boolean(endpoint && (endpoint.active || allowInactive));
+    const attempt = { at: now, statusCode: null, error: null, durationMs: 0 };
+
+    if (!reachable) {
+        attempt.error = endpoint ? 'Endpoint is disabled.' : 'Endpoint was deleted.';
+    } else {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(now.getTime() / 1000);
+        const started = Date.now();
+        try {
+            // The host may resolve elsewhere now than when the endpoint was registered
+            await assertPublicUrl(endpoint.url);
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                redirect: 'manual',
+                signal: AbortSignal.timeout(TIMEOUT_MS),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'CyrusPreBond-Webhooks/1.0',
+                    'X-Webhook-Id': delivery.eventId,
+                    'X-Webhook-Event': delivery.eventType,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, body),
+                },
+                body,
+            });
+            attempt.statusCode = response.status;
+            if (!response.ok) attempt.error = `Receiver answered HTTP ${response.status}.`;
+            await response.body?.cancel();
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError' ? `No answer within ${TIMEOUT_MS}ms.` : error.message;
+        }
+        attempt.durationMs = Date.now() - started;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const update = { attempts, lockedUntil: null };
+    if (!attempt.error) {
+        update.status = 'succeeded';
+        update.deliveredAt = now;
+    } else if (attempts >= MAX_ATTEMPTS || !reachable) {
+        update.status = 'dead';
+        console.error(`Webhooks - Delivery ${delivery.id} of ${delivery.eventType} is a dead letter after ${attempts} attempt(s): ${attempt.error}`);
+    } else {
+        update.nextAttemptAt = new Date(now.getTime() + retryDelay(attempts));
+    }
+
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+        $set: update,
+        $push: { log: { $each: [attempt], $slice: -MAX_LOG_ENTRIES } },
+    }, { new: true });
+}
+
+function claimFilter(now) {
+    return {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+    };
+}
+
+/**
+ * Scheduler task: send every delivery that is due, oldest first, up to `limit`.
+ */
+async function deliverDue(now = new Date(), { limit = 100 } = {}) {
+    let sent = 0;
+    while (sent < limit) {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            claimFilter(now),
+            { $set: { lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) break;
+        await sendDelivery(delivery);
+        sent += 1;
+    }
+    return sent;
+}
+
+// Send right away whatever is due, without waiting for the scheduler; runs never overlap
+let draining = null;
+let drainAgain = false;
+function drain() {
+    if (draining) {
+        drainAgain = true;
+        return draining;
+    }
+    draining = (async () => {
+        do {
+            drainAgain = false;
+            await deliverDue();
+        } while (drainAgain);
+    })()
+        .catch(error => console.error('Webhooks - Delivery run failed:', error))
+        .finally(() => {
+            draining = null;
+        });
+    return draining;
+}
+
+function buildPayload(eventId, type, { tokenId = null, timestamp = new Date(), data = {} }) {
+    return { id: eventId, type, createdAt: timestamp, tokenId, data };
+}
+
+/**
+ * Queue a feed event for every active endpoint subscribed to its webhook type.
+ * Queuing the same event twice is a no-op.
+ */
+async function enqueueEvent(event) {
+    const type = webhookEventFor(event);
+    if (!type) return 0;
+
+    const endpoints = await WebhookEndpoint.find({ active: true, events: type }).select('_id').lean();
+    if (!endpoints.length) return 0;
+
+    const eventId = `evt_${event.id}`;
+    const payload = buildPayload(eventId, type, { tokenId: event.tokenId, timestamp: event.timestamp, data: event.payload });
+    try {
+        await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+            endpointId: endpoint._id,
+            eventId,
+            eventType: type,
+            tokenId: event.tokenId,
+            payload,
+        })), { ordered: false });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+    drain();
+    return endpoints.length;
+}
+
+// Send a webhook.ping to the endpoint now, active or not, and return the delivery
+async function pingEndpoint(endpointId, actor) {
+    const endpoint = await findEndpoint(endpointId, actor);
+    const eventId = `ping_${crypto.randomBytes(8).toString('hex')}`;
+    const now = new Date();
+    const delivery = await WebhookDelivery.create({
+        endpointId: endpoint._id,
+        eventId,
+        eventType: PING_EVENT,
+        payload: buildPayload(eventId, PING_EVENT, { timestamp: now, data: { endpointId: endpoint.id, requestedBy: actor } }),
+        status: 'pending',
+        attempts: MAX_ATTEMPTS - 1, // A ping is sent once, never retried
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+    });
+    // A ping is how an owner checks a disabled endpoint before enabling it
+    return serializeDelivery(await sendDelivery(delivery, now, { allowInactive: true }), { detail: true });
+}
+
+// The delivery log of the endpoints `actor` may see
+async function listDeliveries(actor, { endpointId = null, status = null, eventType = null, limit = 50, cursor = null } = {}) {
+    const filter = {};
+    if (endpointId) {
+        filter.endpointId = (await findEndpoint(endpointId, actor))._id;
+    } else if (!isAdminWallet(actor)) {
+        filter.endpointId = { $in: await WebhookEndpoint.find(ownedBy(actor)).distinct('_id') };
+    }
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+    if (cursor) filter._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+
+    const pageSize = Math.min(limit, MAX_DELIVERY_PAGE);
+    const deliveries = await WebhookDelivery.find(filter).select('-payload').sort({ _id: -1 }).limit(pageSize + 1).lean();
+    const page = deliveries.slice(0, pageSize);
+    return {
+        deliveries: page.map(delivery => serializeDelivery(delivery)),
+        nextCursor: deliveries.length > pageSize ? String(page[page.length - 1]._id) : null,
+    };
+}
+
+async function findDelivery(deliveryId, actor) {
+    const delivery = mongoose.isValidObjectId(deliveryId) ? await WebhookDelivery.findById(deliveryId) : null;
+    const visible = delivery && (isAdminWallet(actor) || await WebhookEndpoint.exists({ _id: delivery.endpointId, createdBy: actor }));
+    if (!visible) {
+        throw new WebhookError('Webhook delivery not found.', 404);
+    }
+    return delivery;
+}
+
+async function getDelivery(deliveryId, actor) {
+    return serializeDelivery(await findDelivery(deliveryId, actor), { detail: true });
+}
+
+/**
+ * Send a delivery again now, whatever its status, with a fresh retry budget.
+ * Answers 409 while another process is sending it.
+ */
+async function redeliver(deliveryId, actor, now = new Date()) {
+    const delivery = await findDelivery(deliveryId, actor);
+    const claimed = await WebhookDelivery.findOneAndUpdate(
+        { _id: delivery._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: now, deliveredAt: null, lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new WebhookError('This delivery is being sent right now; try again shortly.', 409);
+    }
+    console.log(`Webhooks - ${actor} redelivering ${claimed.eventType} delivery ${claimed.id}.`);
+    return serializeDelivery(await sendDelivery(claimed, now), { detail: true });
+}
+
+// Queue every matching feed event from now on; returns the unsubscribe function
+function startWebhooks() {
+    return subscribe(event => {
+        enqueueEvent(event).catch(error => {
+            console.error(`Webhooks - Error queuing ${event.type} event ${event.id}:`, error);
+        });
+    });
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    PING_EVENT,
+    DELIVERY_STATUSES,
+    MAX_ATTEMPTS,
+    MAX_ENDPOINTS_PER_WALLET,
+    WebhookError,
+    webhookEventFor,
+    signPayload,
+    verifySignature,
+    retryDelay,
+    listEndpoints,
+    getEndpoint,
+    createEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    pingEndpoint,
+    enqueueEvent,
+    deliverDue,
+    listDeliveries,
+    getDelivery,
+    redeliver,
+    startWebhooks,
+};
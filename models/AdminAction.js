@@ -0,0 +1,41 @@
+// models/AdminAction.js
+
+const mongoose = require('mongoose');
+
+// Audit log of admin actions; append-only, so updates and deletes are refused
+const adminActionSchema = new mongoose.Schema({
+    actor: { type: String, required: true }, // Admin wallet
+    action: { type: String, required: true }, // e.g. 'token.visibility', 'wallet.ban'
+    targetType: { type: String, enum: ['token', 'wallet'], required: true },
+    targetId: { type: String, required: true },
+    reason: { type: String, default: null },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+adminActionSchema.index({ createdAt: -1, _id: -1 });
+adminActionSchema.index({ targetId: 1, createdAt: -1 });
+adminActionSchema.index({ actor: 1, createdAt: -1 });
+
+function refuseChange(next) {
+    next(new Error('Admin audit log entries are immutable.'));
+}
+
+adminActionSchema.pre('save', function rejectResave(next) {
+    if (!this.isNew) return refuseChange(next);
+    next();
+});
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+].forEach(operation => adminActionSchema.pre(operation, { document: false, query: true }, refuseChange));
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
@@ -0,0 +1,34 @@
+// models/Allocation.js
+
+const mongoose = require('mongoose');
+
+// One claim: tokens moved from the allocation to the wallet
+const claimSchema = new mongoose.Schema({
+    claimId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    signature: { type: String, default: null }, // Set once the adapter confirms the transfer
+    createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A wallet's share of a migrated token's launch supply, recorded when the
+// migration starts. Tokens vest from vestingStartAt: nothing before cliffAt,
+// then linearly until vestingEndsAt (everything at once when they are equal).
+const allocationSchema = new mongoose.Schema({
+    tokenId: { type: String, ref: 'Token', required: true },
+    walletId: { type: String, required: true },
+    role: { type: String, enum: ['committer', 'creator'], required: true },
+    committedSOL: { type: Number, default: 0 }, // The commitment the share was computed from
+    amount: { type: Number, required: true }, // Tokens allocated
+    claimed: { type: Number, default: 0 },
+    vestingStartAt: { type: Date, required: true },
+    cliffAt: { type: Date, required: true },
+    vestingEndsAt: { type: Date, required: true },
+    claims: { type: [claimSchema], default: [] },
+}, {
+    timestamps: true,
+});
+
+allocationSchema.index({ tokenId: 1, walletId: 1, role: 1 }, { unique: true });
+allocationSchema.index({ walletId: 1 });
+
+module.exports = mongoose.model('Allocation', allocationSchema);
@@ -0,0 +1,15 @@
+// models/AllowlistEntry.js
+
+const mongoose = require('mongoose');
+
+// A wallet the token's creator allowed to commit during the whitelist phase
+const allowlistEntrySchema = new mongoose.Schema({
+    tokenId: { type: String, ref: 'Token', required: true },
+    walletId: { type: String, required: true },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+allowlistEntrySchema.index({ tokenId: 1, walletId: 1 }, { unique: true });
+
+module.exports = mongoose.model('AllowlistEntry', allowlistEntrySchema);
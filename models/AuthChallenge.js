@@ -0,0 +1,19 @@
+// models/AuthChallenge.js
+
+const mongoose = require('mongoose');
+
+// A single-use nonce a wallet must sign to open a session
+const authChallengeSchema = new mongoose.Schema({
+    walletId: { type: String, required: true },
+    nonce: { type: String, required: true, unique: true },
+    message: { type: String, required: true },
+    used: { type: Boolean, default: false },
+    expiresAt: { type: Date, required: true },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Let MongoDB drop expired challenges
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthChallenge', authChallengeSchema);
@@ -0,0 +1,16 @@
+// models/Balance.js
+
+const mongoose = require('mongoose');
+
+// Running balance of one asset in one ledger account, kept in step with LedgerEntry
+const balanceSchema = new mongoose.Schema({
+    account: { type: String, required: true },
+    asset: { type: String, required: true },
+    amount: { type: Number, default: 0 },
+}, {
+    timestamps: true,
+});
+
+balanceSchema.index({ account: 1, asset: 1 }, { unique: true });
+
+module.exports = mongoose.model('Balance', balanceSchema);
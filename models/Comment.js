@@ -0,0 +1,24 @@
+// models/Comment.js
+
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+    tokenId: { type: String, ref: 'Token', required: true },
+    user: { type: String, required: true }, // Author's wallet
+    comment: { type: String, required: true },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null }, // Comment replied to; null for top-level
+    rootId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null }, // Top-level comment of the thread; null for top-level
+    editedAt: { type: Date, default: null },
+    deletedAt: { type: Date, default: null }, // Deleted by the author; kept so replies keep their thread
+    hiddenAt: { type: Date, default: null }, // Hidden by a moderator
+    hiddenBy: { type: String, default: null },
+    pinnedAt: { type: Date, default: null }, // Pinned to the top of the token's comments
+    timestamp: { type: Date, default: Date.now },
+});
+
+commentSchema.index({ tokenId: 1, timestamp: 1 });
+commentSchema.index({ tokenId: 1, rootId: 1, _id: -1 });
+commentSchema.index({ rootId: 1, _id: 1 });
+commentSchema.index({ user: 1, timestamp: -1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,17 @@
+// models/Commitment.js
+
+const mongoose = require('mongoose');
+
+const commitmentSchema = new mongoose.Schema({
+    tokenId: { type: String, ref: 'Token', required: true },
+    walletId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    refundedAt: { type: Date, default: null }, // Set when the token failed and the SOL went back to the wallet
+}, {
+    timestamps: true,
+});
+
+// One commitment per wallet per token
+commitmentSchema.index({ tokenId: 1, walletId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Commitment', commitmentSchema);
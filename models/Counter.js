@@ -0,0 +1,20 @@
+// models/Counter.js
+
+const mongoose = require('mongoose');
+
+// Named monotonically increasing sequences
+const counterSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+});
+
+counterSchema.statics.next = async function next(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,19 @@
+// models/Event.js
+
+const mongoose = require('mongoose');
+
+const EVENT_RETENTION_SECONDS = parseFloat(process.env.EVENT_RETENTION_HOURS || '24') * 60 * 60;
+
+// Broadcast feed events, kept for a while so reconnecting clients can replay what they missed
+const eventSchema = new mongoose.Schema({
+    seq: { type: Number, required: true, unique: true },
+    type: { type: String, required: true },
+    tokenId: { type: String, default: null },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+eventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_SECONDS });
+
+module.exports = mongoose.model('Event', eventSchema);
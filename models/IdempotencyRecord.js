@@ -0,0 +1,27 @@
+// models/IdempotencyRecord.js
+
+const mongoose = require('mongoose');
+
+const IDEMPOTENCY_KEY_TTL_SECONDS = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24') * 60 * 60;
+
+// A mutating request sent with an Idempotency-Key, and once it has run, the
+// response to replay when the same key comes again. Keys are scoped to the
+// wallet that sent them; see lib/idempotency.js.
+const idempotencyRecordSchema = new mongoose.Schema({
+    scope: { type: String, required: true }, // Wallet ID, or 'anonymous' without a session
+    key: { type: String, required: true },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    requestHash: { type: String, required: true }, // The same key must come with the same request
+    status: { type: String, enum: ['in-progress', 'completed'], default: 'in-progress' },
+    lockedUntil: { type: Date, default: null }, // Lease held by the instance running the request
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: String, default: null }, // JSON, as the route sent it
+}, {
+    timestamps: true,
+});
+
+idempotencyRecordSchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: IDEMPOTENCY_KEY_TTL_SECONDS });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
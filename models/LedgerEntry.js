@@ -0,0 +1,23 @@
+// models/LedgerEntry.js
+
+const mongoose = require('mongoose');
+
+// One leg of a ledger transaction. The legs sharing a txId sum to zero per asset.
+const ledgerEntrySchema = new mongoose.Schema({
+    txId: { type: String, required: true },
+    type: { type: String, required: true }, // airdrop, commit, buy, sell
+    account: { type: String, required: true },
+    asset: { type: String, required: true }, // 'SOL' or a token id
+    amount: { type: Number, required: true }, // Signed: positive credits, negative debits
+    tokenId: { type: String, default: null },
+    walletId: { type: String, default: null },
+    memo: { type: String, default: null },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ txId: 1 });
+ledgerEntrySchema.index({ type: 1, createdAt: -1 }); // Leaderboards
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
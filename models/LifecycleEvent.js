@@ -0,0 +1,19 @@
+// models/LifecycleEvent.js
+
+const mongoose = require('mongoose');
+
+// Audit log of token lifecycle transitions; written once, never updated
+const lifecycleEventSchema = new mongoose.Schema({
+    tokenId: { type: String, ref: 'Token', required: true },
+    from: { type: String, default: null }, // null for the initial state
+    to: { type: String, required: true },
+    actor: { type: String, default: 'system' }, // 'system' or the wallet that triggered it
+    reason: { type: String, default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+lifecycleEventSchema.index({ tokenId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('LifecycleEvent', lifecycleEventSchema);
@@ -0,0 +1,31 @@
+// models/Migration.js
+
+const mongoose = require('mongoose');
+
+// One migration per token. Each completed step is stored as it finishes, so a
+// retried attempt resumes after the last step that succeeded. Allocations to
+// wallets are recorded separately (models/Allocation.js) and claimed later.
+const migrationSchema = new mongoose.Schema({
+    tokenId: { type: String, ref: 'Token', required: true, unique: true },
+    idempotencyKey: { type: String, required: true, unique: true },
+    adapter: { type: String, required: true },
+    status: { type: String, enum: ['pending', 'running', 'succeeded', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null }, // Lease held by the process running the migration
+    leaseId: { type: String, default: null }, // Identifies the lease holder; every write of a run is conditional on it
+    solAmount: { type: Number, required: true }, // SOL seeded into the pool
+    poolTokenAmount: { type: Number, required: true }, // Tokens seeded into the pool
+    mintAddress: { type: String, default: null },
+    mintSignature: { type: String, default: null },
+    poolAddress: { type: String, default: null },
+    poolSignature: { type: String, default: null },
+    settledAt: { type: Date, default: null }, // When the result was mirrored into the ledger
+    lastError: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+}, {
+    timestamps: true,
+});
+
+migrationSchema.index({ status: 1, lockedUntil: 1 });
+
+module.exports = mongoose.model('Migration', migrationSchema);
@@ -0,0 +1,26 @@
+// models/Notification.js
+
+const mongoose = require('mongoose');
+
+const NOTIFICATION_RETENTION_SECONDS = parseFloat(process.env.NOTIFICATION_RETENTION_DAYS || '30') * 24 * 60 * 60;
+
+// An entry in a wallet's in-app inbox, raised by a watchlist alert
+const notificationSchema = new mongoose.Schema({
+    walletId: { type: String, required: true },
+    tokenId: { type: String, ref: 'Token', required: true },
+    type: { type: String, enum: ['progress', 'migrated', 'price', 'comment'], required: true },
+    message: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    readAt: { type: Date, default: null },
+    eventId: { type: Number, default: null }, // Feed event that raised it; each instance's feed evaluates every event
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+notificationSchema.index({ walletId: 1, _id: -1 });
+notificationSchema.index({ walletId: 1, readAt: 1 });
+// One alert of each type per wallet and event, however many instances evaluate it
+notificationSchema.index({ walletId: 1, eventId: 1, type: 1 }, { unique: true, partialFilterExpression: { eventId: { $type: 'number' } } });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_SECONDS });
+
+module.exports = mongoose.model('Notification', notificationSchema);
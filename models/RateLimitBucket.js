@@ -0,0 +1,16 @@
+// models/RateLimitBucket.js
+
+const mongoose = require('mongoose');
+
+// How many times a wallet did something rate limited in one fixed window,
+// e.g. comments posted. The _id names the action, the wallet and the window's
+// start, so every instance counts into the same document.
+const rateLimitBucketSchema = new mongoose.Schema({
+    _id: { type: String, required: true }, // '<action>:<walletId>:<window start ms>'
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }, // End of the window; removed after
+});
+
+rateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
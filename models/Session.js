@@ -0,0 +1,16 @@
+// models/Session.js
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true }, // sha256 of the bearer token
+    walletId: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+sessionSchema.index({ walletId: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,98 @@
+// models/Token.js
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const tokenSchema = new mongoose.Schema({
+    _id: { type: String, default: uuidv4 },
+    title: { type: String, required: true, trim: true },
+    creatorWallet: { type: String, default: null }, // Wallet that created the token; null for seeded tokens
+    ticker: { type: String, required: true, uppercase: true, trim: true, unique: true },
+    description: { type: String, required: true },
+    imageUrl: { type: String, required: true }, // Full-size image URL
+    thumbnailUrl: { type: String, default: null }, // Falls back to imageUrl when null
+    upvotes: { type: Number, default: 0 }, // Represents the current supply
+    views: { type: Number, default: 0 },
+    curveType: { // Curve family; see shared/pricing.js
+        type: String,
+        enum: ['power', 'linear', 'exponential', 'sigmoid', 'constant-product'],
+        default: 'power',
+    },
+    curveA: { type: Number, required: function () { return this.curveType === 'power'; }, default: null },
+    curveB: { type: Number, required: function () { return this.curveType === 'power'; }, default: null },
+    curveParams: { type: mongoose.Schema.Types.Mixed, default: null }, // Parameters of every family but power
+    solTarget: { type: Number, default: 0 },
+    collectiveSOL: { type: Number, default: 0 },
+    status: { // Lifecycle stage; see lib/lifecycle.js for the allowed transitions
+        type: String,
+        enum: ['draft', 'pre-bond', 'target-reached', 'migrating', 'bonding', 'graduated', 'failed'],
+        default: 'pre-bond',
+    },
+    statusChangedAt: { type: Date, default: Date.now },
+    lastActivityAt: { type: Date, default: Date.now }, // Last commit, withdrawal, upvote, comment or trade
+    commitDeadline: { type: Date, default: null }, // End of the commitment window; null means no deadline
+    failedAt: { type: Date, default: null },
+    refundsCompletedAt: { type: Date, default: null }, // Set once every commitment of a failed token is refunded
+    visibility: { // Set by admins; see lib/visibility.js
+        type: String,
+        enum: ['listed', 'hidden', 'delisted'],
+        default: 'listed',
+    },
+    frozenActions: { type: [String], enum: ['commit', 'upvote', 'trade'], default: [] }, // Actions admins have frozen
+    commitPolicy: { // Set by the creator; see lib/commitPolicy.js
+        minPerWallet: { type: Number, default: 0.1 }, // Smallest first commit
+        maxPerWallet: { type: Number, default: 2 }, // Cap on a wallet's total, top-ups included; null for none
+        hardCap: { type: String, enum: ['none', 'stop', 'refund'], default: 'none' }, // What happens past solTarget
+        whitelistEndsAt: { type: Date, default: null }, // Only allowlisted wallets commit until then; null for public from the start
+    },
+    allocationPolicy: { // Set by the creator; see lib/allocations.js
+        creatorBps: { type: Number, default: 0 }, // Share of the launch supply kept for the creator
+        creatorCliffDays: { type: Number, default: 0 },
+        creatorVestingDays: { type: Number, default: 0 },
+        committerCliffDays: { type: Number, default: 0 },
+        committerVestingDays: { type: Number, default: 0 },
+    },
+    twitterLink: { type: String, default: null },
+    websiteLink: { type: String, default: null },
+    telegramLink: { type: String, default: null },
+    version: { type: Number, default: 0 }, // Bumped by every write; see lib/concurrency.js
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        versionKey: false,
+        transform: (doc, ret) => {
+            delete ret._id;
+            return ret;
+        },
+    },
+});
+
+tokenSchema.index({ status: 1, commitDeadline: 1 });
+tokenSchema.index({ upvotes: -1 });
+tokenSchema.index({ creatorWallet: 1, createdAt: -1 });
+tokenSchema.index({ createdAt: -1, _id: -1 });
+tokenSchema.index({ title: 'text', ticker: 'text', description: 'text' }, { weights: { ticker: 5, title: 3, description: 1 } });
+
+// View counts change too often to count as a change to the token
+const UNVERSIONED_PATHS = ['views'];
+
+tokenSchema.pre('save', function bumpVersionOnSave() {
+    if (!this.isNew) this.version += 1;
+});
+
+// Every update bumps `version`, so a write can be made conditional on the version its caller read
+tokenSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function bumpVersion() {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+    const paths = Object.entries(update).flatMap(([key, value]) => (key.startsWith('$') ? Object.keys(value || {}) : [key]));
+    if (paths.every(path => UNVERSIONED_PATHS.includes(path))) return;
+    this.setUpdate({ ...update, $inc: { ...update.$inc, version: 1 } });
+});
+
+// Migrated tokens have left the pre-bond raise and trade on (or beyond) their bonding curve
+tokenSchema.virtual('migrated').get(function migrated() {
+    return this.status === 'bonding' || this.status === 'graduated';
+});
+
+module.exports = mongoose.model('Token', tokenSchema);
@@ -0,0 +1,25 @@
+// models/TokenView.js
+
+const mongoose = require('mongoose');
+
+// A token's viewer on one UTC day. The viewer is a wallet when signed in,
+// otherwise the anonymous session the browser keeps in localStorage.
+const tokenViewSchema = new mongoose.Schema({
+    tokenId: { type: String, ref: 'Token', required: true },
+    viewerKey: { type: String, required: true }, // 'wallet:<id>' or 'session:<id>'
+    walletId: { type: String, default: null },
+    day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+    ipHash: { type: String, default: null }, // Salted hash; raw addresses are not stored
+    hits: { type: Number, default: 1 }, // Opens that day, refreshes included
+    lastSeenAt: { type: Date, default: Date.now },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+// One view per viewer per token per day
+tokenViewSchema.index({ tokenId: 1, viewerKey: 1, day: 1 }, { unique: true });
+tokenViewSchema.index({ tokenId: 1, createdAt: 1 });
+tokenViewSchema.index({ tokenId: 1, day: 1, ipHash: 1 });
+tokenViewSchema.index({ lastSeenAt: 1 }); // Trending
+
+module.exports = mongoose.model('TokenView', tokenViewSchema);
@@ -0,0 +1,20 @@
+// models/Trade.js
+
+const mongoose = require('mongoose');
+
+// A timestamped commit, withdrawal, upvote, buy or sell, with the curve price right after it
+const tradeSchema = new mongoose.Schema({
+    tokenId: { type: String, ref: 'Token', required: true },
+    walletId: { type: String, required: true },
+    type: { type: String, enum: ['commit', 'withdraw', 'upvote', 'buy', 'sell'], required: true },
+    solAmount: { type: Number, default: 0 },
+    tokenAmount: { type: Number, default: 0 },
+    price: { type: Number, required: true }, // Spot price after the trade
+    supplyAfter: { type: Number, required: true },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+tradeSchema.index({ tokenId: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Trade', tradeSchema);
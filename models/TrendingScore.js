@@ -0,0 +1,18 @@
+// models/TrendingScore.js
+
+const mongoose = require('mongoose');
+
+// Precomputed trending score of a token for one window; replaced on every refresh
+const trendingScoreSchema = new mongoose.Schema({
+    window: { type: String, required: true }, // '1h', '24h' or '7d'
+    tokenId: { type: String, ref: 'Token', required: true },
+    score: { type: Number, required: true },
+    rank: { type: Number, required: true },
+    breakdown: { type: mongoose.Schema.Types.Mixed, default: {} }, // Score contributed by each signal
+    computedAt: { type: Date, required: true },
+});
+
+trendingScoreSchema.index({ window: 1, tokenId: 1 }, { unique: true });
+trendingScoreSchema.index({ window: 1, rank: 1 });
+
+module.exports = mongoose.model('TrendingScore', trendingScoreSchema);
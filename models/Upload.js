@@ -0,0 +1,21 @@
+// models/Upload.js
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// An uploaded image and the URLs of its stored variants
+const uploadSchema = new mongoose.Schema({
+    _id: { type: String, default: uuidv4 },
+    walletId: { type: String, default: null }, // Uploader; null for images imported by scripts
+    url: { type: String, required: true }, // Full-size variant
+    thumbnailUrl: { type: String, required: true },
+    width: { type: Number, required: true }, // Of the full-size variant
+    height: { type: Number, required: true },
+    originalFormat: { type: String, required: true },
+    bytes: { type: Number, required: true },
+    storage: { type: String, required: true }, // Backend the variants were written to
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+module.exports = mongoose.model('Upload', uploadSchema);
@@ -0,0 +1,15 @@
+// models/Upvote.js
+
+const mongoose = require('mongoose');
+
+const upvoteSchema = new mongoose.Schema({
+    tokenId: { type: String, ref: 'Token', required: true },
+    walletId: { type: String, required: true },
+}, {
+    timestamps: true,
+});
+
+// One upvote per wallet per token
+upvoteSchema.index({ tokenId: 1, walletId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Upvote', upvoteSchema);
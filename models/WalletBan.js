@@ -0,0 +1,18 @@
+// models/WalletBan.js
+
+const mongoose = require('mongoose');
+
+// Bars a wallet from some actions, on one token or (tokenId null) everywhere
+const walletBanSchema = new mongoose.Schema({
+    walletId: { type: String, required: true },
+    tokenId: { type: String, ref: 'Token', default: null },
+    scopes: { type: [String], enum: ['commit', 'upvote', 'comment'], default: ['comment'] },
+    bannedBy: { type: String, required: true },
+    reason: { type: String, default: null },
+}, {
+    timestamps: true,
+});
+
+walletBanSchema.index({ walletId: 1, tokenId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WalletBan', walletBanSchema);
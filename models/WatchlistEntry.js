@@ -0,0 +1,26 @@
+// models/WatchlistEntry.js
+
+const mongoose = require('mongoose');
+
+// A token a wallet follows, with the alerts it wants about it. See lib/watchlists.js.
+const watchlistEntrySchema = new mongoose.Schema({
+    walletId: { type: String, required: true },
+    tokenId: { type: String, ref: 'Token', required: true },
+    alerts: {
+        progressPercent: { type: Number, default: null }, // Commit progress (collectiveSOL / solTarget) reaching this percent; null for off
+        migration: { type: Boolean, default: true },
+        priceAbove: { type: Number, default: null }, // Curve spot price of a migrated token rising to this; null for off
+        priceBelow: { type: Number, default: null }, // ... or falling to this
+        comments: { type: Boolean, default: false }, // New comments by other wallets
+    },
+    // What the rules last saw, so each alert fires once per crossing rather than on every event
+    progressAlertedAt: { type: Date, default: null }, // Cleared when progressPercent changes
+    lastPrice: { type: Number, default: null },
+}, {
+    timestamps: true,
+});
+
+watchlistEntrySchema.index({ walletId: 1, tokenId: 1 }, { unique: true });
+watchlistEntrySchema.index({ tokenId: 1 });
+
+module.exports = mongoose.model('WatchlistEntry', watchlistEntrySchema);
@@ -0,0 +1,37 @@
+// models/WebhookDelivery.js
+
+const mongoose = require('mongoose');
+
+// One POST attempt: the receiver's status code or the network error
+const attemptSchema = new mongoose.Schema({
+    at: { type: Date, required: true },
+    statusCode: { type: Number, default: null },
+    error: { type: String, default: null },
+    durationMs: { type: Number, required: true },
+}, { _id: false });
+
+// One event for one endpoint. Pending deliveries are retried with exponential
+// backoff until they succeed or run out of attempts and become dead letters,
+// which stay until an admin redelivers them.
+const webhookDeliverySchema = new mongoose.Schema({
+    endpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+    eventId: { type: String, required: true }, // Stable across retries, for receivers to deduplicate
+    eventType: { type: String, required: true },
+    tokenId: { type: String, default: null },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // The JSON body, signed as sent
+    status: { type: String, enum: ['pending', 'succeeded', 'dead'], default: 'pending' },
+    attempts: { type: Number, default: 0 }, // Since it was queued or last redelivered
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null }, // Lease held by the process sending it
+    deliveredAt: { type: Date, default: null },
+    log: { type: [attemptSchema], default: [] },
+}, {
+    timestamps: true,
+});
+
+webhookDeliverySchema.index({ endpointId: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1, _id: -1 });
+webhookDeliverySchema.index({ createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
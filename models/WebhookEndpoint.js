@@ -0,0 +1,20 @@
+// models/WebhookEndpoint.js
+
+const mongoose = require('mongoose');
+
+// An integrator's URL that receives signed POSTs for the event types it subscribes to
+const webhookEndpointSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    events: { type: [String], required: true }, // Webhook event types, see lib/webhooks.js
+    secret: { type: String, required: true }, // Shared HMAC key; only shown when set
+    description: { type: String, default: '' },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, required: true }, // Owning wallet; only it and admins manage the endpoint
+}, {
+    timestamps: true,
+});
+
+webhookEndpointSchema.index({ active: 1, events: 1 });
+webhookEndpointSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
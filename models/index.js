@@ -0,0 +1,30 @@
+// models/index.js
+
+module.exports = {
+    Token: require('./Token'),
+    Commitment: require('./Commitment'),
+    Upvote: require('./Upvote'),
+    Comment: require('./Comment'),
+    LedgerEntry: require('./LedgerEntry'),
+    Balance: require('./Balance'),
+    AuthChallenge: require('./AuthChallenge'),
+    Session: require('./Session'),
+    Counter: require('./Counter'),
+    Event: require('./Event'),
+    Trade: require('./Trade'),
+    LifecycleEvent: require('./LifecycleEvent'),
+    Migration: require('./Migration'),
+    Upload: require('./Upload'),
+    TrendingScore: require('./TrendingScore'),
+    WalletBan: require('./WalletBan'),
+    AdminAction: require('./AdminAction'),
+    TokenView: require('./TokenView'),
+    AllowlistEntry: require('./AllowlistEntry'),
+    Allocation: require('./Allocation'),
+    WebhookEndpoint: require('./WebhookEndpoint'),
+    WebhookDelivery: require('./WebhookDelivery'),
+    WatchlistEntry: require('./WatchlistEntry'),
+    Notification: require('./Notification'),
+    IdempotencyRecord: require('./IdempotencyRecord'),
+    RateLimitBucket: require('./RateLimitBucket'),
+};
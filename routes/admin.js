@@ -0,0 +1,322 @@
+// routes/admin.js
+//
+// Mounted at /api/admin. Every route requires a wallet session of a wallet
+// listed in ADMIN_WALLETS, and every change lands in the admin audit log.
+
+const express = require('express');
+const { Token } = require('../models');
+const { requireWallet, requireAdmin } = require('../lib/auth');
+const { validate } = require('../lib/api');
+const { SearchError, parseSearchParams, searchTokens } = require('../lib/tokenSearch');
+const { serializeToken } = require('../lib/serializeToken');
+const { LifecycleError, allowedActions, getLifecycleHistory } = require('../lib/lifecycle');
+const { BanError, listBans } = require('../lib/bans');
+const { ConcurrencyError } = require('../lib/concurrency');
+const {
+    AdminError,
+    setVisibility,
+    setFrozenActions,
+    forceTransition,
+    rollbackTransition,
+    updateTokenMetadata,
+    banWallet,
+    unbanWallet,
+    listAdminActions,
+} = require('../lib/admin');
+
+const router = express.Router();
+
+router.use(requireWallet, requireAdmin);
+
+async function loadToken(req, res, next) {
+    try {
+        req.token = await Token.findById(req.params.id);
+        if (!req.token) {
+            console.error(`${req.method} ${req.originalUrl} - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Answer an AdminError, BanError, LifecycleError or SearchError with its status; anything else is a 500
+function sendError(req, res, error, action) {
+    if (error instanceof AdminError || error instanceof BanError
+        || error instanceof LifecycleError || error instanceof SearchError || error instanceof ConcurrencyError) {
+        console.error(`${req.method} ${req.originalUrl} - ${error.message}`);
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+        });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Internal server error while ${action}.`,
+    });
+}
+
+async function adminTokenView(token) {
+    return {
+        ...(await serializeToken(token)),
+        allowedActions: allowedActions(token),
+    };
+}
+
+/**
+ * @route   GET /api/admin/tokens
+ * @desc    Search tokens like GET /api/tokens, including hidden and delisted
+ *          ones. Extra query: visibility=listed,hidden,delisted
+ * @access  Admin
+ */
+router.get('/tokens', validate('adminListTokens'), async (req, res) => {
+    console.log('GET /api/admin/tokens - Admin token search:', req.query);
+
+    try {
+        const page = await searchTokens(parseSearchParams(req.query), { includeUnlisted: true });
+        res.json({
+            success: true,
+            ...page,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'searching tokens');
+    }
+});
+
+/**
+ * @route   GET /api/admin/tokens/:id
+ * @desc    Get a token with its lifecycle history, bans on it and its audit log
+ * @access  Admin
+ */
+router.get('/tokens/:id', validate('adminGetToken'), loadToken, async (req, res) => {
+    const { token } = req;
+    console.log(`GET /api/admin/tokens/${token.id} - Fetching token for admin`);
+
+    try {
+        const [history, tokenBans, audit] = await Promise.all([
+            getLifecycleHistory(token.id),
+            listBans({ tokenId: token.id }),
+            listAdminActions({ targetId: token.id }),
+        ]);
+        res.json({
+            success: true,
+            token: await adminTokenView(token),
+            history,
+            bans: tokenBans,
+            audit: audit.entries,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching token');
+    }
+});
+
+/**
+ * @route   PATCH /api/admin/tokens/:id
+ * @desc    Edit token metadata: title, ticker, description, imageUrl, links,
+ *          curveA / curveB (solTarget follows) and commitDeadline while raising.
+ *          Body: the fields to change, plus an optional `reason` and the
+ *          `version` of the token they were made against.
+ * @access  Admin
+ */
+router.patch('/tokens/:id', validate('adminUpdateToken'), loadToken, async (req, res) => {
+    const { reason, version, ...changes } = req.body;
+    console.log(`PATCH /api/admin/tokens/${req.token.id} - ${req.walletId} editing:`, changes);
+
+    try {
+        const token = await updateTokenMetadata(req.token, changes, { actor: req.walletId, reason, version });
+        res.json({
+            success: true,
+            message: `Updated ${token.ticker}.`,
+            token: await adminTokenView(token),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'updating token');
+    }
+});
+
+/**
+ * @route   POST /api/admin/tokens/:id/visibility
+ * @desc    List, hide or delist a token. Body: { visibility: listed|hidden|delisted, reason }
+ * @access  Admin
+ */
+router.post('/tokens/:id/visibility', validate('adminSetVisibility'), loadToken, async (req, res) => {
+    const { visibility, reason } = req.body;
+    console.log(`POST /api/admin/tokens/${req.token.id}/visibility - ${req.walletId} setting ${visibility}`);
+
+    try {
+        const token = await setVisibility(req.token, visibility, { actor: req.walletId, reason });
+        res.json({
+            success: true,
+            message: `${token.ticker} is now ${token.visibility}.`,
+            token: await adminTokenView(token),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'changing token visibility');
+    }
+});
+
+/**
+ * @route   POST /api/admin/tokens/:id/freeze
+ * @desc    Set the actions frozen on a token. Body: { actions: ['commit', 'upvote', 'trade'], reason };
+ *          an empty list unfreezes it.
+ * @access  Admin
+ */
+router.post('/tokens/:id/freeze', validate('adminFreezeToken'), loadToken, async (req, res) => {
+    const { actions, reason } = req.body;
+    console.log(`POST /api/admin/tokens/${req.token.id}/freeze - ${req.walletId} freezing [${actions}]`);
+
+    try {
+        const token = await setFrozenActions(req.token, actions, { actor: req.walletId, reason });
+        res.json({
+            success: true,
+            message: token.frozenActions.length
+                ? `Froze ${token.frozenActions.join(', ')} on ${token.ticker}.`
+                : `${token.ticker} is no longer frozen.`,
+            token: await adminTokenView(token),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'freezing token');
+    }
+});
+
+/**
+ * @route   POST /api/admin/tokens/:id/transition
+ * @desc    Force a token into a lifecycle state, bypassing the transition rules.
+ *          bonding and graduated need a succeeded migration. Body: { to, reason }
+ * @access  Admin
+ */
+router.post('/tokens/:id/transition', validate('adminForceTransition'), loadToken, async (req, res) => {
+    const { to, reason } = req.body;
+    console.log(`POST /api/admin/tokens/${req.token.id}/transition - ${req.walletId} forcing ${req.token.status} -> ${to}`);
+
+    try {
+        const token = await forceTransition(req.token, to, { actor: req.walletId, reason });
+        res.json({
+            success: true,
+            message: `${token.ticker} moved to ${token.status}.`,
+            token: await adminTokenView(token),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'forcing transition');
+    }
+});
+
+/**
+ * @route   POST /api/admin/tokens/:id/rollback
+ * @desc    Undo the token's latest lifecycle transition. Body: { reason }
+ * @access  Admin
+ */
+router.post('/tokens/:id/rollback', validate('adminRollbackTransition'), loadToken, async (req, res) => {
+    console.log(`POST /api/admin/tokens/${req.token.id}/rollback - ${req.walletId} rolling back ${req.token.status}`);
+
+    try {
+        const token = await rollbackTransition(req.token, { actor: req.walletId, reason: req.body.reason });
+        res.json({
+            success: true,
+            message: `${token.ticker} rolled back to ${token.status}.`,
+            token: await adminTokenView(token),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'rolling back transition');
+    }
+});
+
+/**
+ * @route   GET /api/admin/wallets/:walletId/bans
+ * @desc    Get a wallet's bans, global and per token
+ * @access  Admin
+ */
+router.get('/wallets/:walletId/bans', validate('adminListBans'), async (req, res) => {
+    const { walletId } = req.params;
+    console.log(`GET /api/admin/wallets/${walletId}/bans - Fetching bans`);
+
+    try {
+        res.json({
+            success: true,
+            bans: await listBans({ walletId }),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching bans');
+    }
+});
+
+/**
+ * @route   POST /api/admin/wallets/:walletId/bans
+ * @desc    Ban a wallet from commit, upvote and/or comment, on one token or everywhere.
+ *          Body: { scopes: ['commit', 'upvote', 'comment'], tokenId (omit for all tokens), reason }
+ * @access  Admin
+ */
+router.post('/wallets/:walletId/bans', validate('adminBanWallet'), async (req, res) => {
+    const { walletId } = req.params;
+    const { scopes, tokenId = null, reason } = req.body;
+    console.log(`POST /api/admin/wallets/${walletId}/bans - ${req.walletId} banning [${scopes}] on ${tokenId || 'all tokens'}`);
+
+    try {
+        const ban = await banWallet(walletId, { tokenId, scopes, actor: req.walletId, reason });
+        res.status(201).json({
+            success: true,
+            message: `Banned ${walletId} from ${ban.scopes.join(', ')}${tokenId ? ` on ${tokenId}` : ' on all tokens'}.`,
+            ban,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'banning wallet');
+    }
+});
+
+/**
+ * @route   DELETE /api/admin/wallets/:walletId/bans
+ * @desc    Lift a wallet's ban. Query: tokenId (omit for the global ban),
+ *          scopes (comma-separated; omit to lift the whole ban), reason
+ * @access  Admin
+ */
+router.delete('/wallets/:walletId/bans', validate('adminUnbanWallet'), async (req, res) => {
+    const { walletId } = req.params;
+    const tokenId = req.query.tokenId || null;
+    const scopes = req.query.scopes ? String(req.query.scopes).split(',') : null;
+    console.log(`DELETE /api/admin/wallets/${walletId}/bans - ${req.walletId} lifting [${scopes || 'all'}] on ${tokenId || 'all tokens'}`);
+
+    try {
+        const remaining = await unbanWallet(walletId, { tokenId, scopes, actor: req.walletId, reason: req.query.reason });
+        res.json({
+            success: true,
+            message: remaining ? `${walletId} is still banned from ${remaining.scopes.join(', ')}.` : `Lifted the ban on ${walletId}.`,
+            ban: remaining,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'lifting ban');
+    }
+});
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    The admin audit log, newest first.
+ *          Query: targetId, actor, action, limit (max 200), cursor (nextCursor of the previous page)
+ * @access  Admin
+ */
+router.get('/audit', validate('adminListAudit'), async (req, res) => {
+    console.log('GET /api/admin/audit - Fetching audit log:', req.query);
+
+    try {
+        const page = await listAdminActions({
+            targetId: req.query.targetId,
+            actor: req.query.actor,
+            action: req.query.action,
+            before: req.query.cursor,
+            limit: parseInt(req.query.limit, 10) || 50,
+        });
+        res.json({
+            success: true,
+            ...page,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching audit log');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+// routes/allowlist.js
+//
+// Mounted at /api/tokens/:id/allowlist. The wallets a token's creator lets
+// commit during its whitelist phase; see lib/commitPolicy.js.
+
+const express = require('express');
+const { Token } = require('../models');
+const { requireWallet } = require('../lib/auth');
+const { validate } = require('../lib/api');
+const {
+    CommitPolicyError,
+    replaceAllowlist,
+    removeFromAllowlist,
+    listAllowlist,
+} = require('../lib/commitPolicy');
+
+const router = express.Router({ mergeParams: true });
+
+// Load the route's token into req.token, or answer 404
+async function loadToken(req, res, next) {
+    try {
+        req.token = await Token.findById(req.params.id);
+        if (!req.token) {
+            console.error(`${req.method} ${req.originalUrl} - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+function sendError(req, res, error, action) {
+    if (error instanceof CommitPolicyError) {
+        console.error(`${req.method} ${req.originalUrl} - ${error.message}`);
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+        });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Internal server error while ${action}.`,
+    });
+}
+
+/**
+ * @route   GET /api/tokens/:id/allowlist
+ * @desc    List the wallets on the token's allowlist
+ * @access  Wallet session (token creator)
+ */
+router.get('/', requireWallet, validate('getAllowlist'), loadToken, async (req, res) => {
+    console.log(`GET /api/tokens/${req.params.id}/allowlist - Fetching allowlist for WalletID=${req.walletId}`);
+
+    if (req.token.creatorWallet !== req.walletId) {
+        console.error(`GET /api/tokens/${req.params.id}/allowlist - Authorization Error: ${req.walletId} is not the creator.`);
+        return res.status(403).json({
+            success: false,
+            message: 'Only the creator of this token can view its allowlist.',
+        });
+    }
+
+    try {
+        res.json({
+            success: true,
+            wallets: await listAllowlist(req.token.id),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching allowlist');
+    }
+});
+
+/**
+ * @route   PUT /api/tokens/:id/allowlist
+ * @desc    Replace the token's allowlist with `wallets` (array of wallet IDs).
+ *          Only for tokens with a whitelist phase, while they are raising.
+ * @access  Wallet session (token creator)
+ */
+router.put('/', requireWallet, validate('replaceAllowlist'), loadToken, async (req, res) => {
+    const wallets = req.body.wallets;
+    console.log(`PUT /api/tokens/${req.params.id}/allowlist - Replacing allowlist (${Array.isArray(wallets) ? wallets.length : 0} wallets) by WalletID=${req.walletId}`);
+
+    try {
+        const size = await replaceAllowlist(req.token, req.walletId, wallets);
+        console.log(`PUT /api/tokens/${req.params.id}/allowlist - Allowlist of ${req.token.ticker} now holds ${size} wallet(s).`);
+        res.json({
+            success: true,
+            message: `The allowlist of ${req.token.ticker} now holds ${size} wallet(s).`,
+            allowlistSize: size,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'updating allowlist');
+    }
+});
+
+/**
+ * @route   DELETE /api/tokens/:id/allowlist/:walletId
+ * @desc    Take a wallet off the token's allowlist
+ * @access  Wallet session (token creator)
+ */
+router.delete('/:walletId', requireWallet, validate('removeFromAllowlist'), loadToken, async (req, res) => {
+    const { walletId } = req.params;
+    console.log(`DELETE /api/tokens/${req.params.id}/allowlist/${walletId} - Removing wallet by WalletID=${req.walletId}`);
+
+    try {
+        await removeFromAllowlist(req.token, req.walletId, walletId);
+        res.json({
+            success: true,
+            message: `Removed ${walletId} from the allowlist of ${req.token.ticker}.`,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'updating allowlist');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// routes/auth.js
+
+const express = require('express');
+const {
+    AuthError,
+    issueChallenge,
+    verifyChallenge,
+    findSession,
+    revokeSession,
+    bearerToken,
+} = require('../lib/auth');
+const { validate } = require('../lib/api');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/challenge
+ * @desc    Issue a nonce and the login message the wallet must sign
+ * @access  Public
+ */
+router.post('/challenge', validate('createChallenge'), async (req, res) => {
+    const { walletId } = req.body;
+
+    console.log(`POST /api/auth/challenge - Challenge requested for WalletID=${walletId}`);
+
+    try {
+        const challenge = await issueChallenge(walletId);
+        res.status(201).json({
+            success: true,
+            ...challenge,
+        });
+    } catch (error) {
+        if (error instanceof AuthError) {
+            console.error(`POST /api/auth/challenge - Validation Error: ${error.message}`);
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+        console.error('Error issuing auth challenge:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while issuing challenge.',
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/verify
+ * @desc    Verify the signed challenge and open a session
+ * @access  Public
+ */
+router.post('/verify', validate('verifyChallenge'), async (req, res) => {
+    const { walletId, nonce, signature } = req.body;
+
+    console.log(`POST /api/auth/verify - Verifying signature for WalletID=${walletId}`);
+
+    try {
+        const session = await verifyChallenge({ walletId, nonce, signature });
+        console.log(`POST /api/auth/verify - Session opened for WalletID=${walletId}`);
+        res.json({
+            success: true,
+            ...session,
+        });
+    } catch (error) {
+        if (error instanceof AuthError) {
+            console.error(`POST /api/auth/verify - Authentication Error: ${error.message}`);
+            return res.status(401).json({
+                success: false,
+                message: error.message,
+            });
+        }
+        console.error('Error verifying auth challenge:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while verifying signature.',
+        });
+    }
+});
+
+/**
+ * @route   GET /api/auth/session
+ * @desc    Get the wallet behind the current session token
+ * @access  Session
+ */
+router.get('/session', validate('getSession'), async (req, res) => {
+    try {
+        const session = await findSession(bearerToken(req));
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session not found or expired.',
+            });
+        }
+        res.json({
+            success: true,
+            walletId: session.walletId,
+            expiresAt: session.expiresAt,
+        });
+    } catch (error) {
+        console.error('Error fetching session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching session.',
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session token
+ * @access  Session
+ */
+router.post('/logout', validate('logout'), async (req, res) => {
+    try {
+        const token = bearerToken(req);
+        if (token) await revokeSession(token);
+        res.json({
+            success: true,
+            message: 'Signed out.',
+        });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while signing out.',
+        });
+    }
+});
+
+module.exports = router;
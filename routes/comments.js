@@ -0,0 +1,258 @@
+// routes/comments.js
+//
+// Mounted at /api/tokens/:id/comments.
+
+const express = require('express');
+const { Token } = require('../models');
+const { requireWallet, optionalWallet } = require('../lib/auth');
+const { validate } = require('../lib/api');
+const { LifecycleError, assertActionAllowed } = require('../lib/lifecycle');
+const { EVENT_TYPES, publish } = require('../lib/events');
+const { BanError } = require('../lib/bans');
+const {
+    CommentError,
+    serializeComment,
+    createComment,
+    editComment,
+    deleteComment,
+    setHidden,
+    setPinned,
+    banWallet,
+    unbanWallet,
+    listComments,
+} = require('../lib/comments');
+
+const router = express.Router({ mergeParams: true });
+
+const MAX_PAGE_SIZE = 50;
+
+// Load the route's token into req.token, or answer 404
+async function loadToken(req, res, next) {
+    try {
+        req.token = await Token.findById(req.params.id);
+        if (!req.token) {
+            console.error(`${req.method} ${req.originalUrl} - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Answer a CommentError, BanError or LifecycleError with its status; anything else is a 500
+function sendError(req, res, error, action) {
+    if (error instanceof CommentError || error instanceof BanError || error instanceof LifecycleError) {
+        console.error(`${req.method} ${req.originalUrl} - ${error.message}`);
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+        });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Internal server error while ${action}.`,
+    });
+}
+
+// Moderation changes and edits go out on the feed so open modals stay in sync
+async function publishUpdate(token, comment) {
+    await publish(EVENT_TYPES.COMMENT_UPDATED, { tokenId: token.id, comment: serializeComment(comment) });
+}
+
+/**
+ * @route   GET /api/tokens/:id/comments
+ * @desc    Page through a token's comment threads, newest first with pinned
+ *          threads leading the first page. Each thread carries its replies.
+ *          Hidden comments are only included for the token's moderators.
+ * @access  Public (wallet session optional)
+ */
+router.get('/', optionalWallet, validate('listComments'), loadToken, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_PAGE_SIZE);
+    console.log(`GET /api/tokens/${req.params.id}/comments - Fetching comments (cursor=${req.query.cursor || 'none'})`);
+
+    try {
+        const page = await listComments(req.token, {
+            cursor: req.query.cursor || null,
+            limit,
+            viewer: req.walletId,
+        });
+        res.json({
+            success: true,
+            ...page,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching comments');
+    }
+});
+
+/**
+ * @route   POST /api/tokens/:id/comments
+ * @desc    Add a comment to a token, or reply to one with `parentId`
+ * @access  Wallet session
+ */
+router.post('/', requireWallet, validate('createComment'), loadToken, async (req, res) => {
+    const { comment, parentId } = req.body;
+    const user = req.walletId; // Comments are authored by the signed-in wallet
+    const { token } = req;
+
+    console.log(`POST /api/tokens/${token.id}/comments - Comment from ${user}${parentId ? ` in reply to ${parentId}` : ''}`);
+
+    try {
+        assertActionAllowed(token, 'comment');
+        const newComment = await createComment(token, user, { comment, parentId });
+
+        console.log(`POST /api/tokens/${token.id}/comments - Comment added by ${user} to Token ${token.ticker}.`);
+
+        await publish(EVENT_TYPES.COMMENT, { tokenId: token.id, comment: serializeComment(newComment) });
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment added successfully.',
+            comment: serializeComment(newComment, { viewer: user }),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'adding comment');
+    }
+});
+
+/**
+ * @route   PATCH /api/tokens/:id/comments/:commentId
+ * @desc    Edit your own comment
+ * @access  Wallet session (author)
+ */
+router.patch('/:commentId', requireWallet, validate('editComment'), loadToken, async (req, res) => {
+    const { commentId } = req.params;
+    console.log(`PATCH /api/tokens/${req.token.id}/comments/${commentId} - Edit by ${req.walletId}`);
+
+    try {
+        const comment = await editComment(req.token, req.walletId, commentId, req.body.comment);
+        await publishUpdate(req.token, comment);
+        res.json({
+            success: true,
+            message: 'Comment updated.',
+            comment: serializeComment(comment, { viewer: req.walletId }),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'editing comment');
+    }
+});
+
+/**
+ * @route   DELETE /api/tokens/:id/comments/:commentId
+ * @desc    Delete your own comment. Replies to it stay in the thread.
+ * @access  Wallet session (author)
+ */
+router.delete('/:commentId', requireWallet, validate('deleteComment'), loadToken, async (req, res) => {
+    const { commentId } = req.params;
+    console.log(`DELETE /api/tokens/${req.token.id}/comments/${commentId} - Delete by ${req.walletId}`);
+
+    try {
+        const comment = await deleteComment(req.token, req.walletId, commentId);
+        await publishUpdate(req.token, comment);
+        res.json({
+            success: true,
+            message: 'Comment deleted.',
+            comment: serializeComment(comment, { viewer: req.walletId }),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'deleting comment');
+    }
+});
+
+/**
+ * @route   POST /api/tokens/:id/comments/:commentId/hide
+ * @desc    Hide or unhide a comment ({ hidden: boolean }, default true)
+ * @access  Wallet session (token creator or admin)
+ */
+router.post('/:commentId/hide', requireWallet, validate('hideComment'), loadToken, async (req, res) => {
+    const { commentId } = req.params;
+    const hidden = req.body.hidden !== false;
+    console.log(`POST /api/tokens/${req.token.id}/comments/${commentId}/hide - hidden=${hidden} by ${req.walletId}`);
+
+    try {
+        const comment = await setHidden(req.token, req.walletId, commentId, hidden);
+        await publishUpdate(req.token, comment);
+        res.json({
+            success: true,
+            message: hidden ? 'Comment hidden.' : 'Comment restored.',
+            comment: serializeComment(comment, { viewer: req.walletId, moderator: true }),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'moderating comment');
+    }
+});
+
+/**
+ * @route   POST /api/tokens/:id/comments/:commentId/pin
+ * @desc    Pin or unpin a top-level comment ({ pinned: boolean }, default true)
+ * @access  Wallet session (token creator or admin)
+ */
+router.post('/:commentId/pin', requireWallet, validate('pinComment'), loadToken, async (req, res) => {
+    const { commentId } = req.params;
+    const pinned = req.body.pinned !== false;
+    console.log(`POST /api/tokens/${req.token.id}/comments/${commentId}/pin - pinned=${pinned} by ${req.walletId}`);
+
+    try {
+        const comment = await setPinned(req.token, req.walletId, commentId, pinned);
+        await publishUpdate(req.token, comment);
+        res.json({
+            success: true,
+            message: pinned ? 'Comment pinned.' : 'Comment unpinned.',
+            comment: serializeComment(comment, { viewer: req.walletId, moderator: true }),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'moderating comment');
+    }
+});
+
+/**
+ * @route   POST /api/tokens/:id/comments/bans
+ * @desc    Ban a wallet from commenting on this token ({ walletId, reason }),
+ *          or on every token with `global: true` (admins only). The wallet's
+ *          comments on this token are hidden.
+ * @access  Wallet session (token creator or admin)
+ */
+router.post('/bans', requireWallet, validate('banCommenter'), loadToken, async (req, res) => {
+    const { walletId, reason, global } = req.body;
+    console.log(`POST /api/tokens/${req.token.id}/comments/bans - Ban ${walletId}${global ? ' globally' : ''} by ${req.walletId}`);
+
+    try {
+        const ban = await banWallet(req.token, req.walletId, { walletId, reason, global: global === true });
+        res.status(201).json({
+            success: true,
+            message: `${walletId} can no longer comment${ban.tokenId ? ` on ${req.token.ticker}` : ''}.`,
+            ban,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'banning wallet');
+    }
+});
+
+/**
+ * @route   DELETE /api/tokens/:id/comments/bans/:walletId
+ * @desc    Lift a comment ban (`?global=true` for a ban on every token)
+ * @access  Wallet session (token creator or admin)
+ */
+router.delete('/bans/:walletId', requireWallet, validate('unbanCommenter'), loadToken, async (req, res) => {
+    const { walletId } = req.params;
+    const global = req.query.global === 'true';
+    console.log(`DELETE /api/tokens/${req.token.id}/comments/bans/${walletId} - Unban by ${req.walletId}`);
+
+    try {
+        await unbanWallet(req.token, req.walletId, walletId, { global });
+        res.json({
+            success: true,
+            message: `${walletId} may comment again.`,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'lifting ban');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// routes/creators.js
+
+const express = require('express');
+const { validate } = require('../lib/api');
+const { getCreatorProfile } = require('../lib/creators');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/creators/:walletId
+ * @desc    Get a creator's page: the tokens the wallet created, the SOL they
+ *          raised and the share of finished raises that migrated
+ * @access  Public
+ */
+router.get('/:walletId', validate('getCreator'), async (req, res) => {
+    const { walletId } = req.params;
+    console.log(`GET /api/creators/${walletId} - Fetching creator profile`);
+
+    try {
+        res.json({
+            success: true,
+            creator: await getCreatorProfile(walletId),
+        });
+    } catch (error) {
+        console.error('Error fetching creator profile:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching creator profile.',
+        });
+    }
+});
+
+module.exports = router;
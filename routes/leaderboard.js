@@ -0,0 +1,36 @@
+// routes/leaderboard.js
+
+const express = require('express');
+const { validate } = require('../lib/api');
+const { DEFAULT_LEADERBOARD_WINDOW, getLeaderboard } = require('../lib/leaderboard');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/leaderboard
+ * @desc    Rank wallets over a window. Query: type=traders|committers|creators,
+ *          window=24h|7d|30d|all (default 7d), limit. Traders are ranked by
+ *          realized P&L, committers by SOL committed, creators by SOL raised.
+ * @access  Public
+ */
+router.get('/', validate('getLeaderboard'), async (req, res) => {
+    const { type, window = DEFAULT_LEADERBOARD_WINDOW } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    console.log(`GET /api/leaderboard - Fetching ${type} leaderboard for ${window}`);
+
+    try {
+        res.json({
+            success: true,
+            ...(await getLeaderboard(type, window, { limit })),
+        });
+    } catch (error) {
+        console.error('Error fetching leaderboard:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching leaderboard.',
+        });
+    }
+});
+
+module.exports = router;
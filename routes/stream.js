@@ -0,0 +1,77 @@
+// routes/stream.js
+
+const express = require('express');
+const { subscribe, eventsSince } = require('../lib/events');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * @route   GET /api/stream
+ * @desc    Server-Sent Events feed of token events. Resumes after the
+ *          Last-Event-ID header (or ?lastEventId=) by replaying missed events;
+ *          sends a `resync` event when the gap can no longer be replayed.
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+
+    console.log(`GET /api/stream - Client connected${isNaN(lastEventId) ? '' : `, resuming after event ${lastEventId}`}`);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Buffer live events while the backlog is replayed so nothing is lost or sent twice. The replay
+    // stops where the feed is, so events past a gap that hasn't filled yet arrive live, in order.
+    let lastSentId = isNaN(lastEventId) ? null : lastEventId;
+    let buffered = [];
+    const send = event => {
+        if (lastSentId !== null && event.id <= lastSentId) return;
+        writeEvent(res, event);
+        lastSentId = event.id;
+    };
+    const unsubscribe = subscribe(event => {
+        if (buffered) buffered.push(event);
+        else send(event);
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        console.log('GET /api/stream - Client disconnected');
+    });
+
+    try {
+        if (lastSentId !== null) {
+            const { events, complete } = await eventsSince(lastSentId);
+            if (!complete) {
+                res.write(`event: resync\ndata: ${JSON.stringify({ type: 'resync' })}\n\n`);
+                lastSentId = null;
+            } else {
+                events.forEach(send);
+            }
+        }
+    } catch (error) {
+        console.error('Error replaying stream events:', error);
+        res.write(`event: resync\ndata: ${JSON.stringify({ type: 'resync' })}\n\n`);
+    }
+
+    const pending = buffered;
+    buffered = null;
+    pending.forEach(send);
+});
+
+module.exports = router;
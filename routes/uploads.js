@@ -0,0 +1,76 @@
+// routes/uploads.js
+
+const express = require('express');
+const multer = require('multer');
+const { requireWallet } = require('../lib/auth');
+const { validate } = require('../lib/api');
+const { MAX_UPLOAD_BYTES, MediaError, storeImage } = require('../lib/media');
+
+const router = express.Router();
+
+// Keep the upload in memory; it is validated and re-encoded before anything is stored
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+/**
+ * @route   POST /api/uploads
+ * @desc    Upload an image (multipart field "image"). Stores a full-size and a
+ *          thumbnail variant and returns their URLs for use in token metadata.
+ * @access  Wallet session
+ */
+router.post('/', requireWallet, validate('uploadImage'), (req, res) => {
+    upload.single('image')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            console.error(`POST /api/uploads - Upload Error: ${uploadError.message}`);
+            return res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                message: tooLarge
+                    ? `Images may be at most ${Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024))}MB.`
+                    : 'Send one image in the "image" field of a multipart form.',
+            });
+        }
+
+        if (!req.file) {
+            console.error('Validation Error: No image uploaded.');
+            return res.status(400).json({
+                success: false,
+                message: 'Send one image in the "image" field of a multipart form.',
+            });
+        }
+
+        console.log(`POST /api/uploads - Image upload from WalletID=${req.walletId}: ${req.file.size} bytes`);
+
+        try {
+            const stored = await storeImage(req.file.buffer, { walletId: req.walletId });
+            console.log(`POST /api/uploads - Stored image ${stored.id} (${stored.width}x${stored.height}).`);
+            res.status(201).json({
+                success: true,
+                upload: {
+                    id: stored.id,
+                    url: stored.url,
+                    thumbnailUrl: stored.thumbnailUrl,
+                    width: stored.width,
+                    height: stored.height,
+                },
+            });
+        } catch (error) {
+            if (error instanceof MediaError) {
+                console.error(`POST /api/uploads - ${error.message}`);
+                return res.status(error.status).json({
+                    success: false,
+                    message: error.message,
+                });
+            }
+            console.error('Error storing upload:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error while storing image.',
+            });
+        }
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+// routes/wallets.js
+
+const express = require('express');
+const { Token } = require('../models');
+const { getWallet } = require('../lib/ledger');
+const { requireWallet, requireOwnWallet } = require('../lib/auth');
+const { getPortfolio } = require('../lib/portfolio');
+const { validate } = require('../lib/api');
+const {
+    WatchlistError,
+    listWatchlist,
+    watchToken,
+    unwatchToken,
+    listNotifications,
+    markNotificationsRead,
+} = require('../lib/watchlists');
+
+const router = express.Router();
+
+// Answer a WatchlistError with its status; anything else is a 500
+function sendError(req, res, error, action) {
+    if (error instanceof WatchlistError) {
+        console.error(`${req.method} ${req.originalUrl} - ${error.message}`);
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+        });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Internal server error while ${action}.`,
+    });
+}
+
+/**
+ * @route   GET /api/wallets/:walletId
+ * @desc    Get a wallet's virtual SOL balance, token positions and ledger history
+ * @access  Public
+ */
+router.get('/:walletId', validate('getWallet'), async (req, res) => {
+    const { walletId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    console.log(`GET /api/wallets/${walletId} - Fetching wallet balance and positions`);
+
+    try {
+        const wallet = await getWallet(walletId, { limit });
+
+        // Label positions with their token's ticker
+        const tokens = await Token.find({ _id: { $in: wallet.positions.map(p => p.tokenId) } })
+            .select('ticker title')
+            .lean();
+        const tokensById = new Map(tokens.map(token => [token._id, token]));
+        wallet.positions = wallet.positions.map(position => ({
+            ...position,
+            ticker: tokensById.has(position.tokenId) ? tokensById.get(position.tokenId).ticker : null,
+        }));
+
+        res.json({
+            success: true,
+            wallet,
+        });
+    } catch (error) {
+        console.error('Error fetching wallet:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching wallet.',
+        });
+    }
+});
+
+/**
+ * @route   GET /api/wallets/:walletId/portfolio
+ * @desc    Get a wallet's positions with average entry price, realized and
+ *          unrealized P&L at the curve spot price, and its SOL committed
+ * @access  Public
+ */
+router.get('/:walletId/portfolio', validate('getPortfolio'), async (req, res) => {
+    const { walletId } = req.params;
+    console.log(`GET /api/wallets/${walletId}/portfolio - Fetching portfolio`);
+
+    try {
+        res.json({
+            success: true,
+            portfolio: await getPortfolio(walletId),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching portfolio');
+    }
+});
+
+/**
+ * @route   GET /api/wallets/:walletId/watchlist
+ * @desc    Get your watched tokens with their progress, price and alert rules
+ * @access  Private (own wallet)
+ */
+router.get('/:walletId/watchlist', requireWallet, requireOwnWallet, validate('getWatchlist'), async (req, res) => {
+    console.log(`GET /api/wallets/${req.walletId}/watchlist - Fetching watchlist`);
+
+    try {
+        res.json({
+            success: true,
+            watchlist: await listWatchlist(req.walletId),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching watchlist');
+    }
+});
+
+/**
+ * @route   POST /api/wallets/:walletId/watchlist
+ * @desc    Watch a token, or change the alerts of a watched one. Body:
+ *          { tokenId, alerts: { progressPercent, migration, priceAbove, priceBelow, comments } };
+ *          alert fields left out keep their value. Answers 201 when the token is newly watched.
+ * @access  Private (own wallet)
+ */
+router.post('/:walletId/watchlist', requireWallet, requireOwnWallet, validate('watchToken'), async (req, res) => {
+    const { tokenId, alerts = {} } = req.body;
+    console.log(`POST /api/wallets/${req.walletId}/watchlist - Watching Token ${tokenId}:`, alerts);
+
+    try {
+        const { entry, created } = await watchToken(req.walletId, tokenId, alerts);
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? `Added ${entry.ticker} to your watchlist.` : `Updated alerts for ${entry.ticker}.`,
+            entry,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'updating watchlist');
+    }
+});
+
+/**
+ * @route   DELETE /api/wallets/:walletId/watchlist?tokenId=
+ * @desc    Stop watching a token
+ * @access  Private (own wallet)
+ */
+router.delete('/:walletId/watchlist', requireWallet, requireOwnWallet, validate('unwatchToken'), async (req, res) => {
+    const { tokenId } = req.query;
+    console.log(`DELETE /api/wallets/${req.walletId}/watchlist - Unwatching Token ${tokenId}`);
+
+    try {
+        await unwatchToken(req.walletId, tokenId);
+        res.json({
+            success: true,
+            message: 'Removed from your watchlist.',
+        });
+    } catch (error) {
+        sendError(req, res, error, 'updating watchlist');
+    }
+});
+
+/**
+ * @route   GET /api/wallets/:walletId/notifications
+ * @desc    Your alert inbox, newest first. Query: unread=true, limit, cursor
+ * @access  Private (own wallet)
+ */
+router.get('/:walletId/notifications', requireWallet, requireOwnWallet, validate('listNotifications'), async (req, res) => {
+    try {
+        const page = await listNotifications(req.walletId, {
+            unread: req.query.unread === 'true',
+            limit: parseInt(req.query.limit, 10) || 20,
+            cursor: req.query.cursor || null,
+        });
+        res.json({
+            success: true,
+            ...page,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching notifications');
+    }
+});
+
+/**
+ * @route   POST /api/wallets/:walletId/notifications/read
+ * @desc    Mark notifications as read. Body: { ids } or {} for all of them
+ * @access  Private (own wallet)
+ */
+router.post('/:walletId/notifications/read', requireWallet, requireOwnWallet, validate('markNotificationsRead'), async (req, res) => {
+    console.log(`POST /api/wallets/${req.walletId}/notifications/read - Marking ${req.body.ids ? req.body.ids.length : 'all'} read`);
+
+    try {
+        res.json({
+            success: true,
+            ...(await markNotificationsRead(req.walletId, req.body.ids || null)),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'marking notifications read');
+    }
+});
+
+module.exports = router;
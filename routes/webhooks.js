@@ -0,0 +1,237 @@
+// routes/webhooks.js
+//
+// Mounted at /api/webhooks. Signed-in wallets manage the outbound webhook
+// endpoints they registered and their delivery log; admins manage all of
+// them. See lib/webhooks.js for the payload, signature headers and retry
+// schedule.
+
+const express = require('express');
+const { requireWallet } = require('../lib/auth');
+const { validate } = require('../lib/api');
+const {
+    WebhookError,
+    listEndpoints,
+    getEndpoint,
+    createEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    pingEndpoint,
+    listDeliveries,
+    getDelivery,
+    redeliver,
+} = require('../lib/webhooks');
+
+const router = express.Router();
+
+router.use(requireWallet);
+
+// Answer a WebhookError with its status; anything else is a 500
+function sendError(req, res, error, action) {
+    if (error instanceof WebhookError) {
+        console.error(`${req.method} ${req.originalUrl} - ${error.message}`);
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+        });
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Internal server error while ${action}.`,
+    });
+}
+
+function describeDelivery(delivery) {
+    if (delivery.status === 'succeeded') return `Delivered ${delivery.eventType}.`;
+    const { lastAttempt } = delivery;
+    return `Delivery of ${delivery.eventType} failed: ${lastAttempt ? lastAttempt.error : 'not sent'}`;
+}
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List the endpoints the wallet owns, or every endpoint for admins
+ *          (secrets are never returned here)
+ * @access  Wallet session
+ */
+router.get('/', validate('listWebhookEndpoints'), async (req, res) => {
+    console.log('GET /api/webhooks - Listing webhook endpoints');
+
+    try {
+        res.json({
+            success: true,
+            endpoints: await listEndpoints(req.walletId),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'listing webhook endpoints');
+    }
+});
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register an endpoint owned by the wallet. Body: { url, events,
+ *          secret?, description? }; a secret is generated when none is given
+ *          and only returned here.
+ * @access  Wallet session
+ */
+router.post('/', validate('createWebhookEndpoint'), async (req, res) => {
+    console.log(`POST /api/webhooks - ${req.walletId} registering ${req.body.url} for [${req.body.events}]`);
+
+    try {
+        const { endpoint, secret } = await createEndpoint(req.body, req.walletId);
+        res.status(201).json({
+            success: true,
+            message: 'Webhook endpoint registered. Store the secret now; it is not shown again.',
+            endpoint,
+            secret,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'registering webhook endpoint');
+    }
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    The delivery log of the wallet's endpoints, newest first. Query: endpointId, status
+ *          (pending|succeeded|dead; dead is the dead-letter list), eventType,
+ *          limit, cursor
+ * @access  Wallet session (endpoint owner or admin)
+ */
+router.get('/deliveries', validate('listWebhookDeliveries'), async (req, res) => {
+    console.log('GET /api/webhooks/deliveries - Listing webhook deliveries:', req.query);
+
+    try {
+        const page = await listDeliveries(req.walletId, {
+            endpointId: req.query.endpointId || null,
+            status: req.query.status || null,
+            eventType: req.query.eventType || null,
+            limit: parseInt(req.query.limit, 10) || 50,
+            cursor: req.query.cursor || null,
+        });
+        res.json({
+            success: true,
+            ...page,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'listing webhook deliveries');
+    }
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload and every attempt
+ * @access  Wallet session (endpoint owner or admin)
+ */
+router.get('/deliveries/:deliveryId', validate('getWebhookDelivery'), async (req, res) => {
+    console.log(`GET /api/webhooks/deliveries/${req.params.deliveryId} - Fetching webhook delivery`);
+
+    try {
+        res.json({
+            success: true,
+            delivery: await getDelivery(req.params.deliveryId, req.walletId),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching webhook delivery');
+    }
+});
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Send a delivery again now, dead letters included; failures are
+ *          retried on the usual schedule from here
+ * @access  Wallet session (endpoint owner or admin)
+ */
+router.post('/deliveries/:deliveryId/redeliver', validate('redeliverWebhook'), async (req, res) => {
+    console.log(`POST /api/webhooks/deliveries/${req.params.deliveryId}/redeliver - ${req.walletId} redelivering`);
+
+    try {
+        const delivery = await redeliver(req.params.deliveryId, req.walletId);
+        res.json({
+            success: true,
+            message: describeDelivery(delivery),
+            delivery,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'redelivering webhook');
+    }
+});
+
+/**
+ * @route   GET /api/webhooks/:endpointId
+ * @desc    Get a webhook endpoint
+ * @access  Wallet session (endpoint owner or admin)
+ */
+router.get('/:endpointId', validate('getWebhookEndpoint'), async (req, res) => {
+    console.log(`GET /api/webhooks/${req.params.endpointId} - Fetching webhook endpoint`);
+
+    try {
+        res.json({
+            success: true,
+            endpoint: await getEndpoint(req.params.endpointId, req.walletId),
+        });
+    } catch (error) {
+        sendError(req, res, error, 'fetching webhook endpoint');
+    }
+});
+
+/**
+ * @route   PATCH /api/webhooks/:endpointId
+ * @desc    Change url, events, description or active, set a new secret, or
+ *          { rotateSecret: true } to generate one (returned once)
+ * @access  Wallet session (endpoint owner or admin)
+ */
+router.patch('/:endpointId', validate('updateWebhookEndpoint'), async (req, res) => {
+    console.log(`PATCH /api/webhooks/${req.params.endpointId} - ${req.walletId} updating:`, Object.keys(req.body));
+
+    try {
+        const { endpoint, secret } = await updateEndpoint(req.params.endpointId, req.body, req.walletId);
+        res.json({
+            success: true,
+            message: secret ? 'Webhook endpoint updated with a new secret. Store it now; it is not shown again.' : 'Webhook endpoint updated.',
+            endpoint,
+            secret,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'updating webhook endpoint');
+    }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:endpointId
+ * @desc    Delete an endpoint and its delivery log
+ * @access  Wallet session (endpoint owner or admin)
+ */
+router.delete('/:endpointId', validate('deleteWebhookEndpoint'), async (req, res) => {
+    console.log(`DELETE /api/webhooks/${req.params.endpointId} - ${req.walletId} deleting webhook endpoint`);
+
+    try {
+        await deleteEndpoint(req.params.endpointId, req.walletId);
+        res.json({
+            success: true,
+            message: 'Webhook endpoint deleted.',
+        });
+    } catch (error) {
+        sendError(req, res, error, 'deleting webhook endpoint');
+    }
+});
+
+/**
+ * @route   POST /api/webhooks/:endpointId/ping
+ * @desc    Send a signed webhook.ping now, once, even to a disabled endpoint
+ * @access  Wallet session (endpoint owner or admin)
+ */
+router.post('/:endpointId/ping', validate('pingWebhookEndpoint'), async (req, res) => {
+    console.log(`POST /api/webhooks/${req.params.endpointId}/ping - ${req.walletId} pinging webhook endpoint`);
+
+    try {
+        const delivery = await pingEndpoint(req.params.endpointId, req.walletId);
+        res.json({
+            success: true,
+            message: describeDelivery(delivery),
+            delivery,
+        });
+    } catch (error) {
+        sendError(req, res, error, 'pinging webhook endpoint');
+    }
+});
+
+module.exports = router;
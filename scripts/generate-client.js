@@ -0,0 +1,238 @@
+// scripts/generate-client.js
+//
+// Generate the browser API client, shared/apiClient.js, from the OpenAPI
+// document (lib/api/openapi.js). Run it whenever lib/api/operations.js changes.
+// Usage: npm run generate:client
+
+const fs = require('fs');
+const path = require('path');
+const { buildOpenApiDocument } = require('../lib/api/openapi');
+const { IDEMPOTENCY_HEADER } = require('../lib/idempotency');
+
+const OUTPUT = path.join(__dirname, '..', 'shared', 'apiClient.js');
+const REF_PREFIX = '#/components/schemas/';
+const INDENT = '    ';
+
+// JSDoc type expression for a schema
+function typeOf(schema) {
+    if (schema.$ref) return schema.$ref.slice(REF_PREFIX.length);
+    if (schema.allOf) return schema.allOf.map(typeOf).join(' & ');
+
+    const types = [].concat(schema.type || 'object');
+    const nullable = types.includes('null');
+    const expressions = types.filter(type => type !== 'null').map(type => {
+        if (schema.enum) return schema.enum.map(value => JSON.stringify(value).replace(/"/g, '\'')).join('|');
+        if (type === 'integer' || type === 'number') return 'number';
+        if (type === 'string') return schema.format === 'binary' ? 'Blob' : 'string';
+        if (type === 'array') return `Array<${schema.items ? typeOf(schema.items) : '*'}>`;
+        if (type === 'object') {
+            const properties = Object.entries(schema.properties || {});
+            if (!properties.length) return 'Object';
+            const required = schema.required || [];
+            return `{ ${properties.map(([name, property]) => `${name}${required.includes(name) ? '' : '?'}: ${typeOf(property)}`).join(', ')} }`;
+        }
+        return type;
+    });
+    const expression = expressions.length > 1 ? `(${expressions.join('|')})` : expressions[0];
+    return nullable ? `${expression}|null` : expression;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function typedefs(schemas) {
+    return Object.entries(schemas).map(([name, schema]) => {
+        if (schema.type !== 'object') return [`/** @typedef {${typeOf(schema)}} ${name} */`];
+        const required = schema.required || [];
+        const lines = [`/**`, ` * @typedef {Object} ${name}`];
+        Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+            const optional = required.includes(property) ? property : `[${property}]`;
+            lines.push(` * @property {${typeOf(propertySchema)}} ${optional}`);
+        });
+        lines.push(' */');
+        return lines;
+    });
+}
+
+function collectOperations(document) {
+    const operations = [];
+    Object.entries(document.paths).forEach(([route, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+            const parameters = operation.parameters || [];
+            const content = operation.requestBody ? operation.requestBody.content : {};
+            const [successStatus] = Object.keys(operation.responses);
+            operations.push({
+                id: operation.operationId,
+                method: method.toUpperCase(),
+                route,
+                summary: operation.summary,
+                authenticated: operation.security.length > 0,
+                path: parameters.filter(parameter => parameter.in === 'path'),
+                query: parameters.filter(parameter => parameter.in === 'query'),
+                idempotent: parameters.some(parameter => parameter.in === 'header' && parameter.name === IDEMPOTENCY_HEADER),
+                json: content['application/json'] ? content['application/json'].schema : null,
+                multipart: Boolean(content['multipart/form-data']),
+                requiredBody: Boolean(operation.requestBody && operation.requestBody.required),
+                response: operation.responses[successStatus].content['application/json'].schema,
+            });
+        });
+    });
+    return operations;
+}
+
+function argumentsType(operation) {
+    const fields = [
+        ...operation.path.map(parameter => `${parameter.name}: ${typeOf(parameter.schema)}`),
+        ...operation.query.map(parameter => `${parameter.name}${parameter.required ? '' : '?'}: ${typeOf(parameter.schema)}`),
+    ];
+    if (operation.json) fields.push(`body${operation.requiredBody ? '' : '?'}: ${typeOf(operation.json)}`);
+    if (operation.multipart) fields.push('body: FormData');
+    if (operation.idempotent) fields.push('idempotencyKey?: string');
+    return fields.length ? `{ ${fields.join(', ')} }` : null;
+}
+
+function methodSource(operation) {
+    const args = argumentsType(operation);
+    const lines = [
+        '/**',
+        ` * ${operation.summary}`,
+        ` * ${operation.method} ${operation.route}`,
+    ];
+    if (args) lines.push(` * @param {${args}} ${operation.requiredBody || operation.path.length || operation.query.some(parameter => parameter.required) ? 'args' : '[args]'}`);
+    lines.push(` * @returns {Promise<${capitalize(operation.id)}Response|ErrorEnvelope>}`, ' */');
+    lines.push(`${operation.id}: args => call(OPERATIONS.${operation.id}, args),`);
+    return lines;
+}
+
+function generate(document) {
+    const operations = collectOperations(document);
+    const table = operations.map(operation => [
+        `${operation.id}: {`,
+        `${INDENT}method: '${operation.method}',`,
+        `${INDENT}path: '${operation.route}',`,
+        `${INDENT}query: [${operation.query.map(parameter => `'${parameter.name}'`).join(', ')}],`,
+        `${INDENT}authenticated: ${operation.authenticated},`,
+        `${INDENT}idempotent: ${operation.idempotent},`,
+        '},',
+    ]);
+    const responses = operations.map(operation => [
+        `/** @typedef {{ success: true } & ${typeOf(operation.response.allOf[1])}} ${capitalize(operation.id)}Response */`,
+    ]);
+
+    const indent = (blocks, depth) => blocks
+        .map(lines => lines.map(line => (line ? INDENT.repeat(depth) + line : line)).join('\n'))
+        .join('\n');
+
+    return `// shared/apiClient.js
+//
+// GENERATED by scripts/generate-client.js from the OpenAPI document
+// (GET /api/openapi.json); do not edit by hand, run \`npm run generate:client\`.
+//
+// Typed client for the ${document.info.title} ${document.info.version}, for the
+// browser (<script src="/shared/apiClient.js"> exposes window.ApiClient) and
+// Node 18+. Every method takes one object holding the path parameters, query
+// parameters and \`body\`, and resolves to the response envelope: check
+// \`success\`, and on failure branch on the stable \`code\`.
+//
+// Mutating calls carry an ${IDEMPOTENCY_HEADER} (\`idempotencyKey\` in the
+// arguments, or a fresh one per call) and are sent once more with the same
+// key when the network fails, so a lost response never runs them twice.
+//
+//   const api = ApiClient.createClient({ getSessionToken: () => sessionToken });
+//   const data = await api.getQuote({ id, side: 'buy', sol: 1 });
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ApiClient = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+${indent(typedefs(document.components.schemas), 1)}
+
+${indent(responses, 1)}
+
+    const OPERATIONS = {
+${indent(table, 2)}
+    };
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] Prefix for every path, e.g. 'https://example.com'; same origin when empty
+     * @param {function(): (string|null)} [options.getSessionToken] Session token sent as a bearer token, when there is one
+     * @param {typeof fetch} [options.fetch]
+     */
+    function newIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return \`\${Date.now().toString(36)}-\${Math.random().toString(36).slice(2)}\${Math.random().toString(36).slice(2)}\`;
+    }
+
+    function createClient({ baseUrl = '', getSessionToken = () => null, fetch: fetchImpl } = {}) {
+        const send = fetchImpl || ((...args) => fetch(...args));
+
+        async function call(operation, args = {}) {
+            const { body, idempotencyKey, ...parameters } = args;
+            const url = operation.path.replace(/\\{(\\w+)\\}/g, (match, name) => encodeURIComponent(parameters[name]));
+            const query = new URLSearchParams();
+            operation.query.forEach(name => {
+                const value = parameters[name];
+                if (value !== undefined && value !== null && value !== '') query.set(name, String(value));
+            });
+
+            const headers = {};
+            const sessionToken = operation.authenticated ? getSessionToken() : null;
+            if (sessionToken) headers['Authorization'] = \`Bearer \${sessionToken}\`;
+            if (operation.idempotent) headers['${IDEMPOTENCY_HEADER}'] = idempotencyKey || newIdempotencyKey();
+            const options = { method: operation.method, headers };
+            if (typeof FormData !== 'undefined' && body instanceof FormData) {
+                options.body = body;
+            } else if (body !== undefined) {
+                headers['Content-Type'] = 'application/json';
+                options.body = JSON.stringify(body);
+            }
+
+            const target = \`\${baseUrl}\${url}\${query.toString() ? \`?\${query}\` : ''}\`;
+            let response;
+            try {
+                response = await send(target, options);
+            } catch (error) {
+                // The request may have run before the connection failed; under the same key, a resend can't run it twice
+                if (!operation.idempotent) throw error;
+                response = await send(target, options);
+            }
+            try {
+                return await response.json();
+            } catch (error) {
+                return {
+                    success: false,
+                    code: response.status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST',
+                    message: \`Unexpected response from the server (HTTP \${response.status}).\`,
+                };
+            }
+        }
+
+        return {
+${indent(operations.map(methodSource), 3)}
+        };
+    }
+
+    return {
+        OPERATIONS,
+        createClient,
+    };
+}));
+`;
+}
+
+if (require.main === module) {
+    fs.writeFileSync(OUTPUT, generate(buildOpenApiDocument()));
+    console.log(`Generate - Wrote ${path.relative(process.cwd(), OUTPUT)}.`);
+    process.exit(0);
+}
+
+module.exports = {
+    generate,
+};
@@ -0,0 +1,57 @@
+// scripts/migrate-images.js
+//
+// Move token images stored inline as base64 data URLs into media storage,
+// replacing imageUrl with the stored full-size URL and setting thumbnailUrl.
+// Tokens whose image can't be decoded or fails validation are logged and left
+// as they are. Safe to run more than once.
+// Usage: node scripts/migrate-images.js
+
+require('dotenv').config();
+
+const { connectDatabase, disconnectDatabase } = require('../db');
+const { Token } = require('../models');
+const { MediaError, storeImage, decodeDataUrl } = require('../lib/media');
+
+async function migrateImages() {
+    let migrated = 0;
+    let skipped = 0;
+
+    const cursor = Token.find({ imageUrl: /^data:/ }).select('_id ticker imageUrl').cursor();
+    for await (const token of cursor) {
+        const buffer = decodeDataUrl(token.imageUrl);
+        if (!buffer) {
+            console.error(`Migrate - Token ${token.ticker} has an unreadable data URL, skipping.`);
+            skipped += 1;
+            continue;
+        }
+
+        try {
+            const stored = await storeImage(buffer);
+            await Token.updateOne(
+                { _id: token._id, imageUrl: token.imageUrl },
+                { $set: { imageUrl: stored.url, thumbnailUrl: stored.thumbnailUrl } }
+            );
+            console.log(`Migrate - Stored image of Token ${token.ticker} at ${stored.url}.`);
+            migrated += 1;
+        } catch (error) {
+            if (!(error instanceof MediaError)) throw error;
+            console.error(`Migrate - Image of Token ${token.ticker} rejected: ${error.message}`);
+            skipped += 1;
+        }
+    }
+
+    console.log(`Migrate - Moved ${migrated} image(s) to storage, skipped ${skipped}.`);
+}
+
+if (require.main === module) {
+    connectDatabase()
+        .then(() => migrateImages())
+        .then(() => disconnectDatabase())
+        .catch(async error => {
+            console.error('Image migration failed:', error);
+            await disconnectDatabase();
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateImages };
@@ -0,0 +1,49 @@
+// scripts/migrate-lifecycle.js
+//
+// Move tokens stored before the lifecycle state machine onto it: the old
+// `migrated` flag and `migrated` status become `bonding`, and every token
+// without a history gets its current state recorded as the first entry.
+// Safe to run more than once.
+// Usage: node scripts/migrate-lifecycle.js
+
+require('dotenv').config();
+
+const { connectDatabase, disconnectDatabase } = require('../db');
+const { Token, LifecycleEvent } = require('../models');
+
+async function migrateLifecycle() {
+    const tokens = Token.collection;
+
+    const bonding = await tokens.updateMany(
+        { $or: [{ migrated: true }, { status: 'migrated' }] },
+        { $set: { status: 'bonding' }, $unset: { migrated: '' } }
+    );
+    const preBond = await tokens.updateMany(
+        { status: { $exists: false } },
+        { $set: { status: 'pre-bond' }, $unset: { migrated: '' } }
+    );
+    await tokens.updateMany({ migrated: { $exists: true } }, { $unset: { migrated: '' } });
+    await tokens.updateMany({ statusChangedAt: { $exists: false } }, [{ $set: { statusChangedAt: '$updatedAt' } }]);
+    console.log(`Migrate - Moved ${bonding.modifiedCount} migrated token(s) to bonding and ${preBond.modifiedCount} to pre-bond.`);
+
+    let recorded = 0;
+    for await (const token of Token.find().select('_id status').lean().cursor()) {
+        if (await LifecycleEvent.exists({ tokenId: token._id })) continue;
+        await LifecycleEvent.create({ tokenId: token._id, from: null, to: token.status, reason: 'Imported existing token' });
+        recorded += 1;
+    }
+    console.log(`Migrate - Recorded the initial state of ${recorded} token(s).`);
+}
+
+if (require.main === module) {
+    connectDatabase()
+        .then(() => migrateLifecycle())
+        .then(() => disconnectDatabase())
+        .catch(async error => {
+            console.error('Lifecycle migration failed:', error);
+            await disconnectDatabase();
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateLifecycle };
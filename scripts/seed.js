@@ -0,0 +1,74 @@
+// scripts/seed.js
+//
+// Seed the database with the sample tokens the terminal used to ship in memory.
+// Usage: npm run seed [-- --reset]
+
+require('dotenv').config();
+
+const { connectDatabase, disconnectDatabase } = require('../db');
+const { Token, Commitment, Upvote, Comment, LifecycleEvent, TokenView } = require('../models');
+const Pricing = require('../shared/pricing');
+const { commitDeadlineFrom } = require('../lib/commitments');
+const { recordInitialState } = require('../lib/lifecycle');
+
+const sampleTokens = [
+    {
+        title: 'Token Alpha',
+        ticker: 'ALPHA',
+        description: 'Description for Token Alpha.',
+        imageUrl: 'https://via.placeholder.com/150',
+        upvotes: 50, // Represents the current supply
+        curveA: 0.1,
+        curveB: 2,
+    },
+    {
+        title: 'Token Beta',
+        ticker: 'BETA',
+        description: 'Description for Token Beta.',
+        imageUrl: 'https://via.placeholder.com/150',
+        upvotes: 80,
+        curveA: 0.1,
+        curveB: 2,
+    },
+];
+
+async function seed({ reset = false } = {}) {
+    if (reset) {
+        console.log('Seed - Clearing existing tokens, commitments, upvotes, comments, views and lifecycle history.');
+        await Promise.all([
+            Token.deleteMany({}),
+            Commitment.deleteMany({}),
+            Upvote.deleteMany({}),
+            Comment.deleteMany({}),
+            LifecycleEvent.deleteMany({}),
+            TokenView.deleteMany({}),
+        ]);
+    }
+
+    for (const sample of sampleTokens) {
+        const existing = await Token.exists({ ticker: sample.ticker });
+        if (existing) {
+            console.log(`Seed - Token ${sample.ticker} already exists, skipping.`);
+            continue;
+        }
+        const token = new Token(sample);
+        token.solTarget = Pricing.solTarget(token, token.upvotes);
+        token.commitDeadline = commitDeadlineFrom(new Date());
+        await token.save();
+        await recordInitialState(token, { reason: 'Seeded' });
+        console.log(`Seed - Created Token ${token.ticker} with solTarget: ${token.solTarget.toFixed(2)} SOL.`);
+    }
+}
+
+if (require.main === module) {
+    connectDatabase()
+        .then(() => seed({ reset: process.argv.includes('--reset') }))
+        .then(() => disconnectDatabase())
+        .catch(async error => {
+            console.error('Seed failed:', error);
+            await disconnectDatabase();
+            process.exit(1);
+        });
+}
+
+module.exports = { seed, sampleTokens };
@@ -0,0 +1,65 @@
+// scripts/webhook-receiver.js
+//
+// A local webhook receiver for trying out endpoints: logs every delivery and
+// checks its signature. Allow the local host on the server with
+// WEBHOOK_ALLOWED_PRIVATE_HOSTS=localhost, register http://localhost:<port>/
+// as an endpoint and start it with the secret that came back:
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook:receiver -- --port 4000 --fail 2
+//
+// --fail N answers 500 to the first N deliveries of each event, to watch the
+// retries and backoff; --status CODE answers CODE to every delivery instead,
+// e.g. 410 to fill the dead-letter list.
+
+require('dotenv').config();
+
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : parseInt(process.argv[index + 1], 10);
+}
+
+const PORT = option('port', 4000);
+const FAIL_FIRST = option('fail', 0);
+const FIXED_STATUS = option('status', null);
+const SECRET = process.env.WEBHOOK_SECRET || '';
+
+const attemptsByEvent = new Map();
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const eventId = req.headers['x-webhook-id'] || '(none)';
+        const attempt = (attemptsByEvent.get(eventId) || 0) + 1;
+        attemptsByEvent.set(eventId, attempt);
+
+        const signed = verifySignature(SECRET, {
+            timestamp: req.headers['x-webhook-timestamp'],
+            signature: req.headers['x-webhook-signature'],
+        }, body);
+        let status = 200;
+        if (!signed) status = 401;
+        else if (FIXED_STATUS) status = FIXED_STATUS;
+        else if (attempt <= FAIL_FIRST) status = 500;
+
+        console.log(`${req.method} ${req.url} - ${req.headers['x-webhook-event']} ${eventId} attempt ${attempt}: signature ${signed ? 'valid' : 'INVALID'}, answering ${status}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (error) {
+            console.log(body);
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: status < 300 }));
+    });
+});
+
+if (!SECRET) {
+    console.warn('Receiver - WEBHOOK_SECRET is not set; every signature will be reported invalid.');
+}
+server.listen(PORT, () => {
+    console.log(`Receiver - Listening on http://localhost:${PORT}/`);
+});
@@ -2,112 +2,196 @@
 
 const express = require('express');
 const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+require('dotenv').config();
+
+const { connectDatabase, withTransaction } = require('./db');
+const { Token, Commitment, Upvote, Upload } = require('./models');
+const { serializeToken, serializeTokens } = require('./lib/serializeToken');
+const {
+    SOL,
+    InsufficientBalanceError,
+    walletAccount,
+    tokenCurveAccount,
+    protocolFeeAccount,
+    creatorFeeAccount,
+    postTransaction,
+    ensureWallet,
+    getBalance,
+    assertBalance,
+} = require('./lib/ledger');
+const { requireWallet, optionalWallet } = require('./lib/auth');
+const { isBanned } = require('./lib/bans');
+const { LISTED_FILTER, isDelisted } = require('./lib/visibility');
+const { MetadataError, validateLinks, validateDescription, editTokenMetadata } = require('./lib/tokenMetadata');
+const { SearchError, parseSearchParams, searchTokens, serializeListItem } = require('./lib/tokenSearch');
+const { CONFIG: TRENDING_CONFIG, DEFAULT_WINDOW, refreshTrending, getTrending } = require('./lib/trending');
+const { EVENT_TYPES, publish, startEventFeed } = require('./lib/events');
+const { validate } = require('./lib/api');
+const { ERROR_CODES, errorEnvelope, apiNotFound, apiErrorHandler } = require('./lib/api/errors');
+const { buildOpenApiDocument } = require('./lib/api/openapi');
+const { idempotency } = require('./lib/idempotency');
+const authRoutes = require('./routes/auth');
+const walletRoutes = require('./routes/wallets');
+const streamRoutes = require('./routes/stream');
+const uploadRoutes = require('./routes/uploads');
+const commentRoutes = require('./routes/comments');
+const adminRoutes = require('./routes/admin');
+const creatorRoutes = require('./routes/creators');
+const allowlistRoutes = require('./routes/allowlist');
+const webhookRoutes = require('./routes/webhooks');
+const leaderboardRoutes = require('./routes/leaderboard');
+const { startWebhooks, deliverDue: deliverWebhooks } = require('./lib/webhooks');
+const { startWatchlistAlerts } = require('./lib/watchlists');
+const { getStorage } = require('./lib/storage');
+const Pricing = require('./shared/pricing');
+const {
+    FEES,
+    SlippageError,
+    quoteTrade,
+    checkSlippage,
+    validateSlippageParams,
+    moveSupply,
+} = require('./lib/trading');
+const { ConcurrencyError, retryOnConflict } = require('./lib/concurrency');
+const {
+    CANDLE_INTERVALS,
+    MAX_CANDLES,
+    recordTrade,
+    listTrades,
+    getCandles,
+} = require('./lib/trades');
+const {
+    ANALYTICS_INTERVALS,
+    MAX_POINTS: MAX_ANALYTICS_POINTS,
+    VIEW_HASH_SALT,
+    recordView,
+    getTokenAnalytics,
+} = require('./lib/analytics');
+const {
+    DEFAULT_COMMIT_WINDOW_HOURS,
+    MIN_COMMIT_WINDOW_HOURS,
+    MAX_COMMIT_WINDOW_HOURS,
+    CommitmentError,
+    isValidCommitWindow,
+    commitDeadlineFrom,
+    isCommitWindowOpen,
+    commitToToken,
+    withdrawCommitment,
+    failExpiredTokens,
+    refundFailedTokens,
+} = require('./lib/commitments');
+const {
+    CommitPolicyError,
+    parseCommitPolicy,
+    validateAllowlist,
+    replaceAllowlist,
+    describeCommitPolicy,
+} = require('./lib/commitPolicy');
+const { createScheduler } = require('./lib/scheduler');
+const {
+    STATES,
+    TRANSITIONS,
+    MIGRATED_STATES,
+    LifecycleError,
+    isActionAllowed,
+    allowedActions,
+    assertActionAllowed,
+    transition,
+    recordInitialState,
+    graduateIfReady,
+    getLifecycleHistory,
+} = require('./lib/lifecycle');
+const { migrateToken, resumeMigrations, getMigration, getMigrationAdapter } = require('./lib/migration');
+const {
+    AllocationError,
+    parseAllocationPolicy,
+    getAllocations,
+    claimAllocations,
+} = require('./lib/allocations');
 
 // Initialize Express App
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, TRUST_PROXY says which X-Forwarded-For hops to believe for req.ip: a hop count,
+// true, or addresses and subnets such as "loopback". Unset, req.ip is the address that connected.
+function trustProxySetting(value) {
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '5mb' })); // Increase limit to handle base64 images
+app.use(errorEnvelope); // Every { success: false } body carries a stable error code
+app.use(express.json({ limit: '100kb' })); // Images go through /api/uploads, so JSON bodies stay small
+app.use('/api', idempotency); // Mutating requests sent with an Idempotency-Key run once; repeats replay the response
 
 // Serve Static Frontend Files
 app.use(express.static(path.join(__dirname, '../frontend')));
-
-// In-Memory Data Storage
-let tokens = [
-    {
-        id: uuidv4(),
-        title: 'Token Alpha',
-        ticker: 'ALPHA',
-        description: 'Description for Token Alpha.',
-        imageUrl: 'https://via.placeholder.com/150',
-        upvotes: 50, // Represents the current supply
-        comments: [],
-        views: 1200,
-        curveA: 0.1,
-        curveB: 2,
-        solTarget: 0.0, // To be calculated
-        collectiveSOL: 0.0,
-        committedWallets: new Set(),
-        upvotedWallets: new Set(), // Track wallets that have upvoted
-        migrated: false, // Indicates if token has been migrated
-        twitterLink: null,
-        websiteLink: null,
-        telegramLink: null,
-    },
-    {
-        id: uuidv4(),
-        title: 'Token Beta',
-        ticker: 'BETA',
-        description: 'Description for Token Beta.',
-        imageUrl: 'https://via.placeholder.com/150',
-        upvotes: 80,
-        comments: [],
-        views: 1800,
-        curveA: 0.1,
-        curveB: 2,
-        solTarget: 0.0, // To be calculated
-        collectiveSOL: 0.0,
-        committedWallets: new Set(),
-        upvotedWallets: new Set(),
-        migrated: false,
-        twitterLink: null,
-        websiteLink: null,
-        telegramLink: null,
-    },
-    // Add more sample tokens as needed
-];
-
-// Function to calculate solTarget based on current supply and bonding curve
-function calculateSolTarget(token) {
-    const A = token.curveA;
-    const B = token.curveB;
-    const s = token.upvotes;
-    const n = 0.5 * s; // 50% of supply
-
-    // solTarget = A * ( (s + n)^(b + 1) - s^(b + 1) ) / (b + 1)
-    const solTarget = A * (Math.pow(s + n, B + 1) - Math.pow(s, B + 1)) / (B + 1);
-    return solTarget;
+// Modules shared between the server and the browser (e.g. /shared/pricing.js)
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
+// Uploaded images, when they are stored on local disk
+const storage = getStorage();
+if (storage.directory) {
+    app.use(storage.publicPath, express.static(storage.directory, { maxAge: '365d', immutable: true }));
 }
 
-// Initialize solTarget for existing tokens
-tokens.forEach(token => {
-    token.solTarget = calculateSolTarget(token);
-});
-
-// Function to calculate price based on bonding curve
-function calculateBondingCurvePrice(a, b, supply, amount) {
-    // Price = A * ( (supply + amount)^(b + 1) - supply^(b + 1) ) / (b + 1)
-    return a * (Math.pow(supply + amount, b + 1) - Math.pow(supply, b + 1)) / (b + 1);
-}
+// Routes
 
-// Function to calculate total cost to buy 'n' tokens from 'supply'
-function calculateCumulativeCost(a, b, supply, n) {
-    return a * (Math.pow(supply + n, b + 1) - Math.pow(supply, b + 1)) / (b + 1);
-}
+app.use('/api/auth', authRoutes);
+app.use('/api/wallets', walletRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/tokens/:id/comments', commentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/creators', creatorRoutes);
+app.use('/api/tokens/:id/allowlist', allowlistRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/leaderboard', leaderboardRoutes);
 
-// Routes
+/**
+ * @route   GET /api/openapi.json
+ * @desc    The OpenAPI 3.1 description of this API, built from lib/api/operations.js
+ * @access  Public
+ */
+const openApiDocument = buildOpenApiDocument();
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
 
 /**
  * @route   GET /api/tokens
- * @desc    Get all tokens
- * @access  Public
+ * @desc    Search, filter and sort tokens, one page at a time, in a light list shape
+ *          (comment count instead of comments, `viewer` flags instead of wallet lists).
+ *          Query: q, status (e.g. pre-bond,migrated), minProgress / maxProgress (percent),
+ *          createdAfter / createdBefore, sort=newest|progress|collectiveSOL|upvotes|activity,
+ *          limit (max 100), cursor (nextCursor from the previous page)
+ * @access  Public; a wallet session adds `viewer` flags
  */
-app.get('/api/tokens', (req, res) => {
-    console.log('GET /api/tokens - Fetching all tokens');
+app.get('/api/tokens', optionalWallet, validate('listTokens'), async (req, res) => {
+    console.log('GET /api/tokens - Searching tokens:', req.query);
+
+    let options;
     try {
-        const transformedTokens = tokens.map(token => ({
-            ...token,
-            committedWallets: Array.from(token.committedWallets),
-            upvotedWallets: Array.from(token.upvotedWallets),
-        }));
+        options = parseSearchParams(req.query);
+    } catch (error) {
+        if (!(error instanceof SearchError)) throw error;
+        console.error(`Validation Error: ${error.message}`);
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+        });
+    }
+
+    try {
+        const page = await searchTokens(options, { walletId: req.walletId });
         res.json({
             success: true,
-            tokens: transformedTokens,
-            userBalance, // Assuming user balance is global for simplicity
+            ...page,
         });
     } catch (error) {
         console.error('Error fetching tokens:', error);
@@ -118,298 +202,680 @@ app.get('/api/tokens', (req, res) => {
     }
 });
 
-let userBalance = 1000; // Virtual User Balance
-
 /**
  * @route   POST /api/tokens
  * @desc    Create a new token
- * @access  Public
+ * @access  Wallet session
  */
-app.post('/api/tokens', (req, res) => {
-    const { title, ticker, description, imageUrl, curveA, curveB, twitterLink, websiteLink, telegramLink } = req.body;
+app.post('/api/tokens', requireWallet, validate('createToken'), async (req, res) => {
+    const { title, ticker, description, imageUrl, curveType, curveA, curveB, twitterLink, websiteLink, telegramLink } = req.body;
+    const { commitWindowHours = DEFAULT_COMMIT_WINDOW_HOURS } = req.body;
 
     console.log('POST /api/tokens - Received token creation request:', req.body);
 
-    // Validate Input
-    if (!title || !ticker || !description || !imageUrl || curveA === undefined || curveB === undefined) {
-        console.error('Validation Error: Missing required fields.');
+    // Validate the curve against its family's parameter schema; power curves may still pass curveA / curveB directly
+    let curve;
+    try {
+        const curveParams = req.body.curveParams !== undefined ? req.body.curveParams : { curveA, curveB };
+        curve = Pricing.parseCurve(curveType, curveParams);
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        console.error(`Validation Error: ${error.message}`);
         return res.status(400).json({
             success: false,
-            message: 'All fields except optional links are required.',
+            message: error.message,
         });
     }
 
-    // Check for Duplicate Ticker
-    const existingToken = tokens.find(token => token.ticker === ticker.toUpperCase());
-    if (existingToken) {
-        console.error(`Validation Error: Token ticker "${ticker.toUpperCase()}" already exists.`);
+    if (!isValidCommitWindow(commitWindowHours)) {
+        console.error('Validation Error: Invalid commitment window.');
         return res.status(400).json({
             success: false,
-            message: 'Token ticker already exists.',
+            message: `Commitment window must be between ${MIN_COMMIT_WINDOW_HOURS} and ${MAX_COMMIT_WINDOW_HOURS} hours.`,
+        });
+    }
+
+    const now = new Date();
+    const commitDeadline = commitDeadlineFrom(now, commitWindowHours);
+    let metadata;
+    let commitPolicy;
+    let allocationPolicy;
+    let allowlist;
+    try {
+        metadata = {
+            description: validateDescription(description),
+            ...validateLinks({ twitterLink, websiteLink, telegramLink }),
+        };
+        commitPolicy = parseCommitPolicy(req.body.commitPolicy, { now, commitDeadline });
+        allowlist = req.body.allowlist !== undefined ? validateAllowlist(req.body.allowlist) : [];
+        if (allowlist.length && !commitPolicy.whitelistEndsAt) {
+            throw new CommitPolicyError('An allowlist needs a whitelist phase; set commitPolicy.whitelistHours.');
+        }
+        allocationPolicy = parseAllocationPolicy(req.body.allocationPolicy);
+    } catch (error) {
+        if (!(error instanceof MetadataError) && !(error instanceof CommitPolicyError) && !(error instanceof AllocationError)) throw error;
+        console.error(`Validation Error: ${error.message}`);
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
         });
     }
 
-    // Validate curveA and curveB
-    const parsedCurveA = parseFloat(curveA);
-    const parsedCurveB = parseFloat(curveB);
+    try {
+        // The image must have been stored through /api/uploads
+        const image = await Upload.findOne({ url: imageUrl }).lean();
+        if (!image) {
+            console.error('Validation Error: imageUrl does not reference an uploaded image.');
+            return res.status(400).json({
+                success: false,
+                message: 'Upload the token image through /api/uploads and use the URL it returns.',
+            });
+        }
+
+        // Check for Duplicate Ticker
+        const existingToken = await Token.exists({ ticker: ticker.toUpperCase() });
+        if (existingToken) {
+            console.error(`Validation Error: Token ticker "${ticker.toUpperCase()}" already exists.`);
+            return res.status(400).json({
+                success: false,
+                message: 'Token ticker already exists.',
+            });
+        }
+
+        // Create New Token
+        const newToken = new Token({
+            title,
+            creatorWallet: req.walletId,
+            ticker: ticker.toUpperCase(),
+            description: metadata.description,
+            imageUrl: image.url,
+            thumbnailUrl: image.thumbnailUrl,
+            upvotes: 0, // Initial supply
+            views: 0,
+            curveType: curve.curveType,
+            ...(curve.curveType === 'power' ? curve.params : { curveParams: curve.params }),
+            collectiveSOL: 0.0,
+            status: STATES.PRE_BOND,
+            commitDeadline,
+            commitPolicy,
+            allocationPolicy,
+            twitterLink: metadata.twitterLink,
+            websiteLink: metadata.websiteLink,
+            telegramLink: metadata.telegramLink,
+        });
 
-    if (isNaN(parsedCurveA) || isNaN(parsedCurveB) || parsedCurveA <= 0 || parsedCurveB <= 0) {
-        console.error('Validation Error: curveA and curveB must be positive numbers.');
-        return res.status(400).json({
+        // Calculate solTarget from the curve's target logic at the initial supply
+        newToken.solTarget = Pricing.solTarget(newToken, newToken.upvotes);
+
+        await newToken.save();
+        await recordInitialState(newToken, { actor: req.walletId, reason: 'Token created' });
+        if (allowlist.length) {
+            await replaceAllowlist(newToken, req.walletId, allowlist);
+        }
+
+        console.log(`POST /api/tokens - Token "${newToken.ticker}" created successfully with solTarget: ${newToken.solTarget.toFixed(2)} SOL.`);
+
+        const serialized = await serializeToken(newToken);
+        await publish(EVENT_TYPES.TOKEN_CREATED, { tokenId: newToken.id, token: serialized });
+
+        res.status(201).json({
+            success: true,
+            message: `Token ${ticker.toUpperCase()} created successfully.`,
+            token: serialized,
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            console.error(`Validation Error: Token ticker "${ticker.toUpperCase()}" already exists.`);
+            return res.status(400).json({
+                success: false,
+                message: 'Token ticker already exists.',
+            });
+        }
+        console.error('Error creating token:', error);
+        res.status(500).json({
             success: false,
-            message: 'Curve parameters A and B must be positive numbers.',
-        });
-    }
-
-    // Create New Token
-    const newToken = {
-        id: uuidv4(),
-        title,
-        ticker: ticker.toUpperCase(),
-        description,
-        imageUrl, // Base64 image string
-        upvotes: 0, // Initial supply
-        comments: [],
-        views: 0,
-        curveA: parsedCurveA,
-        curveB: parsedCurveB,
-        solTarget: 0.0, // To be calculated
-        collectiveSOL: 0.0,
-        committedWallets: new Set(),
-        upvotedWallets: new Set(),
-        migrated: false,
-        twitterLink: twitterLink || null,
-        websiteLink: websiteLink || null,
-        telegramLink: telegramLink || null,
-    };
-
-    // Calculate solTarget based on initial supply
-    newToken.solTarget = calculateSolTarget(newToken);
-
-    tokens.push(newToken);
-
-    console.log(`POST /api/tokens - Token "${newToken.ticker}" created successfully with solTarget: ${newToken.solTarget.toFixed(2)} SOL.`);
-
-    res.status(201).json({
-        success: true,
-        message: `Token ${ticker.toUpperCase()} created successfully.`,
-        token: {
-            ...newToken,
-            committedWallets: Array.from(newToken.committedWallets),
-            upvotedWallets: Array.from(newToken.upvotedWallets),
-        },
-    });
+            message: 'Internal server error while creating token.',
+        });
+    }
 });
 
 /**
- * @route   POST /api/tokens/:id/commit
- * @desc    Commit SOL to a token's wallet
- * @access  Public
+ * @route   PATCH /api/tokens/:id
+ * @desc    Edit a token's description, image (imageUrl from /api/uploads) and
+ *          Twitter / website / Telegram links. Locked once the token migrates.
+ *          An optional `version` makes the edit apply only to that version of the token.
+ * @access  Wallet session (token creator)
  */
-app.post('/api/tokens/:id/commit', (req, res) => {
+app.patch('/api/tokens/:id', requireWallet, validate('updateToken'), async (req, res) => {
     const { id } = req.params;
-    const { amount, walletId } = req.body;
-
-    console.log(`POST /api/tokens/${id}/commit - Commit request: Amount=${amount} SOL, WalletID=${walletId}`);
+    console.log(`PATCH /api/tokens/${id} - Edit by WalletID=${req.walletId}:`, req.body);
 
-    // Validate Input
-    if (amount === undefined || isNaN(amount) || amount <= 0) {
-        console.error('Validation Error: Invalid amount to commit.');
-        return res.status(400).json({
+    try {
+        const token = await Token.findById(id);
+        if (!token || isDelisted(token)) {
+            console.error(`PATCH /api/tokens/${id} - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        const { version, ...changes } = req.body;
+        let updated;
+        try {
+            updated = await editTokenMetadata(token, req.walletId, changes, { version });
+        } catch (error) {
+            if (!(error instanceof MetadataError) && !(error instanceof ConcurrencyError)) throw error;
+            console.error(`PATCH /api/tokens/${id} - ${error.message}`);
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message,
+            });
+        }
+
+        console.log(`PATCH /api/tokens/${id} - Token ${updated.ticker} updated by its creator.`);
+        res.json({
+            success: true,
+            message: `Updated ${updated.ticker}.`,
+            token: await serializeToken(updated),
+        });
+    } catch (error) {
+        console.error('Error updating token:', error);
+        res.status(500).json({
             success: false,
-            message: 'Please enter a valid amount to commit.',
+            message: 'Internal server error while updating token.',
         });
     }
+});
 
-    const presetAmounts = [0.2, 0.5, 1, 1.5, 2];
-    if (!presetAmounts.includes(amount)) {
-        console.error('Validation Error: Amount not in preset options.');
-        return res.status(400).json({
+// Move a pre-bond token whose commitments cover its SOL target to target-reached and start its
+// migration in the background. Returns the token as it stands afterwards.
+async function startMigrationIfFunded(token, { actor, logPrefix }) {
+    if (token.status !== STATES.PRE_BOND || token.collectiveSOL < token.solTarget) return token;
+    const reached = await transition(token.id, STATES.PRE_BOND, STATES.TARGET_REACHED, {
+        actor,
+        reason: 'SOL target reached',
+        metadata: { collectiveSOL: token.collectiveSOL, solTarget: token.solTarget },
+    });
+    if (!reached) return Token.findById(token.id);
+
+    console.log(`${logPrefix} - SOL target reached for Token ${token.ticker}. Initiating migration to bonding curve and Raydium.`);
+    // Migration runs in the background; clients follow it through the token.status and token.migrated events
+    migrateToken(reached).catch(error => {
+        console.error(`Error migrating Token ${reached.ticker}:`, error);
+    });
+    return reached;
+}
+
+/**
+ * @route   POST /api/tokens/:id/commit
+ * @desc    Commit SOL to a token's escrow, or top up the wallet's commitment,
+ *          within the token's commit policy (GET /api/tokens/:id/commit-policy)
+ * @access  Wallet session
+ */
+app.post('/api/tokens/:id/commit', requireWallet, validate('commitToToken'), async (req, res) => {
+    const { id } = req.params;
+    const { amount } = req.body;
+    const { walletId } = req;
+
+    console.log(`POST /api/tokens/${id}/commit - Commit request: Amount=${amount} SOL, WalletID=${walletId}`);
+
+    try {
+        let token = await Token.findById(id);
+        if (!token) {
+            console.error(`POST /api/tokens/${id}/commit - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        try {
+            assertActionAllowed(token, 'commit');
+        } catch (error) {
+            if (!(error instanceof LifecycleError)) throw error;
+            console.error(`POST /api/tokens/${id}/commit - ${error.message}`);
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message,
+                status: token.status,
+            });
+        }
+
+        if (await isBanned(walletId, token.id, 'commit')) {
+            console.error(`POST /api/tokens/${id}/commit - Wallet ID ${walletId} is banned from committing to Token ${token.ticker}.`);
+            return res.status(403).json({
+                success: false,
+                message: 'This wallet is banned from committing to this token.',
+            });
+        }
+
+        if (!isCommitWindowOpen(token)) {
+            console.error(`POST /api/tokens/${id}/commit - Commitment window closed for Token ${token.ticker}.`);
+            return res.status(400).json({
+                success: false,
+                message: 'The commitment window for this token is closed.',
+            });
+        }
+
+        await ensureWallet(walletId);
+
+        let result;
+        try {
+            result = await commitToToken(token, walletId, amount);
+        } catch (error) {
+            if (!(error instanceof CommitmentError) && !(error instanceof CommitPolicyError)) throw error;
+            console.error(`POST /api/tokens/${id}/commit - ${error.message}`);
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message,
+            });
+        }
+        token = result.token;
+        const committed = result.amount;
+
+        console.log(`POST /api/tokens/${id}/commit - Wallet ID ${walletId} committed ${committed} SOL to Token ${token.ticker}${result.overflow ? ` (${result.overflow} SOL over the hard cap left in the wallet)` : ''}. Total SOL: ${token.collectiveSOL.toFixed(2)} SOL.`);
+
+        // Check if collectiveSOL has reached or exceeded solTarget
+        token = await startMigrationIfFunded(token, { actor: walletId, logPrefix: `POST /api/tokens/${id}/commit` });
+
+        await recordTrade(token, { walletId, type: 'commit', solAmount: committed });
+
+        const serialized = await serializeToken(token);
+        await publish(EVENT_TYPES.COMMIT, { tokenId: token.id, walletId, amount: committed, token: serialized });
+
+        res.json({
+            success: true,
+            message: result.overflow
+                ? `Committed ${committed} SOL to ${token.ticker}, filling its SOL target; the other ${result.overflow} SOL stayed in your wallet.`
+                : `Successfully committed ${committed} SOL to ${token.ticker}.`,
+            amount: committed,
+            overflow: result.overflow,
+            token: serialized,
+            userBalance: await getBalance(walletId),
+        });
+    } catch (error) {
+        console.error('Error committing SOL:', error);
+        res.status(500).json({
             success: false,
-            message: `Please select an amount from the preset options: ${presetAmounts.join(', ')} SOL.`,
+            message: 'Internal server error while committing SOL.',
         });
     }
+});
 
-    if (!walletId) {
-        console.error('Validation Error: Missing walletId.');
-        return res.status(400).json({
+/**
+ * @route   GET /api/tokens/:id/commit-policy
+ * @desc    Get a token's commit policy and current phase; with a wallet
+ *          session, also what that wallet has committed and may still commit
+ * @access  Public (wallet session optional)
+ */
+app.get('/api/tokens/:id/commit-policy', optionalWallet, validate('getCommitPolicy'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`GET /api/tokens/${id}/commit-policy - Fetching commit policy`);
+
+    try {
+        const token = await Token.findById(id);
+        if (!token || isDelisted(token)) {
+            console.error(`GET /api/tokens/${id}/commit-policy - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        const commitment = req.walletId
+            ? await Commitment.findOne({ tokenId: token.id, walletId: req.walletId, refundedAt: null }).lean()
+            : null;
+        res.json({
+            success: true,
+            commitPolicy: await describeCommitPolicy(token, req.walletId, { committed: commitment ? commitment.amount : 0 }),
+        });
+    } catch (error) {
+        console.error('Error fetching commit policy:', error);
+        res.status(500).json({
             success: false,
-            message: 'Wallet ID is required.',
+            message: 'Internal server error while fetching commit policy.',
         });
     }
+});
+
+/**
+ * @route   GET /api/tokens/:id/allocations
+ * @desc    Get the token's allocations, each with its vested, claimed and
+ *          claimable amounts; with a wallet session, also that wallet's totals.
+ *          Before migration the allocations are an estimate (recorded: false).
+ * @access  Public (wallet session optional)
+ */
+app.get('/api/tokens/:id/allocations', optionalWallet, validate('getAllocations'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`GET /api/tokens/${id}/allocations - Fetching allocations`);
+
+    try {
+        const token = await Token.findById(id);
+        if (!token || isDelisted(token)) {
+            console.error(`GET /api/tokens/${id}/allocations - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
 
-    const token = tokens.find(t => t.id === id);
-    if (!token) {
-        console.error(`POST /api/tokens/${id}/commit - Token not found.`);
-        return res.status(404).json({
+        res.json({
+            success: true,
+            allocations: await getAllocations(token, req.walletId),
+        });
+    } catch (error) {
+        console.error('Error fetching allocations:', error);
+        res.status(500).json({
             success: false,
-            message: 'Token not found.',
+            message: 'Internal server error while fetching allocations.',
         });
     }
+});
 
-    // Check if wallet has already committed
-    if (token.committedWallets.has(walletId)) {
-        console.error(`POST /api/tokens/${id}/commit - Wallet ID ${walletId} has already committed to Token ${token.ticker}.`);
-        return res.status(400).json({
+/**
+ * @route   POST /api/tokens/:id/claim
+ * @desc    Claim everything the wallet's allocations of a migrated token have vested
+ * @access  Wallet session
+ */
+app.post('/api/tokens/:id/claim', requireWallet, validate('claimAllocation'), async (req, res) => {
+    const { id } = req.params;
+    const { walletId } = req;
+
+    console.log(`POST /api/tokens/${id}/claim - Claim request from WalletID=${walletId}`);
+
+    try {
+        const token = await Token.findById(id);
+        if (!token) {
+            console.error(`POST /api/tokens/${id}/claim - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        let claimed;
+        try {
+            claimed = await claimAllocations(token, walletId, { adapter: getMigrationAdapter() });
+        } catch (error) {
+            if (!(error instanceof AllocationError)) throw error;
+            console.error(`POST /api/tokens/${id}/claim - ${error.message}`);
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        console.log(`POST /api/tokens/${id}/claim - Wallet ID ${walletId} claimed ${claimed} ${token.ticker}.`);
+
+        res.json({
+            success: true,
+            message: `Claimed ${claimed.toFixed(2)} ${token.ticker}.`,
+            claimed,
+            allocations: await getAllocations(token, walletId),
+            userBalance: await getBalance(walletId),
+            userTokenBalance: await getBalance(walletId, token.id),
+        });
+    } catch (error) {
+        console.error('Error claiming allocation:', error);
+        res.status(500).json({
             success: false,
-            message: 'This wallet has already committed to this token.',
+            message: 'Internal server error while claiming allocation.',
         });
     }
+});
 
-    // Add the amount to collectiveSOL
-    token.collectiveSOL += amount;
+/**
+ * @route   DELETE /api/tokens/:id/commit
+ * @desc    Withdraw the wallet's commitment before the token's commit deadline
+ * @access  Wallet session
+ */
+app.delete('/api/tokens/:id/commit', requireWallet, validate('withdrawCommitment'), async (req, res) => {
+    const { id } = req.params;
+    const { walletId } = req;
 
-    // Add walletId to committedWallets
-    token.committedWallets.add(walletId);
+    console.log(`DELETE /api/tokens/${id}/commit - Withdraw request from WalletID=${walletId}`);
 
-    console.log(`POST /api/tokens/${id}/commit - Wallet ID ${walletId} committed ${amount} SOL to Token ${token.ticker}. Total SOL: ${token.collectiveSOL.toFixed(2)} SOL.`);
+    try {
+        const token = await Token.findById(id);
+        if (!token) {
+            console.error(`DELETE /api/tokens/${id}/commit - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        let result;
+        try {
+            result = await withdrawCommitment(token, walletId);
+        } catch (error) {
+            if (!(error instanceof CommitmentError)) throw error;
+            console.error(`DELETE /api/tokens/${id}/commit - ${error.message}`);
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        console.log(`DELETE /api/tokens/${id}/commit - Wallet ID ${walletId} withdrew ${result.amount} SOL from Token ${token.ticker}. Total SOL: ${result.token.collectiveSOL.toFixed(2)} SOL.`);
+
+        await recordTrade(result.token, { walletId, type: 'withdraw', solAmount: result.amount });
+
+        const serialized = await serializeToken(result.token);
+        await publish(EVENT_TYPES.WITHDRAW, { tokenId: token.id, walletId, amount: result.amount, token: serialized });
 
-    // Check if collectiveSOL has reached or exceeded solTarget
-    if (token.collectiveSOL >= token.solTarget && !token.migrated) {
-        console.log(`POST /api/tokens/${id}/commit - SOL target reached for Token ${token.ticker}. Initiating migration to bonding curve and Raydium.`);
-        migrateToken(token);
+        res.json({
+            success: true,
+            message: `Withdrew ${result.amount} SOL from ${token.ticker}.`,
+            token: serialized,
+            userBalance: await getBalance(walletId),
+        });
+    } catch (error) {
+        console.error('Error withdrawing commitment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while withdrawing commitment.',
+        });
     }
-
-    res.json({
-        success: true,
-        message: `Successfully committed ${amount} SOL to ${token.ticker}.`,
-        token: {
-            ...token,
-            committedWallets: Array.from(token.committedWallets),
-            upvotedWallets: Array.from(token.upvotedWallets),
-        },
-        userBalance, // Assuming user balance is global; adjust as needed
-    });
 });
 
 /**
  * @route   POST /api/tokens/:id/upvote
  * @desc    Upvote a token (equivalent to buying one token)
- * @access  Public
+ * @access  Wallet session
  */
-app.post('/api/tokens/:id/upvote', (req, res) => {
+app.post('/api/tokens/:id/upvote', requireWallet, validate('upvoteToken'), async (req, res) => {
     const { id } = req.params;
-    const { walletId } = req.body;
+    const { walletId } = req;
 
     console.log(`POST /api/tokens/${id}/upvote - Upvote request from WalletID=${walletId}`);
 
     // Validate Input
-    if (!walletId) {
-        console.error('Validation Error: Missing walletId.');
-        return res.status(400).json({
-            success: false,
-            message: 'Wallet ID is required.',
-        });
-    }
+    try {
+        let token = await Token.findById(id);
+        if (!token) {
+            console.error(`POST /api/tokens/${id}/upvote - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        try {
+            assertActionAllowed(token, 'upvote');
+        } catch (error) {
+            if (!(error instanceof LifecycleError)) throw error;
+            console.error(`POST /api/tokens/${id}/upvote - ${error.message}`);
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message,
+                status: token.status,
+            });
+        }
+
+        if (await isBanned(walletId, token.id, 'upvote')) {
+            console.error(`POST /api/tokens/${id}/upvote - Wallet ID ${walletId} is banned from upvoting Token ${token.ticker}.`);
+            return res.status(403).json({
+                success: false,
+                message: 'This wallet is banned from upvoting this token.',
+            });
+        }
+
+        // A fixed-target curve takes upvotes only up to its target supply, past which it would have nothing left to raise
+        const maxSupply = Pricing.maxPreBondSupply(token);
+        if (token.upvotes + 1 > maxSupply) {
+            console.error(`POST /api/tokens/${id}/upvote - Token ${token.ticker} has reached its target supply of ${maxSupply}.`);
+            return res.status(409).json({
+                success: false,
+                message: `${token.ticker} has reached its target supply and takes no more upvotes.`,
+            });
+        }
+
+        // Record the upvote, add it to the supply and retarget in one transaction; the unique
+        // (tokenId, walletId) index rejects a second upvote, and upvotes are pre-bond supply, so the
+        // update only applies while the token is raising and, on a fixed-target curve, below its target
+        const raising = { _id: token.id, status: STATES.PRE_BOND };
+        if (isFinite(maxSupply)) {
+            raising.upvotes = { $lte: maxSupply - 1 };
+        }
+        try {
+            token = await withTransaction(async session => {
+                const [upvote] = await Upvote.create([{ tokenId: token.id, walletId }], { session });
+                const updated = await Token.findOneAndUpdate(
+                    raising,
+                    { $inc: { upvotes: 1 }, $set: { lastActivityAt: new Date() } },
+                    { new: true, session }
+                );
+                if (!updated) {
+                    // Without a transaction to abort, take back the upvote
+                    if (!session) await Upvote.deleteOne({ _id: upvote._id });
+                    throw new LifecycleError(`${token.ticker} is no longer accepting upvotes.`);
+                }
+                if (!Pricing.retargetsWithSupply(updated)) return updated;
+
+                // A power curve's target supply follows the supply, so its solTarget is recomputed for the new supply;
+                // only the latest upvote's recomputation applies, so concurrent upvotes can't leave a stale target.
+                // Every other curve keeps the solTarget it was created with.
+                const retargeted = await Token.findOneAndUpdate(
+                    { _id: updated.id, status: STATES.PRE_BOND, upvotes: updated.upvotes },
+                    { $set: { solTarget: Pricing.solTarget(updated, updated.upvotes) } },
+                    { new: true, session }
+                );
+                return retargeted || updated;
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                console.error(`POST /api/tokens/${id}/upvote - Wallet ID ${walletId} has already upvoted Token ${token.ticker}.`);
+                return res.status(400).json({
+                    success: false,
+                    message: 'You have already upvoted this token.',
+                });
+            }
+            if (error instanceof LifecycleError) {
+                console.error(`POST /api/tokens/${id}/upvote - Token ${token.ticker} left pre-bond before the upvote landed.`);
+                return res.status(error.status).json({
+                    success: false,
+                    code: error.code,
+                    message: error.message,
+                });
+            }
+            throw error;
+        }
+        token = await startMigrationIfFunded(token, { actor: walletId, logPrefix: `POST /api/tokens/${id}/upvote` });
+
+        console.log(`POST /api/tokens/${id}/upvote - Token ${token.ticker} upvoted by Wallet ID ${walletId}. Total Upvotes: ${token.upvotes}`);
+
+        await recordTrade(token, { walletId, type: 'upvote', tokenAmount: 1 });
+
+        const serialized = await serializeToken(token);
+        await publish(EVENT_TYPES.UPVOTE, { tokenId: token.id, walletId, token: serialized });
 
-    const token = tokens.find(t => t.id === id);
-    if (!token) {
-        console.error(`POST /api/tokens/${id}/upvote - Token not found.`);
-        return res.status(404).json({
-            success: false,
-            message: 'Token not found.',
+        res.json({
+            success: true,
+            message: `Upvoted ${token.ticker} successfully.`,
+            token: serialized,
+            userBalance: await getBalance(walletId),
         });
-    }
-
-    // Check if wallet has already upvoted
-    if (token.upvotedWallets.has(walletId)) {
-        console.error(`POST /api/tokens/${id}/upvote - Wallet ID ${walletId} has already upvoted Token ${token.ticker}.`);
-        return res.status(400).json({
+    } catch (error) {
+        console.error('Error upvoting token:', error);
+        res.status(500).json({
             success: false,
-            message: 'You have already upvoted this token.',
+            message: 'Internal server error while upvoting token.',
         });
     }
-
-    // Upvote the token
-    token.upvotes += 1;
-    token.upvotedWallets.add(walletId);
-
-    console.log(`POST /api/tokens/${id}/upvote - Token ${token.ticker} upvoted by Wallet ID ${walletId}. Total Upvotes: ${token.upvotes}`);
-
-    res.json({
-        success: true,
-        message: `Upvoted ${token.ticker} successfully.`,
-        token: {
-            ...token,
-            committedWallets: Array.from(token.committedWallets),
-            upvotedWallets: Array.from(token.upvotedWallets),
-        },
-        userBalance, // Adjust as needed
-    });
 });
 
 /**
- * @route   POST /api/tokens/:id/comments
- * @desc    Add a comment to a token
+ * @route   GET /api/tokens/trending
+ * @desc    Get the top trending tokens by time-decayed activity score.
+ *          Query: window=1h|24h|7d (default 24h), limit (default 5, max 50)
  * @access  Public
  */
-app.post('/api/tokens/:id/comments', (req, res) => {
-    const { id } = req.params;
-    const { user, comment } = req.body;
+app.get('/api/tokens/trending', validate('getTrending'), async (req, res) => {
+    const window = req.query.window || DEFAULT_WINDOW;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, TRENDING_CONFIG.limit);
+    console.log(`GET /api/tokens/trending - Fetching trending tokens: Window=${window}, Limit=${limit}`);
 
-    console.log(`POST /api/tokens/${id}/comments - Comment from ${user}: ${comment}`);
+    try {
+        const scores = await getTrending(window, { limit });
+        const tokens = await Token.find({ _id: { $in: scores.map(s => s.tokenId) }, ...LISTED_FILTER }).lean();
+        const tokensById = new Map(tokens.map(token => [token._id, token]));
 
-    // Validate Input
-    if (!user || !comment) {
-        console.error('Validation Error: Missing user or comment.');
-        return res.status(400).json({
-            success: false,
-            message: 'User and comment are required.',
+        res.json({
+            success: true,
+            window,
+            computedAt: scores.length ? scores[0].computedAt : null,
+            trending: scores
+                .filter(entry => tokensById.has(entry.tokenId))
+                .map(entry => ({
+                    ...serializeListItem(tokensById.get(entry.tokenId)),
+                    score: entry.score,
+                    rank: entry.rank,
+                    scoreBreakdown: entry.breakdown,
+                })),
         });
-    }
-
-    const token = tokens.find(t => t.id === id);
-    if (!token) {
-        console.error(`POST /api/tokens/${id}/comments - Token not found.`);
-        return res.status(404).json({
+    } catch (error) {
+        console.error('Error fetching trending tokens:', error);
+        res.status(500).json({
             success: false,
-            message: 'Token not found.',
+            message: 'Internal server error while fetching trending tokens.',
         });
     }
-
-    const newComment = {
-        user,
-        comment,
-        timestamp: new Date(),
-    };
-
-    token.comments.push(newComment);
-
-    console.log(`POST /api/tokens/${id}/comments - Comment added by ${user} to Token ${token.ticker}.`);
-
-    res.status(201).json({
-        success: true,
-        message: 'Comment added successfully.',
-        comment: newComment,
-    });
 });
 
 /**
- * @route   GET /api/tokens/trending
- * @desc    Get top 5 trending tokens based on upvotes
+ * @route   GET /api/tokens/:id
+ * @desc    Get a token with its comment count and committed / upvoted wallets
  * @access  Public
  */
-app.get('/api/tokens/trending', (req, res) => {
-    console.log('GET /api/tokens/trending - Fetching trending tokens');
+app.get('/api/tokens/:id', validate('getToken'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`GET /api/tokens/${id} - Fetching token`);
+
     try {
-        const trendingTokens = [...tokens]
-            .sort((a, b) => b.upvotes - a.upvotes)
-            .slice(0, 5)
-            .map(token => ({
-                ...token,
-                committedWallets: Array.from(token.committedWallets),
-                upvotedWallets: Array.from(token.upvotedWallets),
-            }));
+        const token = await Token.findById(id);
+        if (!token || isDelisted(token)) {
+            console.error(`GET /api/tokens/${id} - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
 
         res.json({
             success: true,
-            trending: trendingTokens,
+            token: await serializeToken(token),
         });
     } catch (error) {
-        console.error('Error fetching trending tokens:', error);
+        console.error('Error fetching token:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while fetching trending tokens.',
+            message: 'Internal server error while fetching token.',
         });
     }
 });
@@ -419,18 +885,14 @@ app.get('/api/tokens/trending', (req, res) => {
  * @desc    Get all migrated tokens
  * @access  Public
  */
-app.get('/api/migrated-tokens', (req, res) => {
+app.get('/api/migrated-tokens', validate('listMigratedTokens'), async (req, res) => {
     console.log('GET /api/migrated-tokens - Fetching migrated tokens');
     try {
-        const migratedTokens = tokens.filter(token => token.migrated).map(token => ({
-            ...token,
-            committedWallets: Array.from(token.committedWallets),
-            upvotedWallets: Array.from(token.upvotedWallets),
-        }));
+        const migratedTokens = await Token.find({ status: { $in: MIGRATED_STATES }, ...LISTED_FILTER }).sort({ createdAt: 1 });
 
         res.json({
             success: true,
-            migratedTokens,
+            migratedTokens: await serializeTokens(migratedTokens),
         });
     } catch (error) {
         console.error('Error fetching migrated tokens:', error);
@@ -443,190 +905,730 @@ app.get('/api/migrated-tokens', (req, res) => {
 
 /**
  * @route   GET /api/migrated-tokens/:id
- * @desc    Get a specific migrated token
+ * @desc    Get a specific migrated token with its migration artifacts (mint, pool, signatures)
  * @access  Public
  */
-app.get('/api/migrated-tokens/:id', (req, res) => {
+app.get('/api/migrated-tokens/:id', validate('getMigratedToken'), async (req, res) => {
     const { id } = req.params;
     console.log(`GET /api/migrated-tokens/${id} - Fetching specific migrated token`);
 
-    const token = tokens.find(t => t.id === id && t.migrated);
-    if (!token) {
-        console.error(`GET /api/migrated-tokens/${id} - Token not found or not migrated.`);
-        return res.status(404).json({
+    try {
+        const token = await Token.findOne({ _id: id, status: { $in: MIGRATED_STATES } });
+        if (!token || isDelisted(token)) {
+            console.error(`GET /api/migrated-tokens/${id} - Token not found or not migrated.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Migrated token not found.',
+            });
+        }
+
+        res.json({
+            success: true,
+            token: await serializeToken(token),
+            migration: await getMigration(token.id),
+        });
+    } catch (error) {
+        console.error('Error fetching migrated token:', error);
+        res.status(500).json({
             success: false,
-            message: 'Migrated token not found.',
+            message: 'Internal server error while fetching migrated token.',
         });
     }
+});
 
-    res.json({
-        success: true,
-        token: {
-            ...token,
-            committedWallets: Array.from(token.committedWallets),
-            upvotedWallets: Array.from(token.upvotedWallets),
-        },
-    });
+/**
+ * @route   GET /api/tokens/:id/lifecycle
+ * @desc    Get a token's lifecycle state, the actions and transitions it allows, and its transition history
+ * @access  Public
+ */
+app.get('/api/tokens/:id/lifecycle', validate('getLifecycle'), async (req, res) => {
+    const { id } = req.params;
+    console.log(`GET /api/tokens/${id}/lifecycle - Fetching lifecycle`);
+
+    try {
+        const token = await Token.findById(id);
+        if (!token) {
+            console.error(`GET /api/tokens/${id}/lifecycle - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        res.json({
+            success: true,
+            tokenId: token.id,
+            status: token.status,
+            statusChangedAt: token.statusChangedAt,
+            allowedActions: allowedActions(token),
+            nextStates: TRANSITIONS[token.status],
+            history: await getLifecycleHistory(token.id),
+        });
+    } catch (error) {
+        console.error('Error fetching token lifecycle:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching token lifecycle.',
+        });
+    }
 });
 
+// Read the one amount a trade or quote may specify: SOL (solAmount) or tokens (tokenAmount)
+function parseTradeAmount({ solAmount, tokenAmount }) {
+    const sol = solAmount !== undefined && solAmount !== '' ? Number(solAmount) : undefined;
+    const tokens = tokenAmount !== undefined && tokenAmount !== '' ? Number(tokenAmount) : undefined;
+    if ((sol === undefined) === (tokens === undefined)) return null;
+    const amount = sol !== undefined ? sol : tokens;
+    if (!isFinite(amount) || amount <= 0) return null;
+    return { sol, tokens };
+}
+
 /**
- * @route   POST /api/tokens/:id/buy-migrated
- * @desc    Buy tokens from migrated tokens with desired amount of SOL
+ * @route   GET /api/tokens/:id/quote
+ * @desc    Quote a buy or sell against the token's bonding curve, fees included.
+ *          Query: side=buy|sell and either sol=<SOL amount> or tokens=<token amount>
  * @access  Public
  */
-app.post('/api/tokens/:id/buy-migrated', (req, res) => {
+app.get('/api/tokens/:id/quote', validate('getQuote'), async (req, res) => {
     const { id } = req.params;
-    const { solAmount, walletId } = req.body;
+    const { side, sol, tokens } = req.query;
 
-    console.log(`POST /api/tokens/${id}/buy-migrated - Buy migrated tokens: SOL Amount=${solAmount}, WalletID=${walletId}`);
+    console.log(`GET /api/tokens/${id}/quote - Quote request: Side=${side}, SOL=${sol}, Tokens=${tokens}`);
 
-    // Validate Input
-    if (solAmount === undefined || isNaN(solAmount) || solAmount <= 0) {
-        console.error('Validation Error: Invalid SOL amount to buy.');
+    const amount = parseTradeAmount({ solAmount: sol, tokenAmount: tokens });
+    if (!['buy', 'sell'].includes(side) || !amount) {
+        console.error('Validation Error: Invalid quote parameters.');
         return res.status(400).json({
             success: false,
-            message: 'Please enter a valid SOL amount to buy.',
+            message: 'Provide side=buy|sell and a positive sol or tokens amount.',
         });
     }
 
-    if (!walletId) {
-        console.error('Validation Error: Missing walletId.');
-        return res.status(400).json({
+    try {
+        const token = await Token.findById(id);
+        if (!token) {
+            console.error(`GET /api/tokens/${id}/quote - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        let quote;
+        try {
+            quote = quoteTrade(token, side, amount);
+        } catch (error) {
+            if (!(error instanceof RangeError)) throw error;
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
+        res.json({
+            success: true,
+            tokenId: token.id,
+            tradable: isActionAllowed(token, 'trade'),
+            spotPrice: Pricing.spotPrice(token, token.upvotes),
+            marketCap: Pricing.marketCap(token, token.upvotes),
+            fees: FEES,
+            quote,
+        });
+    } catch (error) {
+        console.error('Error quoting trade:', error);
+        res.status(500).json({
             success: false,
-            message: 'Wallet ID is required.',
+            message: 'Internal server error while quoting trade.',
         });
     }
+});
+
+/**
+ * @route   GET /api/tokens/:id/trades
+ * @desc    Get a token's commits, upvotes, buys and sells, newest first.
+ *          Query: limit (max 200), cursor (nextCursor from the previous page), type
+ * @access  Public
+ */
+app.get('/api/tokens/:id/trades', validate('listTrades'), async (req, res) => {
+    const { id } = req.params;
+    const { cursor, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    console.log(`GET /api/tokens/${id}/trades - Fetching trades: Limit=${limit}, Cursor=${cursor}, Type=${type}`);
 
-    const token = tokens.find(t => t.id === id && t.migrated);
-    if (!token) {
-        console.error(`POST /api/tokens/${id}/buy-migrated - Migrated Token not found.`);
-        return res.status(404).json({
+    try {
+        if (!(await Token.exists({ _id: id }))) {
+            console.error(`GET /api/tokens/${id}/trades - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        const page = await listTrades(id, { limit, cursor, type });
+        res.json({
+            success: true,
+            ...page,
+        });
+    } catch (error) {
+        console.error('Error fetching trades:', error);
+        res.status(500).json({
             success: false,
-            message: 'Migrated token not found.',
+            message: 'Internal server error while fetching trades.',
         });
     }
+});
 
-    // Calculate Price based on SOL amount
-    const A = token.curveA;
-    const B = token.curveB;
-    const supply = token.upvotes;
-    const price = calculateBondingCurvePrice(A, B, supply, solAmount);
+/**
+ * @route   GET /api/tokens/:id/candles
+ * @desc    Get OHLCV candles of a token's post-trade price.
+ *          Query: interval=1m|5m|1h, optional from/to (ISO date or epoch ms)
+ * @access  Public
+ */
+app.get('/api/tokens/:id/candles', validate('getCandles'), async (req, res) => {
+    const { id } = req.params;
+    const interval = req.query.interval || '5m';
 
-    console.log(`POST /api/tokens/${id}/buy-migrated - Calculated price: ${price.toFixed(2)} units for ${solAmount} SOL`);
+    console.log(`GET /api/tokens/${id}/candles - Fetching candles: Interval=${interval}`);
 
-    if (userBalance < price) {
-        console.error('POST /api/tokens/:id/buy-migrated - Transaction Error: Insufficient balance.');
+    const parseDate = value => (/^\d+$/.test(value) ? new Date(Number(value)) : new Date(value));
+    const to = req.query.to ? parseDate(req.query.to) : new Date();
+    const from = req.query.from
+        ? parseDate(req.query.from)
+        : new Date(to.getTime() - CANDLE_INTERVALS[interval] * MAX_CANDLES);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        console.error('Validation Error: Invalid candle range.');
         return res.status(400).json({
             success: false,
-            message: 'Insufficient balance to buy tokens.',
+            message: 'from and to must be valid dates with from before to.',
         });
     }
 
-    // Update Token Supply and User Balance
-    token.upvotes += solAmount;
-    userBalance -= price;
+    try {
+        if (!(await Token.exists({ _id: id }))) {
+            console.error(`GET /api/tokens/${id}/candles - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
 
-    console.log(`POST /api/tokens/${id}/buy-migrated - Transaction Successful: Bought ${solAmount} SOL worth ${token.ticker}. New balance: ${userBalance.toFixed(2)} units.`);
+        res.json({
+            success: true,
+            interval,
+            from,
+            to,
+            candles: await getCandles(id, { interval, from, to }),
+        });
+    } catch (error) {
+        console.error('Error fetching candles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching candles.',
+        });
+    }
+});
 
-    res.json({
-        success: true,
-        message: `Bought ${solAmount} SOL worth ${token.ticker} for ${price.toFixed(2)} units.`,
-        token: {
-            ...token,
-            committedWallets: Array.from(token.committedWallets),
-            upvotedWallets: Array.from(token.upvotedWallets),
-        },
-        userBalance,
-    });
+/**
+ * @route   POST /api/tokens/:id/views
+ * @desc    Record that the token was opened. Counts once per wallet, or per
+ *          anonymous sessionId (body) without a session, per day; repeats and
+ *          crawlers are acknowledged but not counted.
+ * @access  Public (wallet session optional)
+ */
+app.post('/api/tokens/:id/views', optionalWallet, validate('recordView'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const token = await Token.findById(id);
+        if (!token || isDelisted(token)) {
+            console.error(`POST /api/tokens/${id}/views - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        const { counted, reason } = await recordView(token, {
+            walletId: req.walletId,
+            sessionId: req.body.sessionId,
+            userAgent: req.get('user-agent'),
+            ip: req.ip,
+        });
+        if (counted) {
+            console.log(`POST /api/tokens/${id}/views - View counted for ${req.walletId || 'anonymous session'}.`);
+        }
+        res.json({
+            success: true,
+            counted,
+            reason,
+        });
+    } catch (error) {
+        console.error('Error recording view:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while recording view.',
+        });
+    }
 });
 
 /**
- * @route   POST /api/tokens/:id/sell-migrated
- * @desc    Sell tokens from migrated tokens and receive desired amount of SOL
+ * @route   GET /api/tokens/:id/analytics
+ * @desc    Get a token's views, unique committers, upvotes, comments and commit
+ *          volume per interval, and its views -> upvotes -> commits funnel.
+ *          Query: interval=1h|1d, optional from/to (ISO date or epoch ms)
  * @access  Public
  */
-app.post('/api/tokens/:id/sell-migrated', (req, res) => {
+app.get('/api/tokens/:id/analytics', validate('getAnalytics'), async (req, res) => {
+    const { id } = req.params;
+    const interval = req.query.interval || '1d';
+
+    console.log(`GET /api/tokens/${id}/analytics - Fetching analytics: Interval=${interval}`);
+
+    const intervalMs = ANALYTICS_INTERVALS[interval];
+    const parseDate = value => (/^\d+$/.test(value) ? new Date(Number(value)) : new Date(value));
+    const to = req.query.to ? parseDate(req.query.to) : new Date();
+    const from = req.query.from ? parseDate(req.query.from) : new Date(to.getTime() - intervalMs * 30);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        console.error('Validation Error: Invalid analytics range.');
+        return res.status(400).json({
+            success: false,
+            message: 'from and to must be valid dates with from before to.',
+        });
+    }
+    if ((to - from) / intervalMs > MAX_ANALYTICS_POINTS) {
+        console.error('Validation Error: Analytics range too long.');
+        return res.status(400).json({
+            success: false,
+            message: `A range may span at most ${MAX_ANALYTICS_POINTS} intervals of ${interval}.`,
+        });
+    }
+
+    try {
+        const token = await Token.findById(id);
+        if (!token || isDelisted(token)) {
+            console.error(`GET /api/tokens/${id}/analytics - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        res.json({
+            success: true,
+            analytics: await getTokenAnalytics(token, { interval, from, to }),
+        });
+    } catch (error) {
+        console.error('Error fetching analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching analytics.',
+        });
+    }
+});
+
+/**
+ * @route   POST /api/tokens/:id/buy-migrated
+ * @desc    Buy tokens from migrated tokens: spend solAmount SOL (fees included), or buy exactly tokenAmount tokens.
+ *          Optional maxCost / minReceived, or slippageBps with expectedPrice, bound the execution price.
+ * @access  Wallet session
+ */
+app.post('/api/tokens/:id/buy-migrated', requireWallet, validate('buyMigrated'), async (req, res) => {
     const { id } = req.params;
-    const { solAmount, walletId } = req.body;
+    const { solAmount, tokenAmount } = req.body;
+    const { walletId } = req;
 
-    console.log(`POST /api/tokens/${id}/sell-migrated - Sell migrated tokens: SOL Amount=${solAmount}, WalletID=${walletId}`);
+    console.log(`POST /api/tokens/${id}/buy-migrated - Buy migrated tokens: SOL Amount=${solAmount}, Token Amount=${tokenAmount}, WalletID=${walletId}`);
 
     // Validate Input
-    if (solAmount === undefined || isNaN(solAmount) || solAmount <= 0) {
-        console.error('Validation Error: Invalid SOL amount to sell.');
+    const amount = parseTradeAmount(req.body);
+    if (!amount) {
+        console.error('Validation Error: Invalid amount to buy.');
         return res.status(400).json({
             success: false,
-            message: 'Please enter a valid SOL amount to sell.',
+            message: 'Please enter a valid SOL or token amount to buy.',
         });
     }
 
-    if (!walletId) {
-        console.error('Validation Error: Missing walletId.');
+    const slippageError = validateSlippageParams(req.body);
+    if (slippageError) {
+        console.error(`Validation Error: ${slippageError}`);
         return res.status(400).json({
             success: false,
-            message: 'Wallet ID is required.',
+            message: slippageError,
         });
     }
 
-    const token = tokens.find(t => t.id === id && t.migrated);
-    if (!token) {
-        console.error(`POST /api/tokens/${id}/sell-migrated - Migrated Token not found.`);
-        return res.status(404).json({
+    try {
+        let token = await Token.findById(id);
+        if (!token) {
+            console.error(`POST /api/tokens/${id}/buy-migrated - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        try {
+            assertActionAllowed(token, 'trade');
+        } catch (error) {
+            if (!(error instanceof LifecycleError)) throw error;
+            console.error(`POST /api/tokens/${id}/buy-migrated - ${error.message}`);
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message,
+                status: token.status,
+            });
+        }
+
+        // Price the purchase on the curve at the current supply, then issue it and take the payment in one
+        // transaction. The supply write is conditional on the token's version, so concurrent trades can't be
+        // priced off the same supply; a lost write re-quotes
+        await ensureWallet(walletId);
+        let quote;
+        try {
+            token = await retryOnConflict(async attempt => {
+                if (attempt > 1) {
+                    token = await Token.findById(id);
+                    assertActionAllowed(token, 'trade');
+                }
+                quote = quoteTrade(token, 'buy', amount);
+                checkSlippage(quote, req.body);
+                // Refuse a purchase the wallet can't pay for before touching the supply
+                await assertBalance(walletId, quote.solAmount);
+
+                return withTransaction(async session => {
+                    const moved = await moveSupply(token, quote.tokenAmount, { session });
+                    if (!moved) return null;
+                    // Pay the curve reserve and the fee accounts, and receive the tokens the curve issues
+                    try {
+                        await postTransaction({
+                            type: 'buy',
+                            tokenId: token.id,
+                            walletId,
+                            session,
+                            entries: [
+                                { account: walletAccount(walletId), asset: SOL, amount: -quote.solAmount },
+                                { account: tokenCurveAccount(token.id), asset: SOL, amount: quote.curveSolAmount },
+                                { account: protocolFeeAccount(), asset: SOL, amount: quote.fees.protocolFee },
+                                { account: creatorFeeAccount(token.id), asset: SOL, amount: quote.fees.creatorFee },
+                                { account: tokenCurveAccount(token.id), asset: token.id, amount: -quote.tokenAmount },
+                                { account: walletAccount(walletId), asset: token.id, amount: quote.tokenAmount },
+                            ],
+                        });
+                    } catch (error) {
+                        // Without a transaction to abort, take back the supply issued for the purchase
+                        if (!session) await Token.updateOne({ _id: token.id }, { $inc: { upvotes: -quote.tokenAmount } });
+                        throw error;
+                    }
+                    return moved;
+                });
+            }, { message: `${token.ticker} is trading heavily; try again.` });
+        } catch (error) {
+            if (error instanceof InsufficientBalanceError) {
+                console.error(`POST /api/tokens/${id}/buy-migrated - Transaction Error: Insufficient balance.`);
+                return res.status(400).json({
+                    success: false,
+                    code: ERROR_CODES.INSUFFICIENT_BALANCE,
+                    message: 'Insufficient balance to buy tokens.',
+                });
+            }
+            if (error instanceof LifecycleError) {
+                console.error(`POST /api/tokens/${id}/buy-migrated - ${error.message}`);
+                return res.status(error.status).json({
+                    success: false,
+                    code: error.code,
+                    message: error.message,
+                    status: token.status,
+                });
+            }
+            if (error instanceof SlippageError) {
+                console.error(`POST /api/tokens/${id}/buy-migrated - Slippage Error: ${error.message}`);
+                return res.status(409).json({
+                    success: false,
+                    code: error.code,
+                    message: error.message,
+                    quote,
+                });
+            }
+            if (error instanceof ConcurrencyError) {
+                console.error(`POST /api/tokens/${id}/buy-migrated - ${error.message}`);
+                return res.status(error.status).json({
+                    success: false,
+                    code: error.code,
+                    message: error.message,
+                });
+            }
+            throw error;
+        }
+        const cost = quote.solAmount;
+        const bought = quote.tokenAmount;
+
+        console.log(`POST /api/tokens/${id}/buy-migrated - Quoted ${bought.toFixed(4)} ${token.ticker} for ${cost.toFixed(4)} SOL (fees ${quote.fees.totalFee.toFixed(4)} SOL)`);
+
+        token = await graduateIfReady(token, Pricing.marketCap(token, token.upvotes));
+        const userBalance = await getBalance(walletId);
+
+        console.log(`POST /api/tokens/${id}/buy-migrated - Transaction Successful: Bought ${bought.toFixed(4)} ${token.ticker} for ${cost.toFixed(4)} SOL. New balance: ${userBalance.toFixed(2)} SOL.`);
+
+        await recordTrade(token, { walletId, type: 'buy', solAmount: cost, tokenAmount: bought });
+
+        const serialized = await serializeToken(token);
+        await publish(EVENT_TYPES.TRADE, {
+            tokenId: token.id,
+            walletId,
+            side: 'buy',
+            tokenAmount: bought,
+            solAmount: cost,
+            token: serialized,
+        });
+
+        res.json({
+            success: true,
+            message: `Bought ${bought.toFixed(4)} ${token.ticker} for ${cost.toFixed(4)} SOL.`,
+            token: serialized,
+            quote,
+            fees: quote.fees,
+            userBalance,
+        });
+    } catch (error) {
+        console.error('Error buying migrated tokens:', error);
+        res.status(500).json({
             success: false,
-            message: 'Migrated token not found.',
+            message: 'Internal server error while buying tokens.',
         });
     }
+});
+
+/**
+ * @route   POST /api/tokens/:id/sell-migrated
+ * @desc    Sell tokens from migrated tokens: sell exactly tokenAmount tokens, or enough to receive solAmount SOL after fees.
+ *          Optional maxCost / minReceived, or slippageBps with expectedPrice, bound the execution price.
+ * @access  Wallet session
+ */
+app.post('/api/tokens/:id/sell-migrated', requireWallet, validate('sellMigrated'), async (req, res) => {
+    const { id } = req.params;
+    const { solAmount, tokenAmount } = req.body;
+    const { walletId } = req;
 
-    if (token.upvotes < solAmount) {
-        console.error(`POST /api/tokens/${id}/sell-migrated - Transaction Error: Not enough tokens to sell.`);
+    console.log(`POST /api/tokens/${id}/sell-migrated - Sell migrated tokens: SOL Amount=${solAmount}, Token Amount=${tokenAmount}, WalletID=${walletId}`);
+
+    // Validate Input
+    const amount = parseTradeAmount(req.body);
+    if (!amount) {
+        console.error('Validation Error: Invalid amount to sell.');
         return res.status(400).json({
             success: false,
-            message: `You don't own enough ${token.ticker} to sell.`,
+            message: 'Please enter a valid token or SOL amount to sell.',
         });
     }
 
-    // Calculate Refund based on SOL amount
-    const A = token.curveA;
-    const B = token.curveB;
-    const supply = token.upvotes;
-    const refund = calculateCumulativeCost(A, B, supply - solAmount, solAmount);
+    const slippageError = validateSlippageParams(req.body);
+    if (slippageError) {
+        console.error(`Validation Error: ${slippageError}`);
+        return res.status(400).json({
+            success: false,
+            message: slippageError,
+        });
+    }
 
-    console.log(`POST /api/tokens/${id}/sell-migrated - Calculated refund: ${refund.toFixed(2)} units for ${solAmount} SOL`);
+    try {
+        let token = await Token.findById(id);
+        if (!token) {
+            console.error(`POST /api/tokens/${id}/sell-migrated - Token not found.`);
+            return res.status(404).json({
+                success: false,
+                message: 'Token not found.',
+            });
+        }
+
+        try {
+            assertActionAllowed(token, 'trade');
+        } catch (error) {
+            if (!(error instanceof LifecycleError)) throw error;
+            console.error(`POST /api/tokens/${id}/sell-migrated - ${error.message}`);
+            return res.status(error.status).json({
+                success: false,
+                code: error.code,
+                message: error.message,
+                status: token.status,
+            });
+        }
+
+        // Price the sale on the curve at the current supply, then return it and pay the refund in one
+        // transaction. The supply write is conditional on the token's version, so concurrent trades can't be
+        // priced off the same supply; a lost write re-quotes
+        await ensureWallet(walletId);
+        let quote;
+        try {
+            token = await retryOnConflict(async attempt => {
+                if (attempt > 1) {
+                    token = await Token.findById(id);
+                    assertActionAllowed(token, 'trade');
+                }
+                quote = quoteTrade(token, 'sell', amount);
+                checkSlippage(quote, req.body);
+                // Refuse a sale larger than the wallet's holding before touching the supply
+                await assertBalance(walletId, quote.tokenAmount, token.id);
+
+                return withTransaction(async session => {
+                    const moved = await moveSupply(token, -quote.tokenAmount, { session });
+                    if (!moved) return null;
+                    // Return the tokens to the curve and take the refund from its reserve, less fees;
+                    // the guarded wallet debit rejects sells larger than the wallet's holding
+                    try {
+                        await postTransaction({
+                            type: 'sell',
+                            tokenId: token.id,
+                            walletId,
+                            session,
+                            entries: [
+                                { account: walletAccount(walletId), asset: token.id, amount: -quote.tokenAmount },
+                                { account: tokenCurveAccount(token.id), asset: token.id, amount: quote.tokenAmount },
+                                { account: tokenCurveAccount(token.id), asset: SOL, amount: -quote.curveSolAmount },
+                                { account: protocolFeeAccount(), asset: SOL, amount: quote.fees.protocolFee },
+                                { account: creatorFeeAccount(token.id), asset: SOL, amount: quote.fees.creatorFee },
+                                { account: walletAccount(walletId), asset: SOL, amount: quote.solAmount },
+                            ],
+                        });
+                    } catch (error) {
+                        // Without a transaction to abort, put back the supply the sale returned
+                        if (!session) await Token.updateOne({ _id: token.id }, { $inc: { upvotes: quote.tokenAmount } });
+                        throw error;
+                    }
+                    return moved;
+                });
+            }, { message: `${token.ticker} is trading heavily; try again.` });
+        } catch (error) {
+            if (error instanceof InsufficientBalanceError) {
+                console.error(`POST /api/tokens/${id}/sell-migrated - Transaction Error: Wallet ID ${walletId} does not hold enough ${token.ticker}.`);
+                return res.status(400).json({
+                    success: false,
+                    code: ERROR_CODES.INSUFFICIENT_BALANCE,
+                    message: `You don't own enough ${token.ticker} to sell.`,
+                });
+            }
+            if (error instanceof RangeError) {
+                console.error(`POST /api/tokens/${id}/sell-migrated - Transaction Error: ${error.message}`);
+                return res.status(400).json({
+                    success: false,
+                    code: ERROR_CODES.INSUFFICIENT_BALANCE,
+                    message: `You don't own enough ${token.ticker} to sell.`,
+                });
+            }
+            if (error instanceof LifecycleError) {
+                console.error(`POST /api/tokens/${id}/sell-migrated - ${error.message}`);
+                return res.status(error.status).json({
+                    success: false,
+                    code: error.code,
+                    message: error.message,
+                    status: token.status,
+                });
+            }
+            if (error instanceof SlippageError) {
+                console.error(`POST /api/tokens/${id}/sell-migrated - Slippage Error: ${error.message}`);
+                return res.status(409).json({
+                    success: false,
+                    code: error.code,
+                    message: error.message,
+                    quote,
+                });
+            }
+            if (error instanceof ConcurrencyError) {
+                console.error(`POST /api/tokens/${id}/sell-migrated - ${error.message}`);
+                return res.status(error.status).json({
+                    success: false,
+                    code: error.code,
+                    message: error.message,
+                });
+            }
+            throw error;
+        }
+        const refund = quote.solAmount;
+        const sold = quote.tokenAmount;
+
+        console.log(`POST /api/tokens/${id}/sell-migrated - Quoted refund: ${refund.toFixed(4)} SOL for ${sold.toFixed(4)} ${token.ticker} (fees ${quote.fees.totalFee.toFixed(4)} SOL)`);
+
+        const userBalance = await getBalance(walletId);
+
+        console.log(`POST /api/tokens/${id}/sell-migrated - Transaction Successful: Sold ${sold.toFixed(4)} ${token.ticker} for ${refund.toFixed(4)} SOL. New balance: ${userBalance.toFixed(2)} SOL.`);
+
+        await recordTrade(token, { walletId, type: 'sell', solAmount: refund, tokenAmount: sold });
+
+        const serialized = await serializeToken(token);
+        await publish(EVENT_TYPES.TRADE, {
+            tokenId: token.id,
+            walletId,
+            side: 'sell',
+            tokenAmount: sold,
+            solAmount: refund,
+            token: serialized,
+        });
 
-    // Update Token Supply and User Balance
-    token.upvotes -= solAmount;
-    userBalance += refund;
+        res.json({
+            success: true,
+            message: `Sold ${sold.toFixed(4)} ${token.ticker} for ${refund.toFixed(4)} SOL.`,
+            token: serialized,
+            quote,
+            fees: quote.fees,
+            userBalance,
+        });
+    } catch (error) {
+        console.error('Error selling migrated tokens:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while selling tokens.',
+        });
+    }
+});
 
-    console.log(`POST /api/tokens/${id}/sell-migrated - Transaction Successful: Sold ${solAmount} SOL worth ${token.ticker}. New balance: ${userBalance.toFixed(2)} units.`);
+// Unknown API routes answer the JSON error envelope rather than the frontend
+app.use('/api', apiNotFound);
 
-    res.json({
-        success: true,
-        message: `Sold ${solAmount} SOL worth ${token.ticker} for ${refund.toFixed(2)} units.`,
-        token: {
-            ...token,
-            committedWallets: Array.from(token.committedWallets),
-            upvotedWallets: Array.from(token.upvotedWallets),
-        },
-        userBalance,
-    });
+// Admin console, served next to the main page; it signs in with the main page's wallet session
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend', 'admin.html'));
 });
 
-// Function to handle migration when solTarget is reached
-function migrateToken(token) {
-    // Placeholder for actual migration logic
-    // In a real scenario, this would involve interacting with blockchain services
-    console.log(`Migrating Token ${token.ticker} to bonding curve and then to Raydium.`);
-    // Simulate migration steps
-    token.migrated = true; // Add a field to indicate migration
-    // Further migration logic would go here
-}
-
 // Fallback Route to Serve Frontend
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend', 'index.html')); // Adjusted path
 });
 
+app.use(apiErrorHandler);
+
+// Background Jobs: fail tokens that miss their commit deadline, refund their commitments
+// retry migrations that failed or were interrupted, recompute trending scores and
+// send webhook deliveries that are due (new ones are also sent as they are queued)
+const scheduler = createScheduler()
+    .add('commit-deadlines', failExpiredTokens)
+    .add('commit-refunds', refundFailedTokens)
+    .add('migrations', resumeMigrations, { everyMs: 60 * 1000 })
+    .add('trending', refreshTrending, { everyMs: parseInt(process.env.TRENDING_REFRESH_MS, 10) || 60 * 1000 })
+    .add('webhooks', deliverWebhooks, { everyMs: 15 * 1000 });
+app.locals.scheduler = scheduler;
+
 // Start Server
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-});
+if (require.main === module) {
+    if (!VIEW_HASH_SALT) {
+        console.error('VIEW_HASH_SALT must be set to a long random secret; it keys the hashes of viewers\' IP addresses.');
+        process.exit(1);
+    }
+    connectDatabase()
+        .then(() => startEventFeed())
+        .then(() => {
+            scheduler.start();
+            startWebhooks();
+            startWatchlistAlerts();
+            app.listen(PORT, () => {
+                console.log(`Server is running on port ${PORT}`);
+            });
+        })
+        .catch(error => {
+            console.error('Failed to connect to MongoDB:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = app;
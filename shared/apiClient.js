@@ -0,0 +1,1463 @@
+// shared/apiClient.js
+//
+// GENERATED by scripts/generate-client.js from the OpenAPI document
+// (GET /api/openapi.json); do not edit by hand, run `npm run generate:client`.
+//
+// Typed client for the Cyrus Pre Bond Terminal API 1.0.0, for the
+// browser (<script src="/shared/apiClient.js"> exposes window.ApiClient) and
+// Node 18+. Every method takes one object holding the path parameters, query
+// parameters and `body`, and resolves to the response envelope: check
+// `success`, and on failure branch on the stable `code`.
+//
+// Mutating calls carry an Idempotency-Key (`idempotencyKey` in the
+// arguments, or a fresh one per call) and are sent once more with the same
+// key when the network fails, so a lost response never runs them twice.
+//
+//   const api = ApiClient.createClient({ getSessionToken: () => sessionToken });
+//   const data = await api.getQuote({ id, side: 'buy', sol: 1 });
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ApiClient = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /** @typedef {string} WalletId */
+    /** @typedef {string} TokenId */
+    /**
+     * @typedef {Object} ErrorEnvelope
+     * @property {false} success
+     * @property {'BAD_REQUEST'|'VALIDATION_FAILED'|'INVALID_JSON'|'INSUFFICIENT_BALANCE'|'UNAUTHENTICATED'|'FORBIDDEN'|'NOT_FOUND'|'CONFLICT'|'VERSION_CONFLICT'|'REQUEST_IN_PROGRESS'|'IDEMPOTENCY_KEY_REUSED'|'ACTION_NOT_ALLOWED'|'SLIPPAGE_EXCEEDED'|'PAYLOAD_TOO_LARGE'|'RATE_LIMITED'|'INTERNAL_ERROR'} code
+     * @property {string} message
+     * @property {Array<{ path: string, message: string }>} [errors]
+     */
+    /**
+     * @typedef {Object} CommitPolicy
+     * @property {number} [minPerWallet]
+     * @property {number|null} [maxPerWallet]
+     * @property {'none'|'stop'|'refund'} [hardCap]
+     * @property {string|null} [whitelistEndsAt]
+     */
+    /**
+     * @typedef {Object} AllocationPolicy
+     * @property {number} [creatorBps]
+     * @property {number} [creatorCliffDays]
+     * @property {number} [creatorVestingDays]
+     * @property {number} [committerCliffDays]
+     * @property {number} [committerVestingDays]
+     */
+    /**
+     * @typedef {Object} Token
+     * @property {TokenId} id
+     * @property {string} title
+     * @property {string} ticker
+     * @property {string} [description]
+     * @property {string|null} [creatorWallet]
+     * @property {string} [imageUrl]
+     * @property {string|null} [thumbnailUrl]
+     * @property {number} [upvotes]
+     * @property {number} [views]
+     * @property {'power'|'linear'|'exponential'|'sigmoid'|'constant-product'} [curveType]
+     * @property {number|null} [curveA]
+     * @property {number|null} [curveB]
+     * @property {Object|null} [curveParams]
+     * @property {number} [solTarget]
+     * @property {number} [collectiveSOL]
+     * @property {'draft'|'pre-bond'|'target-reached'|'migrating'|'bonding'|'graduated'|'failed'} status
+     * @property {string} [statusChangedAt]
+     * @property {string} [lastActivityAt]
+     * @property {string|null} [commitDeadline]
+     * @property {'listed'|'hidden'|'delisted'} [visibility]
+     * @property {Array<'commit'|'upvote'|'trade'>} [frozenActions]
+     * @property {CommitPolicy} [commitPolicy]
+     * @property {AllocationPolicy} [allocationPolicy]
+     * @property {string|null} [twitterLink]
+     * @property {string|null} [websiteLink]
+     * @property {string|null} [telegramLink]
+     * @property {number} [commentCount]
+     * @property {Array<string>} [committedWallets]
+     * @property {Array<string>} [upvotedWallets]
+     * @property {number} [version]
+     * @property {string} [createdAt]
+     * @property {string} [updatedAt]
+     */
+    /**
+     * @typedef {Object} TokenListItem
+     * @property {string} id
+     * @property {string} title
+     * @property {string} ticker
+     * @property {string} [description]
+     * @property {string} [imageUrl]
+     * @property {string|null} [thumbnailUrl]
+     * @property {number} [upvotes]
+     * @property {number} [views]
+     * @property {number} [solTarget]
+     * @property {number} [collectiveSOL]
+     * @property {number} [progress]
+     * @property {'draft'|'pre-bond'|'target-reached'|'migrating'|'bonding'|'graduated'|'failed'} status
+     * @property {boolean} [migrated]
+     * @property {'listed'|'hidden'|'delisted'} [visibility]
+     * @property {Array<string>} [frozenActions]
+     * @property {string|null} [commitDeadline]
+     * @property {string|null} [twitterLink]
+     * @property {string|null} [websiteLink]
+     * @property {string|null} [telegramLink]
+     * @property {string} [createdAt]
+     * @property {string} [lastActivityAt]
+     * @property {number} [commentCount]
+     * @property {{ upvoted?: boolean, committed?: boolean }|null} [viewer]
+     */
+    /**
+     * @typedef {Object} TokenPage
+     * @property {Array<TokenListItem>} tokens
+     * @property {string|null} nextCursor
+     */
+    /**
+     * @typedef {Object} Comment
+     * @property {string} id
+     * @property {string} [tokenId]
+     * @property {string} user
+     * @property {string} comment
+     * @property {string|null} [parentId]
+     * @property {string|null} [rootId]
+     * @property {string} [timestamp]
+     * @property {string|null} [editedAt]
+     * @property {boolean} [deleted]
+     * @property {boolean} [hidden]
+     * @property {boolean} [pinned]
+     * @property {boolean} [mine]
+     */
+    /**
+     * @typedef {Object} Trade
+     * @property {string} [id]
+     * @property {string} [tokenId]
+     * @property {string} [walletId]
+     * @property {'commit'|'withdraw'|'upvote'|'buy'|'sell'} [type]
+     * @property {number} [solAmount]
+     * @property {number} [tokenAmount]
+     * @property {number} [price]
+     * @property {number} [supplyAfter]
+     * @property {string} [timestamp]
+     */
+    /**
+     * @typedef {Object} Candle
+     * @property {string} [time]
+     * @property {number} [open]
+     * @property {number} [high]
+     * @property {number} [low]
+     * @property {number} [close]
+     * @property {number} [volume]
+     * @property {number} [trades]
+     */
+    /**
+     * @typedef {Object} Fees
+     * @property {number} [protocolFeeBps]
+     * @property {number} [creatorFeeBps]
+     * @property {number} [protocolFee]
+     * @property {number} [creatorFee]
+     * @property {number} [totalFee]
+     */
+    /**
+     * @typedef {Object} Quote
+     * @property {'buy'|'sell'} [side]
+     * @property {number} [solAmount]
+     * @property {number} [curveSolAmount]
+     * @property {number} [tokenAmount]
+     * @property {number} [averagePrice]
+     * @property {number} [effectivePrice]
+     * @property {number} [priceBefore]
+     * @property {number} [priceAfter]
+     * @property {number} [priceImpact]
+     * @property {number} [supplyBefore]
+     * @property {number} [supplyAfter]
+     * @property {number} [marketCapAfter]
+     * @property {Fees} [fees]
+     */
+    /**
+     * @typedef {Object} LifecycleEvent
+     * @property {string|null} [from]
+     * @property {string} [to]
+     * @property {string|null} [actor]
+     * @property {string|null} [reason]
+     * @property {Object|null} [metadata]
+     * @property {string} [timestamp]
+     */
+    /**
+     * @typedef {Object} Migration
+     * @property {string} [adapter]
+     * @property {'pending'|'running'|'succeeded'|'failed'} [status]
+     * @property {number} [attempts]
+     * @property {string} [idempotencyKey]
+     * @property {number} [solAmount]
+     * @property {number} [poolTokenAmount]
+     * @property {string|null} [mintAddress]
+     * @property {string|null} [mintSignature]
+     * @property {string|null} [poolAddress]
+     * @property {string|null} [poolSignature]
+     * @property {string|null} [lastError]
+     * @property {string|null} [completedAt]
+     */
+    /**
+     * @typedef {Object} CommitPolicyView
+     * @property {number} [minPerWallet]
+     * @property {number|null} [maxPerWallet]
+     * @property {'none'|'stop'|'refund'} [hardCap]
+     * @property {string|null} [whitelistEndsAt]
+     * @property {string} [phase]
+     * @property {number} [allowlistSize]
+     * @property {number} [remainingToTarget]
+     * @property {{ committed?: number, allowlisted?: boolean, canCommit?: boolean, remaining?: number|null }|null} [viewer]
+     */
+    /**
+     * @typedef {Object} Allocation
+     * @property {string} [walletId]
+     * @property {'committer'|'creator'} [role]
+     * @property {number} [committedSOL]
+     * @property {number} [amount]
+     * @property {number} [vested]
+     * @property {number} [claimed]
+     * @property {number} [claimable]
+     * @property {number} [vesting]
+     * @property {string|null} [vestingStartAt]
+     * @property {string|null} [cliffAt]
+     * @property {string|null} [vestingEndsAt]
+     */
+    /**
+     * @typedef {Object} AllocationTotals
+     * @property {number} [amount]
+     * @property {number} [vested]
+     * @property {number} [claimed]
+     * @property {number} [claimable]
+     * @property {number} [vesting]
+     */
+    /**
+     * @typedef {Object} Allocations
+     * @property {boolean} [recorded]
+     * @property {AllocationPolicy} [policy]
+     * @property {AllocationTotals} [totals]
+     * @property {Array<Allocation>} [allocations]
+     * @property {{ walletId?: string, allocations?: Array<Allocation>, amount?: number, vested?: number, claimed?: number, claimable?: number, vesting?: number }|null} [viewer]
+     */
+    /**
+     * @typedef {Object} Wallet
+     * @property {string} [walletId]
+     * @property {number} [balance]
+     * @property {Array<{ tokenId?: string, ticker?: string|null, amount?: number }>} [positions]
+     * @property {Array<{ txId?: string, type?: string, asset?: string, amount?: number, tokenId?: string|null, memo?: string|null, timestamp?: string }>} [history]
+     */
+    /**
+     * @typedef {Object} PortfolioPosition
+     * @property {string} [tokenId]
+     * @property {string} [ticker]
+     * @property {string} [title]
+     * @property {string} [status]
+     * @property {number} [committed]
+     * @property {number} [amount]
+     * @property {number} [unclaimed]
+     * @property {number|null} [averageEntryPrice]
+     * @property {number} [costBasis]
+     * @property {number|null} [price]
+     * @property {number|null} [marketValue]
+     * @property {number} [realizedPnl]
+     * @property {number|null} [unrealizedPnl]
+     */
+    /**
+     * @typedef {Object} Portfolio
+     * @property {string} [walletId]
+     * @property {number} [balance]
+     * @property {{ committed?: number, costBasis?: number, marketValue?: number, realizedPnl?: number, unrealizedPnl?: number, totalPnl?: number }} [totals]
+     * @property {Array<PortfolioPosition>} [positions]
+     */
+    /**
+     * @typedef {Object} LeaderboardEntry
+     * @property {number} [rank]
+     * @property {string} [walletId]
+     * @property {number} [score]
+     * @property {{ volume?: number, trades?: number, tokens?: number, tokensCreated?: number, migrated?: number }} [stats]
+     */
+    /**
+     * @typedef {Object} WatchlistAlerts
+     * @property {number|null} [progressPercent]
+     * @property {boolean} [migration]
+     * @property {number|null} [priceAbove]
+     * @property {number|null} [priceBelow]
+     * @property {boolean} [comments]
+     */
+    /**
+     * @typedef {Object} WatchlistEntry
+     * @property {string} [tokenId]
+     * @property {string|null} [ticker]
+     * @property {string|null} [title]
+     * @property {string|null} [imageUrl]
+     * @property {string|null} [status]
+     * @property {number|null} [progress]
+     * @property {number|null} [price]
+     * @property {WatchlistAlerts} [alerts]
+     * @property {boolean} [progressAlerted]
+     * @property {string} [createdAt]
+     */
+    /**
+     * @typedef {Object} Notification
+     * @property {string} [id]
+     * @property {string} [tokenId]
+     * @property {'progress'|'migrated'|'price'|'comment'} [type]
+     * @property {string} [message]
+     * @property {Object} [data]
+     * @property {boolean} [read]
+     * @property {string} [createdAt]
+     */
+    /**
+     * @typedef {Object} Upload
+     * @property {string} [id]
+     * @property {string} [url]
+     * @property {string} [thumbnailUrl]
+     * @property {number} [width]
+     * @property {number} [height]
+     */
+    /**
+     * @typedef {Object} CreatorProfile
+     * @property {string} [walletId]
+     * @property {{ tokensCreated?: number, totalRaised?: number, migrated?: number, failed?: number, raising?: number, migrationSuccessRate?: number|null }} [stats]
+     * @property {string|null} [firstTokenAt]
+     * @property {Array<TokenListItem>} [tokens]
+     */
+    /**
+     * @typedef {Object} Analytics
+     * @property {'1h'|'1d'} [interval]
+     * @property {string} [from]
+     * @property {string} [to]
+     * @property {{ views?: number, uniqueViewers?: number, upvoters?: number, committers?: number, collectiveSOL?: number }} [totals]
+     * @property {Array<{ time?: string, views?: number, uniqueCommitters?: number, upvotes?: number, comments?: number, commitVolume?: number }>} [series]
+     * @property {Array<{ step?: string, count?: number, rate?: number|null }>} [funnel]
+     */
+    /**
+     * @typedef {Object} Ban
+     * @property {string} [walletId]
+     * @property {string|null} [tokenId]
+     * @property {Array<'commit'|'upvote'|'comment'>} [scopes]
+     * @property {string} [bannedBy]
+     * @property {string|null} [reason]
+     * @property {string} [createdAt]
+     */
+    /**
+     * @typedef {Object} AdminAction
+     * @property {string} [id]
+     * @property {string} [actor]
+     * @property {string} [action]
+     * @property {'token'|'wallet'} [targetType]
+     * @property {string} [targetId]
+     * @property {string|null} [reason]
+     * @property {Object|null} [before]
+     * @property {Object|null} [after]
+     * @property {string} [createdAt]
+     */
+    /**
+     * @typedef {Object} WebhookEndpoint
+     * @property {string} [id]
+     * @property {string} [url]
+     * @property {Array<'token.created'|'token.commit'|'token.target_reached'|'token.migrated'|'token.trade'|'token.comment'>} [events]
+     * @property {string} [description]
+     * @property {boolean} [active]
+     * @property {string} [secretHint]
+     * @property {string} [createdBy]
+     * @property {string} [createdAt]
+     * @property {string} [updatedAt]
+     */
+    /**
+     * @typedef {Object} WebhookAttempt
+     * @property {string} [at]
+     * @property {number|null} [statusCode]
+     * @property {string|null} [error]
+     * @property {number} [durationMs]
+     */
+    /**
+     * @typedef {Object} WebhookDelivery
+     * @property {string} [id]
+     * @property {string} [endpointId]
+     * @property {string} [eventId]
+     * @property {'token.created'|'token.commit'|'token.target_reached'|'token.migrated'|'token.trade'|'token.comment'|'webhook.ping'} [eventType]
+     * @property {string|null} [tokenId]
+     * @property {'pending'|'succeeded'|'dead'} [status]
+     * @property {number} [attempts]
+     * @property {string|null} [nextAttemptAt]
+     * @property {string|null} [deliveredAt]
+     * @property {WebhookAttempt} [lastAttempt]
+     * @property {string} [createdAt]
+     * @property {Object} [payload]
+     * @property {Array<WebhookAttempt>} [log]
+     */
+    /**
+     * @typedef {Object} CommentThread
+     * @property {string} id
+     * @property {string} [tokenId]
+     * @property {string} user
+     * @property {string} comment
+     * @property {string|null} [parentId]
+     * @property {string|null} [rootId]
+     * @property {string} [timestamp]
+     * @property {string|null} [editedAt]
+     * @property {boolean} [deleted]
+     * @property {boolean} [hidden]
+     * @property {boolean} [pinned]
+     * @property {boolean} [mine]
+     * @property {number} [replyCount]
+     * @property {Array<Comment>} [replies]
+     */
+
+    /** @typedef {{ success: true } & { nonce?: string, message?: string, expiresAt?: string }} CreateChallengeResponse */
+    /** @typedef {{ success: true } & { sessionToken?: string, walletId?: string, expiresAt?: string }} VerifyChallengeResponse */
+    /** @typedef {{ success: true } & { walletId?: string, expiresAt?: string }} GetSessionResponse */
+    /** @typedef {{ success: true } & { message?: string }} LogoutResponse */
+    /** @typedef {{ success: true } & { wallet?: Wallet }} GetWalletResponse */
+    /** @typedef {{ success: true } & { portfolio?: Portfolio }} GetPortfolioResponse */
+    /** @typedef {{ success: true } & { type?: string, window?: string, computedAt?: string, leaderboard?: Array<LeaderboardEntry> }} GetLeaderboardResponse */
+    /** @typedef {{ success: true } & { watchlist?: Array<WatchlistEntry> }} GetWatchlistResponse */
+    /** @typedef {{ success: true } & { message?: string, entry?: WatchlistEntry }} WatchTokenResponse */
+    /** @typedef {{ success: true } & { message?: string }} UnwatchTokenResponse */
+    /** @typedef {{ success: true } & { notifications?: Array<Notification>, unreadCount?: number, nextCursor?: string|null }} ListNotificationsResponse */
+    /** @typedef {{ success: true } & { marked?: number, unreadCount?: number }} MarkNotificationsReadResponse */
+    /** @typedef {{ success: true } & { creator?: CreatorProfile }} GetCreatorResponse */
+    /** @typedef {{ success: true } & { upload?: Upload }} UploadImageResponse */
+    /** @typedef {{ success: true } & TokenPage} ListTokensResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token }} CreateTokenResponse */
+    /** @typedef {{ success: true } & { window?: string, computedAt?: string|null, trending?: Array<{ id?: string, title?: string, ticker?: string, description?: string, imageUrl?: string, thumbnailUrl?: string|null, upvotes?: number, views?: number, solTarget?: number, collectiveSOL?: number, progress?: number, status?: 'draft'|'pre-bond'|'target-reached'|'migrating'|'bonding'|'graduated'|'failed', migrated?: boolean, visibility?: 'listed'|'hidden'|'delisted', frozenActions?: Array<string>, commitDeadline?: string|null, twitterLink?: string|null, websiteLink?: string|null, telegramLink?: string|null, createdAt?: string, lastActivityAt?: string, commentCount?: number, viewer?: { upvoted?: boolean, committed?: boolean }|null, score?: number, rank?: number, scoreBreakdown?: Object }> }} GetTrendingResponse */
+    /** @typedef {{ success: true } & { token?: Token }} GetTokenResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token }} UpdateTokenResponse */
+    /** @typedef {{ success: true } & { tokenId?: string, status?: string, statusChangedAt?: string, allowedActions?: Array<string>, nextStates?: Array<string>, history?: Array<LifecycleEvent> }} GetLifecycleResponse */
+    /** @typedef {{ success: true } & { counted?: boolean, reason?: string|null }} RecordViewResponse */
+    /** @typedef {{ success: true } & { analytics?: Analytics }} GetAnalyticsResponse */
+    /** @typedef {{ success: true } & { message?: string, amount?: number, overflow?: number, token?: Token, userBalance?: number }} CommitToTokenResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token, userBalance?: number }} WithdrawCommitmentResponse */
+    /** @typedef {{ success: true } & { commitPolicy?: CommitPolicyView }} GetCommitPolicyResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token, userBalance?: number }} UpvoteTokenResponse */
+    /** @typedef {{ success: true } & { wallets?: Array<string> }} GetAllowlistResponse */
+    /** @typedef {{ success: true } & { message?: string, allowlistSize?: number }} ReplaceAllowlistResponse */
+    /** @typedef {{ success: true } & { message?: string }} RemoveFromAllowlistResponse */
+    /** @typedef {{ success: true } & { allocations?: Allocations }} GetAllocationsResponse */
+    /** @typedef {{ success: true } & { message?: string, claimed?: number, allocations?: Allocations, userBalance?: number, userTokenBalance?: number }} ClaimAllocationResponse */
+    /** @typedef {{ success: true } & { tokenId?: string, tradable?: boolean, spotPrice?: number, marketCap?: number, fees?: { protocolFeeBps?: number, creatorFeeBps?: number }, quote?: Quote }} GetQuoteResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token, quote?: Quote, fees?: Fees, userBalance?: number }} BuyMigratedResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token, quote?: Quote, fees?: Fees, userBalance?: number }} SellMigratedResponse */
+    /** @typedef {{ success: true } & { trades?: Array<Trade>, nextCursor?: string|null }} ListTradesResponse */
+    /** @typedef {{ success: true } & { interval?: string, from?: string, to?: string, candles?: Array<Candle> }} GetCandlesResponse */
+    /** @typedef {{ success: true } & { migratedTokens?: Array<Token> }} ListMigratedTokensResponse */
+    /** @typedef {{ success: true } & { token?: Token, migration?: Migration }} GetMigratedTokenResponse */
+    /** @typedef {{ success: true } & { comments?: Array<CommentThread>, nextCursor?: string|null, viewer?: { walletId?: string|null, canModerate?: boolean } }} ListCommentsResponse */
+    /** @typedef {{ success: true } & { message?: string, comment?: Comment }} CreateCommentResponse */
+    /** @typedef {{ success: true } & { message?: string, comment?: Comment }} EditCommentResponse */
+    /** @typedef {{ success: true } & { message?: string, comment?: Comment }} DeleteCommentResponse */
+    /** @typedef {{ success: true } & { message?: string, comment?: Comment }} HideCommentResponse */
+    /** @typedef {{ success: true } & { message?: string, comment?: Comment }} PinCommentResponse */
+    /** @typedef {{ success: true } & { message?: string, ban?: Ban }} BanCommenterResponse */
+    /** @typedef {{ success: true } & { message?: string }} UnbanCommenterResponse */
+    /** @typedef {{ success: true } & TokenPage} AdminListTokensResponse */
+    /** @typedef {{ success: true } & { token?: Token, history?: Array<LifecycleEvent>, bans?: Array<Ban>, audit?: Array<AdminAction> }} AdminGetTokenResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token }} AdminUpdateTokenResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token }} AdminSetVisibilityResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token }} AdminFreezeTokenResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token }} AdminForceTransitionResponse */
+    /** @typedef {{ success: true } & { message?: string, token?: Token }} AdminRollbackTransitionResponse */
+    /** @typedef {{ success: true } & { bans?: Array<Ban> }} AdminListBansResponse */
+    /** @typedef {{ success: true } & { message?: string, ban?: Ban }} AdminBanWalletResponse */
+    /** @typedef {{ success: true } & { message?: string, ban?: Ban }} AdminUnbanWalletResponse */
+    /** @typedef {{ success: true } & { entries?: Array<AdminAction>, nextCursor?: string|null }} AdminListAuditResponse */
+    /** @typedef {{ success: true } & { endpoints?: Array<WebhookEndpoint> }} ListWebhookEndpointsResponse */
+    /** @typedef {{ success: true } & { message?: string, endpoint?: WebhookEndpoint, secret?: string }} CreateWebhookEndpointResponse */
+    /** @typedef {{ success: true } & { deliveries?: Array<WebhookDelivery>, nextCursor?: string|null }} ListWebhookDeliveriesResponse */
+    /** @typedef {{ success: true } & { delivery?: WebhookDelivery }} GetWebhookDeliveryResponse */
+    /** @typedef {{ success: true } & { message?: string, delivery?: WebhookDelivery }} RedeliverWebhookResponse */
+    /** @typedef {{ success: true } & { endpoint?: WebhookEndpoint }} GetWebhookEndpointResponse */
+    /** @typedef {{ success: true } & { message?: string, endpoint?: WebhookEndpoint, secret?: string|null }} UpdateWebhookEndpointResponse */
+    /** @typedef {{ success: true } & { message?: string }} DeleteWebhookEndpointResponse */
+    /** @typedef {{ success: true } & { message?: string, delivery?: WebhookDelivery }} PingWebhookEndpointResponse */
+
+    const OPERATIONS = {
+        createChallenge: {
+            method: 'POST',
+            path: '/api/auth/challenge',
+            query: [],
+            authenticated: false,
+            idempotent: false,
+        },
+        verifyChallenge: {
+            method: 'POST',
+            path: '/api/auth/verify',
+            query: [],
+            authenticated: false,
+            idempotent: false,
+        },
+        getSession: {
+            method: 'GET',
+            path: '/api/auth/session',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        logout: {
+            method: 'POST',
+            path: '/api/auth/logout',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        getWallet: {
+            method: 'GET',
+            path: '/api/wallets/{walletId}',
+            query: ['limit'],
+            authenticated: false,
+            idempotent: false,
+        },
+        getPortfolio: {
+            method: 'GET',
+            path: '/api/wallets/{walletId}/portfolio',
+            query: [],
+            authenticated: false,
+            idempotent: false,
+        },
+        getLeaderboard: {
+            method: 'GET',
+            path: '/api/leaderboard',
+            query: ['type', 'window', 'limit'],
+            authenticated: false,
+            idempotent: false,
+        },
+        getWatchlist: {
+            method: 'GET',
+            path: '/api/wallets/{walletId}/watchlist',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        watchToken: {
+            method: 'POST',
+            path: '/api/wallets/{walletId}/watchlist',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        unwatchToken: {
+            method: 'DELETE',
+            path: '/api/wallets/{walletId}/watchlist',
+            query: ['tokenId'],
+            authenticated: true,
+            idempotent: true,
+        },
+        listNotifications: {
+            method: 'GET',
+            path: '/api/wallets/{walletId}/notifications',
+            query: ['unread', 'limit', 'cursor'],
+            authenticated: true,
+            idempotent: false,
+        },
+        markNotificationsRead: {
+            method: 'POST',
+            path: '/api/wallets/{walletId}/notifications/read',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        getCreator: {
+            method: 'GET',
+            path: '/api/creators/{walletId}',
+            query: [],
+            authenticated: false,
+            idempotent: false,
+        },
+        uploadImage: {
+            method: 'POST',
+            path: '/api/uploads',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        listTokens: {
+            method: 'GET',
+            path: '/api/tokens',
+            query: ['q', 'status', 'minProgress', 'maxProgress', 'createdAfter', 'createdBefore', 'sort', 'limit', 'cursor'],
+            authenticated: true,
+            idempotent: false,
+        },
+        createToken: {
+            method: 'POST',
+            path: '/api/tokens',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        getTrending: {
+            method: 'GET',
+            path: '/api/tokens/trending',
+            query: ['window', 'limit'],
+            authenticated: false,
+            idempotent: false,
+        },
+        getToken: {
+            method: 'GET',
+            path: '/api/tokens/{id}',
+            query: [],
+            authenticated: false,
+            idempotent: false,
+        },
+        updateToken: {
+            method: 'PATCH',
+            path: '/api/tokens/{id}',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        getLifecycle: {
+            method: 'GET',
+            path: '/api/tokens/{id}/lifecycle',
+            query: [],
+            authenticated: false,
+            idempotent: false,
+        },
+        recordView: {
+            method: 'POST',
+            path: '/api/tokens/{id}/views',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        getAnalytics: {
+            method: 'GET',
+            path: '/api/tokens/{id}/analytics',
+            query: ['interval', 'from', 'to'],
+            authenticated: false,
+            idempotent: false,
+        },
+        commitToToken: {
+            method: 'POST',
+            path: '/api/tokens/{id}/commit',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        withdrawCommitment: {
+            method: 'DELETE',
+            path: '/api/tokens/{id}/commit',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        getCommitPolicy: {
+            method: 'GET',
+            path: '/api/tokens/{id}/commit-policy',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        upvoteToken: {
+            method: 'POST',
+            path: '/api/tokens/{id}/upvote',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        getAllowlist: {
+            method: 'GET',
+            path: '/api/tokens/{id}/allowlist',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        replaceAllowlist: {
+            method: 'PUT',
+            path: '/api/tokens/{id}/allowlist',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        removeFromAllowlist: {
+            method: 'DELETE',
+            path: '/api/tokens/{id}/allowlist/{walletId}',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        getAllocations: {
+            method: 'GET',
+            path: '/api/tokens/{id}/allocations',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        claimAllocation: {
+            method: 'POST',
+            path: '/api/tokens/{id}/claim',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        getQuote: {
+            method: 'GET',
+            path: '/api/tokens/{id}/quote',
+            query: ['side', 'sol', 'tokens'],
+            authenticated: false,
+            idempotent: false,
+        },
+        buyMigrated: {
+            method: 'POST',
+            path: '/api/tokens/{id}/buy-migrated',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        sellMigrated: {
+            method: 'POST',
+            path: '/api/tokens/{id}/sell-migrated',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        listTrades: {
+            method: 'GET',
+            path: '/api/tokens/{id}/trades',
+            query: ['limit', 'cursor', 'type'],
+            authenticated: false,
+            idempotent: false,
+        },
+        getCandles: {
+            method: 'GET',
+            path: '/api/tokens/{id}/candles',
+            query: ['interval', 'from', 'to'],
+            authenticated: false,
+            idempotent: false,
+        },
+        listMigratedTokens: {
+            method: 'GET',
+            path: '/api/migrated-tokens',
+            query: [],
+            authenticated: false,
+            idempotent: false,
+        },
+        getMigratedToken: {
+            method: 'GET',
+            path: '/api/migrated-tokens/{id}',
+            query: [],
+            authenticated: false,
+            idempotent: false,
+        },
+        listComments: {
+            method: 'GET',
+            path: '/api/tokens/{id}/comments',
+            query: ['limit', 'cursor'],
+            authenticated: true,
+            idempotent: false,
+        },
+        createComment: {
+            method: 'POST',
+            path: '/api/tokens/{id}/comments',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        editComment: {
+            method: 'PATCH',
+            path: '/api/tokens/{id}/comments/{commentId}',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        deleteComment: {
+            method: 'DELETE',
+            path: '/api/tokens/{id}/comments/{commentId}',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        hideComment: {
+            method: 'POST',
+            path: '/api/tokens/{id}/comments/{commentId}/hide',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        pinComment: {
+            method: 'POST',
+            path: '/api/tokens/{id}/comments/{commentId}/pin',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        banCommenter: {
+            method: 'POST',
+            path: '/api/tokens/{id}/comments/bans',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        unbanCommenter: {
+            method: 'DELETE',
+            path: '/api/tokens/{id}/comments/bans/{walletId}',
+            query: ['global'],
+            authenticated: true,
+            idempotent: true,
+        },
+        adminListTokens: {
+            method: 'GET',
+            path: '/api/admin/tokens',
+            query: ['q', 'status', 'minProgress', 'maxProgress', 'createdAfter', 'createdBefore', 'sort', 'limit', 'cursor', 'visibility'],
+            authenticated: true,
+            idempotent: false,
+        },
+        adminGetToken: {
+            method: 'GET',
+            path: '/api/admin/tokens/{id}',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        adminUpdateToken: {
+            method: 'PATCH',
+            path: '/api/admin/tokens/{id}',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        adminSetVisibility: {
+            method: 'POST',
+            path: '/api/admin/tokens/{id}/visibility',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        adminFreezeToken: {
+            method: 'POST',
+            path: '/api/admin/tokens/{id}/freeze',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        adminForceTransition: {
+            method: 'POST',
+            path: '/api/admin/tokens/{id}/transition',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        adminRollbackTransition: {
+            method: 'POST',
+            path: '/api/admin/tokens/{id}/rollback',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        adminListBans: {
+            method: 'GET',
+            path: '/api/admin/wallets/{walletId}/bans',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        adminBanWallet: {
+            method: 'POST',
+            path: '/api/admin/wallets/{walletId}/bans',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        adminUnbanWallet: {
+            method: 'DELETE',
+            path: '/api/admin/wallets/{walletId}/bans',
+            query: ['tokenId', 'scopes', 'reason'],
+            authenticated: true,
+            idempotent: true,
+        },
+        adminListAudit: {
+            method: 'GET',
+            path: '/api/admin/audit',
+            query: ['targetId', 'actor', 'action', 'limit', 'cursor'],
+            authenticated: true,
+            idempotent: false,
+        },
+        listWebhookEndpoints: {
+            method: 'GET',
+            path: '/api/webhooks',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        createWebhookEndpoint: {
+            method: 'POST',
+            path: '/api/webhooks',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        listWebhookDeliveries: {
+            method: 'GET',
+            path: '/api/webhooks/deliveries',
+            query: ['endpointId', 'status', 'eventType', 'limit', 'cursor'],
+            authenticated: true,
+            idempotent: false,
+        },
+        getWebhookDelivery: {
+            method: 'GET',
+            path: '/api/webhooks/deliveries/{deliveryId}',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        redeliverWebhook: {
+            method: 'POST',
+            path: '/api/webhooks/deliveries/{deliveryId}/redeliver',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        getWebhookEndpoint: {
+            method: 'GET',
+            path: '/api/webhooks/{endpointId}',
+            query: [],
+            authenticated: true,
+            idempotent: false,
+        },
+        updateWebhookEndpoint: {
+            method: 'PATCH',
+            path: '/api/webhooks/{endpointId}',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        deleteWebhookEndpoint: {
+            method: 'DELETE',
+            path: '/api/webhooks/{endpointId}',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+        pingWebhookEndpoint: {
+            method: 'POST',
+            path: '/api/webhooks/{endpointId}/ping',
+            query: [],
+            authenticated: true,
+            idempotent: true,
+        },
+    };
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] Prefix for every path, e.g. 'https://example.com'; same origin when empty
+     * @param {function(): (string|null)} [options.getSessionToken] Session token sent as a bearer token, when there is one
+     * @param {typeof fetch} [options.fetch]
+     */
+    function newIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+    }
+
+    function createClient({ baseUrl = '', getSessionToken = () => null, fetch: fetchImpl } = {}) {
+        const send = fetchImpl || ((...args) => fetch(...args));
+
+        async function call(operation, args = {}) {
+            const { body, idempotencyKey, ...parameters } = args;
+            const url = operation.path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(parameters[name]));
+            const query = new URLSearchParams();
+            operation.query.forEach(name => {
+                const value = parameters[name];
+                if (value !== undefined && value !== null && value !== '') query.set(name, String(value));
+            });
+
+            const headers = {};
+            const sessionToken = operation.authenticated ? getSessionToken() : null;
+            if (sessionToken) headers['Authorization'] = `Bearer ${sessionToken}`;
+            if (operation.idempotent) headers['Idempotency-Key'] = idempotencyKey || newIdempotencyKey();
+            const options = { method: operation.method, headers };
+            if (typeof FormData !== 'undefined' && body instanceof FormData) {
+                options.body = body;
+            } else if (body !== undefined) {
+                headers['Content-Type'] = 'application/json';
+                options.body = JSON.stringify(body);
+            }
+
+            const target = `${baseUrl}${url}${query.toString() ? `?${query}` : ''}`;
+            let response;
+            try {
+                response = await send(target, options);
+            } catch (error) {
+                // The request may have run before the connection failed; under the same key, a resend can't run it twice
+                if (!operation.idempotent) throw error;
+                response = await send(target, options);
+            }
+            try {
+                return await response.json();
+            } catch (error) {
+                return {
+                    success: false,
+                    code: response.status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST',
+                    message: `Unexpected response from the server (HTTP ${response.status}).`,
+                };
+            }
+        }
+
+        return {
+            /**
+             * Issue a nonce and the login message the wallet must sign
+             * POST /api/auth/challenge
+             * @param {{ body: { walletId: WalletId } }} args
+             * @returns {Promise<CreateChallengeResponse|ErrorEnvelope>}
+             */
+            createChallenge: args => call(OPERATIONS.createChallenge, args),
+            /**
+             * Verify the signed challenge and open a session
+             * POST /api/auth/verify
+             * @param {{ body: { walletId: WalletId, nonce: string, signature: string } }} args
+             * @returns {Promise<VerifyChallengeResponse|ErrorEnvelope>}
+             */
+            verifyChallenge: args => call(OPERATIONS.verifyChallenge, args),
+            /**
+             * Get the wallet behind the current session token
+             * GET /api/auth/session
+             * @returns {Promise<GetSessionResponse|ErrorEnvelope>}
+             */
+            getSession: args => call(OPERATIONS.getSession, args),
+            /**
+             * Revoke the current session token
+             * POST /api/auth/logout
+             * @returns {Promise<LogoutResponse|ErrorEnvelope>}
+             */
+            logout: args => call(OPERATIONS.logout, args),
+            /**
+             * Get a wallet's virtual SOL balance, token positions and ledger history
+             * GET /api/wallets/{walletId}
+             * @param {{ walletId: WalletId, limit?: number }} args
+             * @returns {Promise<GetWalletResponse|ErrorEnvelope>}
+             */
+            getWallet: args => call(OPERATIONS.getWallet, args),
+            /**
+             * Get a wallet's positions, average entry prices, realized and unrealized P&L and SOL committed
+             * GET /api/wallets/{walletId}/portfolio
+             * @param {{ walletId: WalletId }} args
+             * @returns {Promise<GetPortfolioResponse|ErrorEnvelope>}
+             */
+            getPortfolio: args => call(OPERATIONS.getPortfolio, args),
+            /**
+             * Rank traders by realized P&L, committers by SOL committed or creators by SOL raised
+             * GET /api/leaderboard
+             * @param {{ type: 'traders'|'committers'|'creators', window?: '24h'|'7d'|'30d'|'all', limit?: number }} args
+             * @returns {Promise<GetLeaderboardResponse|ErrorEnvelope>}
+             */
+            getLeaderboard: args => call(OPERATIONS.getLeaderboard, args),
+            /**
+             * Your watched tokens with their alert rules
+             * GET /api/wallets/{walletId}/watchlist
+             * @param {{ walletId: WalletId }} args
+             * @returns {Promise<GetWatchlistResponse|ErrorEnvelope>}
+             */
+            getWatchlist: args => call(OPERATIONS.getWatchlist, args),
+            /**
+             * Watch a token, or change a watched token's alert rules
+             * POST /api/wallets/{walletId}/watchlist
+             * @param {{ walletId: WalletId, body: { tokenId: TokenId, alerts?: WatchlistAlerts }, idempotencyKey?: string }} args
+             * @returns {Promise<WatchTokenResponse|ErrorEnvelope>}
+             */
+            watchToken: args => call(OPERATIONS.watchToken, args),
+            /**
+             * Stop watching a token
+             * DELETE /api/wallets/{walletId}/watchlist
+             * @param {{ walletId: WalletId, tokenId: TokenId, idempotencyKey?: string }} args
+             * @returns {Promise<UnwatchTokenResponse|ErrorEnvelope>}
+             */
+            unwatchToken: args => call(OPERATIONS.unwatchToken, args),
+            /**
+             * Your notification inbox, newest first, with the unread count
+             * GET /api/wallets/{walletId}/notifications
+             * @param {{ walletId: WalletId, unread?: boolean, limit?: number, cursor?: string }} args
+             * @returns {Promise<ListNotificationsResponse|ErrorEnvelope>}
+             */
+            listNotifications: args => call(OPERATIONS.listNotifications, args),
+            /**
+             * Mark notifications as read; all of them when no ids are given
+             * POST /api/wallets/{walletId}/notifications/read
+             * @param {{ walletId: WalletId, body?: { ids?: Array<string> }, idempotencyKey?: string }} args
+             * @returns {Promise<MarkNotificationsReadResponse|ErrorEnvelope>}
+             */
+            markNotificationsRead: args => call(OPERATIONS.markNotificationsRead, args),
+            /**
+             * Get a creator's tokens, the SOL they raised and their migration success rate
+             * GET /api/creators/{walletId}
+             * @param {{ walletId: WalletId }} args
+             * @returns {Promise<GetCreatorResponse|ErrorEnvelope>}
+             */
+            getCreator: args => call(OPERATIONS.getCreator, args),
+            /**
+             * Upload a token image (multipart field "image")
+             * POST /api/uploads
+             * @param {{ body: FormData, idempotencyKey?: string }} args
+             * @returns {Promise<UploadImageResponse|ErrorEnvelope>}
+             */
+            uploadImage: args => call(OPERATIONS.uploadImage, args),
+            /**
+             * Search, filter and sort tokens, one page at a time
+             * GET /api/tokens
+             * @param {{ q?: string, status?: string, minProgress?: number, maxProgress?: number, createdAfter?: string, createdBefore?: string, sort?: 'newest'|'progress'|'collectiveSOL'|'upvotes'|'activity', limit?: number, cursor?: string }} [args]
+             * @returns {Promise<ListTokensResponse|ErrorEnvelope>}
+             */
+            listTokens: args => call(OPERATIONS.listTokens, args),
+            /**
+             * Create a token
+             * POST /api/tokens
+             * @param {{ body: { title: string, ticker: string, description: string, imageUrl: string, curveType?: 'power'|'linear'|'exponential'|'sigmoid'|'constant-product', curveParams?: Object, curveA?: number, curveB?: number, commitWindowHours?: number, twitterLink?: string|null, websiteLink?: string|null, telegramLink?: string|null, commitPolicy?: { minPerWallet?: number, maxPerWallet?: number|null, hardCap?: 'none'|'stop'|'refund', whitelistHours?: number }, allowlist?: Array<WalletId>, allocationPolicy?: { creatorBps?: number, creatorCliffDays?: number, creatorVestingDays?: number, committerCliffDays?: number, committerVestingDays?: number } }, idempotencyKey?: string }} args
+             * @returns {Promise<CreateTokenResponse|ErrorEnvelope>}
+             */
+            createToken: args => call(OPERATIONS.createToken, args),
+            /**
+             * Get the top trending tokens by time-decayed activity score
+             * GET /api/tokens/trending
+             * @param {{ window?: '1h'|'24h'|'7d', limit?: number }} [args]
+             * @returns {Promise<GetTrendingResponse|ErrorEnvelope>}
+             */
+            getTrending: args => call(OPERATIONS.getTrending, args),
+            /**
+             * Get a token with its comment count and committed / upvoted wallets
+             * GET /api/tokens/{id}
+             * @param {{ id: TokenId }} args
+             * @returns {Promise<GetTokenResponse|ErrorEnvelope>}
+             */
+            getToken: args => call(OPERATIONS.getToken, args),
+            /**
+             * Edit a token's description, image and links (creator, until it migrates)
+             * PATCH /api/tokens/{id}
+             * @param {{ id: TokenId, body?: { description?: string, imageUrl?: string, twitterLink?: string|null, websiteLink?: string|null, telegramLink?: string|null, version?: number }, idempotencyKey?: string }} args
+             * @returns {Promise<UpdateTokenResponse|ErrorEnvelope>}
+             */
+            updateToken: args => call(OPERATIONS.updateToken, args),
+            /**
+             * Get a token's lifecycle state, allowed actions and transition history
+             * GET /api/tokens/{id}/lifecycle
+             * @param {{ id: TokenId }} args
+             * @returns {Promise<GetLifecycleResponse|ErrorEnvelope>}
+             */
+            getLifecycle: args => call(OPERATIONS.getLifecycle, args),
+            /**
+             * Record that the token was opened
+             * POST /api/tokens/{id}/views
+             * @param {{ id: TokenId, body?: { sessionId?: string|null }, idempotencyKey?: string }} args
+             * @returns {Promise<RecordViewResponse|ErrorEnvelope>}
+             */
+            recordView: args => call(OPERATIONS.recordView, args),
+            /**
+             * Get a token's views, committers, upvotes, comments and commit volume per interval
+             * GET /api/tokens/{id}/analytics
+             * @param {{ id: TokenId, interval?: '1h'|'1d', from?: string, to?: string }} args
+             * @returns {Promise<GetAnalyticsResponse|ErrorEnvelope>}
+             */
+            getAnalytics: args => call(OPERATIONS.getAnalytics, args),
+            /**
+             * Commit SOL to a token's escrow, or top up the wallet's commitment
+             * POST /api/tokens/{id}/commit
+             * @param {{ id: TokenId, body: { amount: (number|string) }, idempotencyKey?: string }} args
+             * @returns {Promise<CommitToTokenResponse|ErrorEnvelope>}
+             */
+            commitToToken: args => call(OPERATIONS.commitToToken, args),
+            /**
+             * Withdraw the wallet's commitment before the commit deadline
+             * DELETE /api/tokens/{id}/commit
+             * @param {{ id: TokenId, idempotencyKey?: string }} args
+             * @returns {Promise<WithdrawCommitmentResponse|ErrorEnvelope>}
+             */
+            withdrawCommitment: args => call(OPERATIONS.withdrawCommitment, args),
+            /**
+             * Get a token's commit policy, current phase and the wallet's standing
+             * GET /api/tokens/{id}/commit-policy
+             * @param {{ id: TokenId }} args
+             * @returns {Promise<GetCommitPolicyResponse|ErrorEnvelope>}
+             */
+            getCommitPolicy: args => call(OPERATIONS.getCommitPolicy, args),
+            /**
+             * Upvote a token (equivalent to buying one token)
+             * POST /api/tokens/{id}/upvote
+             * @param {{ id: TokenId, idempotencyKey?: string }} args
+             * @returns {Promise<UpvoteTokenResponse|ErrorEnvelope>}
+             */
+            upvoteToken: args => call(OPERATIONS.upvoteToken, args),
+            /**
+             * List the wallets on the token's allowlist (creator)
+             * GET /api/tokens/{id}/allowlist
+             * @param {{ id: TokenId }} args
+             * @returns {Promise<GetAllowlistResponse|ErrorEnvelope>}
+             */
+            getAllowlist: args => call(OPERATIONS.getAllowlist, args),
+            /**
+             * Replace the token's allowlist (creator, during the raise)
+             * PUT /api/tokens/{id}/allowlist
+             * @param {{ id: TokenId, body: { wallets: Array<WalletId> }, idempotencyKey?: string }} args
+             * @returns {Promise<ReplaceAllowlistResponse|ErrorEnvelope>}
+             */
+            replaceAllowlist: args => call(OPERATIONS.replaceAllowlist, args),
+            /**
+             * Take a wallet off the token's allowlist (creator)
+             * DELETE /api/tokens/{id}/allowlist/{walletId}
+             * @param {{ id: TokenId, walletId: WalletId, idempotencyKey?: string }} args
+             * @returns {Promise<RemoveFromAllowlistResponse|ErrorEnvelope>}
+             */
+            removeFromAllowlist: args => call(OPERATIONS.removeFromAllowlist, args),
+            /**
+             * Get the token's allocations and their claim state
+             * GET /api/tokens/{id}/allocations
+             * @param {{ id: TokenId }} args
+             * @returns {Promise<GetAllocationsResponse|ErrorEnvelope>}
+             */
+            getAllocations: args => call(OPERATIONS.getAllocations, args),
+            /**
+             * Claim everything the wallet's allocations have vested
+             * POST /api/tokens/{id}/claim
+             * @param {{ id: TokenId, idempotencyKey?: string }} args
+             * @returns {Promise<ClaimAllocationResponse|ErrorEnvelope>}
+             */
+            claimAllocation: args => call(OPERATIONS.claimAllocation, args),
+            /**
+             * Quote a buy or sell against the token's bonding curve, fees included
+             * GET /api/tokens/{id}/quote
+             * @param {{ id: TokenId, side: 'buy'|'sell', sol?: number, tokens?: number }} args
+             * @returns {Promise<GetQuoteResponse|ErrorEnvelope>}
+             */
+            getQuote: args => call(OPERATIONS.getQuote, args),
+            /**
+             * Buy a migrated token on its bonding curve
+             * POST /api/tokens/{id}/buy-migrated
+             * @param {{ id: TokenId, body?: { solAmount?: (number|string), tokenAmount?: (number|string), maxCost?: (number|string), minReceived?: (number|string), slippageBps?: number, expectedPrice?: (number|string) }, idempotencyKey?: string }} args
+             * @returns {Promise<BuyMigratedResponse|ErrorEnvelope>}
+             */
+            buyMigrated: args => call(OPERATIONS.buyMigrated, args),
+            /**
+             * Sell a migrated token back to its bonding curve
+             * POST /api/tokens/{id}/sell-migrated
+             * @param {{ id: TokenId, body?: { solAmount?: (number|string), tokenAmount?: (number|string), maxCost?: (number|string), minReceived?: (number|string), slippageBps?: number, expectedPrice?: (number|string) }, idempotencyKey?: string }} args
+             * @returns {Promise<SellMigratedResponse|ErrorEnvelope>}
+             */
+            sellMigrated: args => call(OPERATIONS.sellMigrated, args),
+            /**
+             * Get a token's commits, withdrawals, upvotes, buys and sells, newest first
+             * GET /api/tokens/{id}/trades
+             * @param {{ id: TokenId, limit?: number, cursor?: string, type?: 'commit'|'withdraw'|'upvote'|'buy'|'sell' }} args
+             * @returns {Promise<ListTradesResponse|ErrorEnvelope>}
+             */
+            listTrades: args => call(OPERATIONS.listTrades, args),
+            /**
+             * Get OHLCV candles of a token's post-trade price
+             * GET /api/tokens/{id}/candles
+             * @param {{ id: TokenId, interval?: '1m'|'5m'|'1h', from?: string, to?: string }} args
+             * @returns {Promise<GetCandlesResponse|ErrorEnvelope>}
+             */
+            getCandles: args => call(OPERATIONS.getCandles, args),
+            /**
+             * Get all migrated tokens
+             * GET /api/migrated-tokens
+             * @returns {Promise<ListMigratedTokensResponse|ErrorEnvelope>}
+             */
+            listMigratedTokens: args => call(OPERATIONS.listMigratedTokens, args),
+            /**
+             * Get a migrated token with its migration artifacts
+             * GET /api/migrated-tokens/{id}
+             * @param {{ id: TokenId }} args
+             * @returns {Promise<GetMigratedTokenResponse|ErrorEnvelope>}
+             */
+            getMigratedToken: args => call(OPERATIONS.getMigratedToken, args),
+            /**
+             * Page through a token's comment threads
+             * GET /api/tokens/{id}/comments
+             * @param {{ id: TokenId, limit?: number, cursor?: string }} args
+             * @returns {Promise<ListCommentsResponse|ErrorEnvelope>}
+             */
+            listComments: args => call(OPERATIONS.listComments, args),
+            /**
+             * Add a comment to a token, or reply to one
+             * POST /api/tokens/{id}/comments
+             * @param {{ id: TokenId, body: { comment: string, parentId?: string|null }, idempotencyKey?: string }} args
+             * @returns {Promise<CreateCommentResponse|ErrorEnvelope>}
+             */
+            createComment: args => call(OPERATIONS.createComment, args),
+            /**
+             * Edit your own comment
+             * PATCH /api/tokens/{id}/comments/{commentId}
+             * @param {{ id: TokenId, commentId: string, body: { comment: string }, idempotencyKey?: string }} args
+             * @returns {Promise<EditCommentResponse|ErrorEnvelope>}
+             */
+            editComment: args => call(OPERATIONS.editComment, args),
+            /**
+             * Delete your own comment
+             * DELETE /api/tokens/{id}/comments/{commentId}
+             * @param {{ id: TokenId, commentId: string, idempotencyKey?: string }} args
+             * @returns {Promise<DeleteCommentResponse|ErrorEnvelope>}
+             */
+            deleteComment: args => call(OPERATIONS.deleteComment, args),
+            /**
+             * Hide or unhide a comment (token creator or admin)
+             * POST /api/tokens/{id}/comments/{commentId}/hide
+             * @param {{ id: TokenId, commentId: string, body?: { hidden?: boolean }, idempotencyKey?: string }} args
+             * @returns {Promise<HideCommentResponse|ErrorEnvelope>}
+             */
+            hideComment: args => call(OPERATIONS.hideComment, args),
+            /**
+             * Pin or unpin a top-level comment (token creator or admin)
+             * POST /api/tokens/{id}/comments/{commentId}/pin
+             * @param {{ id: TokenId, commentId: string, body?: { pinned?: boolean }, idempotencyKey?: string }} args
+             * @returns {Promise<PinCommentResponse|ErrorEnvelope>}
+             */
+            pinComment: args => call(OPERATIONS.pinComment, args),
+            /**
+             * Ban a wallet from commenting on this token, or everywhere (admins)
+             * POST /api/tokens/{id}/comments/bans
+             * @param {{ id: TokenId, body: { walletId: WalletId, reason?: string|null, global?: boolean }, idempotencyKey?: string }} args
+             * @returns {Promise<BanCommenterResponse|ErrorEnvelope>}
+             */
+            banCommenter: args => call(OPERATIONS.banCommenter, args),
+            /**
+             * Lift a comment ban
+             * DELETE /api/tokens/{id}/comments/bans/{walletId}
+             * @param {{ id: TokenId, walletId: WalletId, global?: boolean, idempotencyKey?: string }} args
+             * @returns {Promise<UnbanCommenterResponse|ErrorEnvelope>}
+             */
+            unbanCommenter: args => call(OPERATIONS.unbanCommenter, args),
+            /**
+             * Search tokens, including hidden and delisted ones
+             * GET /api/admin/tokens
+             * @param {{ q?: string, status?: string, minProgress?: number, maxProgress?: number, createdAfter?: string, createdBefore?: string, sort?: 'newest'|'progress'|'collectiveSOL'|'upvotes'|'activity', limit?: number, cursor?: string, visibility?: string }} [args]
+             * @returns {Promise<AdminListTokensResponse|ErrorEnvelope>}
+             */
+            adminListTokens: args => call(OPERATIONS.adminListTokens, args),
+            /**
+             * Get a token with its lifecycle history, bans and audit log
+             * GET /api/admin/tokens/{id}
+             * @param {{ id: TokenId }} args
+             * @returns {Promise<AdminGetTokenResponse|ErrorEnvelope>}
+             */
+            adminGetToken: args => call(OPERATIONS.adminGetToken, args),
+            /**
+             * Edit token metadata
+             * PATCH /api/admin/tokens/{id}
+             * @param {{ id: TokenId, body?: { title?: string, ticker?: string, description?: string, imageUrl?: string, twitterLink?: string|null, websiteLink?: string|null, telegramLink?: string|null, curveA?: (number|string), curveB?: (number|string), commitDeadline?: string|null, reason?: string|null, version?: number }, idempotencyKey?: string }} args
+             * @returns {Promise<AdminUpdateTokenResponse|ErrorEnvelope>}
+             */
+            adminUpdateToken: args => call(OPERATIONS.adminUpdateToken, args),
+            /**
+             * List, hide or delist a token
+             * POST /api/admin/tokens/{id}/visibility
+             * @param {{ id: TokenId, body: { visibility: 'listed'|'hidden'|'delisted', reason?: string|null }, idempotencyKey?: string }} args
+             * @returns {Promise<AdminSetVisibilityResponse|ErrorEnvelope>}
+             */
+            adminSetVisibility: args => call(OPERATIONS.adminSetVisibility, args),
+            /**
+             * Set the actions frozen on a token; an empty list unfreezes it
+             * POST /api/admin/tokens/{id}/freeze
+             * @param {{ id: TokenId, body: { actions: Array<'commit'|'upvote'|'trade'>, reason?: string|null }, idempotencyKey?: string }} args
+             * @returns {Promise<AdminFreezeTokenResponse|ErrorEnvelope>}
+             */
+            adminFreezeToken: args => call(OPERATIONS.adminFreezeToken, args),
+            /**
+             * Force a token into a lifecycle state
+             * POST /api/admin/tokens/{id}/transition
+             * @param {{ id: TokenId, body: { to: 'draft'|'pre-bond'|'target-reached'|'migrating'|'bonding'|'graduated'|'failed', reason?: string|null }, idempotencyKey?: string }} args
+             * @returns {Promise<AdminForceTransitionResponse|ErrorEnvelope>}
+             */
+            adminForceTransition: args => call(OPERATIONS.adminForceTransition, args),
+            /**
+             * Undo the token's latest lifecycle transition
+             * POST /api/admin/tokens/{id}/rollback
+             * @param {{ id: TokenId, body?: { reason?: string|null }, idempotencyKey?: string }} args
+             * @returns {Promise<AdminRollbackTransitionResponse|ErrorEnvelope>}
+             */
+            adminRollbackTransition: args => call(OPERATIONS.adminRollbackTransition, args),
+            /**
+             * Get a wallet's bans, global and per token
+             * GET /api/admin/wallets/{walletId}/bans
+             * @param {{ walletId: WalletId }} args
+             * @returns {Promise<AdminListBansResponse|ErrorEnvelope>}
+             */
+            adminListBans: args => call(OPERATIONS.adminListBans, args),
+            /**
+             * Ban a wallet from commit, upvote and/or comment, on one token or everywhere
+             * POST /api/admin/wallets/{walletId}/bans
+             * @param {{ walletId: WalletId, body: { scopes: Array<'commit'|'upvote'|'comment'>, tokenId?: TokenId, reason?: string|null }, idempotencyKey?: string }} args
+             * @returns {Promise<AdminBanWalletResponse|ErrorEnvelope>}
+             */
+            adminBanWallet: args => call(OPERATIONS.adminBanWallet, args),
+            /**
+             * Lift a wallet's ban, or some of its scopes
+             * DELETE /api/admin/wallets/{walletId}/bans
+             * @param {{ walletId: WalletId, tokenId?: TokenId, scopes?: string, reason?: string, idempotencyKey?: string }} args
+             * @returns {Promise<AdminUnbanWalletResponse|ErrorEnvelope>}
+             */
+            adminUnbanWallet: args => call(OPERATIONS.adminUnbanWallet, args),
+            /**
+             * The admin audit log, newest first
+             * GET /api/admin/audit
+             * @param {{ targetId?: string, actor?: string, action?: string, limit?: number, cursor?: string }} [args]
+             * @returns {Promise<AdminListAuditResponse|ErrorEnvelope>}
+             */
+            adminListAudit: args => call(OPERATIONS.adminListAudit, args),
+            /**
+             * The wallet's webhook endpoints; admins see every endpoint
+             * GET /api/webhooks
+             * @returns {Promise<ListWebhookEndpointsResponse|ErrorEnvelope>}
+             */
+            listWebhookEndpoints: args => call(OPERATIONS.listWebhookEndpoints, args),
+            /**
+             * Register a webhook endpoint owned by the wallet; the signing secret is only returned here
+             * POST /api/webhooks
+             * @param {{ body: { url: string, events: Array<'token.created'|'token.commit'|'token.target_reached'|'token.migrated'|'token.trade'|'token.comment'>, secret?: string, description?: string }, idempotencyKey?: string }} args
+             * @returns {Promise<CreateWebhookEndpointResponse|ErrorEnvelope>}
+             */
+            createWebhookEndpoint: args => call(OPERATIONS.createWebhookEndpoint, args),
+            /**
+             * The delivery log of the wallet's endpoints, newest first; status=dead lists the dead letters
+             * GET /api/webhooks/deliveries
+             * @param {{ endpointId?: string, status?: 'pending'|'succeeded'|'dead', eventType?: 'token.created'|'token.commit'|'token.target_reached'|'token.migrated'|'token.trade'|'token.comment'|'webhook.ping', limit?: number, cursor?: string }} [args]
+             * @returns {Promise<ListWebhookDeliveriesResponse|ErrorEnvelope>}
+             */
+            listWebhookDeliveries: args => call(OPERATIONS.listWebhookDeliveries, args),
+            /**
+             * A delivery with its payload and every attempt
+             * GET /api/webhooks/deliveries/{deliveryId}
+             * @param {{ deliveryId: string }} args
+             * @returns {Promise<GetWebhookDeliveryResponse|ErrorEnvelope>}
+             */
+            getWebhookDelivery: args => call(OPERATIONS.getWebhookDelivery, args),
+            /**
+             * Send a delivery again now with a fresh retry budget, dead letters included
+             * POST /api/webhooks/deliveries/{deliveryId}/redeliver
+             * @param {{ deliveryId: string, idempotencyKey?: string }} args
+             * @returns {Promise<RedeliverWebhookResponse|ErrorEnvelope>}
+             */
+            redeliverWebhook: args => call(OPERATIONS.redeliverWebhook, args),
+            /**
+             * A webhook endpoint
+             * GET /api/webhooks/{endpointId}
+             * @param {{ endpointId: string }} args
+             * @returns {Promise<GetWebhookEndpointResponse|ErrorEnvelope>}
+             */
+            getWebhookEndpoint: args => call(OPERATIONS.getWebhookEndpoint, args),
+            /**
+             * Change an endpoint's URL, events, description or active flag, or replace its secret
+             * PATCH /api/webhooks/{endpointId}
+             * @param {{ endpointId: string, body?: { url?: string, events?: Array<'token.created'|'token.commit'|'token.target_reached'|'token.migrated'|'token.trade'|'token.comment'>, description?: string, active?: boolean, secret?: string, rotateSecret?: boolean }, idempotencyKey?: string }} args
+             * @returns {Promise<UpdateWebhookEndpointResponse|ErrorEnvelope>}
+             */
+            updateWebhookEndpoint: args => call(OPERATIONS.updateWebhookEndpoint, args),
+            /**
+             * Delete an endpoint and its delivery log
+             * DELETE /api/webhooks/{endpointId}
+             * @param {{ endpointId: string, idempotencyKey?: string }} args
+             * @returns {Promise<DeleteWebhookEndpointResponse|ErrorEnvelope>}
+             */
+            deleteWebhookEndpoint: args => call(OPERATIONS.deleteWebhookEndpoint, args),
+            /**
+             * Send a signed webhook.ping to an endpoint now, even a disabled one
+             * POST /api/webhooks/{endpointId}/ping
+             * @param {{ endpointId: string, idempotencyKey?: string }} args
+             * @returns {Promise<PingWebhookEndpointResponse|ErrorEnvelope>}
+             */
+            pingWebhookEndpoint: args => call(OPERATIONS.pingWebhookEndpoint, args),
+        };
+    }
+
+    return {
+        OPERATIONS,
+        createClient,
+    };
+}));
@@ -0,0 +1,308 @@
+// shared/pricing.js
+//
+// Bonding-curve pricing shared by the server (require('./shared/pricing')) and
+// the browser (<script src="/shared/pricing.js"> exposes window.Pricing).
+//
+// Each token prices on one of the curve families in CURVES, chosen by its
+// curveType ('power' when unset). A family defines, for its parameters p and
+// the supply s:
+//   reserve(p, s)         SOL held by the curve at s: the integral of the price
+//   supply(p, reserve)    inverse of reserve
+//   spot(p, s)            price of the marginal token
+//   targetSupply(p, s)    supply a pre-bond token raises towards from s
+// Buying n tokens at supply s costs reserve(s + n) - reserve(s), and a
+// pre-bond token's solTarget is the cost of buying up to its target supply
+// from its current supply. Only a family marked `retargets` (power) moves its
+// target with the supply, so its solTarget is recomputed as upvotes add to the
+// supply; every other family's target is fixed, so its solTarget is set once
+// at creation and its upvotes stop at the target supply (maxPreBondSupply).
+// The power curve's parameters live on the token as curveA / curveB, every
+// other family's in curveParams.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Pricing = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ln(1 + e^x), without overflowing for large x
+    function softplus(x) {
+        return x > 0 ? x + Math.log1p(Math.exp(-x)) : Math.log1p(Math.exp(x));
+    }
+
+    // Inverse of softplus, for y > 0
+    function softplusInverse(y) {
+        return y + Math.log(-Math.expm1(-y));
+    }
+
+    // Least SOL a power-curve token raises; its target scales with the supply, which is 0 for a new token
+    const MIN_POWER_RAISE_SOL = 5;
+
+    const CURVES = {
+        // price(s) = A * s^B; raises towards 1.5x the current supply, and at least
+        // far enough along the curve to take in MIN_POWER_RAISE_SOL
+        power: {
+            label: 'Power (A * s^B)',
+            params: [
+                { name: 'curveA', label: 'A (price scale)', min: 0, default: 0.1 },
+                { name: 'curveB', label: 'B (exponent)', min: 0, default: 2 },
+            ],
+            reserve: (p, s) => p.curveA * Math.pow(s, p.curveB + 1) / (p.curveB + 1),
+            supply: (p, r) => Math.pow(r * (p.curveB + 1) / p.curveA, 1 / (p.curveB + 1)),
+            spot: (p, s) => p.curveA * Math.pow(s, p.curveB),
+            retargets: true,
+            targetSupply: (p, s) => Math.max(1.5 * s, CURVES.power.supply(p, CURVES.power.reserve(p, s) + MIN_POWER_RAISE_SOL)),
+        },
+        // price(s) = basePrice + slope * s
+        linear: {
+            label: 'Linear',
+            params: [
+                { name: 'basePrice', label: 'Starting price (SOL)', min: 0, default: 0.01 },
+                { name: 'slope', label: 'Price increase per token (SOL)', min: 0, inclusive: true, default: 0.001 },
+                { name: 'targetSupply', label: 'Target supply (tokens)', min: 0, default: 100 },
+            ],
+            reserve: (p, s) => p.basePrice * s + p.slope * s * s / 2,
+            // The root of the quadratic, written so that a tiny (or zero) slope doesn't cancel out
+            supply: (p, r) => 2 * r / (Math.sqrt(p.basePrice * p.basePrice + 2 * p.slope * r) + p.basePrice),
+            spot: (p, s) => p.basePrice + p.slope * s,
+            targetSupply: p => p.targetSupply,
+        },
+        // price(s) = basePrice * e^(growthRate * s)
+        exponential: {
+            label: 'Exponential',
+            params: [
+                { name: 'basePrice', label: 'Starting price (SOL)', min: 0, default: 0.01 },
+                { name: 'growthRate', label: 'Growth rate per token', min: 0, max: 1, default: 0.03 },
+                { name: 'targetSupply', label: 'Target supply (tokens)', min: 0, default: 100 },
+            ],
+            reserve: (p, s) => p.basePrice * Math.expm1(p.growthRate * s) / p.growthRate,
+            supply: (p, r) => Math.log1p(p.growthRate * r / p.basePrice) / p.growthRate,
+            spot: (p, s) => p.basePrice * Math.exp(p.growthRate * s),
+            targetSupply: p => p.targetSupply,
+        },
+        // price(s) = maxPrice / (1 + e^(-steepness * (s - midpoint))); raises up to the
+        // midpoint, where the price is half of maxPrice and rising fastest
+        sigmoid: {
+            label: 'Sigmoid (logistic)',
+            params: [
+                { name: 'maxPrice', label: 'Maximum price (SOL)', min: 0, default: 0.2 },
+                { name: 'steepness', label: 'Steepness', min: 0, max: 10, default: 0.1 },
+                { name: 'midpoint', label: 'Midpoint supply (tokens)', min: 0, default: 50 },
+            ],
+            reserve: (p, s) => p.maxPrice / p.steepness
+                * (softplus(p.steepness * (s - p.midpoint)) - softplus(-p.steepness * p.midpoint)),
+            supply: (p, r) => p.midpoint + softplusInverse(
+                r * p.steepness / p.maxPrice + softplus(-p.steepness * p.midpoint)
+            ) / p.steepness,
+            spot: (p, s) => p.maxPrice / (1 + Math.exp(-p.steepness * (s - p.midpoint))),
+            targetSupply: p => p.midpoint,
+        },
+        // Constant product over virtual reserves, pump-style: the curve starts with
+        // virtualSol SOL against virtualTokens tokens and keeps their product fixed,
+        // so it can never sell its last virtual token
+        'constant-product': {
+            label: 'Constant product (virtual reserves)',
+            params: [
+                { name: 'virtualSol', label: 'Virtual SOL reserve', min: 0, default: 5 },
+                { name: 'virtualTokens', label: 'Virtual token reserve', min: 0, default: 1000 },
+                { name: 'targetSupply', label: 'Target supply (tokens)', min: 0, default: 800 },
+            ],
+            check: p => (p.targetSupply < p.virtualTokens ? null : 'targetSupply must be below virtualTokens.'),
+            reserve: (p, s) => {
+                if (s >= p.virtualTokens) {
+                    throw new RangeError('Cannot buy past the virtual token reserve of the curve.');
+                }
+                return p.virtualSol * s / (p.virtualTokens - s);
+            },
+            supply: (p, r) => r * p.virtualTokens / (p.virtualSol + r),
+            spot: (p, s) => p.virtualSol * p.virtualTokens / Math.pow(p.virtualTokens - s, 2),
+            targetSupply: p => p.targetSupply,
+        },
+    };
+
+    function curveType(curve) {
+        return curve.curveType || 'power';
+    }
+
+    function familyOf(curve) {
+        const family = CURVES[curveType(curve)];
+        if (!family) {
+            throw new RangeError(`Unknown curve type "${curve.curveType}".`);
+        }
+        return family;
+    }
+
+    function params(curve) {
+        return curveType(curve) === 'power'
+            ? { curveA: curve.curveA, curveB: curve.curveB }
+            : curve.curveParams;
+    }
+
+    /**
+     * Validate a curve type and its parameters against the family's schema,
+     * filling in defaults. Throws RangeError with a message fit for the user.
+     * Returns { curveType, params }.
+     */
+    function parseCurve(type = 'power', input = {}) {
+        const family = CURVES[type];
+        if (!family) {
+            throw new RangeError(`Curve type must be one of ${Object.keys(CURVES).join(', ')}.`);
+        }
+        if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+            throw new RangeError('Curve parameters must be an object.');
+        }
+        const parsed = {};
+        family.params.forEach(({ name, min, max, inclusive, default: fallback }) => {
+            const raw = input[name] === undefined || input[name] === '' ? fallback : input[name];
+            const value = typeof raw === 'string' ? parseFloat(raw) : raw;
+            const tooLow = inclusive ? value < min : value <= min;
+            if (typeof value !== 'number' || !isFinite(value) || tooLow || (max !== undefined && value > max)) {
+                const range = `${inclusive ? 'at least' : 'greater than'} ${min}${max !== undefined ? ` and at most ${max}` : ''}`;
+                throw new RangeError(`${name} must be a number ${range}.`);
+            }
+            parsed[name] = value;
+        });
+        const problem = family.check ? family.check(parsed) : null;
+        if (problem) {
+            throw new RangeError(problem);
+        }
+        return { curveType: type, params: parsed };
+    }
+
+    // Area under the price curve from 0 to `supply`: the SOL held by the curve at that supply
+    function reserveAt(curve, supply) {
+        return familyOf(curve).reserve(params(curve), Math.max(supply, 0));
+    }
+
+    // Supply at which the curve holds `reserve` SOL (inverse of reserveAt)
+    function supplyAt(curve, reserve) {
+        return familyOf(curve).supply(params(curve), Math.max(reserve, 0));
+    }
+
+    // Price of the marginal token at `supply`
+    function spotPrice(curve, supply) {
+        return familyOf(curve).spot(params(curve), Math.max(supply, 0));
+    }
+
+    function marketCap(curve, supply) {
+        return spotPrice(curve, supply) * supply;
+    }
+
+    // SOL needed to buy `tokens` starting from `supply`
+    function costToBuy(curve, supply, tokens) {
+        return reserveAt(curve, supply + tokens) - reserveAt(curve, supply);
+    }
+
+    // Tokens received for spending `sol` starting from `supply`
+    function tokensForSol(curve, supply, sol) {
+        return supplyAt(curve, reserveAt(curve, supply) + sol) - supply;
+    }
+
+    // SOL returned for selling `tokens` back to the curve at `supply`
+    function refundForSell(curve, supply, tokens) {
+        if (tokens > supply) {
+            throw new RangeError('Cannot sell more tokens than the current supply.');
+        }
+        return reserveAt(curve, supply) - reserveAt(curve, supply - tokens);
+    }
+
+    // Tokens that must be sold at `supply` to receive `sol`
+    function tokensToSellForSol(curve, supply, sol) {
+        const reserve = reserveAt(curve, supply);
+        if (sol > reserve) {
+            throw new RangeError('Cannot receive more SOL than the curve reserve.');
+        }
+        return supply - supplyAt(curve, reserve - sol);
+    }
+
+    // Supply a pre-bond token raises towards from `supply`
+    function targetSupply(curve, supply) {
+        return familyOf(curve).targetSupply(params(curve), Math.max(supply, 0));
+    }
+
+    // SOL a pre-bond token must raise: the cost of buying up to its target supply
+    function solTarget(curve, supply) {
+        return Math.max(0, costToBuy(curve, supply, targetSupply(curve, supply) - supply));
+    }
+
+    // Whether a pre-bond token's solTarget follows its supply, rather than being fixed at creation
+    function retargetsWithSupply(curve) {
+        return Boolean(familyOf(curve).retargets);
+    }
+
+    // Most supply upvotes may bring a pre-bond token to: a fixed target supply, which
+    // keeps the raise positive and, on constant product, below the virtual token reserve
+    function maxPreBondSupply(curve) {
+        return retargetsWithSupply(curve) ? Infinity : targetSupply(curve, 0);
+    }
+
+    /**
+     * Quote a trade against the curve at `supply`.
+     * side: 'buy' or 'sell'. Give either `sol` (SOL to spend / receive) or
+     * `tokens` (tokens to buy / sell); the other amount is solved for.
+     */
+    function quote(curve, supply, { side, sol, tokens }) {
+        if (side !== 'buy' && side !== 'sell') {
+            throw new RangeError('Quote side must be "buy" or "sell".');
+        }
+        if ((sol === undefined) === (tokens === undefined)) {
+            throw new RangeError('Quote needs exactly one of sol or tokens.');
+        }
+        const amount = sol !== undefined ? sol : tokens;
+        if (!(amount > 0) || !isFinite(amount)) {
+            throw new RangeError('Quote amount must be a positive number.');
+        }
+
+        let tokenAmount;
+        let solAmount;
+        if (side === 'buy') {
+            tokenAmount = tokens !== undefined ? tokens : tokensForSol(curve, supply, sol);
+            solAmount = sol !== undefined ? sol : costToBuy(curve, supply, tokens);
+        } else {
+            tokenAmount = tokens !== undefined ? tokens : tokensToSellForSol(curve, supply, sol);
+            solAmount = sol !== undefined ? sol : refundForSell(curve, supply, tokens);
+        }
+
+        const supplyAfter = side === 'buy' ? supply + tokenAmount : supply - tokenAmount;
+        const priceBefore = spotPrice(curve, supply);
+        const priceAfter = spotPrice(curve, supplyAfter);
+        const averagePrice = solAmount / tokenAmount;
+
+        return {
+            side,
+            solAmount,
+            tokenAmount,
+            averagePrice,
+            priceBefore,
+            priceAfter,
+            // Relative gap between the average fill price and the pre-trade spot price
+            priceImpact: priceBefore > 0 ? Math.abs(averagePrice - priceBefore) / priceBefore : 0,
+            supplyBefore: supply,
+            supplyAfter,
+            marketCapAfter: marketCap(curve, supplyAfter),
+        };
+    }
+
+    return {
+        CURVES,
+        MIN_POWER_RAISE_SOL,
+        curveType,
+        parseCurve,
+        reserveAt,
+        supplyAt,
+        spotPrice,
+        marketCap,
+        costToBuy,
+        tokensForSol,
+        refundForSell,
+        tokensToSellForSol,
+        targetSupply,
+        solTarget,
+        retargetsWithSupply,
+        maxPreBondSupply,
+        quote,
+    };
+}));
@@ -0,0 +1,69 @@
+// test/admin.test.js
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Token, Migration } = require('../models');
+const { STATES } = require('../lib/lifecycle');
+const { AdminError, forceTransition, updateTokenMetadata } = require('../lib/admin');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { createToken } = require('./helpers/fixtures');
+
+const ADMIN = 'admin-wallet';
+
+describe('admin token changes', () => {
+    let database;
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('refuses to force a token into bonding without a succeeded migration', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ status: STATES.TARGET_REACHED });
+        await assert.rejects(forceTransition(token, STATES.BONDING, { actor: ADMIN }), error => (
+            error instanceof AdminError && error.status === 409
+        ));
+        await assert.rejects(forceTransition(token, STATES.GRADUATED, { actor: ADMIN }), AdminError);
+        assert.equal((await Token.findById(token.id)).status, STATES.TARGET_REACHED);
+    });
+
+    it('forces a token into bonding once its migration succeeded', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ status: STATES.TARGET_REACHED });
+        await Migration.create({
+            tokenId: token.id,
+            idempotencyKey: `migration:${token.id}`,
+            adapter: 'mock',
+            status: 'succeeded',
+            solAmount: 5.5,
+            poolTokenAmount: 100,
+        });
+        const moved = await forceTransition(token, STATES.BONDING, { actor: ADMIN, reason: 'Stuck after migrating' });
+        assert.equal(moved.status, STATES.BONDING);
+    });
+
+    it('edits the curve of a raising token and recomputes its target', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ curveType: 'power', curveA: 0.1, curveB: 2, curveParams: null, upvotes: 10, solTarget: 1 });
+        const updated = await updateTokenMetadata(token, { curveA: 0.2 }, { actor: ADMIN });
+        assert.equal(updated.curveA, 0.2);
+        assert.notEqual(updated.solTarget, 1);
+    });
+
+    it('refuses curve edits once the token stopped raising', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ curveType: 'power', curveA: 0.1, curveB: 2, curveParams: null, upvotes: 10, solTarget: 1, status: STATES.BONDING });
+        await assert.rejects(updateTokenMetadata(token, { curveB: 3 }, { actor: ADMIN }), error => (
+            error instanceof AdminError && error.status === 409
+        ));
+        assert.equal((await Token.findById(token.id)).curveB, 2);
+    });
+});
@@ -0,0 +1,124 @@
+// test/analytics.test.js
+//
+// View counting: one view per viewer per day, crawlers ignored, and a cap on
+// the anonymous viewers one address can add.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.VIEW_HASH_SALT = 'test-view-hash-salt';
+process.env.MAX_ANONYMOUS_VIEWS_PER_IP = '3';
+// The test server is reached over loopback, so its X-Forwarded-For stands in for a proxy's
+process.env.TRUST_PROXY = 'loopback';
+
+const { Token, TokenView } = require('../models');
+const { MAX_ANONYMOUS_VIEWS_PER_IP, isBot, recordView } = require('../lib/analytics');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+const { createWallet } = require('./helpers/wallets');
+const { createToken } = require('./helpers/fixtures');
+
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sessionId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+describe('view filtering', () => {
+    it('treats crawlers, scripts and a missing user agent as bots', () => {
+        ['Googlebot/2.1', 'curl/8.5.0', 'python-requests/2.31', 'HeadlessChrome/126.0', '', null]
+            .forEach(userAgent => assert.equal(isBot(userAgent), true, String(userAgent)));
+        assert.equal(isBot(BROWSER), false);
+    });
+
+    it('counts no view from a bot or a viewer it cannot tell apart, before touching the store', async () => {
+        const token = { id: 'token-1' };
+        assert.deepEqual(await recordView(token, { walletId: 'wallet-1', userAgent: 'Googlebot/2.1' }), { counted: false, reason: 'bot' });
+        assert.deepEqual(await recordView(token, { sessionId: 'short', userAgent: BROWSER }), { counted: false, reason: 'no-viewer' });
+        assert.deepEqual(await recordView(token, { userAgent: BROWSER }), { counted: false, reason: 'no-viewer' });
+    });
+});
+
+describe('view counting', () => {
+    let database;
+    let server;
+
+    before(async () => {
+        database = await startDatabase();
+        if (database) server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('counts a viewer once a day, however often they open the token', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken();
+        const { walletId } = createWallet();
+        const now = new Date('2026-05-01T10:00:00Z');
+
+        assert.deepEqual(await recordView(token, { walletId, userAgent: BROWSER, ip: '203.0.113.1', now }), { counted: true, reason: null });
+        for (let n = 0; n < 3; n += 1) {
+            assert.deepEqual(await recordView(token, { walletId, userAgent: BROWSER, ip: '203.0.113.1', now }), { counted: false, reason: 'repeat' });
+        }
+        const nextDay = new Date(now.getTime() + DAY_MS);
+        assert.equal((await recordView(token, { walletId, userAgent: BROWSER, now: nextDay })).counted, true);
+
+        assert.equal((await Token.findById(token.id).lean()).views, 2);
+        const [first] = await TokenView.find({ tokenId: token.id }).sort({ day: 1 }).lean();
+        assert.equal(first.hits, 4);
+        assert.notEqual(first.ipHash, '203.0.113.1');
+    });
+
+    it('counts parallel opens by one viewer once', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken();
+        const viewer = { sessionId: sessionId(), userAgent: BROWSER, ip: '203.0.113.2' };
+
+        const results = await Promise.all(Array.from({ length: 5 }, () => recordView(token, viewer)));
+        assert.equal(results.filter(result => result.counted).length, 1);
+        assert.equal((await Token.findById(token.id).lean()).views, 1);
+    });
+
+    it('caps the anonymous viewers one address adds, but not signed-in ones', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken();
+        const ip = '203.0.113.3';
+
+        for (let n = 0; n < MAX_ANONYMOUS_VIEWS_PER_IP; n += 1) {
+            assert.equal((await recordView(token, { sessionId: sessionId(), userAgent: BROWSER, ip })).counted, true);
+        }
+        assert.deepEqual(await recordView(token, { sessionId: sessionId(), userAgent: BROWSER, ip }), { counted: false, reason: 'ip-limit' });
+        assert.equal((await recordView(token, { sessionId: sessionId(), userAgent: BROWSER, ip: '203.0.113.4' })).counted, true);
+        assert.equal((await recordView(token, { walletId: createWallet().walletId, userAgent: BROWSER, ip })).counted, true);
+
+        assert.equal((await Token.findById(token.id).lean()).views, MAX_ANONYMOUS_VIEWS_PER_IP + 2);
+    });
+
+    it('tells anonymous viewers apart by the client address a trusted proxy forwards', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken();
+        const view = forwardedFor => server.request('POST', `/api/tokens/${token.id}/views`, {
+            body: { sessionId: sessionId() },
+            headers: { 'User-Agent': BROWSER, 'X-Forwarded-For': forwardedFor },
+        });
+
+        // All from the loopback proxy, which alone would have hit the cap
+        for (let n = 1; n <= MAX_ANONYMOUS_VIEWS_PER_IP + 1; n += 1) {
+            const response = await view(`198.51.100.${n}`);
+            assert.equal(response.status, 200);
+            assert.equal(response.body.counted, true);
+        }
+
+        const hash = crypto.createHmac('sha256', process.env.VIEW_HASH_SALT).update('198.51.100.1').digest('hex');
+        assert.equal(await TokenView.countDocuments({ tokenId: token.id, ipHash: hash }), 1);
+    });
+});
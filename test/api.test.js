@@ -0,0 +1,56 @@
+// test/api.test.js
+//
+// Request validation against the operation schemas.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../lib/api');
+
+// Run the validation middleware on a fake request; resolves to { status, body } or 'next'
+function run(operationId, { params = {}, query = {}, body } = {}) {
+    const req = { method: 'POST', originalUrl: '/test', params, query, body };
+    return new Promise(resolve => {
+        const res = {
+            status(code) {
+                this.code = code;
+                return this;
+            },
+            json(payload) {
+                resolve({ status: this.code, body: payload, req });
+            },
+        };
+        validate(operationId)(req, res, () => resolve({ status: 'next', req }));
+    });
+}
+
+describe('amount fields', () => {
+    it('take JSON numbers', async () => {
+        const result = await run('commitToToken', { params: { id: 'token' }, body: { amount: 0.5 } });
+        assert.equal(result.status, 'next');
+        assert.equal(result.req.body.amount, 0.5);
+    });
+
+    it('read decimal strings as numbers', async () => {
+        const result = await run('commitToToken', { params: { id: 'token' }, body: { amount: '0.5' } });
+        assert.equal(result.status, 'next');
+        assert.equal(result.req.body.amount, 0.5);
+
+        const trade = await run('buyMigrated', { params: { id: 'token' }, body: { solAmount: '1.25', maxCost: '2' } });
+        assert.equal(trade.status, 'next');
+        assert.deepEqual(trade.req.body, { solAmount: 1.25, maxCost: 2 });
+    });
+
+    it('reject strings that are not numbers, and amounts that are not positive', async () => {
+        for (const amount of ['abc', '0x10', '', '0', '-1', -1, 0, '1e400', null, true]) {
+            const result = await run('commitToToken', { params: { id: 'token' }, body: { amount } });
+            assert.equal(result.status, 400, `amount ${JSON.stringify(amount)}`);
+            assert.equal(result.body.code, 'VALIDATION_FAILED');
+        }
+    });
+
+    it('leave other string fields alone', async () => {
+        const result = await run('createComment', { params: { id: 'token' }, body: { comment: '42' } });
+        assert.equal(result.status, 'next');
+        assert.equal(result.req.body.comment, '42');
+    });
+});
@@ -0,0 +1,127 @@
+// test/auth.test.js
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bs58 = require('bs58').default;
+const {
+    AuthError,
+    buildLoginMessage,
+    verifySignature,
+    issueChallenge,
+    verifyChallenge,
+    findSession,
+} = require('../lib/auth');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { createWallet, signMessage } = require('./helpers/wallets');
+
+describe('verifySignature', () => {
+    const wallet = createWallet();
+    const message = buildLoginMessage(wallet.walletId, 'abc123', new Date('2026-01-01T00:00:00Z'));
+
+    it('accepts a signature by the wallet, in base58 or base64', () => {
+        const signature = signMessage(message, wallet.secretKey);
+        assert.equal(verifySignature(message, signature, wallet.walletId), true);
+        const base64 = Buffer.from(bs58.decode(signature)).toString('base64');
+        assert.equal(verifySignature(message, base64, wallet.walletId), true);
+    });
+
+    it('rejects a signature by another key', () => {
+        const other = createWallet();
+        assert.equal(verifySignature(message, signMessage(message, other.secretKey), wallet.walletId), false);
+    });
+
+    it('rejects a signature over another message', () => {
+        const signature = signMessage(`${message}\n`, wallet.secretKey);
+        assert.equal(verifySignature(message, signature, wallet.walletId), false);
+    });
+});
+
+describe('challenges', () => {
+    let database;
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('opens a session for a valid signature', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const wallet = createWallet();
+        const { nonce, message } = await issueChallenge(wallet.walletId);
+        const { sessionToken, walletId } = await verifyChallenge({
+            walletId: wallet.walletId,
+            nonce,
+            signature: signMessage(message, wallet.secretKey),
+        });
+        assert.equal(walletId, wallet.walletId);
+        assert.equal((await findSession(sessionToken)).walletId, wallet.walletId);
+    });
+
+    it('rejects a signature by the wrong key and burns the nonce', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const wallet = createWallet();
+        const { nonce, message } = await issueChallenge(wallet.walletId);
+        await assert.rejects(verifyChallenge({
+            walletId: wallet.walletId,
+            nonce,
+            signature: signMessage(message, createWallet().secretKey),
+        }), AuthError);
+        await assert.rejects(verifyChallenge({
+            walletId: wallet.walletId,
+            nonce,
+            signature: signMessage(message, wallet.secretKey),
+        }), AuthError);
+    });
+
+    it('rejects a replayed nonce', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const wallet = createWallet();
+        const { nonce, message } = await issueChallenge(wallet.walletId);
+        const signature = signMessage(message, wallet.secretKey);
+        await verifyChallenge({ walletId: wallet.walletId, nonce, signature });
+        await assert.rejects(verifyChallenge({ walletId: wallet.walletId, nonce, signature }), AuthError);
+    });
+
+    it('rejects a replayed nonce sent twice at once', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const wallet = createWallet();
+        const { nonce, message } = await issueChallenge(wallet.walletId);
+        const signature = signMessage(message, wallet.secretKey);
+        const results = await Promise.allSettled([
+            verifyChallenge({ walletId: wallet.walletId, nonce, signature }),
+            verifyChallenge({ walletId: wallet.walletId, nonce, signature }),
+        ]);
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    });
+
+    it('rejects an expired challenge', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const wallet = createWallet();
+        const issuedAt = new Date('2026-01-01T00:00:00Z');
+        const { nonce, message, expiresAt } = await issueChallenge(wallet.walletId, issuedAt);
+        await assert.rejects(verifyChallenge({
+            walletId: wallet.walletId,
+            nonce,
+            signature: signMessage(message, wallet.secretKey),
+        }, new Date(expiresAt.getTime() + 1)), AuthError);
+    });
+
+    it('rejects a challenge issued to another wallet', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const wallet = createWallet();
+        const other = createWallet();
+        const { nonce, message } = await issueChallenge(wallet.walletId);
+        await assert.rejects(verifyChallenge({
+            walletId: other.walletId,
+            nonce,
+            signature: signMessage(message, other.secretKey),
+        }), AuthError);
+    });
+});
@@ -0,0 +1,59 @@
+// test/comments.test.js
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Comment } = require('../models');
+const { CommentError, createComment } = require('../lib/comments');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { createWallet } = require('./helpers/wallets');
+const { createToken } = require('./helpers/fixtures');
+
+const RATE_LIMIT = parseInt(process.env.COMMENT_RATE_LIMIT, 10) || 5;
+const RATE_WINDOW_MS = parseInt(process.env.COMMENT_RATE_WINDOW_MS, 10) || 60 * 1000;
+
+describe('comment rate limit', () => {
+    let database;
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('lets exactly the limit through when a wallet posts in parallel', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken();
+        const { walletId } = createWallet();
+        const now = new Date('2026-01-01T00:00:10Z');
+
+        const results = await Promise.allSettled(Array.from({ length: RATE_LIMIT + 5 }, (_, n) => (
+            createComment(token, walletId, { comment: `Comment ${n}` }, now)
+        )));
+        const rejected = results.filter(result => result.status === 'rejected');
+        assert.equal(results.length - rejected.length, RATE_LIMIT);
+        rejected.forEach(({ reason }) => {
+            assert.ok(reason instanceof CommentError);
+            assert.equal(reason.status, 429);
+        });
+        assert.equal(await Comment.countDocuments({ user: walletId }), RATE_LIMIT);
+    });
+
+    it('opens again in the next window, and limits each wallet on its own', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken();
+        const { walletId } = createWallet();
+        const now = new Date('2026-01-01T00:00:10Z');
+        for (let n = 0; n < RATE_LIMIT; n += 1) {
+            await createComment(token, walletId, { comment: `Comment ${n}` }, now);
+        }
+        await assert.rejects(createComment(token, walletId, { comment: 'One more' }, now), CommentError);
+        await createComment(token, createWallet().walletId, { comment: 'Someone else' }, now);
+        await createComment(token, walletId, { comment: 'Later' }, new Date(now.getTime() + RATE_WINDOW_MS));
+    });
+});
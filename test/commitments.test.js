@@ -0,0 +1,126 @@
+// test/commitments.test.js
+//
+// Commit deadlines, withdrawals and refunds, driven by the scheduler's
+// injectable clock rather than real time.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Token, Commitment } = require('../models');
+const { INITIAL_WALLET_BALANCE, ensureWallet, getBalance } = require('../lib/ledger');
+const { STATES } = require('../lib/lifecycle');
+const {
+    CommitmentError,
+    commitDeadlineFrom,
+    isCommitWindowOpen,
+    commitToToken,
+    withdrawCommitment,
+    failExpiredTokens,
+    refundFailedTokens,
+} = require('../lib/commitments');
+const { createScheduler } = require('../lib/scheduler');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { createWallet } = require('./helpers/wallets');
+const { createToken } = require('./helpers/fixtures');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date('2026-01-01T00:00:00Z');
+
+describe('commit window', () => {
+    it('closes at the deadline', () => {
+        const token = { status: STATES.PRE_BOND, commitDeadline: commitDeadlineFrom(START, 24) };
+        assert.equal(isCommitWindowOpen(token, new Date(START.getTime() + 24 * HOUR_MS - 1)), true);
+        assert.equal(isCommitWindowOpen(token, new Date(START.getTime() + 24 * HOUR_MS)), false);
+    });
+
+    it('stays open without a deadline, and closes once the token leaves pre-bond', () => {
+        assert.equal(isCommitWindowOpen({ status: STATES.PRE_BOND, commitDeadline: null }, START), true);
+        assert.equal(isCommitWindowOpen({ status: STATES.FAILED, commitDeadline: null }, START), false);
+    });
+});
+
+describe('deadlines and refunds', () => {
+    let database;
+    let now;
+    let scheduler;
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (!database) return;
+        await clearDatabase();
+        now = START;
+        scheduler = createScheduler({ clock: () => now })
+            .add('commit-deadlines', failExpiredTokens)
+            .add('commit-refunds', refundFailedTokens);
+    });
+
+    async function committedToken(...wallets) {
+        const token = await createToken({ commitDeadline: commitDeadlineFrom(START, 24) });
+        for (const [wallet, amount] of wallets) {
+            await ensureWallet(wallet.walletId);
+            await commitToToken(await Token.findById(token.id), wallet.walletId, amount, now);
+        }
+        return Token.findById(token.id);
+    }
+
+    it('leaves a token raising until its deadline', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await committedToken([createWallet(), 1]);
+        now = new Date(token.commitDeadline.getTime() - 1);
+        await scheduler.tick();
+        assert.equal((await Token.findById(token.id)).status, STATES.PRE_BOND);
+    });
+
+    it('fails the token at its deadline and refunds every wallet', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const alice = createWallet();
+        const bob = createWallet();
+        const token = await committedToken([alice, 1], [bob, 0.5]);
+        assert.equal(await getBalance(alice.walletId), INITIAL_WALLET_BALANCE - 1);
+
+        now = token.commitDeadline;
+        await scheduler.tick();
+
+        const failed = await Token.findById(token.id);
+        assert.equal(failed.status, STATES.FAILED);
+        assert.equal(failed.failedAt.getTime(), now.getTime());
+        assert.equal(failed.refundsCompletedAt.getTime(), now.getTime());
+        assert.equal(failed.collectiveSOL, 0);
+        assert.equal(await getBalance(alice.walletId), INITIAL_WALLET_BALANCE);
+        assert.equal(await getBalance(bob.walletId), INITIAL_WALLET_BALANCE);
+        assert.equal(await Commitment.countDocuments({ tokenId: token.id, refundedAt: null }), 0);
+    });
+
+    it('refunds each commitment once when runs overlap', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const alice = createWallet();
+        const token = await committedToken([alice, 1]);
+        now = token.commitDeadline;
+        await failExpiredTokens(now);
+        await Promise.all([refundFailedTokens(now), refundFailedTokens(now), refundFailedTokens(now)]);
+        assert.equal(await getBalance(alice.walletId), INITIAL_WALLET_BALANCE);
+    });
+
+    it('lets a wallet withdraw before the deadline but not after', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const alice = createWallet();
+        const bob = createWallet();
+        const token = await committedToken([alice, 1], [bob, 1]);
+
+        now = new Date(token.commitDeadline.getTime() - HOUR_MS);
+        const { amount } = await withdrawCommitment(token, alice.walletId, now);
+        assert.equal(amount, 1);
+        assert.equal(await getBalance(alice.walletId), INITIAL_WALLET_BALANCE);
+        assert.equal((await Token.findById(token.id)).collectiveSOL, 1);
+
+        now = token.commitDeadline;
+        await assert.rejects(withdrawCommitment(await Token.findById(token.id), bob.walletId, now), CommitmentError);
+        assert.equal(await getBalance(bob.walletId), INITIAL_WALLET_BALANCE - 1);
+    });
+});
@@ -0,0 +1,294 @@
+// test/concurrency.test.js
+//
+// Parallel requests through the API: trades, upvotes and commits racing for the
+// same token, and requests replayed with the same Idempotency-Key.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Token, Commitment, Upvote, Migration, Event, IdempotencyRecord } = require('../models');
+const { SOL, INITIAL_WALLET_BALANCE, getBalance } = require('../lib/ledger');
+const { EVENT_TYPES } = require('../lib/events');
+const { STATES } = require('../lib/lifecycle');
+const { ERROR_CODES } = require('../lib/api/errors');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+const { createWallet, signIn } = require('./helpers/wallets');
+const { createToken } = require('./helpers/fixtures');
+
+const EPSILON = 1e-6;
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+async function waitFor(check, { timeoutMs = 10 * 1000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition.');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+describe('concurrent requests', () => {
+    let database;
+    let server;
+
+    before(async () => {
+        database = await startDatabase();
+        if (database) server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    // Sign in `count` fresh wallets; resolves to [{ walletId, session }]
+    async function signInWallets(count) {
+        return Promise.all(Array.from({ length: count }, async () => {
+            const wallet = createWallet();
+            return { walletId: wallet.walletId, session: await signIn(wallet) };
+        }));
+    }
+
+    describe('trades', () => {
+        it('issues exactly the supply that parallel buys paid for', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken({ status: STATES.BONDING });
+            const wallets = await signInWallets(8);
+
+            const responses = await Promise.all(wallets.map(({ session }) => (
+                server.request('POST', `/api/tokens/${token.id}/buy-migrated`, { token: session, body: { solAmount: 0.5 } })
+            )));
+            responses.forEach(response => assert.ok([200, 409].includes(response.status), JSON.stringify(response.body)));
+            const filled = responses.filter(response => response.status === 200);
+            assert.ok(filled.length > 0);
+
+            const bought = sum(filled.map(response => response.body.quote.tokenAmount));
+            const { upvotes } = await Token.findById(token.id).lean();
+            assert.ok(Math.abs(upvotes - bought) < EPSILON, `supply ${upvotes} != bought ${bought}`);
+
+            const holdings = await Promise.all(wallets.map(({ walletId }) => getBalance(walletId, token.id)));
+            assert.ok(Math.abs(sum(holdings) - upvotes) < EPSILON);
+            for (const [n, { walletId }] of wallets.entries()) {
+                const paid = responses[n].status === 200 ? responses[n].body.quote.solAmount : 0;
+                assert.ok(Math.abs(await getBalance(walletId, SOL) - (INITIAL_WALLET_BALANCE - paid)) < EPSILON);
+            }
+        });
+
+        it('never lets parallel buys overdraw a wallet or move the supply for a refused one', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken({ status: STATES.BONDING, curveParams: { basePrice: 0.01, slope: 0.000001, targetSupply: 100 } });
+            const [{ walletId, session }] = await signInWallets(1);
+            const solAmount = INITIAL_WALLET_BALANCE * 0.4;
+
+            const responses = await Promise.all(Array.from({ length: 4 }, () => (
+                server.request('POST', `/api/tokens/${token.id}/buy-migrated`, { token: session, body: { solAmount } })
+            )));
+            const filled = responses.filter(response => response.status === 200);
+            assert.ok(filled.length <= 2);
+            responses.filter(response => response.status !== 200).forEach(response => {
+                assert.ok([400, 409].includes(response.status), JSON.stringify(response.body));
+            });
+
+            const balance = await getBalance(walletId, SOL);
+            assert.ok(balance >= -EPSILON);
+            assert.ok(Math.abs(balance - (INITIAL_WALLET_BALANCE - sum(filled.map(response => response.body.quote.solAmount)))) < EPSILON);
+            const { upvotes } = await Token.findById(token.id).lean();
+            assert.ok(Math.abs(upvotes - sum(filled.map(response => response.body.quote.tokenAmount))) < EPSILON);
+        });
+
+        it('sells a holding only once when the same sale is sent in parallel', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken({ status: STATES.BONDING });
+            const [{ walletId, session }] = await signInWallets(1);
+            const buy = await server.request('POST', `/api/tokens/${token.id}/buy-migrated`, { token: session, body: { tokenAmount: 10 } });
+            assert.equal(buy.status, 200);
+
+            const responses = await Promise.all(Array.from({ length: 4 }, () => (
+                server.request('POST', `/api/tokens/${token.id}/sell-migrated`, { token: session, body: { tokenAmount: 10 } })
+            )));
+            assert.equal(responses.filter(response => response.status === 200).length, 1);
+            responses.filter(response => response.status !== 200).forEach(response => {
+                assert.ok([400, 409].includes(response.status), JSON.stringify(response.body));
+            });
+
+            assert.ok(Math.abs(await getBalance(walletId, token.id)) < EPSILON);
+            assert.ok(Math.abs((await Token.findById(token.id).lean()).upvotes) < EPSILON);
+        });
+    });
+
+    describe('upvotes', () => {
+        it('counts one upvote when a wallet sends it in parallel', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken();
+            const [{ session }] = await signInWallets(1);
+
+            const responses = await Promise.all(Array.from({ length: 4 }, () => (
+                server.request('POST', `/api/tokens/${token.id}/upvote`, { token: session })
+            )));
+            assert.equal(responses.filter(response => response.status === 200).length, 1);
+            responses.filter(response => response.status !== 200).forEach(response => {
+                assert.equal(response.status, 400, JSON.stringify(response.body));
+            });
+            assert.equal((await Token.findById(token.id).lean()).upvotes, 1);
+            assert.equal(await Upvote.countDocuments({ tokenId: token.id }), 1);
+        });
+
+        it('leaves no upvote behind when the supply is full', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken({ curveParams: { basePrice: 0.01, slope: 0.001, targetSupply: 2 } });
+            const wallets = await signInWallets(5);
+
+            const responses = await Promise.all(wallets.map(({ session }) => (
+                server.request('POST', `/api/tokens/${token.id}/upvote`, { token: session })
+            )));
+            assert.equal(responses.filter(response => response.status === 200).length, 2);
+            responses.filter(response => response.status !== 200).forEach(response => {
+                assert.equal(response.status, 409, JSON.stringify(response.body));
+            });
+            assert.equal((await Token.findById(token.id).lean()).upvotes, 2);
+            assert.equal(await Upvote.countDocuments({ tokenId: token.id }), 2);
+        });
+    });
+
+    describe('commits', () => {
+        it('never raises past a stop hard cap and migrates exactly once', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken({ solTarget: 8, commitPolicy: { hardCap: 'stop' } });
+            const wallets = await signInWallets(10);
+            const amount = 2;
+
+            const responses = await Promise.all(wallets.map(({ session }) => (
+                server.request('POST', `/api/tokens/${token.id}/commit`, { token: session, body: { amount } })
+            )));
+            const accepted = responses.filter(response => response.status === 200);
+            responses.filter(response => response.status !== 200).forEach(response => {
+                assert.ok([400, 409].includes(response.status), JSON.stringify(response.body));
+            });
+            assert.equal(accepted.length, 4);
+
+            const committed = sum((await Commitment.find({ tokenId: token.id }).lean()).map(commitment => commitment.amount));
+            assert.ok(Math.abs(committed - token.solTarget) < EPSILON);
+            for (const [n, { walletId }] of wallets.entries()) {
+                const paid = responses[n].status === 200 ? amount : 0;
+                assert.ok(Math.abs(await getBalance(walletId, SOL) - (INITIAL_WALLET_BALANCE - paid)) < EPSILON);
+            }
+
+            await waitFor(async () => (await Token.findById(token.id).lean()).status === STATES.BONDING);
+            assert.equal(await Migration.countDocuments({ tokenId: token.id }), 1);
+            assert.equal(await Event.countDocuments({ type: EVENT_TYPES.MIGRATED, tokenId: token.id }), 1);
+            assert.equal(await Event.countDocuments({
+                type: EVENT_TYPES.STATUS_CHANGED,
+                tokenId: token.id,
+                'payload.to': STATES.TARGET_REACHED,
+            }), 1);
+        });
+
+        it('takes parallel top-ups from one wallet without losing or doubling any', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken({ solTarget: 1000 });
+            const [{ walletId, session }] = await signInWallets(1);
+
+            const responses = await Promise.all(Array.from({ length: 5 }, () => (
+                server.request('POST', `/api/tokens/${token.id}/commit`, { token: session, body: { amount: 1 } })
+            )));
+            const accepted = responses.filter(response => response.status === 200).length;
+            responses.filter(response => response.status !== 200).forEach(response => assert.equal(response.status, 409));
+            assert.ok(accepted >= 1);
+
+            const commitment = await Commitment.findOne({ tokenId: token.id, walletId }).lean();
+            assert.equal(commitment.amount, accepted);
+            assert.equal((await Token.findById(token.id).lean()).collectiveSOL, accepted);
+            assert.ok(Math.abs(await getBalance(walletId, SOL) - (INITIAL_WALLET_BALANCE - accepted)) < EPSILON);
+        });
+    });
+
+    describe('idempotent replays', () => {
+        it('runs a commit once when its key is sent in parallel', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken({ solTarget: 1000 });
+            const [{ walletId, session }] = await signInWallets(1);
+            const send = () => server.request('POST', `/api/tokens/${token.id}/commit`, {
+                token: session,
+                body: { amount: 2 },
+                headers: { 'Idempotency-Key': 'commit-once' },
+            });
+
+            const responses = await Promise.all(Array.from({ length: 5 }, send));
+            responses.forEach(response => assert.ok([200, 409].includes(response.status), JSON.stringify(response.body)));
+            responses.filter(response => response.status === 409).forEach(response => {
+                assert.equal(response.body.code, ERROR_CODES.REQUEST_IN_PROGRESS);
+            });
+            assert.equal((await Token.findById(token.id).lean()).collectiveSOL, 2);
+
+            const replay = await send();
+            assert.equal(replay.status, 200);
+            assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+            assert.equal(replay.body.token.collectiveSOL, 2);
+            assert.equal((await Token.findById(token.id).lean()).collectiveSOL, 2);
+            assert.ok(Math.abs(await getBalance(walletId, SOL) - (INITIAL_WALLET_BALANCE - 2)) < EPSILON);
+        });
+
+        it('refuses a key reused for another request, and scopes keys to the wallet', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken({ solTarget: 1000 });
+            const [first, second] = await signInWallets(2);
+            const commit = (session, amount) => server.request('POST', `/api/tokens/${token.id}/commit`, {
+                token: session,
+                body: { amount },
+                headers: { 'Idempotency-Key': 'shared-key' },
+            });
+
+            assert.equal((await commit(first.session, 1)).status, 200);
+            const reused = await commit(first.session, 3);
+            assert.equal(reused.status, 422);
+            assert.equal(reused.body.code, ERROR_CODES.IDEMPOTENCY_KEY_REUSED);
+
+            const other = await commit(second.session, 1);
+            assert.equal(other.status, 200);
+            assert.equal(other.headers.get('idempotent-replayed'), null);
+            assert.equal((await Token.findById(token.id).lean()).collectiveSOL, 2);
+        });
+
+        it('ignores keys on requests without a wallet session, which have no scope to share', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken();
+            const send = () => server.request('POST', `/api/tokens/${token.id}/views`, {
+                headers: { 'Idempotency-Key': 'anonymous-key' },
+            });
+
+            const first = await send();
+            const second = await send();
+            assert.equal(first.status, second.status);
+            assert.equal(second.headers.get('idempotent-replayed'), null);
+            assert.equal(await IdempotencyRecord.countDocuments({ key: 'anonymous-key' }), 0);
+        });
+
+        it('replays a parallel buy without trading twice', async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createToken({ status: STATES.BONDING });
+            const [{ walletId, session }] = await signInWallets(1);
+            const send = () => server.request('POST', `/api/tokens/${token.id}/buy-migrated`, {
+                token: session,
+                body: { solAmount: 1 },
+                headers: { 'Idempotency-Key': 'buy-once' },
+            });
+
+            await Promise.all(Array.from({ length: 4 }, send));
+            const replay = await send();
+            assert.equal(replay.status, 200);
+            assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+
+            const { upvotes } = await Token.findById(token.id).lean();
+            assert.ok(Math.abs(upvotes - replay.body.quote.tokenAmount) < EPSILON);
+            assert.ok(Math.abs(await getBalance(walletId, SOL) - (INITIAL_WALLET_BALANCE - 1)) < EPSILON);
+        });
+    });
+});
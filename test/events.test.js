@@ -0,0 +1,116 @@
+// test/events.test.js
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.EVENT_GAP_WAIT_MS = '300';
+
+const { Event } = require('../models');
+const { EVENT_TYPES, publish, subscribe, startEventFeed, eventsSince } = require('../lib/events');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+
+const POLL_MS = 20;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Store an event the way another server instance would, without telling this one
+function storeEvent(seq) {
+    return Event.create({ seq, type: EVENT_TYPES.UPVOTE, tokenId: 'token-1', payload: { seq } });
+}
+
+describe('event feed', () => {
+    let database;
+    let stopFeed;
+    let unsubscribe;
+    let received;
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (!database) return;
+        await clearDatabase();
+        received = [];
+        stopFeed = await startEventFeed({ pollMs: POLL_MS });
+        unsubscribe = subscribe(event => received.push(event.id));
+    });
+
+    afterEach(async () => {
+        if (!database) return;
+        unsubscribe();
+        await stopFeed();
+    });
+
+    it('fans out events stored by other instances', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        await storeEvent(1);
+        await storeEvent(2);
+        await sleep(POLL_MS * 5);
+        assert.deepEqual(received, [1, 2]);
+    });
+
+    it('fans out published events right away, in order', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const published = [];
+        for (let n = 0; n < 5; n += 1) {
+            published.push((await publish(EVENT_TYPES.UPVOTE, { tokenId: 'token-1' })).id);
+        }
+        await sleep(POLL_MS * 5);
+        assert.deepEqual(received, published);
+    });
+
+    it('holds back at a gap until the lower sequence number lands', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        await storeEvent(2);
+        await sleep(POLL_MS * 5);
+        assert.deepEqual(received, []);
+
+        await storeEvent(1);
+        await sleep(POLL_MS * 5);
+        assert.deepEqual(received, [1, 2]);
+    });
+
+    it('skips a sequence number that never lands', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        await storeEvent(1);
+        await storeEvent(3);
+        await sleep(POLL_MS * 5);
+        assert.deepEqual(received, [1]);
+
+        await sleep(parseInt(process.env.EVENT_GAP_WAIT_MS, 10) + POLL_MS * 5);
+        assert.deepEqual(received, [1, 3]);
+    });
+
+    it('replays only what the feed has fanned out, so events past a gap arrive live in order', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        await storeEvent(1);
+        await storeEvent(3);
+        await sleep(POLL_MS * 5);
+
+        const { events } = await eventsSince(0);
+        assert.deepEqual(events.map(event => event.id), [1]);
+
+        await storeEvent(2);
+        await sleep(POLL_MS * 5);
+        assert.deepEqual(received, [1, 2, 3]);
+        assert.deepEqual((await eventsSince(1)).events.map(event => event.id), [2, 3]);
+    });
+
+    it('replays up to the first gap without a running feed', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        await stopFeed();
+        await storeEvent(1);
+        await storeEvent(2);
+        await storeEvent(4);
+
+        const { events } = await eventsSince(0);
+        assert.deepEqual(events.map(event => event.id), [1, 2]);
+    });
+});
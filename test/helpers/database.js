@@ -0,0 +1,49 @@
+// test/helpers/database.js
+//
+// A throwaway MongoDB for tests: a single-node replica set from
+// mongodb-memory-server, so transactions and change streams behave as in
+// production. Set MONGODB_TEST_URI to run against a server of your own
+// instead (its database is wiped between tests).
+
+const mongoose = require('mongoose');
+const { connectDatabase, disconnectDatabase } = require('../../db');
+const models = require('../../models');
+
+/**
+ * Start (or connect to) the test database and build every model's indexes.
+ * Resolves to { uri, stop }, or to null when no MongoDB binary can be had, in
+ * which case the calling suite should skip its tests.
+ */
+async function startDatabase() {
+    let replSet = null;
+    let uri = process.env.MONGODB_TEST_URI;
+    if (!uri) {
+        try {
+            const { MongoMemoryReplSet } = require('mongodb-memory-server');
+            replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+            uri = replSet.getUri('cyrus-prebond-test');
+        } catch (error) {
+            console.warn(`Skipping database tests: MongoDB is unavailable (${error.message}). Set MONGODB_TEST_URI to use a running server.`);
+            return null;
+        }
+    }
+
+    await connectDatabase(uri);
+    await Promise.all(Object.values(models).map(model => model.syncIndexes()));
+    return {
+        uri,
+        async stop() {
+            await disconnectDatabase();
+            if (replSet) await replSet.stop();
+        },
+    };
+}
+
+async function clearDatabase() {
+    await Promise.all(Object.values(mongoose.connection.models).map(model => model.deleteMany({})));
+}
+
+module.exports = {
+    startDatabase,
+    clearDatabase,
+};
@@ -0,0 +1,52 @@
+// test/helpers/fixtures.js
+//
+// Documents for tests to start from, written straight to the database.
+
+const crypto = require('crypto');
+const Pricing = require('../../shared/pricing');
+const { Token, Upload } = require('../../models');
+const { recordInitialState } = require('../../lib/lifecycle');
+
+// An image as /api/uploads would have stored it
+async function createUpload(walletId = null) {
+    const name = crypto.randomBytes(8).toString('hex');
+    return Upload.create({
+        walletId,
+        url: `/uploads/${name}.webp`,
+        thumbnailUrl: `/uploads/${name}-thumb.webp`,
+        width: 512,
+        height: 512,
+        originalFormat: 'png',
+        bytes: 1024,
+        storage: 'local',
+    });
+}
+
+/**
+ * A pre-bond token on a linear curve that raises towards 100 tokens
+ * (5.5 SOL), unless `fields` say otherwise. solTarget follows the curve
+ * when not given.
+ */
+async function createToken(fields = {}) {
+    const ticker = fields.ticker || `T${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const token = new Token({
+        title: `Token ${ticker}`,
+        ticker,
+        description: 'A token for tests.',
+        imageUrl: '/uploads/test.webp',
+        curveType: 'linear',
+        curveParams: { basePrice: 0.01, slope: 0.001, targetSupply: 100 },
+        ...fields,
+    });
+    if (fields.solTarget === undefined) {
+        token.solTarget = Pricing.solTarget(token, token.upvotes);
+    }
+    await token.save();
+    await recordInitialState(token, { actor: 'test', reason: 'Token created' });
+    return token;
+}
+
+module.exports = {
+    createUpload,
+    createToken,
+};
@@ -0,0 +1,49 @@
+// test/helpers/server.js
+//
+// Runs the Express app on a free local port and sends it JSON (or multipart) requests.
+
+// Anonymous views hash the client's address, which needs a salt
+process.env.VIEW_HASH_SALT = process.env.VIEW_HASH_SALT || 'test-view-hash-salt';
+
+const app = require('../../server');
+
+/**
+ * Start the app. Resolves to { request, close }, where
+ * request(method, path, { token, body, headers }) resolves to
+ * { status, headers, body } with the body parsed from JSON. A FormData body
+ * is sent as a multipart form, any other as JSON.
+ */
+function startServer() {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+            async function request(method, path, { token, body, headers = {} } = {}) {
+                const json = body !== undefined && !(body instanceof FormData);
+                const response = await fetch(`${baseUrl}${path}`, {
+                    method,
+                    headers: {
+                        ...(json ? { 'Content-Type': 'application/json' } : {}),
+                        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                        ...headers,
+                    },
+                    body: json ? JSON.stringify(body) : body,
+                });
+                const text = await response.text();
+                return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+            }
+
+            resolve({
+                request,
+                close: () => new Promise(done => {
+                    server.closeAllConnections(); // Event streams never end on their own
+                    server.close(done);
+                }),
+            });
+        });
+    });
+}
+
+module.exports = {
+    startServer,
+};
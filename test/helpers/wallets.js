@@ -0,0 +1,36 @@
+// test/helpers/wallets.js
+//
+// Throwaway ed25519 wallets that sign in the way a browser wallet does.
+
+const nacl = require('tweetnacl');
+const bs58 = require('bs58').default;
+const { issueChallenge, verifyChallenge } = require('../../lib/auth');
+
+function createWallet() {
+    const keypair = nacl.sign.keyPair();
+    return { walletId: bs58.encode(keypair.publicKey), secretKey: keypair.secretKey };
+}
+
+// Base58 ed25519 signature over a UTF-8 message, as Phantom's signMessage returns it
+function signMessage(message, secretKey) {
+    return bs58.encode(nacl.sign.detached(Buffer.from(message, 'utf8'), secretKey));
+}
+
+/**
+ * Sign the wallet in and resolve to its session's bearer token.
+ */
+async function signIn(wallet, now = new Date()) {
+    const { nonce, message } = await issueChallenge(wallet.walletId, now);
+    const { sessionToken } = await verifyChallenge({
+        walletId: wallet.walletId,
+        nonce,
+        signature: signMessage(message, wallet.secretKey),
+    }, now);
+    return sessionToken;
+}
+
+module.exports = {
+    createWallet,
+    signMessage,
+    signIn,
+};
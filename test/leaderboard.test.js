@@ -0,0 +1,72 @@
+// test/leaderboard.test.js
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SOL, walletAccount, tokenEscrowAccount, postTransaction, ensureWallet } = require('../lib/ledger');
+const { getLeaderboard } = require('../lib/leaderboard');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { createWallet } = require('./helpers/wallets');
+
+// Move `amount` SOL from the wallet into the token's escrow; negative amounts move it back
+function transfer(type, walletId, tokenId, amount) {
+    return postTransaction({
+        type,
+        tokenId,
+        walletId,
+        entries: [
+            { account: walletAccount(walletId), asset: SOL, amount: -amount },
+            { account: tokenEscrowAccount(tokenId), asset: SOL, amount },
+        ],
+    });
+}
+
+describe('committers leaderboard', () => {
+    let database;
+    // Boards are cached per window, so each test asks as of a later time
+    let now = Date.now();
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        now += 24 * 60 * 60 * 1000;
+        if (database) await clearDatabase();
+    });
+
+    it('nets refunds of failed tokens out of the SOL committed', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const refunded = createWallet().walletId;
+        const steady = createWallet().walletId;
+        await Promise.all([ensureWallet(refunded), ensureWallet(steady)]);
+
+        await transfer('commit', refunded, 'failed-token', 5);
+        await transfer('commit', refunded, 'live-token', 1);
+        await transfer('refund', refunded, 'failed-token', -5);
+        await transfer('commit', steady, 'live-token', 2);
+
+        const { leaderboard } = await getLeaderboard('committers', 'all', { now: new Date(now) });
+        assert.deepEqual(leaderboard.map(entry => [entry.walletId, entry.score, entry.stats.tokens]), [
+            [steady, 2, 1],
+            [refunded, 1, 1],
+        ]);
+    });
+
+    it('leaves out a wallet whose every commit came back', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const walletId = createWallet().walletId;
+        await ensureWallet(walletId);
+
+        await transfer('commit', walletId, 'failed-token', 3);
+        await transfer('refund', walletId, 'failed-token', -3);
+        await transfer('commit', walletId, 'other-token', 1);
+        await transfer('withdraw', walletId, 'other-token', -1);
+
+        const { leaderboard } = await getLeaderboard('committers', 'all', { now: new Date(now) });
+        assert.deepEqual(leaderboard, []);
+    });
+});
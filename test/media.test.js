@@ -0,0 +1,158 @@
+// test/media.test.js
+//
+// Image uploads: validation and storage (lib/media.js, POST /api/uploads),
+// and moving inline data-URL images into storage (scripts/migrate-images.js).
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cyrus-uploads-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.UPLOAD_DIR = UPLOAD_DIR;
+process.env.MAX_UPLOAD_BYTES = String(64 * 1024);
+
+const { Token, Upload } = require('../models');
+const { MAX_UPLOAD_BYTES, MediaError, storeImage } = require('../lib/media');
+const { migrateImages } = require('../scripts/migrate-images');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+const { createWallet, signIn } = require('./helpers/wallets');
+const { createToken } = require('./helpers/fixtures');
+
+// A flat grey image, or random noise, which doesn't compress
+function image(width, height, { format = 'png', noise = false } = {}) {
+    const raw = noise ? crypto.randomBytes(width * height * 3) : Buffer.alloc(width * height * 3, 128);
+    return sharp(raw, { raw: { width, height, channels: 3 } }).toFormat(format).toBuffer();
+}
+
+function storedFile(url) {
+    return path.join(UPLOAD_DIR, url.replace(/^\/uploads\//, ''));
+}
+
+function mediaError(status) {
+    return error => error instanceof MediaError && error.status === status;
+}
+
+after(() => {
+    fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+});
+
+describe('image validation', () => {
+    it('refuses a file that is not an image, whatever it is named', async () => {
+        await assert.rejects(storeImage(Buffer.from('Just text, saved as logo.png')), mediaError(415));
+    });
+
+    it('refuses an image larger than MAX_UPLOAD_BYTES', async () => {
+        const large = await image(200, 200, { noise: true });
+        assert.ok(large.length > MAX_UPLOAD_BYTES);
+        await assert.rejects(storeImage(large), mediaError(413));
+    });
+
+    it('refuses an image format outside the allowed ones', async () => {
+        await assert.rejects(storeImage(await image(128, 128, { format: 'tiff' })), mediaError(415));
+    });
+
+    it('refuses an image smaller than the minimum size', async () => {
+        await assert.rejects(storeImage(await image(32, 32)), mediaError(400));
+    });
+});
+
+describe('image storage', () => {
+    let database;
+    let server;
+
+    before(async () => {
+        database = await startDatabase();
+        if (database) server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('stores a PNG as full-size and thumbnail WebP variants', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const { walletId } = createWallet();
+        const stored = await storeImage(await image(300, 200), { walletId });
+
+        assert.equal(stored.walletId, walletId);
+        assert.equal(stored.originalFormat, 'png');
+        assert.equal(stored.storage, 'local');
+        assert.deepEqual([stored.width, stored.height], [300, 200]);
+
+        const full = await sharp(storedFile(stored.url)).metadata();
+        assert.deepEqual([full.format, full.width, full.height], ['webp', 300, 200]);
+        assert.equal(fs.statSync(storedFile(stored.url)).size, stored.bytes);
+        const thumbnail = await sharp(storedFile(stored.thumbnailUrl)).metadata();
+        assert.deepEqual([thumbnail.format, thumbnail.width, thumbnail.height], ['webp', 256, 256]);
+        assert.ok(await Upload.exists({ _id: stored.id }));
+    });
+
+    it('takes an upload over the API and refuses a renamed non-image', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const session = await signIn(createWallet());
+        const upload = (buffer, name) => {
+            const form = new FormData();
+            form.append('image', new Blob([buffer], { type: 'image/png' }), name);
+            return server.request('POST', '/api/uploads', { token: session, body: form });
+        };
+
+        const created = await upload(await image(128, 128), 'logo.png');
+        assert.equal(created.status, 201);
+        assert.ok(fs.existsSync(storedFile(created.body.upload.url)));
+
+        const renamed = await upload(Buffer.from('#!/bin/sh\necho not an image\n'), 'logo.png');
+        assert.equal(renamed.status, 415);
+        assert.equal(await Upload.countDocuments(), 1);
+    });
+});
+
+describe('image migration', () => {
+    let database;
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('moves data-URL images into storage and leaves the ones it cannot use', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const dataUrl = `data:image/png;base64,${(await image(128, 128)).toString('base64')}`;
+        const inline = await createToken({ imageUrl: dataUrl });
+        const unreadable = await createToken({ imageUrl: 'data:image/png;base64,' });
+        const notAnImage = await createToken({ imageUrl: `data:image/png;base64,${Buffer.from('text').toString('base64')}` });
+        const stored = await createToken({ imageUrl: '/uploads/images/existing/full.webp' });
+
+        await migrateImages();
+
+        const migrated = await Token.findById(inline.id).lean();
+        assert.match(migrated.imageUrl, /^\/uploads\/images\/[0-9a-f-]+\/full\.webp$/);
+        assert.match(migrated.thumbnailUrl, /^\/uploads\/images\/[0-9a-f-]+\/thumb\.webp$/);
+        assert.ok(fs.existsSync(storedFile(migrated.imageUrl)));
+        assert.equal((await Token.findById(unreadable.id).lean()).imageUrl, unreadable.imageUrl);
+        assert.equal((await Token.findById(notAnImage.id).lean()).imageUrl, notAnImage.imageUrl);
+        assert.equal((await Token.findById(stored.id).lean()).imageUrl, stored.imageUrl);
+
+        // A second run finds nothing new to move
+        await migrateImages();
+        assert.equal(await Upload.countDocuments(), 1);
+        assert.equal((await Token.findById(inline.id).lean()).imageUrl, migrated.imageUrl);
+    });
+});
@@ -0,0 +1,206 @@
+// test/migration.test.js
+//
+// Migrations against the mock adapter, with failures injected into its
+// steps, and once end to end against a local solana-test-validator when one
+// is running (set SOLANA_RPC_URL if it isn't on the default port).
+
+process.env.MIGRATION_RETRY_DELAY_MS = process.env.MIGRATION_RETRY_DELAY_MS || '1';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Token, Migration, Balance, Allocation } = require('../models');
+const { SOL, ensureWallet, tokenEscrowAccount, tokenCurveAccount } = require('../lib/ledger');
+const { STATES, transition } = require('../lib/lifecycle');
+const { commitToToken } = require('../lib/commitments');
+const { MAX_ATTEMPTS, setMigrationAdapter, migrateToken, resumeMigrations } = require('../lib/migration');
+const { createMockAdapter } = require('../lib/migration/mockAdapter');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { createWallet } = require('./helpers/wallets');
+const { createToken } = require('./helpers/fixtures');
+
+describe('mock adapter', () => {
+    it('returns the first result again for a repeated idempotency key', async () => {
+        const adapter = createMockAdapter();
+        const first = await adapter.createMint({ idempotencyKey: 'migration:a:mint' });
+        assert.deepEqual(await adapter.createMint({ idempotencyKey: 'migration:a:mint' }), first);
+        assert.notDeepEqual(await adapter.createMint({ idempotencyKey: 'migration:b:mint' }), first);
+    });
+
+    it('fails a step as many times as injected, then succeeds', async () => {
+        const adapter = createMockAdapter({ failures: { pool: 2 } });
+        const args = { mintAddress: 'mint', solAmount: 1, tokenAmount: 1, idempotencyKey: 'migration:a:pool' };
+        await assert.rejects(adapter.createPool(args), /Mock pool failure/);
+        await assert.rejects(adapter.createPool(args), /Mock pool failure/);
+        assert.ok((await adapter.createPool(args)).poolAddress);
+    });
+});
+
+async function balanceOf(account, asset = SOL) {
+    const balance = await Balance.findOne({ account, asset }).lean();
+    return balance ? balance.amount : 0;
+}
+
+describe('migrations', () => {
+    let database;
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        setMigrationAdapter(null);
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    // A token whose commitments filled its SOL target, waiting to migrate
+    async function fundedToken() {
+        const token = await createToken({ solTarget: 1.5, upvotes: 100 });
+        for (const amount of [1, 0.5]) {
+            const wallet = createWallet();
+            await ensureWallet(wallet.walletId);
+            await commitToToken(await Token.findById(token.id), wallet.walletId, amount);
+        }
+        return transition(token.id, STATES.PRE_BOND, STATES.TARGET_REACHED, { reason: 'SOL target reached' });
+    }
+
+    it('migrates and settles the raise in the ledger once', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        setMigrationAdapter(createMockAdapter());
+        const token = await fundedToken();
+
+        const migrated = await migrateToken(token);
+        assert.equal(migrated.status, STATES.BONDING);
+        const migration = await Migration.findOne({ tokenId: token.id });
+        assert.equal(migration.status, 'succeeded');
+        assert.ok(migration.settledAt);
+        assert.equal(await balanceOf(tokenEscrowAccount(token.id)), 0);
+        assert.equal(await balanceOf(tokenCurveAccount(token.id)), 1.5);
+        assert.equal(await Allocation.countDocuments({ tokenId: token.id }), 2);
+
+        // A second run finds nothing to do
+        assert.equal((await migrateToken(migrated)).status, STATES.BONDING);
+        assert.equal(await balanceOf(tokenCurveAccount(token.id)), 1.5);
+    });
+
+    it('retries failed steps and resumes after the last completed one', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const adapter = createMockAdapter({ failures: { pool: 1 } });
+        setMigrationAdapter(adapter);
+        const token = await fundedToken();
+
+        assert.equal((await migrateToken(token)).status, STATES.BONDING);
+        const migration = await Migration.findOne({ tokenId: token.id });
+        assert.equal(migration.attempts, 2);
+        assert.equal(migration.mintAddress, adapter.results.get(`${migration.idempotencyKey}:mint`).mintAddress);
+    });
+
+    it('returns the token to target-reached after its last attempt, for the scheduler to retry', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        setMigrationAdapter(createMockAdapter({ failures: { mint: MAX_ATTEMPTS } }));
+        const token = await fundedToken();
+
+        assert.equal((await migrateToken(token)).status, STATES.TARGET_REACHED);
+        const failed = await Migration.findOne({ tokenId: token.id });
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.leaseId, null);
+        assert.equal(failed.settledAt, null);
+
+        await resumeMigrations();
+        assert.equal((await Token.findById(token.id)).status, STATES.BONDING);
+    });
+
+    it('lets only one of several concurrent runs migrate the token', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        setMigrationAdapter(createMockAdapter());
+        const token = await fundedToken();
+
+        await Promise.all([migrateToken(token), migrateToken(token), migrateToken(token)]);
+        assert.equal((await Token.findById(token.id)).status, STATES.BONDING);
+        assert.equal((await Migration.findOne({ tokenId: token.id })).attempts, 1);
+        assert.equal(await balanceOf(tokenCurveAccount(token.id)), 1.5);
+    });
+
+    it('recovers a token left migrating without a run', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        setMigrationAdapter(createMockAdapter());
+        const token = await fundedToken();
+        await transition(token.id, STATES.TARGET_REACHED, STATES.MIGRATING, { reason: 'Migration started' });
+
+        await resumeMigrations();
+        assert.equal((await Token.findById(token.id)).status, STATES.BONDING);
+    });
+
+    it('releases a lease that expired with its run', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        setMigrationAdapter(createMockAdapter());
+        const token = await fundedToken();
+        await Migration.create({
+            tokenId: token.id,
+            idempotencyKey: `migration:${token.id}`,
+            adapter: 'mock',
+            status: 'running',
+            leaseId: 'dead-run',
+            lockedUntil: new Date(Date.now() - 1000),
+            solAmount: 1.5,
+            poolTokenAmount: token.upvotes,
+        });
+        await transition(token.id, STATES.TARGET_REACHED, STATES.MIGRATING, { reason: 'Migration started' });
+
+        await resumeMigrations();
+        assert.equal((await Token.findById(token.id)).status, STATES.BONDING);
+    });
+});
+
+describe('solana-test-validator', () => {
+    let database;
+    let adapter;
+
+    before(async () => {
+        const { createSolanaAdapter } = require('../lib/migration/solanaAdapter');
+        const { Connection } = require('@solana/web3.js');
+        const rpcUrl = process.env.SOLANA_RPC_URL || 'http://127.0.0.1:8899';
+        try {
+            await new Connection(rpcUrl, 'confirmed').getVersion();
+        } catch (error) {
+            console.warn(`Skipping solana-test-validator tests: no validator at ${rpcUrl}.`);
+            return;
+        }
+        adapter = createSolanaAdapter({ rpcUrl });
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        setMigrationAdapter(null);
+        if (database) await database.stop();
+    });
+
+    it('mints, seeds the pool and distributes an allocation on chain', async t => {
+        if (!adapter || !database) return t.skip('solana-test-validator or MongoDB is unavailable');
+        await clearDatabase();
+        setMigrationAdapter(adapter);
+        const token = await createToken({ solTarget: 0.5, upvotes: 10 });
+        const wallet = createWallet();
+        await ensureWallet(wallet.walletId);
+        await commitToToken(await Token.findById(token.id), wallet.walletId, 0.5);
+        const reached = await transition(token.id, STATES.PRE_BOND, STATES.TARGET_REACHED, { reason: 'SOL target reached' });
+
+        assert.equal((await migrateToken(reached)).status, STATES.BONDING);
+        const migration = await Migration.findOne({ tokenId: token.id });
+        // Steps repeated with the same keys find what the first run created
+        const mint = await adapter.createMint({ token, idempotencyKey: `${migration.idempotencyKey}:mint` });
+        assert.equal(mint.mintAddress, migration.mintAddress);
+
+        const { signature } = await adapter.distribute({
+            token,
+            mintAddress: migration.mintAddress,
+            walletId: wallet.walletId,
+            amount: 1,
+            idempotencyKey: `${migration.idempotencyKey}:distribute:${wallet.walletId}`,
+        });
+        assert.ok(signature);
+    });
+});
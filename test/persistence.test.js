@@ -0,0 +1,65 @@
+// test/persistence.test.js
+//
+// Tokens, commitments and comments are written through the API and read back
+// after the server reconnects to the database.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDatabase, disconnectDatabase } = require('../db');
+const { startDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+const { createWallet, signIn } = require('./helpers/wallets');
+const { createUpload } = require('./helpers/fixtures');
+
+describe('persistence', () => {
+    let database;
+    let server;
+
+    before(async () => {
+        database = await startDatabase();
+        if (database) server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (database) await database.stop();
+    });
+
+    it('keeps tokens, commitments and comments across a reconnect', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const wallet = createWallet();
+        const token = await signIn(wallet);
+        const upload = await createUpload(wallet.walletId);
+
+        const created = await server.request('POST', '/api/tokens', {
+            token,
+            body: {
+                title: 'Persisted',
+                ticker: 'KEEP',
+                description: 'Survives a restart.',
+                imageUrl: upload.url,
+                curveType: 'linear',
+                curveParams: { basePrice: 0.01, slope: 0.001, targetSupply: 100 },
+            },
+        });
+        assert.equal(created.status, 201);
+        const { id } = created.body.token;
+
+        const committed = await server.request('POST', `/api/tokens/${id}/commit`, { token, body: { amount: 0.5 } });
+        assert.equal(committed.status, 200);
+        const commented = await server.request('POST', `/api/tokens/${id}/comments`, { token, body: { comment: 'Still here?' } });
+        assert.equal(commented.status, 201);
+
+        await disconnectDatabase();
+        await connectDatabase(database.uri);
+
+        const fetched = await server.request('GET', `/api/tokens/${id}`);
+        assert.equal(fetched.status, 200);
+        assert.equal(fetched.body.token.ticker, 'KEEP');
+        assert.equal(fetched.body.token.collectiveSOL, 0.5);
+
+        const comments = await server.request('GET', `/api/tokens/${id}/comments`);
+        assert.equal(comments.status, 200);
+        assert.deepEqual(comments.body.comments.map(comment => comment.comment), ['Still here?']);
+    });
+});
@@ -0,0 +1,135 @@
+// test/pricing.test.js
+//
+// Properties every curve family must have, checked over random parameters,
+// supplies and trade sizes.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fc = require('fast-check');
+const Pricing = require('../shared/pricing');
+
+const between = (min, max) => fc.double({ min, max, noNaN: true, noDefaultInfinity: true });
+
+// Parameters for each family, and the largest supply worth trading at with them
+const FAMILIES = {
+    power: {
+        params: fc.record({ curveA: between(0.001, 1), curveB: between(0.1, 4) }),
+        maxSupply: () => 1000,
+    },
+    linear: {
+        params: fc.record({ basePrice: between(0.0001, 1), slope: between(0, 0.1), targetSupply: between(1, 1000) }),
+        maxSupply: () => 10000,
+    },
+    exponential: {
+        params: fc.record({ basePrice: between(0.0001, 1), growthRate: between(0.001, 0.1), targetSupply: between(1, 1000) }),
+        maxSupply: () => 200,
+    },
+    sigmoid: {
+        // Keeps the starting price, maxPrice / (1 + e^(steepness * midpoint)), above floating-point underflow
+        params: fc.record({ maxPrice: between(0.01, 1), steepness: between(0.01, 2), midpoint: between(1, 500) })
+            .filter(params => params.steepness * params.midpoint <= 40),
+        maxSupply: () => 1000,
+    },
+    'constant-product': {
+        params: fc.record({ virtualSol: between(0.1, 100), virtualTokens: between(10, 1e6) })
+            .map(params => ({ ...params, targetSupply: params.virtualTokens / 2 })),
+        // Stay clear of the virtual token reserve, which can never be bought
+        maxSupply: params => params.virtualTokens * 0.9,
+    },
+};
+
+function curveFrom(curveType, input) {
+    const { params } = Pricing.parseCurve(curveType, input);
+    return curveType === 'power' ? { curveType, ...params } : { curveType, curveParams: params };
+}
+
+// A curve with a starting supply and two trade sizes that together stay within maxSupply
+function market(curveType) {
+    const { params, maxSupply } = FAMILIES[curveType];
+    return params.chain(input => {
+        const third = maxSupply(input) / 3;
+        return fc.record({
+            curve: fc.constant(curveFrom(curveType, input)),
+            supply: between(0, third),
+            first: between(0.001, third),
+            second: between(0.001, third),
+        });
+    });
+}
+
+// Equal up to floating-point error at the scale of the curve's reserve
+function assertClose(actual, expected, scale) {
+    const tolerance = 1e-9 * Math.max(1, Math.abs(scale));
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+Object.keys(FAMILIES).forEach(curveType => {
+    describe(`${curveType} curve`, () => {
+        it('refunds the cost of a buy when the tokens are sold straight back', () => {
+            fc.assert(fc.property(market(curveType), ({ curve, supply, first }) => {
+                const cost = Pricing.costToBuy(curve, supply, first);
+                const refund = Pricing.refundForSell(curve, supply + first, first);
+                assertClose(refund, cost, Pricing.reserveAt(curve, supply + first));
+            }));
+        });
+
+        it('never lowers the price as the supply grows', () => {
+            fc.assert(fc.property(market(curveType), ({ curve, supply, first }) => {
+                assert.ok(Pricing.spotPrice(curve, supply + first) >= Pricing.spotPrice(curve, supply));
+                assert.ok(Pricing.costToBuy(curve, supply, first) > 0);
+            }));
+        });
+
+        it('costs the same to buy in one trade or two', () => {
+            fc.assert(fc.property(market(curveType), ({ curve, supply, first, second }) => {
+                const whole = Pricing.costToBuy(curve, supply, first + second);
+                const split = Pricing.costToBuy(curve, supply, first) + Pricing.costToBuy(curve, supply + first, second);
+                assertClose(split, whole, Pricing.reserveAt(curve, supply + first + second));
+            }));
+        });
+
+        it('sells as many tokens for their cost as it bought', () => {
+            fc.assert(fc.property(market(curveType), ({ curve, supply, first }) => {
+                const cost = Pricing.costToBuy(curve, supply, first);
+                const tokens = Pricing.tokensForSol(curve, supply, cost);
+                assert.ok(Math.abs(tokens - first) <= 1e-6 * Math.max(1, supply + first), `${tokens} tokens for ${first}`);
+            }));
+        });
+    });
+});
+
+describe('power curve target', () => {
+    it('raises at least MIN_POWER_RAISE_SOL from any supply, including a new token\'s zero', () => {
+        fc.assert(fc.property(FAMILIES.power.params, between(0, 1000), (input, supply) => {
+            const curve = curveFrom('power', input);
+            const target = Pricing.solTarget(curve, supply);
+            assert.ok(target >= Pricing.MIN_POWER_RAISE_SOL * (1 - 1e-9), `solTarget ${target} at supply ${supply}`);
+        }));
+    });
+
+    it('raises towards 1.5x the supply once that is further than the floor', () => {
+        const curve = { curveType: 'power', curveA: 0.1, curveB: 2 };
+        assert.equal(Pricing.targetSupply(curve, 100), 150);
+        assert.equal(Pricing.solTarget(curve, 100), Pricing.costToBuy(curve, 100, 50));
+    });
+});
+
+describe('fixed curve targets', () => {
+    ['linear', 'exponential', 'sigmoid', 'constant-product'].forEach(type => {
+        it(`keeps ${type} tokens' upvotes below a supply the curve can still raise from`, () => {
+            fc.assert(fc.property(FAMILIES[type].params, input => {
+                const curve = curveFrom(type, input);
+                assert.equal(Pricing.retargetsWithSupply(curve), false);
+                const maxSupply = Pricing.maxPreBondSupply(curve);
+                assert.ok(isFinite(maxSupply));
+                assert.ok(Pricing.reserveAt(curve, maxSupply) <= Pricing.solTarget(curve, 0) * (1 + 1e-9));
+            }));
+        });
+    });
+
+    it('leaves power tokens uncapped, since their target follows the supply', () => {
+        const curve = { curveType: 'power', curveA: 0.1, curveB: 2 };
+        assert.equal(Pricing.retargetsWithSupply(curve), true);
+        assert.equal(Pricing.maxPreBondSupply(curve), Infinity);
+    });
+});
@@ -0,0 +1,58 @@
+// test/scheduler.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../lib/scheduler');
+
+describe('scheduler', () => {
+    it('runs each task on the first tick at least everyMs after its last run, by its clock', async () => {
+        let now = new Date('2026-01-01T00:00:00Z');
+        const runs = [];
+        const scheduler = createScheduler({ clock: () => now })
+            .add('often', at => runs.push(['often', at.toISOString()]))
+            .add('hourly', at => runs.push(['hourly', at.toISOString()]), { everyMs: 60 * 60 * 1000 });
+
+        await scheduler.tick();
+        now = new Date('2026-01-01T00:30:00Z');
+        await scheduler.tick();
+        now = new Date('2026-01-01T01:00:00Z');
+        await scheduler.tick();
+
+        assert.deepEqual(runs, [
+            ['often', '2026-01-01T00:00:00.000Z'],
+            ['hourly', '2026-01-01T00:00:00.000Z'],
+            ['often', '2026-01-01T00:30:00.000Z'],
+            ['often', '2026-01-01T01:00:00.000Z'],
+            ['hourly', '2026-01-01T01:00:00.000Z'],
+        ]);
+    });
+
+    it('keeps running the other tasks when one fails', async () => {
+        const ran = [];
+        const scheduler = createScheduler({ clock: () => new Date('2026-01-01T00:00:00Z') })
+            .add('broken', () => {
+                throw new Error('boom');
+            })
+            .add('healthy', () => ran.push('healthy'));
+        await scheduler.tick();
+        assert.deepEqual(ran, ['healthy']);
+    });
+
+    it('never overlaps ticks', async () => {
+        let calls = 0;
+        let finish;
+        const scheduler = createScheduler({ clock: () => new Date() })
+            .add('slow', () => {
+                calls += 1;
+                return new Promise(resolve => {
+                    finish = resolve;
+                });
+            });
+        const first = scheduler.tick();
+        const second = scheduler.tick();
+        assert.equal(first, second);
+        finish();
+        await first;
+        assert.equal(calls, 1);
+    });
+});
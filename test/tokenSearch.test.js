@@ -0,0 +1,149 @@
+// test/tokenSearch.test.js
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { STATES } = require('../lib/lifecycle');
+const { SearchError, parseSearchParams, searchTokens } = require('../lib/tokenSearch');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { createToken } = require('./helpers/fixtures');
+
+function cursorOf(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function searchError(error) {
+    return error instanceof SearchError && error.status === 400;
+}
+
+// Every page of the search, following nextCursor to the end
+async function allPages(query) {
+    const pages = [];
+    let cursor;
+    do {
+        const { tokens, nextCursor } = await searchTokens(parseSearchParams({ ...query, cursor }));
+        pages.push(tokens.map(token => token.ticker));
+        cursor = nextCursor;
+    } while (cursor);
+    return pages;
+}
+
+describe('search parameters', () => {
+    it('defaults to the newest tokens, 20 to a page', () => {
+        const options = parseSearchParams({});
+        assert.equal(options.sort, 'newest');
+        assert.equal(options.limit, 20);
+        assert.equal(options.cursor, null);
+        assert.equal(options.q, '');
+    });
+
+    it('caps the page size and reads progress in percent', () => {
+        const options = parseSearchParams({ limit: '500', minProgress: '25', maxProgress: '50' });
+        assert.equal(options.limit, 100);
+        assert.equal(options.minProgress, 0.25);
+        assert.equal(options.maxProgress, 0.5);
+    });
+
+    it('expands migrated into the migrated states', () => {
+        assert.deepEqual(parseSearchParams({ status: `${STATES.PRE_BOND},migrated` }).statuses, [
+            STATES.PRE_BOND, STATES.BONDING, STATES.GRADUATED,
+        ]);
+    });
+
+    it('refuses unknown sorts, statuses and visibilities, and bad numbers and dates', () => {
+        [
+            { sort: 'random' },
+            { status: 'moon' },
+            { visibility: 'secret' },
+            { limit: '0' },
+            { limit: 'ten' },
+            { minProgress: '-5' },
+            { minProgress: '60', maxProgress: '40' },
+            { createdAfter: 'yesterday' },
+        ].forEach(query => assert.throws(() => parseSearchParams(query), searchError, JSON.stringify(query)));
+    });
+
+    it('refuses a cursor it did not issue', () => {
+        ['not-a-cursor', cursorOf({ value: 1 }), cursorOf([1]), cursorOf([1, 2]), Buffer.from('{').toString('base64url')]
+            .forEach(cursor => assert.throws(() => parseSearchParams({ cursor }), searchError, cursor));
+    });
+});
+
+describe('token search', () => {
+    let database;
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('finds tokens by title, ticker or description, and leaves out unlisted ones', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        await createToken({ ticker: 'ROCKET', title: 'Rocket fuel' });
+        await createToken({ ticker: 'MOON', description: 'Straight to the rocket pad.' });
+        await createToken({ ticker: 'CAT', title: 'Cat coin' });
+        await createToken({ ticker: 'HIDDEN', title: 'Hidden rocket', visibility: 'hidden' });
+
+        const { tokens } = await searchTokens(parseSearchParams({ q: 'rocket' }));
+        assert.deepEqual(tokens.map(token => token.ticker).sort(), ['MOON', 'ROCKET']);
+
+        const admin = await searchTokens(parseSearchParams({ q: 'rocket', visibility: 'hidden' }), { includeUnlisted: true });
+        assert.deepEqual(admin.tokens.map(token => token.ticker), ['HIDDEN']);
+    });
+
+    it('filters by status, progress and creation date', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        await createToken({ ticker: 'EMPTY', solTarget: 10, collectiveSOL: 0, createdAt: new Date('2026-01-01T00:00:00Z') });
+        await createToken({ ticker: 'HALF', solTarget: 10, collectiveSOL: 5, createdAt: new Date('2026-03-01T00:00:00Z') });
+        await createToken({ ticker: 'BOND', status: STATES.BONDING, solTarget: 10, collectiveSOL: 10, createdAt: new Date('2026-04-01T00:00:00Z') });
+
+        const search = async query => (await searchTokens(parseSearchParams(query))).tokens.map(token => token.ticker).sort();
+        assert.deepEqual(await search({ status: 'migrated' }), ['BOND']);
+        assert.deepEqual(await search({ status: STATES.PRE_BOND }), ['EMPTY', 'HALF']);
+        assert.deepEqual(await search({ minProgress: '40', maxProgress: '60' }), ['HALF']);
+        assert.deepEqual(await search({ createdBefore: '2026-02-01T00:00:00Z' }), ['EMPTY']);
+        assert.deepEqual(await search({ createdAfter: '2026-02-01T00:00:00Z' }), ['BOND', 'HALF']);
+    });
+
+    it('sorts by the chosen field, highest first', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        await createToken({ ticker: 'LOW', upvotes: 1, solTarget: 10, collectiveSOL: 9, createdAt: new Date('2026-01-01T00:00:00Z') });
+        await createToken({ ticker: 'HIGH', upvotes: 9, solTarget: 100, collectiveSOL: 20, createdAt: new Date('2026-01-02T00:00:00Z') });
+        await createToken({ ticker: 'MID', upvotes: 5, solTarget: 10, collectiveSOL: 1, createdAt: new Date('2026-01-03T00:00:00Z') });
+
+        const order = async sort => (await searchTokens(parseSearchParams({ sort }))).tokens.map(token => token.ticker);
+        assert.deepEqual(await order('upvotes'), ['HIGH', 'MID', 'LOW']);
+        assert.deepEqual(await order('progress'), ['LOW', 'HIGH', 'MID']);
+        assert.deepEqual(await order('collectiveSOL'), ['HIGH', 'LOW', 'MID']);
+        assert.deepEqual(await order('newest'), ['MID', 'HIGH', 'LOW']);
+    });
+
+    it('pages through equal sort keys without skipping or repeating a token', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const createdAt = new Date('2026-03-01T00:00:00Z');
+        const tickers = [];
+        for (let n = 0; n < 7; n += 1) {
+            tickers.push((await createToken({ ticker: `TIE${n}`, upvotes: n < 5 ? 3 : 1, createdAt })).ticker);
+        }
+
+        for (const sort of ['upvotes', 'newest']) {
+            const pages = await allPages({ sort, limit: '2' });
+            assert.deepEqual(pages.map(page => page.length), [2, 2, 2, 1], sort);
+            const seen = pages.flat();
+            assert.equal(new Set(seen).size, tickers.length, sort);
+            assert.deepEqual([...seen].sort(), [...tickers].sort(), sort);
+        }
+
+        // A page repeats exactly when asked for with the same cursor
+        const first = await searchTokens(parseSearchParams({ sort: 'upvotes', limit: '3' }));
+        const again = await searchTokens(parseSearchParams({ sort: 'upvotes', limit: '3', cursor: first.nextCursor }));
+        const repeat = await searchTokens(parseSearchParams({ sort: 'upvotes', limit: '3', cursor: first.nextCursor }));
+        assert.deepEqual(again.tokens.map(token => token.id), repeat.tokens.map(token => token.id));
+    });
+});
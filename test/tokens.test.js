@@ -0,0 +1,142 @@
+// test/tokens.test.js
+//
+// Token creation, commits and upvotes through the API.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Pricing = require('../shared/pricing');
+const { STATES } = require('../lib/lifecycle');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+const { createWallet, signIn } = require('./helpers/wallets');
+const { createUpload } = require('./helpers/fixtures');
+
+describe('power-curve tokens', () => {
+    let database;
+    let server;
+
+    before(async () => {
+        database = await startDatabase();
+        if (database) server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    async function createPowerToken(token, commitPolicy) {
+        const upload = await createUpload();
+        const created = await server.request('POST', '/api/tokens', {
+            token,
+            body: {
+                title: 'Power',
+                ticker: `PW${Math.floor(Math.random() * 1e6)}`,
+                description: 'Prices on A * s^B.',
+                imageUrl: upload.url,
+                curveType: 'power',
+                curveParams: { curveA: 0.1, curveB: 2 },
+                commitPolicy,
+            },
+        });
+        assert.equal(created.status, 201);
+        return created.body.token;
+    }
+
+    ['none', 'stop', 'refund'].forEach(hardCap => {
+        it(`starts with a SOL target to raise and takes commits under a '${hardCap}' hard cap`, async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const session = await signIn(createWallet());
+            const token = await createPowerToken(session, { hardCap });
+            assert.ok(token.solTarget >= Pricing.MIN_POWER_RAISE_SOL * (1 - 1e-9));
+
+            const committed = await server.request('POST', `/api/tokens/${token.id}/commit`, { token: session, body: { amount: 1 } });
+            assert.equal(committed.status, 200);
+            assert.equal(committed.body.token.status, STATES.PRE_BOND);
+            assert.equal(committed.body.token.collectiveSOL, 1);
+        });
+    });
+
+    it('recomputes the SOL target as upvotes add to the supply', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const creator = await signIn(createWallet());
+        const token = await createPowerToken(creator, {});
+
+        let latest = token;
+        for (let n = 0; n < 3; n += 1) {
+            const upvoted = await server.request('POST', `/api/tokens/${token.id}/upvote`, { token: await signIn(createWallet()) });
+            assert.equal(upvoted.status, 200);
+            latest = upvoted.body.token;
+        }
+        assert.equal(latest.upvotes, 3);
+        assert.equal(latest.solTarget, Pricing.solTarget({ curveType: 'power', curveA: 0.1, curveB: 2 }, 3));
+    });
+});
+
+describe('fixed-target tokens', () => {
+    let database;
+    let server;
+
+    before(async () => {
+        database = await startDatabase();
+        if (database) server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    async function createCurveToken(curveType, curveParams) {
+        const upload = await createUpload();
+        const created = await server.request('POST', '/api/tokens', {
+            token: await signIn(createWallet()),
+            body: {
+                title: 'Fixed',
+                ticker: `FX${Math.floor(Math.random() * 1e6)}`,
+                description: 'Raises towards a fixed target supply.',
+                imageUrl: upload.url,
+                curveType,
+                curveParams,
+            },
+        });
+        assert.equal(created.status, 201);
+        return created.body.token;
+    }
+
+    const CURVES = {
+        linear: { basePrice: 0.01, slope: 0.001, targetSupply: 3 },
+        'constant-product': { virtualSol: 5, virtualTokens: 4, targetSupply: 3 },
+    };
+
+    Object.entries(CURVES).forEach(([curveType, curveParams]) => {
+        it(`keeps a ${curveType} token's SOL target and stops its upvotes at the target supply`, async t => {
+            if (!database) return t.skip('MongoDB is unavailable');
+            const token = await createCurveToken(curveType, curveParams);
+            assert.equal(token.solTarget, Pricing.solTarget({ curveType, curveParams }, 0));
+
+            for (let n = 1; n <= curveParams.targetSupply; n += 1) {
+                const upvoted = await server.request('POST', `/api/tokens/${token.id}/upvote`, { token: await signIn(createWallet()) });
+                assert.equal(upvoted.status, 200);
+                assert.equal(upvoted.body.token.upvotes, n);
+                assert.equal(upvoted.body.token.solTarget, token.solTarget);
+            }
+
+            const refused = await server.request('POST', `/api/tokens/${token.id}/upvote`, { token: await signIn(createWallet()) });
+            assert.equal(refused.status, 409);
+
+            const fetched = await server.request('GET', `/api/tokens/${token.id}`);
+            assert.equal(fetched.body.token.upvotes, curveParams.targetSupply);
+            assert.equal(fetched.body.token.solTarget, token.solTarget);
+            assert.equal(fetched.body.token.status, STATES.PRE_BOND);
+        });
+    });
+});
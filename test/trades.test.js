@@ -0,0 +1,122 @@
+// test/trades.test.js
+//
+// Trade history and the OHLCV candles built from it.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Pricing = require('../shared/pricing');
+const { Trade } = require('../models');
+const { STATES } = require('../lib/lifecycle');
+const { recordTrade, listTrades, getCandles } = require('../lib/trades');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+const { createWallet, signIn } = require('./helpers/wallets');
+const { createToken } = require('./helpers/fixtures');
+
+const START = new Date('2026-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+// A trade at `price`, `seconds` after START
+function tradeAt(tokenId, seconds, price, solAmount = 1) {
+    return Trade.create({
+        tokenId,
+        walletId: 'wallet-1',
+        type: 'buy',
+        solAmount,
+        tokenAmount: 1,
+        price,
+        supplyAfter: 1,
+        createdAt: new Date(START.getTime() + seconds * 1000),
+    });
+}
+
+describe('trade history', () => {
+    let database;
+    let server;
+
+    before(async () => {
+        database = await startDatabase();
+        if (database) server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('builds one candle per interval with trades, in time order', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken();
+        // Two in the first minute, none in the second, three in the third
+        await tradeAt(token.id, 10, 0.02, 1);
+        await tradeAt(token.id, 50, 0.03, 2);
+        await tradeAt(token.id, 125, 0.025, 0.5);
+        await tradeAt(token.id, 130, 0.01, 0.5);
+        await tradeAt(token.id, 170, 0.015, 1);
+        await tradeAt('other-token', 20, 99);
+
+        const candles = await getCandles(token.id, { interval: '1m', from: START, to: new Date(START.getTime() + 3 * MINUTE) });
+        assert.deepEqual(candles, [
+            { time: START, open: 0.02, high: 0.03, low: 0.02, close: 0.03, volume: 3, trades: 2 },
+            { time: new Date(START.getTime() + 2 * MINUTE), open: 0.025, high: 0.025, low: 0.01, close: 0.015, volume: 2, trades: 3 },
+        ]);
+
+        const [fiveMinutes] = await getCandles(token.id, { interval: '5m', from: START, to: new Date(START.getTime() + 5 * MINUTE) });
+        assert.deepEqual(fiveMinutes, { time: START, open: 0.02, high: 0.03, low: 0.01, close: 0.015, volume: 5, trades: 5 });
+    });
+
+    it('leaves out trades outside the range', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken();
+        await tradeAt(token.id, -30, 0.5);
+        await tradeAt(token.id, 30, 0.02);
+        await tradeAt(token.id, 90, 0.5);
+
+        const candles = await getCandles(token.id, { interval: '1m', from: START, to: new Date(START.getTime() + MINUTE - 1) });
+        assert.deepEqual(candles.map(candle => [candle.open, candle.close, candle.trades]), [[0.02, 0.02, 1]]);
+    });
+
+    it('records trades at the post-trade spot price and pages through them newest first', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ upvotes: 10 });
+        for (const type of ['upvote', 'commit', 'upvote']) {
+            await recordTrade(token, { walletId: 'wallet-1', type, solAmount: type === 'commit' ? 1 : 0, tokenAmount: 1 });
+        }
+
+        const first = await listTrades(token.id, { limit: 2 });
+        assert.deepEqual(first.trades.map(trade => trade.type), ['upvote', 'commit']);
+        assert.equal(first.trades[0].price, Pricing.spotPrice(token, 10));
+        assert.equal(first.trades[0].supplyAfter, 10);
+        const rest = await listTrades(token.id, { limit: 2, cursor: first.nextCursor });
+        assert.deepEqual(rest.trades.map(trade => trade.type), ['upvote']);
+        assert.equal(rest.nextCursor, null);
+        assert.deepEqual((await listTrades(token.id, { type: 'commit' })).trades.map(trade => trade.solAmount), [1]);
+    });
+
+    it('serves candles of real trades over the API', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ status: STATES.BONDING });
+        const session = await signIn(createWallet());
+        for (const tokenAmount of [5, 10]) {
+            const bought = await server.request('POST', `/api/tokens/${token.id}/buy-migrated`, { token: session, body: { tokenAmount } });
+            assert.equal(bought.status, 200);
+        }
+
+        const response = await server.request('GET', `/api/tokens/${token.id}/candles?interval=1h`);
+        assert.equal(response.status, 200);
+        const candles = response.body.candles;
+        assert.equal(candles.reduce((sum, candle) => sum + candle.trades, 0), 2);
+        const last = candles[candles.length - 1];
+        assert.equal(last.close, Pricing.spotPrice(token, 15));
+        assert.ok(candles[0].open < last.close);
+
+        const invalid = await server.request('GET', `/api/tokens/${token.id}/candles?from=2026-02-01&to=2026-01-01`);
+        assert.equal(invalid.status, 400);
+        const missing = await server.request('GET', '/api/tokens/no-such-token/candles');
+        assert.equal(missing.status, 404);
+    });
+});
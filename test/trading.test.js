@@ -0,0 +1,191 @@
+// test/trading.test.js
+//
+// Fee-inclusive quotes for migrated-token trades and the slippage checks run
+// before one executes.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Pricing = require('../shared/pricing');
+const { Token } = require('../models');
+const { ERROR_CODES } = require('../lib/api/errors');
+const { SOL, INITIAL_WALLET_BALANCE, getBalance } = require('../lib/ledger');
+const { STATES } = require('../lib/lifecycle');
+const { FEES: DEFAULT_FEES, SlippageError, quoteTrade, checkSlippage, validateSlippageParams } = require('../lib/trading');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { startServer } = require('./helpers/server');
+const { createWallet, signIn } = require('./helpers/wallets');
+const { createToken } = require('./helpers/fixtures');
+
+const FEES = { protocolFeeBps: 100, creatorFeeBps: 50 };
+const FEE_RATE = 0.015;
+const TOKEN = {
+    curveType: 'linear',
+    curveParams: { basePrice: 0.01, slope: 0.001, targetSupply: 100 },
+    upvotes: 50,
+};
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${message || 'value'}: ${actual} != ${expected}`);
+}
+
+function slippageError(error) {
+    return error instanceof SlippageError && error.code === ERROR_CODES.SLIPPAGE_EXCEEDED;
+}
+
+describe('trade quotes', () => {
+    it('takes the fees out of what a buyer pays before it reaches the curve', () => {
+        const quote = quoteTrade(TOKEN, 'buy', { sol: 1 }, FEES);
+        assert.equal(quote.solAmount, 1);
+        assertClose(quote.curveSolAmount, 1 - FEE_RATE, 'curve');
+        assertClose(quote.fees.protocolFee, 0.01, 'protocol fee');
+        assertClose(quote.fees.creatorFee, 0.005, 'creator fee');
+        assertClose(quote.fees.totalFee, 0.015, 'total fee');
+        assertClose(quote.tokenAmount, Pricing.tokensForSol(TOKEN, 50, 1 - FEE_RATE), 'tokens');
+        assertClose(quote.effectivePrice, 1 / quote.tokenAmount, 'effective price');
+        assert.ok(quote.effectivePrice > quote.averagePrice);
+    });
+
+    it('grosses up a buy of a token amount so the curve still gets its price', () => {
+        const quote = quoteTrade(TOKEN, 'buy', { tokens: 10 }, FEES);
+        assert.equal(quote.tokenAmount, 10);
+        assertClose(quote.curveSolAmount, Pricing.costToBuy(TOKEN, 50, 10), 'curve');
+        assertClose(quote.solAmount - quote.fees.totalFee, quote.curveSolAmount, 'paid less fees');
+        assertClose(quote.fees.totalFee, quote.solAmount * FEE_RATE, 'total fee');
+    });
+
+    it('takes the fees out of what the curve refunds a seller', () => {
+        const quote = quoteTrade(TOKEN, 'sell', { tokens: 10 }, FEES);
+        const refund = Pricing.refundForSell(TOKEN, 50, 10);
+        assertClose(quote.curveSolAmount, refund, 'curve');
+        assertClose(quote.solAmount, refund * (1 - FEE_RATE), 'received');
+        assertClose(quote.fees.totalFee, refund * FEE_RATE, 'total fee');
+        assert.ok(quote.effectivePrice < quote.averagePrice);
+    });
+
+    it('sells enough tokens for the seller to receive the SOL asked for after fees', () => {
+        const quote = quoteTrade(TOKEN, 'sell', { sol: 0.5 }, FEES);
+        assertClose(quote.solAmount, 0.5, 'received');
+        assertClose(quote.curveSolAmount, 0.5 / (1 - FEE_RATE), 'curve');
+        assertClose(quote.tokenAmount, Pricing.tokensToSellForSol(TOKEN, 50, 0.5 / (1 - FEE_RATE)), 'tokens');
+    });
+
+    it('prices at the curve alone without fees', () => {
+        const quote = quoteTrade(TOKEN, 'buy', { sol: 1 }, { protocolFeeBps: 0, creatorFeeBps: 0 });
+        assert.equal(quote.fees.totalFee, 0);
+        assert.equal(quote.curveSolAmount, quote.solAmount);
+        assertClose(quote.effectivePrice, quote.averagePrice, 'effective price');
+    });
+});
+
+describe('slippage checks', () => {
+    const buy = quoteTrade(TOKEN, 'buy', { sol: 1 }, FEES);
+    const sell = quoteTrade(TOKEN, 'sell', { tokens: 10 }, FEES);
+
+    it('lets a trade through within every limit', () => {
+        checkSlippage(buy, {});
+        checkSlippage(buy, { maxCost: 1, minReceived: buy.tokenAmount, slippageBps: 0, expectedPrice: buy.effectivePrice });
+        checkSlippage(sell, { maxCost: 10, minReceived: sell.solAmount, slippageBps: 0, expectedPrice: sell.effectivePrice });
+    });
+
+    it('refuses a buy that costs more SOL or returns fewer tokens than allowed', () => {
+        assert.throws(() => checkSlippage(buy, { maxCost: 0.99 }), slippageError);
+        assert.throws(() => checkSlippage(buy, { minReceived: buy.tokenAmount + 0.01 }), slippageError);
+    });
+
+    it('refuses a sell that costs more tokens or returns less SOL than allowed', () => {
+        assert.throws(() => checkSlippage(sell, { maxCost: 9 }), slippageError);
+        assert.throws(() => checkSlippage(sell, { minReceived: sell.solAmount + 0.01 }), slippageError);
+    });
+
+    it('refuses a price that moved against the caller past slippageBps, and allows one within it', () => {
+        // The buyer was quoted 1% less than the price now; 50 bps isn't enough, 150 is
+        const quotedBuy = buy.effectivePrice / 1.01;
+        assert.throws(() => checkSlippage(buy, { slippageBps: 50, expectedPrice: quotedBuy }), slippageError);
+        checkSlippage(buy, { slippageBps: 150, expectedPrice: quotedBuy });
+
+        const quotedSell = sell.effectivePrice * 1.01;
+        assert.throws(() => checkSlippage(sell, { slippageBps: 50, expectedPrice: quotedSell }), slippageError);
+        checkSlippage(sell, { slippageBps: 150, expectedPrice: quotedSell });
+    });
+
+    it('never refuses a price that moved in the caller\'s favour', () => {
+        checkSlippage(buy, { slippageBps: 0, expectedPrice: buy.effectivePrice * 2 });
+        checkSlippage(sell, { slippageBps: 0, expectedPrice: sell.effectivePrice / 2 });
+    });
+});
+
+describe('slippage parameters', () => {
+    it('accepts none, or non-negative limits given as numbers or strings', () => {
+        assert.equal(validateSlippageParams({}), null);
+        assert.equal(validateSlippageParams({ maxCost: '1.5', minReceived: 0, slippageBps: 100, expectedPrice: '0.02' }), null);
+    });
+
+    it('refuses negative or non-numeric limits', () => {
+        assert.match(validateSlippageParams({ maxCost: -1 }), /non-negative/);
+        assert.match(validateSlippageParams({ minReceived: 'lots' }), /non-negative/);
+        assert.match(validateSlippageParams({ expectedPrice: -0.1 }), /non-negative/);
+    });
+
+    it('refuses a slippageBps outside 0 to 10000, a fraction, or one without expectedPrice', () => {
+        assert.match(validateSlippageParams({ slippageBps: 10001, expectedPrice: 1 }), /between 0 and 10000/);
+        assert.match(validateSlippageParams({ slippageBps: 2.5, expectedPrice: 1 }), /between 0 and 10000/);
+        assert.match(validateSlippageParams({ slippageBps: -1, expectedPrice: 1 }), /between 0 and 10000/);
+        assert.match(validateSlippageParams({ slippageBps: 100 }), /expectedPrice/);
+    });
+});
+
+describe('trades through the API', () => {
+    let database;
+    let server;
+
+    before(async () => {
+        database = await startDatabase();
+        if (database) server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('charges the quoted fees on a buy', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ status: STATES.BONDING, upvotes: 50 });
+        const wallet = createWallet();
+        const session = await signIn(wallet);
+
+        const bought = await server.request('POST', `/api/tokens/${token.id}/buy-migrated`, { token: session, body: { solAmount: 1 } });
+        assert.equal(bought.status, 200);
+        const expected = quoteTrade(token, 'buy', { sol: 1 }, DEFAULT_FEES);
+        assertClose(bought.body.quote.tokenAmount, expected.tokenAmount, 'tokens');
+        assertClose(bought.body.quote.fees.totalFee, expected.fees.totalFee, 'fees');
+        assertClose(await getBalance(wallet.walletId, SOL), INITIAL_WALLET_BALANCE - 1, 'balance');
+    });
+
+    it('refuses a buy past the caller\'s limits without trading', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ status: STATES.BONDING, upvotes: 50 });
+        const wallet = createWallet();
+        const session = await signIn(wallet);
+        const quote = quoteTrade(token, 'buy', { sol: 1 }, DEFAULT_FEES);
+
+        const refused = await server.request('POST', `/api/tokens/${token.id}/buy-migrated`, {
+            token: session,
+            body: { solAmount: 1, minReceived: quote.tokenAmount * 1.01 },
+        });
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.code, ERROR_CODES.SLIPPAGE_EXCEEDED);
+        assert.equal((await Token.findById(token.id).lean()).upvotes, 50);
+        assert.equal(await getBalance(wallet.walletId, SOL), INITIAL_WALLET_BALANCE);
+
+        const invalid = await server.request('POST', `/api/tokens/${token.id}/buy-migrated`, {
+            token: session,
+            body: { solAmount: 1, slippageBps: 100 },
+        });
+        assert.equal(invalid.status, 400);
+    });
+});
@@ -0,0 +1,105 @@
+// test/trending.test.js
+//
+// Trending scores from synthetic event streams.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CONFIG, scoreEvents, rankTokens } = require('../lib/trending');
+
+const NOW = new Date('2026-01-02T00:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+const options = { now: NOW, window: '24h', config: DEFAULT_CONFIG };
+const token = { solTarget: 10 };
+
+function hoursAgo(hours) {
+    return new Date(NOW.getTime() - hours * HOUR_MS);
+}
+
+describe('scoreEvents', () => {
+    it('halves an event\'s weight for every half-life of age', () => {
+        const fresh = scoreEvents([{ type: 'upvote', at: NOW }], token, options);
+        const old = scoreEvents([{ type: 'upvote', at: hoursAgo(6) }], token, options);
+        assert.equal(fresh.breakdown.upvote, DEFAULT_CONFIG.weights.upvote);
+        assert.equal(old.breakdown.upvote, DEFAULT_CONFIG.weights.upvote / 2);
+    });
+
+    it('ignores events outside the window and in the future', () => {
+        const { score } = scoreEvents([
+            { type: 'upvote', at: hoursAgo(25) },
+            { type: 'comment', at: new Date(NOW.getTime() + 1000) },
+        ], token, options);
+        assert.equal(score, 0);
+    });
+
+    it('scores commit velocity against the SOL target, with top-ups at their own time', () => {
+        const { breakdown } = scoreEvents([
+            { type: 'commit', at: hoursAgo(6), walletId: 'a', amount: 1 },
+            { type: 'commit', at: NOW, walletId: 'a', amount: 1 },
+        ], token, options);
+        const weight = DEFAULT_CONFIG.weights.commit;
+        assert.equal(breakdown.commit, weight * (0.5 * 1 + 1) / 10);
+        // One committer, decayed by its latest commit
+        assert.equal(breakdown.committer, DEFAULT_CONFIG.weights.committer);
+    });
+
+    it('subtracts withdrawals from commit activity', () => {
+        const { breakdown } = scoreEvents([
+            { type: 'commit', at: NOW, walletId: 'a', amount: 2 },
+            { type: 'withdraw', at: NOW, walletId: 'a', amount: 2 },
+            { type: 'commit', at: NOW, walletId: 'b', amount: 1 },
+        ], token, options);
+        assert.equal(breakdown.commit, DEFAULT_CONFIG.weights.commit * 1 / 10);
+        assert.equal(breakdown.committer, DEFAULT_CONFIG.weights.committer);
+    });
+
+    it('never lets withdrawals of older commitments push commit activity below zero', () => {
+        const { score, breakdown } = scoreEvents([
+            { type: 'withdraw', at: NOW, walletId: 'a', amount: 5 },
+        ], token, options);
+        assert.equal(breakdown.commit, 0);
+        assert.equal(breakdown.committer, 0);
+        assert.equal(score, 0);
+    });
+
+    it('counts views inside the window only, decayed', () => {
+        const recent = scoreEvents([{ type: 'view', at: NOW }, { type: 'view', at: NOW }], token, options);
+        assert.equal(recent.breakdown.views, DEFAULT_CONFIG.weights.views * Math.log10(3));
+
+        const stale = scoreEvents([{ type: 'view', at: hoursAgo(48) }], token, options);
+        assert.equal(stale.breakdown.views, 0);
+    });
+});
+
+describe('rankTokens', () => {
+    const tokens = new Map([
+        ['quiet', { solTarget: 10 }],
+        ['busy', { solTarget: 10 }],
+        ['stale', { solTarget: 10 }],
+        ['withdrawn', { solTarget: 10 }],
+    ]);
+
+    it('ranks tokens by score and leaves out tokens without recent activity, withdrawals netted', () => {
+        const events = [
+            { tokenId: 'quiet', type: 'comment', at: hoursAgo(1) },
+            { tokenId: 'busy', type: 'upvote', at: hoursAgo(1) },
+            { tokenId: 'busy', type: 'commit', at: hoursAgo(2), walletId: 'a', amount: 1 },
+            { tokenId: 'stale', type: 'upvote', at: hoursAgo(30) },
+            { tokenId: 'withdrawn', type: 'commit', at: hoursAgo(2), walletId: 'b', amount: 3 },
+            { tokenId: 'withdrawn', type: 'withdraw', at: hoursAgo(1), walletId: 'b', amount: 3 },
+            { tokenId: 'unknown', type: 'upvote', at: hoursAgo(1) },
+        ];
+        const ranked = rankTokens(events, tokens, options);
+        assert.deepEqual(ranked.map(entry => entry.tokenId), ['busy', 'quiet']);
+    });
+
+    it('moves a token up as its activity gets more recent', () => {
+        const early = [
+            { tokenId: 'quiet', type: 'upvote', at: hoursAgo(12) },
+            { tokenId: 'quiet', type: 'upvote', at: hoursAgo(12) },
+            { tokenId: 'busy', type: 'upvote', at: hoursAgo(1) },
+        ];
+        assert.deepEqual(rankTokens(early, tokens, options).map(entry => entry.tokenId), ['busy', 'quiet']);
+        const later = [...early, { tokenId: 'quiet', type: 'upvote', at: NOW }];
+        assert.deepEqual(rankTokens(later, tokens, options).map(entry => entry.tokenId), ['quiet', 'busy']);
+    });
+});
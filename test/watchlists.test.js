@@ -0,0 +1,132 @@
+// test/watchlists.test.js
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Notification, WatchlistEntry } = require('../models');
+const { EVENT_TYPES, publish, startEventFeed } = require('../lib/events');
+const { STATES } = require('../lib/lifecycle');
+const { watchToken, evaluateEvent, startWatchlistAlerts } = require('../lib/watchlists');
+const { startDatabase, clearDatabase } = require('./helpers/database');
+const { createWallet } = require('./helpers/wallets');
+const { createToken } = require('./helpers/fixtures');
+
+let eventCount = 0;
+
+// The feed event of a change to `token`, carrying the token as it was then
+function tokenEvent(token, type, changes) {
+    eventCount += 1;
+    return {
+        id: eventCount,
+        type,
+        tokenId: token.id,
+        timestamp: new Date(),
+        payload: { token: { ...token.toObject(), id: token.id, ...changes } },
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// On the test curve the spot price is 0.01 + 0.001 * upvotes SOL
+function tradeAt(token, upvotes) {
+    return tokenEvent(token, EVENT_TYPES.TRADE, { upvotes });
+}
+
+describe('watchlist alerts under concurrent evaluation', () => {
+    let database;
+
+    before(async () => {
+        database = await startDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.stop();
+    });
+
+    beforeEach(async () => {
+        if (database) await clearDatabase();
+    });
+
+    it('files one price alert when several events cross the threshold at once', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ status: STATES.BONDING, upvotes: 10 });
+        const { walletId } = createWallet();
+        await watchToken(walletId, token.id, { priceAbove: 0.025 });
+
+        await Promise.all([20, 21, 22, 23, 24].map(upvotes => evaluateEvent(tradeAt(token, upvotes))));
+
+        const alerts = await Notification.find({ walletId, type: 'price' }).lean();
+        assert.equal(alerts.length, 1);
+        assert.equal(alerts[0].data.direction, 'above');
+        const entry = await WatchlistEntry.findOne({ walletId }).lean();
+        assert.ok(entry.lastPrice >= 0.03);
+    });
+
+    it('alerts every crossing when rises and falls are evaluated in turn', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ status: STATES.BONDING, upvotes: 10 });
+        const { walletId } = createWallet();
+        await watchToken(walletId, token.id, { priceAbove: 0.025, priceBelow: 0.015 });
+
+        for (const upvotes of [20, 2, 20, 30]) {
+            await evaluateEvent(tradeAt(token, upvotes));
+        }
+
+        const alerts = await Notification.find({ walletId, type: 'price' }).sort({ _id: 1 }).lean();
+        assert.deepEqual(alerts.map(alert => alert.data.direction), ['above', 'below', 'above']);
+    });
+
+    it('files the progress alert once when commits are evaluated at once', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken();
+        const { walletId } = createWallet();
+        await watchToken(walletId, token.id, { progressPercent: 50 });
+
+        const committed = [0.6, 0.7, 0.8].map(share => share * token.solTarget);
+        await Promise.all(committed.map(collectiveSOL => (
+            evaluateEvent(tokenEvent(token, EVENT_TYPES.COMMIT, { collectiveSOL }))
+        )));
+
+        assert.equal(await Notification.countDocuments({ walletId, type: 'progress' }), 1);
+        assert.ok((await WatchlistEntry.findOne({ walletId }).lean()).progressAlertedAt);
+    });
+
+    it('files the alerts of an event once when several instances evaluate it', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ status: STATES.BONDING });
+        const { walletId } = createWallet();
+        await watchToken(walletId, token.id, { comments: true });
+        const comment = { id: 'comment-1', user: createWallet().walletId, comment: 'Hello', hidden: false };
+        const event = { ...tokenEvent(token, EVENT_TYPES.COMMENT), payload: { comment } };
+
+        const filed = await Promise.all([evaluateEvent(event), evaluateEvent(event), evaluateEvent(event)]);
+
+        assert.equal(filed.flat().length, 1);
+        assert.equal(await Notification.countDocuments({ walletId, type: 'comment' }), 1);
+    });
+
+    it('evaluates back-to-back feed events for a token in order', async t => {
+        if (!database) return t.skip('MongoDB is unavailable');
+        const token = await createToken({ status: STATES.BONDING, upvotes: 10 });
+        const { walletId } = createWallet();
+        await watchToken(walletId, token.id, { priceAbove: 0.025 });
+        const stopFeed = await startEventFeed();
+        const stopAlerts = startWatchlistAlerts();
+        t.after(async () => {
+            stopAlerts();
+            await stopFeed();
+        });
+
+        // The rise is still being evaluated when the fall is fanned out
+        for (const upvotes of [20, 12]) {
+            await publish(EVENT_TYPES.TRADE, { tokenId: token.id, ...tradeAt(token, upvotes).payload });
+        }
+        await sleep(500);
+
+        const alerts = await Notification.find({ walletId, type: 'price' }).lean();
+        assert.deepEqual(alerts.map(alert => alert.data.direction), ['above']);
+        const entry = await WatchlistEntry.findOne({ walletId }).lean();
+        assert.ok(Math.abs(entry.lastPrice - 0.022) < 1e-9, `lastPrice ${entry.lastPrice}`);
+    });
+});